@@ -0,0 +1,370 @@
+/**
+ * Image adjustments for Phomymo image elements
+ *
+ * An image element can carry an adjustment stack: steps applied in order to
+ * the original image whenever it is rendered, so the image data itself is
+ * never changed and any step can be edited or removed later:
+ *
+ *   adjustments: [
+ *     { type: 'crop', left: 10, top: 0, right: 10, bottom: 5 },   // % trimmed per edge
+ *     { type: 'rotate', turns: 1 },                                // quarter turns clockwise
+ *     { type: 'background', level: 220 },                          // light background -> white
+ *     { type: 'invert' },
+ *     { type: 'sharpen', amount: 100, radius: 2 },                 // unsharp mask
+ *     { type: 'edges', strength: 100 },                            // outlines as line art
+ *   ]
+ *
+ * Brightness, contrast and dithering stay separate element settings and are
+ * applied after the stack.
+ */
+
+// Longest side the stack is worked at (larger images are scaled down first)
+export const MAX_ADJUST_SIZE = 2048;
+
+/**
+ * Adjustment types, in the order they are offered, with their defaults and
+ * the settings the properties panel shows for them ({ key, label, min, max })
+ */
+export const ADJUSTMENT_TYPES = {
+  crop: {
+    name: 'Crop',
+    defaults: { left: 0, top: 0, right: 0, bottom: 0 },
+    fields: [
+      { key: 'left', label: 'L%', min: 0, max: 95 },
+      { key: 'top', label: 'T%', min: 0, max: 95 },
+      { key: 'right', label: 'R%', min: 0, max: 95 },
+      { key: 'bottom', label: 'B%', min: 0, max: 95 },
+    ],
+  },
+  rotate: {
+    name: 'Rotate',
+    defaults: { turns: 1 },
+    fields: [{ key: 'turns', label: '×90°', min: 1, max: 3 }],
+  },
+  background: {
+    name: 'Remove background',
+    defaults: { level: 220 },
+    fields: [{ key: 'level', label: 'Level', min: 0, max: 255 }],
+  },
+  invert: { name: 'Invert', defaults: {}, fields: [] },
+  sharpen: {
+    name: 'Sharpen',
+    defaults: { amount: 100, radius: 2 },
+    fields: [
+      { key: 'amount', label: '%', min: 0, max: 500 },
+      { key: 'radius', label: 'px', min: 1, max: 20 },
+    ],
+  },
+  edges: {
+    name: 'Edges',
+    defaults: { strength: 100 },
+    fields: [{ key: 'strength', label: '%', min: 10, max: 1000 }],
+  },
+};
+
+/**
+ * Create an adjustment step with default settings
+ * @param {string} type - One of ADJUSTMENT_TYPES
+ * @returns {Object} Adjustment step
+ */
+export function createAdjustment(type) {
+  if (!Object.hasOwn(ADJUSTMENT_TYPES, type)) {
+    throw new Error(`Unknown image adjustment: ${type}`);
+  }
+  return { type, ...ADJUSTMENT_TYPES[type].defaults };
+}
+
+/**
+ * Check if an element has any adjustments to apply
+ * @param {Object} element - Image element
+ * @returns {boolean}
+ */
+export function hasAdjustments(element) {
+  return Array.isArray(element?.adjustments) && element.adjustments.length > 0;
+}
+
+/**
+ * Key identifying an adjustment stack, for caches
+ * @param {Array} adjustments
+ * @returns {string} Empty string when there is nothing to apply
+ */
+export function adjustmentsKey(adjustments) {
+  return Array.isArray(adjustments) && adjustments.length > 0 ? JSON.stringify(adjustments) : '';
+}
+
+/**
+ * Size of an image after the crop and rotate steps of a stack
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {Array} adjustments - Adjustment stack
+ * @returns {{ width: number, height: number }}
+ */
+export function getAdjustedSize(width, height, adjustments) {
+  for (const step of adjustments || []) {
+    if (step.type === 'crop') {
+      const crop = cropRect(width, height, step);
+      width = crop.width;
+      height = crop.height;
+    } else if (step.type === 'rotate' && quarterTurns(step) % 2 === 1) {
+      [width, height] = [height, width];
+    }
+  }
+  return { width, height };
+}
+
+/**
+ * Apply an adjustment stack to an image
+ * @param {CanvasImageSource} source - Loaded image (or canvas)
+ * @param {Array} adjustments - Adjustment stack
+ * @returns {HTMLCanvasElement} Adjusted image
+ */
+export function applyAdjustments(source, adjustments) {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const scale = Math.min(1, MAX_ADJUST_SIZE / Math.max(sourceWidth, sourceHeight));
+  let canvas = createCanvas(Math.max(1, Math.round(sourceWidth * scale)), Math.max(1, Math.round(sourceHeight * scale)));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  for (const step of adjustments || []) {
+    if (step.type === 'crop') {
+      const rect = cropRect(canvas.width, canvas.height, step);
+      const cropped = createCanvas(rect.width, rect.height);
+      cropped.getContext('2d').drawImage(canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+      canvas = cropped;
+    } else if (step.type === 'rotate') {
+      canvas = rotateCanvas(canvas, quarterTurns(step));
+    } else {
+      const ctx = canvas.getContext('2d');
+      const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      applyPixelAdjustment(image, step);
+      ctx.putImageData(image, 0, 0);
+    }
+  }
+
+  return canvas;
+}
+
+/**
+ * Apply one pixel adjustment (everything except crop and rotate) in place
+ * @param {ImageData} image - RGBA pixels ({ data, width, height })
+ * @param {Object} step - Adjustment step
+ */
+export function applyPixelAdjustment(image, step) {
+  switch (step.type) {
+    case 'invert':
+      invertPixels(image);
+      break;
+    case 'background':
+      whitenBackground(image, clamp(step.level ?? 220, 0, 255));
+      break;
+    case 'sharpen':
+      unsharpMask(image, clamp(step.amount ?? 100, 0, 500) / 100, Math.round(clamp(step.radius ?? 2, 1, 20)));
+      break;
+    case 'edges':
+      extractEdges(image, clamp(step.strength ?? 100, 10, 1000) / 100);
+      break;
+    default:
+      throw new Error(`Unknown image adjustment: ${step.type}`);
+  }
+}
+
+// =============================================================================
+// PIXEL OPERATIONS
+// =============================================================================
+
+/**
+ * Invert colours; transparent areas become black, like the paper they print on
+ * @param {ImageData} image
+ */
+export function invertPixels(image) {
+  const { data } = image;
+  flattenOnWhite(data);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = 255 - data[i];
+    data[i + 1] = 255 - data[i + 1];
+    data[i + 2] = 255 - data[i + 2];
+  }
+}
+
+/**
+ * Turn the background white: transparent pixels, and light pixels connected
+ * to the image border (so light areas inside the subject are kept)
+ * @param {ImageData} image
+ * @param {number} level - Lightness (0-255) from which a pixel counts as background
+ */
+export function whitenBackground(image, level) {
+  const { data, width, height } = image;
+  flattenOnWhite(data);
+
+  const isBackground = (i) => luminance(data, i * 4) >= level;
+  const seen = new Uint8Array(width * height);
+  const stack = [];
+  const visit = (i) => {
+    if (!seen[i] && isBackground(i)) {
+      seen[i] = 1;
+      stack.push(i);
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  while (stack.length > 0) {
+    const i = stack.pop();
+    data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = 255;
+    const x = i % width;
+    if (x > 0) visit(i - 1);
+    if (x < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i < width * (height - 1)) visit(i + width);
+  }
+}
+
+/**
+ * Unsharp mask: add back the difference from a blurred copy
+ * @param {ImageData} image
+ * @param {number} amount - Strength (1 = 100%)
+ * @param {number} radius - Blur radius in pixels
+ */
+export function unsharpMask(image, amount, radius) {
+  const { data, width, height } = image;
+  const blurred = boxBlur(data, width, height, radius);
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const value = data[i + c];
+      data[i + c] = clamp(Math.round(value + (value - blurred[i + c]) * amount), 0, 255);
+    }
+  }
+}
+
+/**
+ * Replace the image with its outlines (Sobel), dark lines on white
+ * @param {ImageData} image
+ * @param {number} strength - Line darkness (1 = a black/white edge is fully black)
+ */
+export function extractEdges(image, strength) {
+  const { data, width, height } = image;
+  flattenOnWhite(data);
+
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = luminance(data, i * 4);
+  }
+  const at = (x, y) => gray[clamp(y, 0, height - 1) * width + clamp(x, 0, width - 1)];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1))
+        - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+      const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1))
+        - (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+      // A full black/white step gives a magnitude of 4 * 255
+      const value = clamp(Math.round(255 - Math.hypot(gx, gy) / 4 * strength), 0, 255);
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+    }
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function rotateCanvas(canvas, turns) {
+  if (turns === 0) return canvas;
+  const swap = turns % 2 === 1;
+  const rotated = createCanvas(swap ? canvas.height : canvas.width, swap ? canvas.width : canvas.height);
+  const ctx = rotated.getContext('2d');
+  ctx.translate(rotated.width / 2, rotated.height / 2);
+  ctx.rotate(turns * Math.PI / 2);
+  ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+  return rotated;
+}
+
+/**
+ * Pixel rectangle kept by a crop step (at least 1x1)
+ */
+function cropRect(width, height, step) {
+  const left = clamp(step.left || 0, 0, 100);
+  const top = clamp(step.top || 0, 0, 100);
+  const right = clamp(step.right || 0, 0, 100 - left);
+  const bottom = clamp(step.bottom || 0, 0, 100 - top);
+  const x = Math.min(width - 1, Math.round(width * left / 100));
+  const y = Math.min(height - 1, Math.round(height * top / 100));
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.round(width * (100 - right) / 100) - x),
+    height: Math.max(1, Math.round(height * (100 - bottom) / 100) - y),
+  };
+}
+
+function quarterTurns(step) {
+  return ((Math.round(step.turns || 0) % 4) + 4) % 4;
+}
+
+/**
+ * Blend partly transparent pixels onto white and make them opaque
+ */
+function flattenOnWhite(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3];
+    if (a < 255) {
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = Math.round(data[i + c] * a / 255 + 255 * (1 - a / 255));
+      }
+      data[i + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Separable box blur of the RGB channels (running sums, edges repeated)
+ * @returns {Float32Array} Blurred RGBA values (alpha not blurred)
+ */
+function boxBlur(data, width, height, radius) {
+  const horizontal = new Float32Array(data.length);
+  const blurred = new Float32Array(data.length);
+  const size = radius * 2 + 1;
+  const blurLine = (source, target, start, step, length) => {
+    for (let c = 0; c < 3; c++) {
+      const at = (k) => source[start + clamp(k, 0, length - 1) * step + c];
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += at(k);
+      }
+      for (let k = 0; k < length; k++) {
+        target[start + k * step + c] = sum / size;
+        sum += at(k + radius + 1) - at(k - radius);
+      }
+    }
+  };
+  for (let y = 0; y < height; y++) {
+    blurLine(data, horizontal, y * width * 4, 4, width);
+  }
+  for (let x = 0; x < width; x++) {
+    blurLine(horizontal, blurred, x * 4, width * 4, height);
+  }
+  return blurred;
+}
+
+// Perceptual lightness (ITU-R BT.601, as in dither.js)
+function luminance(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -4,10 +4,22 @@
  * v116
  */
 
-import { CanvasRenderer } from './canvas.js?v=113';
-import { BLETransport } from './ble.js?v=103';
-import { USBTransport } from './usb.js?v=101';
-import { print, printDensityTest, isDSeriesPrinter, isP12Printer, isA30Printer, isTapePrinter, isPM241Printer, isTSPLPrinter, isRotatedPrinter, getPrinterWidthBytes, getPrinterDpi, getPrinterAlignment, getPrinterDescription, isDeviceRecognized, getMatchedPattern, loadPrinterDefinitions, getAllPrinterDefinitions, getPrinterDefinition, getCustomPrinterDefinitions, saveCustomPrinterDefinition, deleteCustomPrinterDefinition, isBuiltinPrinter, resetBuiltinPrinter, getAvailableProtocols, getAvailableLabelPresets, getDetectedDefinition } from './printer.js?v=127';
+import { CanvasRenderer } from './canvas.js?v=119';
+import { DEFAULT_THRESHOLD, DEFAULT_GAMMA } from './dither.js?v=101';
+import { BLETransport } from './ble.js?v=108';
+import { USBTransport } from './usb.js?v=102';
+import { SerialTransport } from './serial.js?v=102';
+import { NetworkTransport, DEFAULT_BRIDGE_URL } from './network.js?v=100';
+import { LoopbackTransport, getJobBytes, renderJobPreview } from './loopback.js?v=103';
+import { decodeStream, extractRasters, parseHex, toHex, rasterToCanvas, SEGMENT } from './decoder.js?v=101';
+import { PrintQueue, JOB_STATUS } from './queue.js?v=102';
+import { PrinterRegistry } from './registry.js?v=100';
+import { buildNativeTSPL, cropRaster } from './tspl.js?v=100';
+import { loadHistory, addHistoryEntry, searchHistory, getHistoryEntry, getHistoryRaster, deleteHistoryEntries, clearHistory, historyToCSV, formatHistoryRecords, getLabelContent } from './history.js?v=101';
+import { print, isDSeriesPrinter, isA30Printer, isTapePrinter, isPM241Printer, isTSPLPrinter, isRotatedPrinter, getPrinterWidthBytes, getPrinterDpi, getPrinterAlignment, getPrinterDescription, isDeviceRecognized, getMatchedPattern, loadPrinterDefinitions, getAllPrinterDefinitions, getPrinterDefinition, getCustomPrinterDefinitions, saveCustomPrinterDefinition, deleteCustomPrinterDefinition, isBuiltinPrinter, resetBuiltinPrinter, getAvailableProtocols, getAvailableLabelPresets, getDetectedDefinition, getProtocolDefinition, validateCustomProtocol, getPrinterProtocolName, getMediaSettings, saveMediaSettings, supportsMediaCalibration, calibrateMedia, getPrinterCalibration, savePrinterCalibration, getTuningControls, getToneProfileId, savePrinterToneProfile } from './printer.js?v=140';
+import { printCalibrationPage, printDensityTest, printToneChart, computeCalibration, getCalibrationBasis } from './calibration.js?v=103';
+import { getToneProfiles, getToneProfile, isBuiltinToneProfile, saveToneProfile, deleteToneProfile, toneProfileId } from './tone.js?v=100';
+import { ADJUSTMENT_TYPES, createAdjustment, getAdjustedSize } from './adjustments.js?v=100';
 import {
   createTextElement,
   createImageElement,
@@ -36,7 +48,7 @@ import {
   collapseToSingleZone,
   hasElementsInHigherZones,
   removeElementsInHigherZones,
-} from './elements.js?v=100';
+} from './elements.js?v=101';
 import {
   HandleType,
   getHandleAtPoint,
@@ -48,7 +60,7 @@ import {
   drawGroupHandles,
   calculateGroupResize,
   calculateGroupRotation,
-} from './handles.js?v=100';
+} from './handles.js?v=101';
 import {
   saveDesign,
   loadDesign,
@@ -64,7 +76,7 @@ import {
   createEmptyRecord,
   hasExpressions,
   evaluateExpressions,
-} from './templates.js?v=101';
+} from './templates.js?v=102';
 import {
   ZOOM,
   TEXT,
@@ -73,6 +85,7 @@ import {
   LABEL,
   MULTI_LABEL,
   PRINT,
+  PRINT_HISTORY,
   HISTORY,
   GUIDES,
   TOUCH,
@@ -83,7 +96,7 @@ import {
   D_SERIES_ROUND_LABELS,
   TAPE_LABEL_SIZES,
   PM241_LABEL_SIZES,
-} from './constants.js?v=104';
+} from './constants.js?v=112';
 import {
   bindCheckbox,
   bindToggleButton,
@@ -103,12 +116,13 @@ import {
   safeJsonStringify,
   safeStorageGet,
   safeStorageSet,
+  safeStorageRemove,
   showError,
   logError,
   ErrorLevel,
   ErrorCodes,
   getErrorMessage,
-} from './utils/errors.js?v=100';
+} from './utils/errors.js?v=101';
 import {
   validateFontSize,
   validateImageScale,
@@ -167,7 +181,15 @@ const state = {
     copies: 1,        // Number of copies
     feed: 32,         // Feed after print in dots (8 dots = 1mm)
     printerModel: 'auto',  // 'auto', 'narrow-48', 'mini-54', 'wide-72', 'mid-76', 'wide-81', 'd-series'
+    adaptiveTransfer: false, // Let BLE pick the chunk size (experimental)
+    nativeTSPL: false, // Send text, barcodes, QR codes and boxes as TSPL commands
+    compressRaster: false, // Send rasters compressed where the printer supports it (M04 LZO)
+    skipBlankRows: false, // Skip blank rows on continuous paper (M02, P12, A30)
+    speed: null,      // Speed level 1-5, null = printer default (saved per device)
+    heat: null,       // Heat level 1-5, null = printer default (saved per device)
+    autoReconnect: false, // Rejoin the last Bluetooth printer and reconnect when it drops
   },
+  designPrinter: null,    // Name of the printer this design prints on (null = active printer)
   // Template state
   templateFields: [],     // Detected field names from elements
   templateData: [],       // Array of data records for batch printing
@@ -248,6 +270,80 @@ function saveDeviceMapping(deviceName, printerModel) {
   safeStorageSet(STORAGE_KEYS.DEVICE_MAPPING, safeJsonStringify(mappings));
 }
 
+/**
+ * Get the speed and heat levels saved for a device
+ * @param {string} deviceName - BLE device name
+ * @returns {Object} { speed, heat } (null = printer default)
+ */
+function getDeviceTuning(deviceName) {
+  const saved = safeJsonParse(safeStorageGet(STORAGE_KEYS.DEVICE_TUNING), {});
+  return { speed: null, heat: null, ...(deviceName ? saved[deviceName] : null) };
+}
+
+/**
+ * Save the speed and heat levels for a device
+ * @param {string} deviceName - BLE device name
+ * @param {Object} tuning - { speed, heat } (null = printer default)
+ */
+function saveDeviceTuning(deviceName, { speed, heat }) {
+  if (!deviceName) return;
+  const saved = safeJsonParse(safeStorageGet(STORAGE_KEYS.DEVICE_TUNING), {});
+  saved[deviceName] = { speed, heat };
+  safeStorageSet(STORAGE_KEYS.DEVICE_TUNING, safeJsonStringify(saved));
+}
+
+/**
+ * Get the name a printer was given in the printer list
+ * @param {string} deviceName - Device name
+ * @returns {string|null} Saved name, or null to use the device name
+ */
+function getSavedPrinterName(deviceName) {
+  if (!deviceName) return null;
+  const names = safeJsonParse(safeStorageGet(STORAGE_KEYS.PRINTER_NAMES), {});
+  return names[deviceName] || null;
+}
+
+/**
+ * Save the name a printer was given in the printer list
+ * @param {string} deviceName - Device name
+ * @param {string} name - Printer name (the device name clears it)
+ */
+function savePrinterName(deviceName, name) {
+  if (!deviceName) return;
+  const names = safeJsonParse(safeStorageGet(STORAGE_KEYS.PRINTER_NAMES), {});
+  if (name === deviceName) {
+    delete names[deviceName];
+  } else {
+    names[deviceName] = name;
+  }
+  safeStorageSet(STORAGE_KEYS.PRINTER_NAMES, safeJsonStringify(names));
+}
+
+/**
+ * Get the Bluetooth printer remembered for automatic reconnection
+ * @returns {Object|null} { id, name }
+ */
+function getRememberedPrinter() {
+  return safeJsonParse(safeStorageGet(STORAGE_KEYS.REMEMBERED_PRINTER), null);
+}
+
+/**
+ * Remember a connected Bluetooth printer, to rejoin it on the next visit
+ * @param {BLETransport} transport
+ */
+function rememberPrinter(transport) {
+  const id = transport.getDeviceId();
+  if (!id) return;
+  safeStorageSet(STORAGE_KEYS.REMEMBERED_PRINTER, safeJsonStringify({ id, name: transport.getDeviceName() }));
+}
+
+/**
+ * Forget the remembered Bluetooth printer
+ */
+function forgetRememberedPrinter() {
+  safeStorageRemove(STORAGE_KEYS.REMEMBERED_PRINTER);
+}
+
 /**
  * Get saved model for a device
  * @param {string} deviceName - BLE device name
@@ -259,6 +355,17 @@ function getSavedDeviceModel(deviceName) {
   return mappings[deviceName] || null;
 }
 
+/**
+ * Whether prints should use the Bluetooth command stream.
+ * The virtual (loopback) printer emulates a Bluetooth printer, and serial
+ * ports carry the Bluetooth Classic stream; USB and network printers take
+ * the wired one.
+ * @param {string} connectionType - Defaults to the active printer's
+ */
+function usesBLEProtocol(connectionType = state.connectionType) {
+  return connectionType !== 'usb' && connectionType !== 'network';
+}
+
 /**
  * Update status message
  */
@@ -377,18 +484,35 @@ async function initLocalFonts() {
 }
 
 /**
- * Detect dither mode from elements
- * Uses first image element's dither setting, or 'auto' if none
- * @param {Array} elements - Array of label elements
- * @returns {string} Dither mode ('auto', 'none', 'threshold', 'floyd-steinberg', 'atkinson', 'ordered')
+ * Get the dither mode for a label. Images are dithered first, each with its
+ * own mode and options (as print preview shows them), so this is for the
+ * text, barcodes and shapes around them.
+ * @param {string} deviceName - Printer the label goes to
+ * @param {string} printerModel - Its printer model setting
+ * @returns {string} 'threshold' for TSPL printers (shipping labels need crisp barcodes), else 'auto'
  */
-function getDitherMode(elements) {
-  for (const el of elements) {
-    if (el.type === 'image' && el.dither) {
-      return el.dither;
-    }
-  }
-  return 'auto';
+function getLabelDitherMode(deviceName, printerModel) {
+  return isTSPLPrinter(deviceName, printerModel) ? 'threshold' : 'auto';
+}
+
+/**
+ * Get the tone profile labels for a printer are dithered with
+ * @param {string} deviceName - Printer the labels go to
+ * @param {string} printerModel - Its printer model setting
+ * @returns {Object|null} Tone profile (see tone.js), or null if none was picked
+ */
+function getPrintTone(deviceName, printerModel) {
+  const id = getToneProfileId(deviceName, printerModel);
+  return id ? getToneProfile(id) : null;
+}
+
+/**
+ * Make print preview dither with a printer's tone profile
+ * @param {string} deviceName - Device name
+ * @param {string} printerModel - Printer model setting
+ */
+function updatePreviewTone(deviceName, printerModel) {
+  state.renderer?.setToneProfile(getPrintTone(deviceName, printerModel));
 }
 
 /**
@@ -582,13 +706,18 @@ function showToast(message, type = 'info', duration = 2000) {
  * Print progress state
  */
 let printProgressCancelled = false;
+let printProgressFailed = false;
 
 /**
  * Show print progress modal
  */
 function showPrintProgress(title, total) {
   printProgressCancelled = false;
+  printProgressFailed = false;
   const modal = $('#print-progress-modal');
+  $('#progress-error').classList.add('hidden');
+  $('#progress-bar').classList.replace('bg-red-500', 'bg-purple-600');
+  $('#progress-cancel').textContent = 'Cancel';
   $('#progress-title').textContent = title;
   $('#progress-subtitle').textContent = 'Preparing...';
   $('#progress-bar').style.width = '0%';
@@ -607,6 +736,20 @@ function updatePrintProgress(current, total, sublabel = '') {
   $('#progress-subtitle').textContent = sublabel || `Printing label ${current}...`;
 }
 
+/**
+ * Show why a batch stopped, keeping the progress modal open until dismissed
+ * @param {string} message - Error to show
+ */
+function showPrintProgressError(message) {
+  printProgressFailed = true;
+  const errorEl = $('#progress-error');
+  errorEl.textContent = message;
+  errorEl.classList.remove('hidden');
+  $('#progress-subtitle').textContent = 'Stopped';
+  $('#progress-bar').classList.replace('bg-purple-600', 'bg-red-500');
+  $('#progress-cancel').textContent = 'Close';
+}
+
 /**
  * Hide print progress modal
  */
@@ -688,15 +831,14 @@ function updateConnectionStatus(connected) {
 function updatePrinterInfoUI(deviceName, printerModel) {
   const effectiveModel = printerModel || state.printSettings.printerModel;
   const isDSeries = isDSeriesPrinter(deviceName, effectiveModel);
-  const isP12 = isP12Printer(deviceName, effectiveModel);
   const width = getPrinterWidthBytes(deviceName, effectiveModel);
 
   // Update device info
   $('#pi-device-name').textContent = deviceName || '--';
   $('#pi-model').textContent = getMatchedPattern(deviceName) || effectiveModel || 'Unknown';
-  // P12 uses M-series protocol but prints rotated like D-series
-  $('#pi-protocol').textContent = isP12 ? 'P12 (rotated, M-series)' : isDSeries ? 'D-series (rotated)' : 'M-series (ESC/POS)';
+  $('#pi-protocol').textContent = getPrinterProtocolName(deviceName, effectiveModel);
   $('#pi-width').textContent = isDSeries ? 'Variable' : `${width * 8}px (${Math.round(width * 8 / 8)}mm)`;
+  updateTransferInfo();
 
   // Update summary in button
   const battery = state.transport?.printerInfo?.battery;
@@ -710,6 +852,29 @@ function updatePrinterInfoUI(deviceName, printerModel) {
   $('#printer-info-summary').textContent = summaryParts.length ? summaryParts.join(' | ') : deviceName?.substring(0, 8) || '--';
 }
 
+/**
+ * Show the last measured transfer (chunk size, pacing, speed) in the printer info popup
+ */
+function updateTransferInfo() {
+  const throughput = state.transport?.throughput;
+  if (!throughput) {
+    $('#pi-transfer').textContent = '--';
+    return;
+  }
+  const pacing = throughput.withResponse ? 'acked' : `${throughput.delay}ms`;
+  $('#pi-transfer').textContent = `${throughput.chunkSize}B, ${pacing}${formatThroughput()}`;
+}
+
+/**
+ * Format the transport's measured transfer speed for status text
+ * @returns {string} e.g. " · 3.2 KB/s", or '' if nothing has been measured
+ */
+function formatThroughput() {
+  const bytesPerSecond = state.transport?.throughput?.bytesPerSecond;
+  if (!bytesPerSecond) return '';
+  return ` · ${(bytesPerSecond / 1024).toFixed(1)} KB/s`;
+}
+
 /**
  * Update the mobile label name display
  */
@@ -720,6 +885,19 @@ function updateMobileLabelName() {
   }
 }
 
+/**
+ * Query the connected printer for status (battery, paper, cover, firmware...)
+ * Transports that speak more than one query command set are told which one
+ * the printer model uses.
+ */
+async function queryPrinterInfo(transport = state.transport, printerModel = state.printSettings.printerModel) {
+  if (transport.queryProtocol !== undefined) {
+    const deviceName = transport.getDeviceName?.() || '';
+    transport.queryProtocol = isTSPLPrinter(deviceName, printerModel) ? 'tspl' : 'phomemo';
+  }
+  await transport.queryAll();
+}
+
 /**
  * Update printer info popup with live data from printer queries
  */
@@ -747,6 +925,14 @@ function updatePrinterInfoFromQuery(field, value, allInfo) {
         $('#pi-paper').classList.remove('text-red-600', 'font-semibold');
       }
       break;
+    case 'cover':
+      $('#pi-cover').textContent = value === 'closed' ? '✓ Closed' : (value === 'open' ? '⚠ Open!' : '--');
+      $('#pi-cover').classList.toggle('text-red-600', value === 'open');
+      $('#pi-cover').classList.toggle('font-semibold', value === 'open');
+      break;
+    case 'model':
+      $('#pi-model').title = `Reported by printer: ${value}`;
+      break;
     case 'firmware':
       $('#pi-firmware').textContent = value || '--';
       break;
@@ -1646,6 +1832,8 @@ function importCSVData(csvString) {
  */
 function showTemplateDataDialog() {
   $('#template-fields-list').textContent = state.templateFields.join(', ');
+  // Batches print on the design's printer unless another one is picked
+  fillPrinterSelect($('#template-printer'), state.designPrinter, 'Active printer');
   updateTemplateDataTable();
   $('#template-data-dialog').classList.remove('hidden');
 }
@@ -1797,6 +1985,10 @@ function navigatePreview(direction) {
 
 /**
  * Print batch of labels
+ *
+ * Each label (or multi-label row) goes into the print queue as soon as it is
+ * rendered, and the queue starts printing with the first one, so a run that
+ * stops part way can be resumed from the queue.
  */
 async function handleBatchPrint() {
   const recordsToPrint = state.selectedRecords.length > 0
@@ -1809,8 +2001,7 @@ async function handleBatchPrint() {
   }
 
   const btn = $('#template-print-btn');
-  const originalText = btn.textContent;
-  const { density, feed, printerModel } = state.printSettings;
+  const batchPrinter = $('#template-printer').value || null;
 
   // Calculate total prints based on multi-label mode
   const isMultiLabel = state.multiLabel.enabled;
@@ -1823,12 +2014,16 @@ async function handleBatchPrint() {
   const totalRows = isMultiLabel && !cloneMode
     ? Math.ceil(totalRecords / labelsAcross)
     : totalRecords;
+  let labelText = null;
+  const queue = PrintQueue.getShared();
+  let release = null;
+  let run = null;
 
   try {
     btn.disabled = true;
 
     // Ensure connected
-    if (!state.transport || !state.transport.isConnected()) {
+    if (!batchPrinter && (!state.transport || !state.transport.isConnected())) {
       hideTemplateDataDialog();
       setStatus('Connecting...');
       await handleConnect();
@@ -1838,21 +2033,53 @@ async function handleBatchPrint() {
       }
       showTemplateDataDialog();
     }
+    // Labels are rendered for the batch's printer
+    const target = getPrintTarget(batchPrinter);
+    const { density, feed, printerModel } = target.settings;
 
     // Show progress modal
-    const labelText = isMultiLabel && !cloneMode
+    labelText = isMultiLabel && !cloneMode
       ? `Printing ${totalRows} Row${totalRows !== 1 ? 's' : ''} (${totalRecords} labels)`
       : `Printing ${totalRecords} Label${totalRecords !== 1 ? 's' : ''}`;
     showPrintProgress(labelText, totalRows);
 
+    const { deviceName } = target;
+    const printerWidth = getPrinterWidthBytes(deviceName, printerModel);
+    const printerDpi = getPrinterDpi(deviceName, printerModel);
+    const printerAlignment = getPrinterAlignment(deviceName, printerModel);
+    const batchId = Date.now().toString(36);
+    // Shared by the batch's jobs and logged to the print history once
+    const batch = {
+      id: batchId,
+      elements: JSON.parse(JSON.stringify(state.elements)),
+      designName: state.currentDesignName,
+      labelSize: { ...state.labelSize },
+    };
+
+    // Labels left over from an earlier run print first, so only reuse the title if there are none
+    const leftover = queue.getCounts().pending;
+    if (leftover > 0) {
+      labelText = null;
+    }
+    // Keep the run waiting for labels that are still rendering
+    release = queue.hold();
+
     for (let rowIndex = 0; rowIndex < totalRows; rowIndex++) {
-      // Check for cancellation
+      // Cancelling pauses the run too; queued labels stay in the queue
       if (isPrintCancelled()) {
-        showToast(`Printing cancelled after ${rowIndex} row${rowIndex !== 1 ? 's' : ''}`, 'warning');
+        if (!run) showToast('Printing cancelled', 'warning');
         break;
       }
+      if (!run) {
+        updatePrintProgress(rowIndex + 1, totalRows, `Preparing ${rowIndex + 1} of ${totalRows}...`);
+      }
+      // Stay a few labels ahead of the printer rather than holding every raster
+      await queue.waitForRoom(PRINT.BATCH_RENDER_AHEAD);
+      if (isPrintCancelled()) break;
 
       let substitutedElements;
+      let records;
+      let title;
 
       if (isMultiLabel && !cloneMode) {
         // Clone mode OFF: Different record per zone
@@ -1867,71 +2094,66 @@ async function handleBatchPrint() {
           // If no more records, zone will be empty (no substitution)
         }
         substitutedElements = substituteFieldsByZone(state.elements, rowRecords, labelsAcross);
-
-        updatePrintProgress(rowIndex + 1, totalRows, `Printing row ${rowIndex + 1}...`);
-        btn.textContent = `Printing row ${rowIndex + 1}/${totalRows}...`;
+        records = rowRecords;
+        const lastIdx = Math.min(startIdx + labelsAcross, recordsToPrint.length);
+        title = `Row ${rowIndex + 1} (records ${recordsToPrint[startIdx] + 1}-${recordsToPrint[lastIdx - 1] + 1})`;
       } else {
         // Clone mode ON or single-label: Same data for all zones
         const recordIndex = recordsToPrint[rowIndex];
         const record = state.templateData[recordIndex];
         substitutedElements = substituteFields(state.elements, record);
-
-        updatePrintProgress(rowIndex + 1, totalRows, `Printing label ${rowIndex + 1}...`);
-        btn.textContent = `Printing ${rowIndex + 1}/${totalRows}...`;
+        records = [record];
+        title = `Record ${recordIndex + 1}`;
+        const firstValue = Object.values(record || {}).find(v => v !== '' && v !== null && v !== undefined);
+        if (firstValue !== undefined) title += ` - ${firstValue}`;
       }
 
       // Evaluate instant expressions (date/time, etc.)
-      const mergedElements = evaluateExpressions(substitutedElements);
+      const expressions = [];
+      const mergedElements = evaluateExpressions(substitutedElements, expressions);
 
       // Render to raster (use raw format for rotated printers like D-series and P12)
-      const deviceName = state.transport.getDeviceName?.() || '';
-      const printerWidth = getPrinterWidthBytes(deviceName, printerModel);
-      const printerAlignment = getPrinterAlignment(deviceName, printerModel);
-      // Force threshold mode for TSPL printers (shipping labels need crisp barcodes)
-      let ditherMode = getDitherMode(mergedElements);
-      if (ditherMode === 'auto' && isTSPLPrinter(deviceName, printerModel)) {
-        ditherMode = 'threshold';
-      }
-      const rasterData = isRotatedPrinter(deviceName, printerModel)
-        ? state.renderer.getRasterDataRaw(mergedElements, ditherMode)
-        : state.renderer.getRasterData(mergedElements, printerWidth, 203, ditherMode, printerAlignment);
-
-      // Print
-      await print(state.transport, rasterData, {
-        isBLE: state.connectionType === 'ble',
-        deviceName,
-        printerModel,
-        density,
-        feed,
-        onProgress: (progress) => {
-          updatePrintProgress(rowIndex + 1, totalRows, `Sending data... ${progress}%`);
-        },
-      });
-
-      // Delay between prints
-      if (rowIndex < totalRows - 1 && !isPrintCancelled()) {
-        updatePrintProgress(rowIndex + 1, totalRows, 'Waiting...');
-        await new Promise(r => setTimeout(r, 500));
+      const ditherMode = getLabelDitherMode(deviceName, printerModel);
+      const ditherOptions = { tone: getPrintTone(deviceName, printerModel) };
+      const rendering = isRotatedPrinter(deviceName, printerModel)
+        ? state.renderer.getRasterDataRawAsync(mergedElements, ditherMode, printerDpi, ditherOptions)
+        : state.renderer.getRasterDataAsync(mergedElements, printerWidth, printerDpi, ditherMode, printerAlignment, ditherOptions);
+      const raster = usesNativeTSPL(deviceName, printerModel)
+        ? addNativeTSPL(await rendering, mergedElements, ditherMode, printerAlignment, deviceName, printerModel)
+        : await rendering;
+
+      await queue.add([{
+        batchId,
+        title,
+        raster,
+        options: { deviceName, printerModel, density, feed, printer: batchPrinter },
+        // Logged to the print history once the job prints
+        snapshot: { content: getLabelContent(mergedElements), records, expressions },
+      }], batch);
+
+      // Print from the first label on while the rest render
+      if (!run) {
+        run = runPrintQueue(labelText, leftover + totalRows);
       }
     }
-
-    if (!isPrintCancelled()) {
-      const successMsg = isMultiLabel && !cloneMode
-        ? `Printed ${totalRows} row${totalRows !== 1 ? 's' : ''} (${totalRecords} labels)!`
-        : `Printed ${totalRecords} label${totalRecords !== 1 ? 's' : ''}!`;
-      showToast(successMsg, 'success');
-      setStatus(successMsg);
-    }
-    btn.textContent = originalText;
-
   } catch (error) {
     logError(error, 'handleBatchPrint');
     setStatus(error.message || 'Print failed');
-    btn.textContent = originalText;
+    if (run) {
+      showToast(`Stopped preparing labels: ${error.message}`, 'error');
+    }
   } finally {
-    btn.disabled = false;
+    release?.();
+  }
+
+  if (!run) {
     hidePrintProgress();
   }
+  try {
+    await run;
+  } finally {
+    btn.disabled = false;
+  }
 }
 
 /**
@@ -1948,14 +2170,14 @@ async function handlePrintSinglePreview() {
 
   const btn = $('#full-preview-print');
   const originalText = btn.textContent;
-  const { density, feed, printerModel } = state.printSettings;
+  const batchPrinter = $('#template-printer').value || null;
 
   try {
     btn.disabled = true;
     btn.textContent = 'Printing...';
 
     // Ensure connected
-    if (!state.transport || !state.transport.isConnected()) {
+    if (!batchPrinter && (!state.transport || !state.transport.isConnected())) {
       hideFullPreview();
       setStatus('Connecting...');
       await handleConnect();
@@ -1964,37 +2186,56 @@ async function handlePrintSinglePreview() {
         throw new Error('Please connect to printer first');
       }
     }
+    const target = getPrintTarget(batchPrinter);
+    const { density, feed, printerModel } = target.settings;
 
     // Substitute fields and evaluate expressions
     const substitutedElements = substituteFields(state.elements, record);
-    const mergedElements = evaluateExpressions(substitutedElements);
+    const expressions = [];
+    const mergedElements = evaluateExpressions(substitutedElements, expressions);
 
     // Render to raster (use raw format for rotated printers like D-series and P12)
-    const deviceName = state.transport.getDeviceName?.() || '';
+    const { deviceName } = target;
     const printerWidth = getPrinterWidthBytes(deviceName, printerModel);
+    const printerDpi = getPrinterDpi(deviceName, printerModel);
     const printerAlignment = getPrinterAlignment(deviceName, printerModel);
-    // Force threshold mode for TSPL printers (shipping labels need crisp barcodes)
-    let ditherMode = getDitherMode(mergedElements);
-    if (ditherMode === 'auto' && isTSPLPrinter(deviceName, printerModel)) {
-      ditherMode = 'threshold';
+    const ditherMode = getLabelDitherMode(deviceName, printerModel);
+    const ditherOptions = { tone: getPrintTone(deviceName, printerModel) };
+    let rasterData = isRotatedPrinter(deviceName, printerModel)
+      ? await state.renderer.getRasterDataRawAsync(mergedElements, ditherMode, printerDpi, ditherOptions)
+      : await state.renderer.getRasterDataAsync(mergedElements, printerWidth, printerDpi, ditherMode, printerAlignment, ditherOptions);
+    if (usesNativeTSPL(deviceName, printerModel)) {
+      rasterData = addNativeTSPL(rasterData, mergedElements, ditherMode, printerAlignment, deviceName, printerModel);
     }
-    const rasterData = isRotatedPrinter(deviceName, printerModel)
-      ? state.renderer.getRasterDataRaw(mergedElements, ditherMode)
-      : state.renderer.getRasterData(mergedElements, printerWidth, 203, ditherMode, printerAlignment);
 
     // Print
-    await print(state.transport, rasterData, {
-      isBLE: state.connectionType === 'ble',
+    await print(target.transport, rasterData, {
+      isBLE: target.isBLE,
       deviceName,
       printerModel,
       density,
       feed,
+      adaptive: target.settings.adaptiveTransfer,
+      compress: target.settings.compressRaster,
+      speed: target.settings.speed,
+      heat: target.settings.heat,
+      skipBlankRows: target.settings.skipBlankRows,
       onProgress: (progress) => {
         btn.textContent = `Printing... ${progress}%`;
       },
     });
+    updateTransferInfo();
+    recordPrintHistory('preview', {
+      elements: mergedElements,
+      records: [record],
+      expressions,
+      raster: rasterData,
+      printerModel,
+      density,
+      feed,
+    }, deviceName);
 
-    setStatus('Label printed!');
+    setStatus(`Label printed!${formatThroughput()}`);
     btn.textContent = originalText;
 
   } catch (error) {
@@ -2098,7 +2339,7 @@ function modifyElement(id, changes) {
   state.elements = updateElement(state.elements, id, changes);
 
   // Only clear cache if content or size changed (not just position/rotation)
-  const contentKeys = ['width', 'height', 'text', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'textDecoration', 'background', 'noWrap', 'clipOverflow', 'autoScale', 'verticalAlign', 'imageData', 'barcodeData', 'barcodeFormat', 'qrData', 'brightness', 'contrast', 'dither', 'showText', 'textFontSize', 'textBold'];
+  const contentKeys = ['width', 'height', 'text', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'textDecoration', 'background', 'noWrap', 'clipOverflow', 'autoScale', 'verticalAlign', 'imageData', 'barcodeData', 'barcodeFormat', 'qrData', 'brightness', 'contrast', 'dither', 'threshold', 'gamma', 'serpentine', 'adjustments', 'showText', 'textFontSize', 'textBold'];
   const needsCacheClear = Object.keys(changes).some(key => contentKeys.includes(key));
   if (needsCacheClear) {
     state.renderer.clearCache(id);
@@ -2223,6 +2464,80 @@ function updateToolbarState() {
   }
 }
 
+/**
+ * Native size of an image element, after its crop and rotate adjustments
+ * @param {Object} element - Image element
+ * @returns {{ width: number, height: number }}
+ */
+function getImageNaturalSize(element) {
+  return getAdjustedSize(element.naturalWidth, element.naturalHeight, element.adjustments);
+}
+
+/**
+ * Replace an image element's adjustment stack
+ * When crop or rotation change its shape, the image keeps its scale and centre.
+ * @param {Object} element - Image element
+ * @param {Array} adjustments - New adjustment stack
+ */
+function setImageAdjustments(element, adjustments) {
+  const before = getImageNaturalSize(element);
+  const after = getAdjustedSize(element.naturalWidth, element.naturalHeight, adjustments);
+  const changes = { adjustments };
+  if (after.width !== before.width || after.height !== before.height) {
+    const scale = Math.sqrt((element.width * element.height) / (before.width * before.height));
+    const cx = element.x + element.width / 2;
+    const cy = element.y + element.height / 2;
+    changes.width = after.width * scale;
+    changes.height = after.height * scale;
+    changes.x = cx - changes.width / 2;
+    changes.y = cy - changes.height / 2;
+  }
+  saveHistory();
+  modifyElement(element.id, changes);
+}
+
+/**
+ * Rotate an image element by a quarter turn, merged into a trailing rotate step
+ * @param {Object} element - Image element
+ * @param {number} turns - 1 (clockwise) or -1 (counter-clockwise)
+ */
+function rotateImage(element, turns) {
+  const adjustments = [...(element.adjustments || [])];
+  const last = adjustments[adjustments.length - 1];
+  const total = ((((last?.type === 'rotate' ? last.turns : 0) + turns) % 4) + 4) % 4;
+  if (last?.type === 'rotate') {
+    adjustments.pop();
+  }
+  if (total !== 0) {
+    adjustments.push({ type: 'rotate', turns: total });
+  }
+  setImageAdjustments(element, adjustments);
+}
+
+/**
+ * Show an image element's adjustment stack in the properties panel
+ * @param {Object} element - Image element
+ */
+function renderImageAdjustments(element) {
+  const list = $('#prop-image-adjustments');
+  list.innerHTML = (element.adjustments || []).map((step, index) => {
+    const type = ADJUSTMENT_TYPES[step.type];
+    if (!type) return '';
+    const fields = type.fields.map(field => `
+      <label class="flex items-center gap-0.5 text-[10px] text-gray-400">
+        <input type="number" data-key="${field.key}" min="${field.min}" max="${field.max}" value="${step[field.key]}" class="w-11 px-1 py-0.5 text-[11px] border border-gray-200 rounded text-center">
+        ${field.label}
+      </label>`).join('');
+    return `
+      <div class="flex flex-wrap items-center gap-1 text-[11px] text-gray-600" data-index="${index}">
+        <span class="flex-1 min-w-[60px]">${type.name}</span>
+        ${fields}
+        <button data-action="up" class="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Apply earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button data-action="remove" class="px-1 text-gray-400 hover:text-red-600" title="Remove">✕</button>
+      </div>`;
+  }).join('');
+}
+
 /**
  * Update properties panel for selected element
  */
@@ -2307,17 +2622,24 @@ function updatePropertiesPanel() {
     case 'image':
       $('#props-image').classList.remove('hidden');
       // Calculate current scale based on natural size
-      const scaleW = (element.width / element.naturalWidth) * 100;
-      const scaleH = (element.height / element.naturalHeight) * 100;
+      const natural = getImageNaturalSize(element);
+      const scaleW = (element.width / natural.width) * 100;
+      const scaleH = (element.height / natural.height) * 100;
       const currentScale = Math.round(Math.max(scaleW, scaleH));
       $('#prop-image-scale').value = currentScale;
       $('#prop-image-scale-input').value = currentScale;
       $('#prop-image-lock-ratio').checked = element.lockAspectRatio !== false;
       $('#prop-image-dither').value = element.dither || 'floyd-steinberg';
+      $('#prop-image-serpentine').checked = !!element.serpentine;
+      $('#prop-image-threshold').value = element.threshold ?? DEFAULT_THRESHOLD;
+      $('#prop-image-threshold-input').value = element.threshold ?? DEFAULT_THRESHOLD;
+      $('#prop-image-gamma').value = element.gamma ?? DEFAULT_GAMMA;
+      $('#prop-image-gamma-input').value = element.gamma ?? DEFAULT_GAMMA;
       $('#prop-image-brightness').value = element.brightness || 0;
       $('#prop-image-brightness-input').value = element.brightness || 0;
       $('#prop-image-contrast').value = element.contrast || 0;
       $('#prop-image-contrast-input').value = element.contrast || 0;
+      renderImageAdjustments(element);
       break;
 
     case 'barcode':
@@ -4549,12 +4871,85 @@ function initPrinterModelPrompt() {
     // Update label sizes based on printer type
     updateLabelSizeDropdown(deviceName, model);
     updateLengthAdjustButtons();
+    updatePreviewTone(deviceName, model);
+
+    // TSPL printers only answer their own status queries; ask again now the model is known
+    if (state.transport?.queryProtocol !== undefined && isTSPLPrinter(deviceName, model)) {
+      queryPrinterInfo().catch(e => console.warn('Failed to query printer info:', e.message));
+    }
 
     // Close dialog
     dialog.classList.add('hidden');
   });
 }
 
+/**
+ * Ask for a network printer's address and the print bridge to reach it through
+ * Filled in with the transport's printer, else the last one connected.
+ * @param {NetworkTransport} transport
+ * @returns {Promise<Object>} { bridgeUrl, address } for NetworkTransport.connect(),
+ *   rejected if cancelled
+ */
+function askNetworkPrinter(transport) {
+  const dialog = $('#network-printer-dialog');
+  const saved = safeJsonParse(safeStorageGet(STORAGE_KEYS.NETWORK_PRINTER), {});
+
+  $('#network-address').value = transport.address || saved.address || '';
+  $('#network-bridge-url').value = (transport.address && transport.bridgeUrl) || saved.bridgeUrl || DEFAULT_BRIDGE_URL;
+  $('#network-error').classList.add('hidden');
+  dialog.classList.remove('hidden');
+  $('#network-address').focus();
+
+  return new Promise((resolve, reject) => {
+    dialog._resolve = resolve;
+    dialog._reject = reject;
+  });
+}
+
+// Wire up network printer dialog listeners on page load
+function initNetworkPrinterDialog() {
+  const dialog = $('#network-printer-dialog');
+  if (!dialog) return;
+
+  const close = () => {
+    dialog.classList.add('hidden');
+    dialog._resolve = dialog._reject = null;
+  };
+  const showError = (message) => {
+    $('#network-error').textContent = message;
+    $('#network-error').classList.remove('hidden');
+  };
+
+  const confirm = () => {
+    const address = $('#network-address').value.trim();
+    const bridgeUrl = $('#network-bridge-url').value.trim() || DEFAULT_BRIDGE_URL;
+    if (!NetworkTransport.parseAddress(address)) {
+      showError('Enter the printer\'s IP address or host name, e.g. 192.168.1.50 or 192.168.1.50:9100');
+      return;
+    }
+    if (!/^wss?:\/\/[^/]/i.test(bridgeUrl)) {
+      showError('The print bridge address starts with ws:// or wss://');
+      return;
+    }
+    safeStorageSet(STORAGE_KEYS.NETWORK_PRINTER, safeJsonStringify({ address, bridgeUrl }));
+    const resolve = dialog._resolve;
+    close();
+    resolve?.({ address, bridgeUrl });
+  };
+  const cancel = () => {
+    const reject = dialog._reject;
+    close();
+    reject?.(new Error('Connection cancelled'));
+  };
+
+  $('#network-connect').addEventListener('click', confirm);
+  $('#network-cancel').addEventListener('click', cancel);
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') confirm();
+    if (e.key === 'Escape') cancel();
+  });
+}
+
 /**
  * Handle connect button click
  * @param {MouseEvent} event - Click event (shift+click shows all devices)
@@ -4578,15 +4973,40 @@ async function handleConnect(event) {
   try {
     btn.disabled = true;
     btn.textContent = 'Connecting...';
-    setStatus(showAllDevices ? 'Select your printer (showing all devices)' : 'Select printer with signal indicator (📶)');
 
     const isBLE = state.connectionType === 'ble';
+    const isLoopback = state.connectionType === 'loopback';
+    const isSerial = state.connectionType === 'serial';
+    const isNetwork = state.connectionType === 'network';
+
+    if (isLoopback) {
+      setStatus('Connecting to virtual printer...');
+    } else if (isSerial) {
+      setStatus('Select your printer\'s serial port');
+    } else if (isNetwork) {
+      setStatus('Enter the network printer\'s address');
+    } else {
+      setStatus(showAllDevices ? 'Select your printer (showing all devices)' : 'Select printer with signal indicator (📶)');
+    }
 
-    if (isBLE) {
+    if (isLoopback) {
+      state.transport = LoopbackTransport.getShared();
+      state.transport.onJobComplete = handleLoopbackJobComplete;
+    } else if (isBLE) {
       if (!BLETransport.isAvailable()) {
         throw new Error('Bluetooth is not supported');
       }
       state.transport = BLETransport.getShared();
+    } else if (isSerial) {
+      if (!SerialTransport.isAvailable()) {
+        throw new Error('Web Serial is not supported');
+      }
+      state.transport = SerialTransport.getShared();
+    } else if (isNetwork) {
+      if (!NetworkTransport.isAvailable()) {
+        throw new Error('WebSockets are not supported');
+      }
+      state.transport = NetworkTransport.getShared();
     } else {
       if (!USBTransport.isAvailable()) {
         throw new Error('USB is not supported');
@@ -4594,71 +5014,16 @@ async function handleConnect(event) {
       state.transport = USBTransport.getShared();
     }
 
-    await state.transport.connect({ showAllDevices });
+    await state.transport.connect(isNetwork ? await askNetworkPrinter(state.transport) : { showAllDevices });
 
     if (!state.transport.isConnected()) {
       throw new Error('Connection failed');
     }
 
-    updateConnectionStatus(true);
-
-    // Check device recognition and handle accordingly
-    const deviceName = state.transport.getDeviceName?.() || '';
-    const recognized = isDeviceRecognized(deviceName);
-    const savedModel = getSavedDeviceModel(deviceName);
-    const printerModel = state.printSettings.printerModel;
-
-    // Determine effective model: auto-detect for recognized devices, else saved mapping > print settings
-    let effectiveModel = printerModel;
-    if (recognized) {
-      // Device is recognized - use auto-detection (ignore saved model which may be outdated)
-      effectiveModel = 'auto';
-      state.printSettings.printerModel = 'auto';
-      $('#printer-model').value = 'auto';  // Update dropdown to match
-    } else if (savedModel && printerModel === 'auto') {
-      // Unrecognized device with saved mapping - use saved model
-      state.printSettings.printerModel = savedModel;
-      effectiveModel = savedModel;
-    }
-
-    // Show detected/configured model in status
-    const modelDesc = getPrinterDescription(deviceName, effectiveModel);
-    if (recognized || savedModel || printerModel !== 'auto') {
-      setStatus(`Connected: ${deviceName} (${modelDesc})`);
-    } else {
-      // Device not recognized and no saved preference - prompt user
-      setStatus(`Connected: ${deviceName} - Please select printer model`);
-      showPrinterModelPrompt(deviceName);
-    }
-
-    // Initialize tape width for tape printers
-    if (isTapePrinter(deviceName, effectiveModel)) {
-      const savedTapeWidth = loadTapeWidthForDevice(deviceName);
-      const defaultWidth = isA30Printer(deviceName, effectiveModel) ? 15 : 12;
-      state.tapeWidth = savedTapeWidth || defaultWidth;
-      $('#tape-width').value = state.tapeWidth;
-      $('#mobile-tape-width').value = state.tapeWidth;
-    }
-
-    // Update label sizes based on printer type
-    updateLabelSizeDropdown(deviceName, effectiveModel);
-    updateLengthAdjustButtons();
-
-    // Update printer info UI
-    updatePrinterInfoUI(deviceName, effectiveModel);
-
-    // Set up printer info callback and query status (BLE only)
-    if (isBLE && state.transport.onPrinterInfo !== undefined) {
-      state.transport.onPrinterInfo = updatePrinterInfoFromQuery;
-
-      // Query printer info after a short delay
-      setTimeout(async () => {
-        try {
-          await state.transport.queryAll();
-        } catch (e) {
-          console.warn('Failed to query printer info:', e.message);
-        }
-      }, 500);
+    registerPrinter(state.transport, state.connectionType);
+    setupConnectedPrinter();
+    if (isBLE) {
+      watchBLEConnection(state.transport);
     }
 
   } catch (error) {
@@ -4672,109 +5037,350 @@ async function handleConnect(event) {
 }
 
 /**
- * Handle print button click
+ * Set up the app for the printer that just connected: model detection,
+ * per-printer settings, label sizes, printer info and status queries
  */
-async function handlePrint() {
-  const btn = $('#print-btn');
-  const originalText = btn.textContent;
-  const { density, copies, feed, printerModel } = state.printSettings;
+function setupConnectedPrinter() {
+  const isLoopback = state.connectionType === 'loopback';
 
-  try {
-    btn.disabled = true;
+  updateConnectionStatus(true);
+  $('#printer-info-jobs').classList.toggle('hidden', !isLoopback);
 
-    if (!state.transport || !state.transport.isConnected()) {
-      setStatus('Connecting...');
-      await handleConnect();
+  // Check device recognition and handle accordingly
+  const deviceName = state.transport.getDeviceName?.() || '';
+  const recognized = isDeviceRecognized(deviceName);
+  const savedModel = getSavedDeviceModel(deviceName);
+  const printerModel = state.printSettings.printerModel;
 
-      if (!state.transport || !state.transport.isConnected()) {
-        throw new Error('Please connect to printer first');
-      }
-    }
+  // Determine effective model: auto-detect for recognized devices, else saved mapping > print settings
+  let effectiveModel = printerModel;
+  if (recognized) {
+    // Device is recognized - use auto-detection (ignore saved model which may be outdated)
+    effectiveModel = 'auto';
+    state.printSettings.printerModel = 'auto';
+    $('#printer-model').value = 'auto';  // Update dropdown to match
+  } else if (savedModel && printerModel === 'auto') {
+    // Unrecognized device with saved mapping - use saved model
+    state.printSettings.printerModel = savedModel;
+    effectiveModel = savedModel;
+  }
 
-    btn.textContent = 'Printing...';
+  // Speed and heat are chosen per printer
+  Object.assign(state.printSettings, getDeviceTuning(deviceName));
 
-    // Substitute template fields if template data is loaded
-    const elements = state.templateData.length > 0
-      ? substituteFields(state.elements, state.templateData[0])
-      : state.elements;
+  // Use the density the calibration wizard found for this printer
+  const calibratedDensity = getPrinterCalibration(deviceName, effectiveModel).density;
+  if (calibratedDensity) {
+    state.printSettings.density = calibratedDensity;
+  }
 
-    // Evaluate instant expressions (date/time, etc.)
-    const elementsToRender = evaluateExpressions(elements);
+  // Show detected/configured model in status
+  const modelDesc = getPrinterDescription(deviceName, effectiveModel);
+  if (recognized || savedModel || printerModel !== 'auto') {
+    setStatus(`Connected: ${deviceName} (${modelDesc})`);
+  } else {
+    // Device not recognized and no saved preference - prompt user
+    setStatus(`Connected: ${deviceName} - Please select printer model`);
+    showPrinterModelPrompt(deviceName);
+  }
 
-    // Render to raster (use raw format for rotated printers like D-series and P12)
-    const deviceName = state.transport.getDeviceName?.() || '';
-    const printerWidth = getPrinterWidthBytes(deviceName, printerModel);
-    const printerDpi = getPrinterDpi(deviceName, printerModel);
-    const printerAlignment = getPrinterAlignment(deviceName, printerModel);
-    // Force threshold mode for TSPL printers (shipping labels need crisp barcodes)
-    // Auto-detection can incorrectly choose dithering due to anti-aliased edges
-    let ditherMode = getDitherMode(elementsToRender);
-    if (ditherMode === 'auto' && isTSPLPrinter(deviceName, printerModel)) {
-      ditherMode = 'threshold';
-      console.log('TSPL printer: forcing threshold mode for crisp barcodes');
-    }
-    const rasterData = isRotatedPrinter(deviceName, printerModel)
-      ? state.renderer.getRasterDataRaw(elementsToRender, ditherMode)
-      : state.renderer.getRasterData(elementsToRender, printerWidth, printerDpi, ditherMode, printerAlignment);
-
-    // Print multiple copies if requested
-    for (let copy = 1; copy <= copies; copy++) {
-      const copyText = copies > 1 ? ` (${copy}/${copies})` : '';
-      setStatus(`Printing${copyText}...`);
-
-      await print(state.transport, rasterData, {
-        isBLE: state.connectionType === 'ble',
-        deviceName,
-        printerModel,
-        density,
-        feed,
-        onProgress: (progress) => {
-          btn.textContent = `Printing... ${progress}%`;
-          setStatus(`Printing${copyText}... ${progress}%`);
-        },
-      });
+  // Initialize tape width for tape printers
+  if (isTapePrinter(deviceName, effectiveModel)) {
+    const savedTapeWidth = loadTapeWidthForDevice(deviceName);
+    const defaultWidth = isA30Printer(deviceName, effectiveModel) ? 15 : 12;
+    state.tapeWidth = savedTapeWidth || defaultWidth;
+    $('#tape-width').value = state.tapeWidth;
+    $('#mobile-tape-width').value = state.tapeWidth;
+  }
 
-      // Small delay between copies
-      if (copy < copies) {
-        await new Promise(r => setTimeout(r, 500));
-      }
-    }
+  // Update label sizes based on printer type
+  updateLabelSizeDropdown(deviceName, effectiveModel);
+  updateLengthAdjustButtons();
+  updatePreviewTone(deviceName, effectiveModel);
 
-    setStatus(copies > 1 ? `Printed ${copies} copies!` : 'Print complete!');
-    btn.textContent = 'Print';
+  // Update printer info UI
+  updatePrinterInfoUI(deviceName, effectiveModel);
 
-  } catch (error) {
-    logError(error, 'handlePrint');
-    setStatus(error.message || 'Print failed');
-    btn.textContent = originalText;
-  } finally {
-    btn.disabled = false;
+  // Remind about labels a dropped connection or reload left in the queue
+  const queueCounts = PrintQueue.getShared().getCounts();
+  if (queueCounts.pending > 0 && !PrintQueue.getShared().isRunning()) {
+    showToast(`${queueCounts.pending} label${queueCounts.pending !== 1 ? 's' : ''} waiting in the print queue`, 'info');
   }
-}
 
-/**
- * Show info dialog
- */
-function showInfoDialog() {
-  $('#info-dialog').classList.remove('hidden');
+  // Query status (BLE, and USB printers with an IN endpoint); the printer
+  // registry passes the answers on (see handlePrinterInfo)
+  if (state.transport.queryAll && state.transport.onPrinterInfo !== undefined) {
+    // Query printer info after a short delay
+    setTimeout(async () => {
+      try {
+        await queryPrinterInfo();
+      } catch (e) {
+        console.warn('Failed to query printer info:', e.message);
+      }
+    }, 500);
+  }
 }
 
 /**
- * Hide info dialog and mark as seen
+ * With "Remember this printer" on, remember a Bluetooth printer for the next
+ * visit and reconnect when its connection drops, resuming an interrupted
+ * print queue from the label that was printing
+ * @param {BLETransport} transport
  */
-function hideInfoDialog() {
-  $('#info-dialog').classList.add('hidden');
-  safeStorageSet('phomymo_info_seen', 'true');
-}
+function watchBLEConnection(transport) {
+  transport.autoReconnect = state.printSettings.autoReconnect;
+  if (state.printSettings.autoReconnect) {
+    rememberPrinter(transport);
+  }
 
-/**
- * Check if info dialog should show on first visit
- */
-function shouldShowInfoOnLoad() {
-  return !safeStorageGet('phomymo_info_seen');
-}
+  const queue = PrintQueue.getShared();
+  const registry = PrinterRegistry.getShared();
+  let interrupted = null; // { jobId } when the queue was printing as the connection dropped
 
-/**
+  transport.onDisconnect = () => {
+    registry.changed();
+    if (!transport.isReconnecting()) return;
+
+    // Only a job going to this printer was interrupted
+    const printer = registry.find(transport);
+    const job = queue.getJobs().find(j => j.status === JOB_STATUS.PRINTING);
+    const jobPrinter = job && (job.options.printer || registry.getActive()?.name);
+    interrupted = queue.isRunning()
+      ? { jobId: job && jobPrinter === printer?.name ? job.id : null }
+      : null;
+
+    if (state.transport === transport) {
+      updateConnectionStatus(false);
+      setStatus(`Connection lost - reconnecting to ${transport.getDeviceName()}...`);
+    }
+  };
+
+  transport.onReconnect = async (connected) => {
+    const printer = registry.find(transport);
+    if (!printer) return;
+    registry.changed();
+    if (!connected) {
+      interrupted = null;
+      if (state.transport === transport) {
+        setStatus('Printer disconnected');
+      }
+      return;
+    }
+
+    if (state.transport === transport) {
+      setupConnectedPrinter();
+    }
+    showToast(`${printer.name} reconnected`, 'success');
+    if (!interrupted) return;
+
+    // The run the disconnect broke has to end before the queue can resume
+    while (queue.isRunning()) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    if (interrupted.jobId !== null) {
+      await queue.retryFailed([interrupted.jobId]);
+    }
+    interrupted = null;
+    if (queue.getCounts().pending > 0) {
+      runPrintQueue('Resuming Print Queue');
+    }
+  };
+}
+
+/**
+ * Rejoin the remembered Bluetooth printer when the page opens, without the
+ * device picker. Waits in the background until the printer is in range.
+ */
+async function rejoinRememberedPrinter() {
+  const remembered = getRememberedPrinter();
+  if (!state.printSettings.autoReconnect || !remembered || !state.canPrint || !BLETransport.isAvailable()) {
+    return;
+  }
+
+  const transport = BLETransport.getShared();
+  if (!await transport.rejoin(remembered.id)) return;
+  if (PrinterRegistry.getShared().find(transport)) return; // Connected by hand meanwhile
+
+  // Another printer was connected in the meantime: add this one beside it
+  if (state.transport && state.transport.isConnected()) {
+    registerPrinter(transport, 'ble', { activate: false });
+    watchBLEConnection(transport);
+    return;
+  }
+
+  state.transport = transport;
+  state.connectionType = 'ble';
+  registerPrinter(transport, 'ble');
+  showActiveConnectionType();
+  setupConnectedPrinter();
+  watchBLEConnection(transport);
+}
+
+/**
+ * Whether to print text, barcodes, QR codes and boxes as native TSPL commands
+ * (single, rectangular labels on TSPL printers with the setting on)
+ */
+function usesNativeTSPL(deviceName, printerModel) {
+  return state.printSettings.nativeTSPL && isTSPLPrinter(deviceName, printerModel) &&
+    !state.renderer.multiLabel.enabled && !state.renderer.isRound;
+}
+
+/**
+ * Add native TSPL output to a rendered label: commands for the elements the
+ * printer draws itself, and a bitmap of the rest cropped to what is black.
+ * The full raster stays as it is for previews, history and other protocols.
+ * @param {Object} rasterData - Full label raster from getRasterData
+ * @param {Array} elements - Elements as rendered
+ * @param {string} ditherMode - Dither mode used for the full raster
+ * @param {string} alignment - Label alignment within the print width
+ * @param {string} deviceName - Printer the label goes to
+ * @param {string} printerModel - Its printer model setting
+ * @returns {Object} rasterData with `native` ({ commands, raster }) added
+ */
+function addNativeTSPL(rasterData, elements, ditherMode, alignment, deviceName, printerModel) {
+  const printerWidth = rasterData.widthBytes;
+  const labelWidthBytes = Math.ceil(state.renderer.labelWidth / 8);
+  let originBytes = 0;
+  if (alignment === 'center') {
+    originBytes = Math.floor((printerWidth - labelWidthBytes) / 2);
+  } else if (alignment === 'right') {
+    originBytes = printerWidth - labelWidthBytes;
+  }
+
+  // The calibration offset moves native output the way print() moves the raster
+  const { offsetX, offsetY } = getPrinterCalibration(deviceName, printerModel);
+
+  const { commands, nativeIds, fallback } = buildNativeTSPL(elements, {
+    originX: originBytes * 8 + offsetX,
+    originY: offsetY,
+    wrapText: state.renderer.wrapText.bind(state.renderer),
+  });
+  const bitmap = cropRaster(state.renderer.getRasterData(fallback, printerWidth, 203, ditherMode, alignment, {
+    tone: getPrintTone(deviceName, printerModel),
+  }));
+  bitmap.x = Math.max(0, bitmap.x + offsetX);
+  bitmap.y = Math.max(0, bitmap.y + offsetY);
+  console.log(`Native TSPL: ${nativeIds.length} elements as commands, ${fallback.length} in a ${bitmap.widthBytes}x${bitmap.heightLines} bitmap`);
+
+  return { ...rasterData, native: { commands, raster: bitmap } };
+}
+
+/**
+ * Handle print button click
+ */
+async function handlePrint() {
+  const btn = $('#print-btn');
+  const originalText = btn.textContent;
+
+  try {
+    btn.disabled = true;
+
+    if (!state.designPrinter && (!state.transport || !state.transport.isConnected())) {
+      setStatus('Connecting...');
+      await handleConnect();
+
+      if (!state.transport || !state.transport.isConnected()) {
+        throw new Error('Please connect to printer first');
+      }
+    }
+
+    // The design's printer, or the active one
+    const target = getPrintTarget(state.designPrinter);
+    const { density, copies, feed, printerModel } = target.settings;
+    btn.textContent = 'Printing...';
+
+    // Substitute template fields if template data is loaded
+    const elements = state.templateData.length > 0
+      ? substituteFields(state.elements, state.templateData[0])
+      : state.elements;
+
+    // Evaluate instant expressions (date/time, etc.)
+    const expressions = [];
+    const elementsToRender = evaluateExpressions(elements, expressions);
+
+    // Render to raster (use raw format for rotated printers like D-series and P12)
+    const { deviceName } = target;
+    const printerWidth = getPrinterWidthBytes(deviceName, printerModel);
+    const printerDpi = getPrinterDpi(deviceName, printerModel);
+    const printerAlignment = getPrinterAlignment(deviceName, printerModel);
+    const ditherMode = getLabelDitherMode(deviceName, printerModel);
+    const ditherOptions = { tone: getPrintTone(deviceName, printerModel) };
+    let rasterData = isRotatedPrinter(deviceName, printerModel)
+      ? await state.renderer.getRasterDataRawAsync(elementsToRender, ditherMode, printerDpi, ditherOptions)
+      : await state.renderer.getRasterDataAsync(elementsToRender, printerWidth, printerDpi, ditherMode, printerAlignment, ditherOptions);
+    if (usesNativeTSPL(deviceName, printerModel)) {
+      rasterData = addNativeTSPL(rasterData, elementsToRender, ditherMode, printerAlignment, deviceName, printerModel);
+    }
+
+    // The protocol prints multiple copies without re-rendering (TSPL prints them all itself)
+    const copyText = copies > 1 ? ` ${copies} copies` : '';
+    setStatus(`Printing${copyText}...`);
+
+    await print(target.transport, rasterData, {
+      isBLE: target.isBLE,
+      deviceName,
+      printerModel,
+      density,
+      feed,
+      copies,
+      adaptive: target.settings.adaptiveTransfer,
+      compress: target.settings.compressRaster,
+      speed: target.settings.speed,
+      heat: target.settings.heat,
+      skipBlankRows: target.settings.skipBlankRows,
+      onProgress: (progress) => {
+        btn.textContent = `Printing... ${progress}%`;
+        setStatus(`Printing${copyText}... ${progress}%${formatThroughput()}`);
+      },
+    });
+    updateTransferInfo();
+
+    recordPrintHistory('print', {
+      elements: elementsToRender,
+      records: state.templateData.length > 0 ? [state.templateData[0]] : [],
+      expressions,
+      raster: rasterData,
+      printerModel,
+      density,
+      feed,
+      copies,
+    }, deviceName);
+
+    setStatus(copies > 1 ? `Printed ${copies} copies!` : 'Print complete!');
+    btn.textContent = 'Print';
+
+  } catch (error) {
+    logError(error, 'handlePrint');
+    setStatus(error.message || 'Print failed');
+    btn.textContent = originalText;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Show info dialog
+ */
+function showInfoDialog() {
+  $('#info-dialog').classList.remove('hidden');
+}
+
+/**
+ * Hide info dialog and mark as seen
+ */
+function hideInfoDialog() {
+  $('#info-dialog').classList.add('hidden');
+  safeStorageSet('phomymo_info_seen', 'true');
+}
+
+/**
+ * Check if info dialog should show on first visit
+ */
+function shouldShowInfoOnLoad() {
+  return !safeStorageGet('phomymo_info_seen');
+}
+
+/**
  * Show save dialog
  */
 function showSaveDialog() {
@@ -4821,6 +5427,11 @@ function handleSave() {
       designData.multiLabel = { ...state.multiLabel };
     }
 
+    // The printer this design prints on, by name
+    if (state.designPrinter) {
+      designData.printer = state.designPrinter;
+    }
+
     saveDesign(name, designData);
     hideSaveDialog();
 
@@ -5068,6 +5679,8 @@ function handleImportFile(file) {
 
       // Load the design
       state.elements = data.elements;
+      state.designPrinter = data.printer || null;
+      renderPrinterList();
 
       // Load label size if present
       if (data.labelSize) {
@@ -5210,6 +5823,8 @@ function handleLoad(name) {
   state.elements = design.elements || [];
   state.labelSize = design.labelSize || { width: 40, height: 30 };
   state.selectedIds = [];
+  state.designPrinter = design.printer || null;
+  renderPrinterList();
 
   // Restore template data if present
   state.templateData = design.templateData || [];
@@ -5577,6 +6192,10 @@ function checkCompatibility() {
     console.warn('WebUSB not supported - USB printing will not be available');
   }
 
+  if (!('serial' in navigator)) {
+    console.warn('Web Serial not supported - Serial printing will not be available');
+  }
+
   // Store print capability in state for disabling print buttons
   state.canPrint = canPrint;
 
@@ -5733,6 +6352,10 @@ function initMobileUI() {
     closeMobileMenu();
     handleExportPNG();
   });
+  $('#mobile-print-history-btn')?.addEventListener('click', () => {
+    closeMobileMenu();
+    showPrintHistoryDialog();
+  });
   $('#mobile-undo-btn')?.addEventListener('click', () => undo());
   $('#mobile-redo-btn')?.addEventListener('click', () => redo());
   $('#mobile-print-settings-btn')?.addEventListener('click', () => {
@@ -6288,8 +6911,9 @@ function populateMobileProps() {
       ` : ''}
     `;
   } else if (selected.type === 'image') {
-    const scaleW = selected.naturalWidth ? (selected.width / selected.naturalWidth) * 100 : 100;
-    const scaleH = selected.naturalHeight ? (selected.height / selected.naturalHeight) * 100 : 100;
+    const natural = selected.naturalWidth && selected.naturalHeight ? getImageNaturalSize(selected) : null;
+    const scaleW = natural ? (selected.width / natural.width) * 100 : 100;
+    const scaleH = natural ? (selected.height / natural.height) * 100 : 100;
     const currentScale = Math.round(Math.max(scaleW, scaleH));
     html += `
       <div class="prop-group">
@@ -6307,9 +6931,26 @@ function populateMobileProps() {
         <select id="mobile-prop-dither" class="prop-input">
           <option value="none" ${selected.dither === 'none' ? 'selected' : ''}>None (Threshold)</option>
           <option value="ordered" ${selected.dither === 'ordered' ? 'selected' : ''}>Ordered (Bayer)</option>
+          <option value="blue-noise" ${selected.dither === 'blue-noise' ? 'selected' : ''}>Ordered (Blue Noise)</option>
           <option value="atkinson" ${selected.dither === 'atkinson' ? 'selected' : ''}>Atkinson</option>
           <option value="floyd-steinberg" ${(selected.dither === 'floyd-steinberg' || !selected.dither) ? 'selected' : ''}>Floyd-Steinberg</option>
+          <option value="stucki" ${selected.dither === 'stucki' ? 'selected' : ''}>Stucki</option>
+          <option value="jarvis-judice-ninke" ${selected.dither === 'jarvis-judice-ninke' ? 'selected' : ''}>Jarvis-Judice-Ninke</option>
+          <option value="sierra" ${selected.dither === 'sierra' ? 'selected' : ''}>Sierra</option>
+          <option value="sierra-lite" ${selected.dither === 'sierra-lite' ? 'selected' : ''}>Sierra Lite</option>
         </select>
+        <label class="flex items-center gap-3 mt-2">
+          <input type="checkbox" id="mobile-prop-serpentine" class="w-5 h-5" ${selected.serpentine ? 'checked' : ''}>
+          <span class="text-sm">Serpentine scanning</span>
+        </label>
+      </div>
+      <div class="prop-group">
+        <div class="prop-label">Threshold</div>
+        <input type="range" id="mobile-prop-threshold" class="w-full" min="0" max="255" value="${selected.threshold ?? DEFAULT_THRESHOLD}">
+      </div>
+      <div class="prop-group">
+        <div class="prop-label">Gamma</div>
+        <input type="range" id="mobile-prop-gamma" class="w-full" min="${IMAGE.MIN_GAMMA}" max="${IMAGE.MAX_GAMMA}" step="0.1" value="${selected.gamma ?? DEFAULT_GAMMA}">
       </div>
       <div class="prop-group">
         <div class="prop-label">Brightness</div>
@@ -6609,11 +7250,12 @@ function wireUpMobilePropHandlers(element) {
     scaleInput.addEventListener('input', (e) => {
       const scale = parseInt(e.target.value) / 100;
       const lockRatio = element.lockAspectRatio !== false;
+      const natural = getImageNaturalSize(element);
       if (lockRatio) {
-        element.width = element.naturalWidth * scale;
-        element.height = element.naturalHeight * scale;
+        element.width = natural.width * scale;
+        element.height = natural.height * scale;
       } else {
-        element.width = element.naturalWidth * scale;
+        element.width = natural.width * scale;
       }
       state.renderer.clearCache(element.id);
       autoCloneIfEnabled();
@@ -6634,6 +7276,17 @@ function wireUpMobilePropHandlers(element) {
     contrastInput.addEventListener('change', saveOnBlur('contrast'));
   }
   $('#mobile-prop-dither')?.addEventListener('change', (e) => updateProp('dither', e.target.value));
+  $('#mobile-prop-serpentine')?.addEventListener('change', (e) => updateProp('serpentine', e.target.checked));
+  const thresholdInput = $('#mobile-prop-threshold');
+  if (thresholdInput) {
+    thresholdInput.addEventListener('input', (e) => updatePropLive('threshold', parseInt(e.target.value)));
+    thresholdInput.addEventListener('change', saveOnBlur('threshold'));
+  }
+  const gammaInput = $('#mobile-prop-gamma');
+  if (gammaInput) {
+    gammaInput.addEventListener('input', (e) => updatePropLive('gamma', parseFloat(e.target.value)));
+    gammaInput.addEventListener('change', saveOnBlur('gamma'));
+  }
 }
 
 /**
@@ -6695,115 +7348,1075 @@ function syncMobileLabelSize() {
 }
 
 // =============================================================================
-// PRINTER DEFINITIONS UI
+// PRINTERS
 // =============================================================================
 
+// Transports for each connection type
+const TRANSPORTS = {
+  ble: BLETransport,
+  usb: USBTransport,
+  serial: SerialTransport,
+  network: NetworkTransport,
+  loopback: LoopbackTransport,
+};
+
 /**
- * Populate the printer model dropdown from loaded definitions
+ * Add a connected printer to the printer registry
+ * @param {Object} transport - Connected transport
+ * @param {string} connectionType - 'ble', 'usb', 'serial', 'network' or 'loopback'
+ * @param {Object} options
+ * @param {boolean} options.activate - Make it the active printer
+ * @returns {Object} The registered printer
  */
-function populatePrinterModelDropdown() {
-  const defs = getAllPrinterDefinitions();
-  // Group by group name
-  const groups = {};
-  for (const def of defs) {
-    const group = def.group || 'Other';
-    if (!groups[group]) groups[group] = [];
-    groups[group].push(def);
+function registerPrinter(transport, connectionType, { activate = true } = {}) {
+  const registry = PrinterRegistry.getShared();
+  const deviceName = transport.getDeviceName?.() || '';
+  const printer = registry.add(transport, {
+    connectionType,
+    // An inactive printer can't use the print settings model, which belongs to the active one
+    printerModel: activate ? state.printSettings.printerModel : (isDeviceRecognized(deviceName) ? 'auto' : getSavedDeviceModel(deviceName) || 'auto'),
+    name: getSavedPrinterName(deviceName),
+  });
+  if (activate) {
+    registry.setActive(printer.id);
   }
+  return printer;
+}
 
-  // Populate both the print settings dropdown and the model prompt dropdown
-  const selects = [
-    { el: $('#printer-model'), keepFirst: true },
-    { el: $('#prompt-model-select'), keepFirst: true },
-  ];
+/**
+ * Connect another printer beside the ones already connected
+ * @param {string} connectionType - 'ble', 'usb', 'serial', 'network' or 'loopback'
+ */
+async function addPrinter(connectionType) {
+  const Transport = TRANSPORTS[connectionType];
+  if (!state.canPrint || !Transport?.isAvailable()) {
+    showToast('This connection type is not available in this browser', 'error');
+    return;
+  }
 
-  for (const { el: select, keepFirst } of selects) {
-    if (!select) continue;
-    const currentValue = select.value;
+  // The first printer of each type uses the shared transport
+  const registry = PrinterRegistry.getShared();
+  const shared = Transport.getShared();
+  const transport = registry.find(shared) ? new Transport() : shared;
+  if (transport instanceof LoopbackTransport) {
+    transport.onJobComplete = handleLoopbackJobComplete;
+  }
 
-    // Clear all options except the first
-    while (select.options.length > (keepFirst ? 1 : 0)) {
-      select.remove(keepFirst ? 1 : 0);
+  try {
+    setStatus('Select the printer to add');
+    await transport.connect(transport instanceof NetworkTransport ? await askNetworkPrinter(transport) : {});
+    if (!transport.isConnected()) {
+      throw new Error('Connection failed');
     }
-    // Remove any optgroups
-    select.querySelectorAll('optgroup').forEach(g => g.remove());
+  } catch (error) {
+    logError(error, 'addPrinter');
+    setStatus(error.message || 'Connection failed');
+    return;
+  }
 
-    for (const [groupName, printers] of Object.entries(groups)) {
-      const optgroup = document.createElement('optgroup');
-      optgroup.label = groupName;
-      for (const def of printers) {
-        const opt = document.createElement('option');
-        opt.value = def.id;
-        const widthMm = def.widthBytes ? Math.round(def.widthBytes * 8 / 8) : null;
-        const dpiNote = def.dpi === 300 ? ', 300 DPI' : '';
-        opt.textContent = def.name + (widthMm ? ` (${widthMm}mm${dpiNote})` : '') + (!def.builtin ? ' *' : '');
-        optgroup.appendChild(opt);
-      }
-      select.appendChild(optgroup);
-    }
+  // The same Bluetooth or network printer picked again
+  const deviceId = transport.getDeviceId?.();
+  const existing = deviceId && registry.list().find(p => p.transport !== transport && p.transport.getDeviceId?.() === deviceId);
+  if (existing) {
+    showToast(`${existing.name} is already connected`, 'info');
+    return;
+  }
 
-    // Restore selection
-    select.value = currentValue;
-    // If saved value is no longer valid, fall back
-    if (!select.value || select.selectedIndex === -1) {
-      select.selectedIndex = 0;
-    }
+  rememberActivePrinterModel();
+  state.transport = transport;
+  state.connectionType = connectionType;
+  registerPrinter(transport, connectionType);
+  showActiveConnectionType();
+  setupConnectedPrinter();
+  if (transport instanceof BLETransport) {
+    watchBLEConnection(transport);
   }
 }
 
 /**
- * Initialize the Printer Definitions Manager dialog
+ * Make a connected printer the active one: the editor follows it, and prints
+ * without a named printer go to it
+ * @param {string} id - Printer ID
  */
-function initPrinterDefsManager() {
-  const dialog = $('#printer-defs-dialog');
-  const list = $('#printer-defs-list');
-  const editor = $('#printer-def-editor');
-  const editorTitle = $('#printer-def-editor-title');
-  if (!dialog || !list || !editor) return;
+function selectPrinter(id) {
+  const registry = PrinterRegistry.getShared();
+  const printer = registry.get(id);
+  if (!printer || printer.transport === state.transport) return;
+  if (!printer.transport.isConnected()) {
+    showToast(`${printer.name} is not connected`, 'warning');
+    return;
+  }
 
-  let editingId = null; // null = new, string = editing existing
+  rememberActivePrinterModel();
+  registry.setActive(id);
+  state.transport = printer.transport;
+  state.connectionType = printer.connectionType;
+  state.printSettings.printerModel = printer.printerModel;
+  $('#printer-model').value = printer.printerModel;
+  showActiveConnectionType();
 
-  // Populate protocol and label preset dropdowns in editor
-  const protocolSelect = $('#pdef-protocol');
-  const labelPresetsSelect = $('#pdef-label-presets');
-  if (protocolSelect) {
-    protocolSelect.innerHTML = '';
-    for (const p of getAvailableProtocols()) {
-      const opt = document.createElement('option');
-      opt.value = p.value;
-      opt.textContent = p.label;
-      protocolSelect.appendChild(opt);
-    }
+  // Show what this printer reported last until it answers again
+  ['battery', 'paper', 'cover', 'firmware', 'serial'].forEach(field => {
+    updatePrinterInfoFromQuery(field, printer.info[field] ?? null, printer.info);
+  });
+  setupConnectedPrinter();
+}
+
+/**
+ * Keep the print settings model of the active printer with it before another
+ * printer becomes active
+ */
+function rememberActivePrinterModel() {
+  const registry = PrinterRegistry.getShared();
+  const active = registry.find(state.transport);
+  if (active) {
+    registry.update(active.id, { printerModel: state.printSettings.printerModel });
   }
-  if (labelPresetsSelect) {
-    labelPresetsSelect.innerHTML = '';
-    for (const p of getAvailableLabelPresets()) {
-      const opt = document.createElement('option');
-      opt.value = p.value;
-      opt.textContent = p.label;
-      labelPresetsSelect.appendChild(opt);
+}
+
+/**
+ * Disconnect a printer and drop it from the printer list. If it was active,
+ * the next connected printer takes over.
+ * @param {string} id - Printer ID
+ */
+async function disconnectPrinter(id) {
+  const registry = PrinterRegistry.getShared();
+  const printer = registry.get(id);
+  const transport = printer?.transport ?? state.transport;
+  if (transport) {
+    try {
+      await transport.disconnect();
+    } catch (e) {
+      console.warn('Disconnect error:', e.message);
     }
   }
+  if (printer) {
+    registry.remove(id);
+  }
+  if (transport !== state.transport) return;
 
-  // Width info helper
-  const widthInput = $('#pdef-width');
-  const widthInfo = $('#pdef-width-info');
-  if (widthInput && widthInfo) {
-    widthInput.addEventListener('input', () => {
-      const bytes = parseInt(widthInput.value);
-      if (bytes > 0) {
-        const px = bytes * 8;
-        const mm = bytes; // 8px/mm at 203 DPI ~ 1 byte/mm
-        widthInfo.textContent = `= ${px}px = ~${mm}mm`;
-      } else {
-        widthInfo.textContent = '';
-      }
-    });
+  const next = registry.list().find(p => p.transport.isConnected());
+  if (next) {
+    state.transport = null; // Nothing to remember for the printer that left
+    selectPrinter(next.id);
+    setStatus(`Disconnected - now using ${next.name}`);
+  } else {
+    state.transport = null;
+    updateConnectionStatus(false);
+    setStatus('Disconnected');
   }
+}
 
-  // Tape toggle
-  const tapeSelect = $('#pdef-tape');
-  const tapeOptions = $('#pdef-tape-options');
+/**
+ * Get the printer a print goes to, with the settings to print with
+ * @param {string|null} name - Printer named by the design or batch (null = active printer)
+ * @returns {Object} { transport, deviceName, isBLE, name, settings } - settings are the
+ *   print settings, with the printer's own model, speed, heat and calibrated density
+ *   when it isn't the active printer
+ * @throws {Error} If the named printer isn't connected
+ */
+function getPrintTarget(name = null) {
+  const registry = PrinterRegistry.getShared();
+  const printer = name ? registry.getByName(name) : registry.getActive();
+  if (name && !printer?.transport.isConnected()) {
+    throw new Error(`Printer "${name}" is not connected`);
+  }
+
+  if (!printer || printer.transport === state.transport) {
+    return {
+      transport: state.transport,
+      deviceName: state.transport?.getDeviceName?.() || '',
+      isBLE: usesBLEProtocol(),
+      name: printer?.name ?? null,
+      settings: state.printSettings,
+    };
+  }
+
+  const deviceName = printer.transport.getDeviceName?.() || '';
+  const calibratedDensity = getPrinterCalibration(deviceName, printer.printerModel).density;
+  return {
+    transport: printer.transport,
+    deviceName,
+    isBLE: usesBLEProtocol(printer.connectionType),
+    name: printer.name,
+    settings: {
+      ...state.printSettings,
+      printerModel: printer.printerModel,
+      ...getDeviceTuning(deviceName),
+      density: calibratedDensity || state.printSettings.density,
+    },
+  };
+}
+
+/**
+ * Show the active printer's connection type in the connection selects
+ */
+function showActiveConnectionType() {
+  $('#conn-type').value = state.connectionType;
+  const mobileConnType = $('#mobile-conn-type');
+  if (mobileConnType) mobileConnType.value = state.connectionType;
+}
+
+/**
+ * Called by the printer registry when a printer reports status
+ * @param {Object} printer - Registered printer
+ * @param {string} field - e.g. 'battery', 'paper'
+ * @param {*} value
+ */
+function handlePrinterInfo(printer, field, value) {
+  if (printer.transport === state.transport) {
+    updatePrinterInfoFromQuery(field, value, printer.info);
+  }
+}
+
+/**
+ * Describe a printer's status for the printer list
+ * @param {Object} printer - Registered printer
+ * @returns {string} e.g. "85% · Paper OK · Cover closed"
+ */
+function formatPrinterStatus(printer) {
+  if (!printer.transport.isConnected()) {
+    return printer.transport.isReconnecting?.() ? 'Reconnecting...' : 'Disconnected';
+  }
+  const { battery, paper, cover } = printer.info;
+  const parts = [];
+  if (battery !== null && battery !== undefined) parts.push(`${battery}%`);
+  if (paper) parts.push(paper === 'out' ? '⚠ Paper out' : 'Paper OK');
+  if (cover) parts.push(cover === 'open' ? '⚠ Cover open' : 'Cover closed');
+  return parts.length ? parts.join(' · ') : 'Connected';
+}
+
+/**
+ * Render the connected printers with their status side by side, and the
+ * printer choices for the design and the batch
+ */
+function renderPrinterList() {
+  const registry = PrinterRegistry.getShared();
+  const printers = registry.list();
+  const list = $('#printers-list');
+
+  list.innerHTML = '';
+  printers.forEach(printer => {
+    const active = printer.id === registry.activeId;
+    const status = formatPrinterStatus(printer);
+    const row = document.createElement('div');
+    row.className = `printer-row flex items-center gap-2 rounded-lg px-2 py-1.5 ${active ? 'bg-blue-50' : 'hover:bg-gray-50'}`;
+    row.dataset.printerId = printer.id;
+    row.innerHTML = `
+      <button class="printer-row-select w-3 h-3 rounded-full border ${active ? 'bg-blue-600 border-blue-600' : 'border-gray-400'}" title="${active ? 'Active printer' : 'Make active'}"></button>
+      <div class="min-w-0 flex-1">
+        <div class="printer-row-name text-sm font-medium text-gray-900 truncate" title="${escapeHtml(printer.transport.getDeviceName?.() || '')}">${escapeHtml(printer.name)}</div>
+        <div class="printer-row-status text-xs truncate ${status.includes('⚠') ? 'text-red-600' : 'text-gray-500'}">${escapeHtml(status)}</div>
+      </div>
+      <button class="printer-row-rename p-1 text-gray-400 hover:text-gray-700 text-xs" title="Rename">✎</button>
+      <button class="printer-row-remove p-1 text-gray-400 hover:text-red-600 text-xs" title="Disconnect">✕</button>
+    `;
+
+    // Re-rendering detaches the clicked button, so keep the click from closing the popup
+    row.querySelector('.printer-row-select').addEventListener('click', (e) => {
+      e.stopPropagation();
+      selectPrinter(printer.id);
+    });
+    row.querySelector('.printer-row-rename').addEventListener('click', (e) => {
+      e.stopPropagation();
+      const name = prompt('Printer name (designs and batches print on it by this name):', printer.name);
+      if (!name?.trim()) return;
+      const given = registry.rename(printer.id, name);
+      savePrinterName(printer.transport.getDeviceName?.() || '', given);
+    });
+    row.querySelector('.printer-row-remove').addEventListener('click', (e) => {
+      e.stopPropagation();
+      disconnectPrinter(printer.id);
+    });
+    list.appendChild(row);
+  });
+
+  fillPrinterSelect($('#design-printer'), state.designPrinter, 'Active printer');
+  const batchSelect = $('#template-printer');
+  fillPrinterSelect(batchSelect, batchSelect.value || state.designPrinter, 'Active printer');
+}
+
+/**
+ * Fill a printer choice with the connected printers
+ * @param {HTMLSelectElement} select
+ * @param {string|null} selected - Printer name to select (kept even if not connected)
+ * @param {string} defaultLabel - Label of the "no particular printer" option
+ */
+function fillPrinterSelect(select, selected, defaultLabel) {
+  const names = PrinterRegistry.getShared().list().map(p => p.name);
+  if (selected && !names.includes(selected)) {
+    names.push(selected);
+  }
+  select.innerHTML = `<option value="">${escapeHtml(defaultLabel)}</option>` + names.map(name => {
+    const connected = PrinterRegistry.getShared().getByName(name)?.transport.isConnected();
+    return `<option value="${escapeHtml(name)}">${escapeHtml(name)}${connected ? '' : ' (not connected)'}</option>`;
+  }).join('');
+  select.value = selected || '';
+}
+
+// =============================================================================
+// PRINT QUEUE
+// =============================================================================
+
+// Status badge styles for queued jobs
+const QUEUE_STATUS_STYLES = {
+  [JOB_STATUS.PENDING]: { label: 'Waiting', className: 'bg-gray-100 text-gray-600' },
+  [JOB_STATUS.PRINTING]: { label: 'Printing', className: 'bg-purple-100 text-purple-700' },
+  [JOB_STATUS.DONE]: { label: 'Printed', className: 'bg-green-100 text-green-700' },
+  [JOB_STATUS.FAILED]: { label: 'Failed', className: 'bg-red-100 text-red-700' },
+};
+
+/**
+ * Print everything waiting in the queue, showing the progress modal
+ * @param {string|null} title - Progress title (defaults to the number of queued labels)
+ * @param {number|null} expected - Labels to print, counting those still being added (defaults to the queued ones)
+ */
+async function runPrintQueue(title = null, expected = null) {
+  const queue = PrintQueue.getShared();
+  if (queue.isRunning()) return;
+
+  const total = expected ?? queue.getCounts().pending;
+  if (total === 0) {
+    showToast('Nothing is waiting in the print queue', 'info');
+    return;
+  }
+
+  if (!state.transport || !state.transport.isConnected()) {
+    setStatus('Connecting...');
+    await handleConnect();
+    if (!state.transport || !state.transport.isConnected()) {
+      setStatus('Please connect to printer first');
+      return;
+    }
+  }
+
+  showPrintProgress(title || `Printing ${total} Queued Label${total !== 1 ? 's' : ''}`, total);
+  let printed = 0;
+
+  try {
+    await queue.run(async (job) => {
+      const current = Math.min(printed + 1, total);
+      updatePrintProgress(current, total, `Printing ${job.title}...`);
+
+      // Jobs of a batch sent to a named printer go there, the rest to the active printer
+      const target = getPrintTarget(job.options.printer);
+      await print(target.transport, job.raster, {
+        isBLE: target.isBLE,
+        deviceName: target.deviceName || job.options.deviceName,
+        printerModel: job.options.printerModel,
+        density: job.options.density,
+        feed: job.options.feed,
+        adaptive: target.settings.adaptiveTransfer,
+        compress: target.settings.compressRaster,
+        speed: target.settings.speed,
+        heat: target.settings.heat,
+        skipBlankRows: target.settings.skipBlankRows,
+        onProgress: (progress) => {
+          updatePrintProgress(current, total, `Sending data... ${progress}%${formatThroughput()}`);
+        },
+      });
+      printed++;
+
+      if (job.snapshot) {
+        // The batch's design is stored once for all of its labels
+        const { id, ...design } = queue.getBatch(job.batchId) || {};
+        recordPrintHistory('batch', {
+          ...design,
+          ...job.snapshot,
+          designId: id,
+          raster: job.raster,
+          printerModel: job.options.printerModel,
+          density: job.options.density,
+          feed: job.options.feed,
+        }, target.deviceName);
+      }
+
+      if (!isPrintCancelled() && queue.getNextJob()) {
+        updatePrintProgress(current, total, 'Waiting...');
+      }
+    });
+    updateTransferInfo();
+
+    const remaining = queue.getCounts().pending;
+    if (remaining > 0) {
+      showToast(`Paused after ${printed} label${printed !== 1 ? 's' : ''} - ${remaining} left in the print queue`, 'warning');
+      setStatus('Print queue paused');
+    } else {
+      const successMsg = `Printed ${printed} label${printed !== 1 ? 's' : ''}!`;
+      showToast(successMsg, 'success');
+      setStatus(successMsg);
+    }
+  } catch (error) {
+    logError(error, 'runPrintQueue');
+    setStatus(error.message || 'Print failed');
+    // Keep the dialog open so a long run can't fail unnoticed
+    const remaining = queue.getCounts().pending;
+    showPrintProgressError(`${error.message || 'Print failed'}. Stopped after ${printed} of ${total}` +
+      (remaining > 0 ? ` - ${remaining} still waiting in the print queue.` : '.') +
+      ' Resume or reprint failed labels from the print queue.');
+  } finally {
+    if (!printProgressFailed) {
+      hidePrintProgress();
+    }
+  }
+}
+
+/**
+ * Called by the print queue whenever a job or the run state changes
+ */
+function handlePrintQueueChange() {
+  updatePrintQueueButton();
+  if (!$('#print-queue-dialog').classList.contains('hidden')) {
+    renderPrintQueue();
+  }
+}
+
+/**
+ * Show the queue button in the header while jobs are waiting or failed
+ */
+function updatePrintQueueButton() {
+  const counts = PrintQueue.getShared().getCounts();
+  const outstanding = counts.pending + counts.printing + counts.failed;
+  $('#print-queue-btn').classList.toggle('hidden', outstanding === 0);
+  $('#print-queue-count').textContent = outstanding;
+  $('#print-queue-btn').classList.toggle('text-red-600', counts.failed > 0);
+}
+
+/**
+ * Show the print queue
+ */
+function showPrintQueueDialog() {
+  renderPrintQueue();
+  $('#print-queue-dialog').classList.remove('hidden');
+}
+
+/**
+ * Hide the print queue
+ */
+function hidePrintQueueDialog() {
+  $('#print-queue-dialog').classList.add('hidden');
+}
+
+/**
+ * Render queued jobs in print order with their status and controls
+ */
+function renderPrintQueue() {
+  const queue = PrintQueue.getShared();
+  const jobs = queue.getJobs();
+  const counts = queue.getCounts();
+  const running = queue.isRunning();
+  const list = $('#print-queue-list');
+
+  const summary = [`${counts.pending} waiting`];
+  if (counts.failed > 0) summary.push(`${counts.failed} failed`);
+  if (counts.done > 0) summary.push(`${counts.done} printed`);
+  $('#print-queue-summary').textContent = summary.join(' · ');
+
+  const resumeBtn = $('#print-queue-resume');
+  resumeBtn.textContent = running ? (queue.isPausing() ? 'Pausing...' : 'Pause') : 'Resume';
+  resumeBtn.disabled = queue.isPausing() || (!running && counts.pending === 0);
+  $('#print-queue-retry').disabled = counts.failed === 0;
+  $('#print-queue-clear-done').disabled = counts.done === 0;
+  $('#print-queue-clear').disabled = running || jobs.length === 0;
+
+  list.innerHTML = '';
+  if (jobs.length === 0) {
+    list.innerHTML = '<div class="text-sm text-gray-400 text-center py-8">The queue is empty - batch prints are added here</div>';
+    return;
+  }
+
+  jobs.forEach((job, index) => {
+    const style = QUEUE_STATUS_STYLES[job.status];
+    const printing = job.status === JOB_STATUS.PRINTING;
+    const row = document.createElement('div');
+    row.className = 'print-queue-job flex items-center gap-2 border border-gray-200 rounded-lg px-3 py-2';
+    row.dataset.jobId = job.id;
+    row.dataset.status = job.status;
+    row.innerHTML = `
+      <span class="text-xs text-gray-400 w-6 text-right">${index + 1}</span>
+      <div class="min-w-0 flex-1">
+        <div class="text-sm text-gray-800 truncate">${escapeHtml(job.title)}</div>
+        ${job.error ? `<div class="text-xs text-red-600 truncate" title="${escapeHtml(job.error)}">${escapeHtml(job.error)}</div>` : ''}
+      </div>
+      <span class="print-queue-status text-xs px-2 py-0.5 rounded-full ${style.className}">${style.label}</span>
+      <div class="shrink-0 flex">
+        ${job.status === JOB_STATUS.FAILED ? '<button class="print-queue-job-retry text-xs px-1.5 py-1 text-blue-600 hover:bg-blue-50 rounded" title="Print again">Retry</button>' : ''}
+        <button class="print-queue-job-up p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+        <button class="print-queue-job-down p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move down" ${index === jobs.length - 1 ? 'disabled' : ''}>▼</button>
+        <button class="print-queue-job-remove p-1 text-gray-400 hover:text-red-600 disabled:opacity-30" title="Remove" ${printing ? 'disabled' : ''}>✕</button>
+      </div>
+    `;
+
+    row.querySelector('.print-queue-job-retry')?.addEventListener('click', () => queue.retryFailed([job.id]));
+    row.querySelector('.print-queue-job-up').addEventListener('click', () => queue.move(job.id, -1));
+    row.querySelector('.print-queue-job-down').addEventListener('click', () => queue.move(job.id, 1));
+    row.querySelector('.print-queue-job-remove').addEventListener('click', () => queue.remove([job.id]));
+    list.appendChild(row);
+  });
+}
+
+// =============================================================================
+// PRINT HISTORY
+// =============================================================================
+
+// Number of history entries currently shown (grows with "Show more")
+let printHistoryLimit = PRINT_HISTORY.PAGE_SIZE;
+
+// Labels for where a print came from
+const HISTORY_SOURCES = {
+  print: 'Print',
+  batch: 'Batch',
+  preview: 'Preview',
+  reprint: 'Reprint',
+};
+
+/**
+ * Log a successful print to the history (never lets logging break printing)
+ * @param {string} source - 'print', 'batch', 'preview' or 'reprint'
+ * @param {Object} details - { elements, records, expressions, raster, printerModel, density,
+ *   feed, copies, designName, labelSize } (design name and label size default to the editor's),
+ *   or the content, designId and rasterId of labels sharing a design or raster (see addHistoryEntry)
+ * @param {string} deviceName - Printer it was printed on (default: the active printer)
+ */
+function recordPrintHistory(source, details, deviceName = state.transport?.getDeviceName?.() || '') {
+  addHistoryEntry({
+    source,
+    printerName: deviceName,
+    printerDescription: getPrinterDescription(deviceName, details.printerModel),
+    designName: state.currentDesignName,
+    labelSize: { ...state.labelSize },
+    copies: 1,
+    ...details,
+  }).then(() => {
+    if (!$('#print-history-dialog').classList.contains('hidden')) {
+      renderPrintHistory();
+    }
+  }).catch(e => console.warn('Failed to record print history:', e.message));
+}
+
+/**
+ * Show the print history
+ */
+function showPrintHistoryDialog() {
+  printHistoryLimit = PRINT_HISTORY.PAGE_SIZE;
+  renderPrintHistory();
+  $('#print-history-dialog').classList.remove('hidden');
+  $('#print-history-search').focus();
+}
+
+/**
+ * Hide the print history
+ */
+function hidePrintHistoryDialog() {
+  $('#print-history-dialog').classList.add('hidden');
+}
+
+/**
+ * Render history entries matching the search box (newest first)
+ */
+async function renderPrintHistory() {
+  const query = $('#print-history-search').value;
+  const entries = await searchHistory(query);
+  const list = $('#print-history-list');
+
+  $('#print-history-count').textContent = `${entries.length} print${entries.length !== 1 ? 's' : ''}${query.trim() ? ' found' : ''}`;
+  $('#print-history-export').disabled = entries.length === 0;
+  list.innerHTML = '';
+
+  if (entries.length === 0) {
+    list.innerHTML = `<div class="text-sm text-gray-400 text-center py-8">${query.trim() ? 'No prints match your search' : 'Nothing printed yet'}</div>`;
+    $('#print-history-more').classList.add('hidden');
+    return;
+  }
+
+  for (const entry of entries.slice(0, printHistoryLimit)) {
+    const when = new Date(entry.printedAt);
+    const recordText = formatHistoryRecords(entry.records);
+    const expressionText = entry.expressions.map(e => `${e.expression} = ${e.value}`).join(', ');
+    const contentText = entry.content.join(' · ');
+    const settings = [`density ${entry.density}`];
+    if (entry.copies > 1) settings.push(`${entry.copies} copies`);
+
+    const row = document.createElement('div');
+    row.className = 'print-history-entry flex gap-3 border border-gray-200 rounded-lg p-3';
+    row.dataset.entryId = entry.id;
+    row.innerHTML = `
+      <div class="print-history-thumb shrink-0 w-20 h-16 bg-gray-100 rounded flex items-center justify-center overflow-hidden"></div>
+      <div class="min-w-0 flex-1">
+        <div class="text-sm font-medium text-gray-800 truncate">
+          ${escapeHtml(entry.designName || contentText || 'Untitled label')}
+          <span class="ml-1 text-xs font-normal px-1.5 py-0.5 rounded bg-gray-100 text-gray-500">${HISTORY_SOURCES[entry.source] || escapeHtml(entry.source)}</span>
+        </div>
+        <div class="text-xs text-gray-500 truncate">${escapeHtml(when.toLocaleString())} · ${escapeHtml(entry.printerName || 'Unknown printer')} (${escapeHtml(entry.printerDescription || entry.printerModel || '')}) · ${settings.join(', ')}</div>
+        ${recordText ? `<div class="text-xs text-gray-600 truncate" title="${escapeHtml(recordText)}">${escapeHtml(recordText)}</div>` : ''}
+        ${expressionText ? `<div class="text-xs text-gray-400 truncate" title="${escapeHtml(expressionText)}">${escapeHtml(expressionText)}</div>` : ''}
+        ${entry.designName && contentText ? `<div class="text-xs text-gray-400 truncate">${escapeHtml(contentText)}</div>` : ''}
+      </div>
+      <div class="shrink-0 flex flex-col items-end gap-1">
+        <button class="print-history-reprint text-xs px-2 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded">Reprint</button>
+        <button class="print-history-delete text-xs px-2 py-1 text-gray-400 hover:text-red-600 rounded" title="Remove from history">Remove</button>
+      </div>
+    `;
+
+    // Rasters are only read for the rows on screen
+    getHistoryRaster(entry).then((raster) => {
+      if (!raster) return;
+      const thumb = rasterToCanvas(raster);
+      thumb.className = 'max-w-full max-h-full';
+      row.querySelector('.print-history-thumb').appendChild(thumb);
+    });
+
+    row.querySelector('.print-history-reprint').addEventListener('click', () => reprintHistoryEntry(entry.id));
+    row.querySelector('.print-history-delete').addEventListener('click', async () => {
+      await deleteHistoryEntries([entry.id]);
+      renderPrintHistory();
+    });
+    list.appendChild(row);
+  }
+
+  $('#print-history-more').classList.toggle('hidden', entries.length <= printHistoryLimit);
+}
+
+/**
+ * Send a logged label to the printer again, exactly as it printed
+ * @param {string} id - History entry ID
+ */
+async function reprintHistoryEntry(id) {
+  const entry = await getHistoryEntry(id);
+  const raster = entry && await getHistoryRaster(entry);
+  if (!raster) {
+    showToast('This print can no longer be reprinted', 'error');
+    return;
+  }
+
+  // Back to the printer it was printed on, if that one is connected
+  const original = PrinterRegistry.getShared().list()
+    .find(p => p.transport.isConnected() && p.transport.getDeviceName?.() === entry.printerName);
+
+  try {
+    if (!original && (!state.transport || !state.transport.isConnected())) {
+      hidePrintHistoryDialog();
+      setStatus('Connecting...');
+      await handleConnect();
+
+      if (!state.transport || !state.transport.isConnected()) {
+        throw new Error('Please connect to printer first');
+      }
+    }
+    const target = getPrintTarget(original?.name ?? null);
+
+    // The raster was rendered for the original printer's width
+    const { deviceName } = target;
+    if (entry.printerName && deviceName !== entry.printerName &&
+        !confirm(`This label was printed on ${entry.printerName}. Print it on ${deviceName} anyway?`)) {
+      return;
+    }
+
+    setStatus('Reprinting...');
+    await print(target.transport, raster, {
+      isBLE: target.isBLE,
+      deviceName,
+      printerModel: entry.printerModel,
+      density: entry.density,
+      feed: entry.feed,
+      adaptive: target.settings.adaptiveTransfer,
+      compress: target.settings.compressRaster,
+      speed: target.settings.speed,
+      heat: target.settings.heat,
+      skipBlankRows: target.settings.skipBlankRows,
+      onProgress: (progress) => {
+        setStatus(`Reprinting... ${progress}%${formatThroughput()}`);
+      },
+    });
+
+    recordPrintHistory('reprint', {
+      designId: entry.designId,
+      rasterId: entry.rasterId,
+      content: entry.content,
+      records: entry.records,
+      expressions: entry.expressions,
+      printerModel: entry.printerModel,
+      density: entry.density,
+      feed: entry.feed,
+      designName: entry.designName,
+      labelSize: entry.labelSize,
+    }, deviceName);
+    setStatus('Reprinted!');
+    showToast('Label reprinted', 'success');
+  } catch (error) {
+    logError(error, 'reprintHistoryEntry');
+    setStatus(error.message || 'Reprint failed');
+  }
+}
+
+/**
+ * Download the entries matching the search as CSV
+ */
+async function exportPrintHistoryCSV() {
+  const entries = await searchHistory($('#print-history-search').value);
+  const blob = new Blob([historyToCSV(entries)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `phomymo-print-history-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// =============================================================================
+// VIRTUAL PRINTER JOB LOG
+// =============================================================================
+
+/**
+ * Called by the loopback transport whenever a captured job finishes
+ * @param {Object} job - Captured job
+ */
+function handleLoopbackJobComplete(job) {
+  if (!$('#loopback-jobs-dialog').classList.contains('hidden')) {
+    renderLoopbackJobs();
+  }
+}
+
+/**
+ * Show the virtual printer job log
+ */
+function showLoopbackJobsDialog() {
+  renderLoopbackJobs();
+  $('#loopback-jobs-dialog').classList.remove('hidden');
+}
+
+/**
+ * Hide the virtual printer job log
+ */
+function hideLoopbackJobsDialog() {
+  $('#loopback-jobs-dialog').classList.add('hidden');
+}
+
+/**
+ * The virtual printer whose jobs are shown: the active printer if it is
+ * virtual (several can be connected), else the first one
+ */
+function getLoopbackTransport() {
+  return state.transport instanceof LoopbackTransport ? state.transport : LoopbackTransport.getShared();
+}
+
+/**
+ * Render captured jobs (newest first) with a decoded bitmap preview of each
+ */
+function renderLoopbackJobs() {
+  const list = $('#loopback-jobs-list');
+  const jobs = getLoopbackTransport().getJobs().reverse();
+
+  $('#loopback-jobs-count').textContent = `${jobs.length} job${jobs.length !== 1 ? 's' : ''}`;
+  list.innerHTML = '';
+
+  if (jobs.length === 0) {
+    list.innerHTML = '<div class="text-sm text-gray-400 text-center py-8">No jobs yet - print something to capture it here</div>';
+    return;
+  }
+
+  for (const job of jobs) {
+    const bytes = getJobBytes(job);
+    const rasters = extractRasters(bytes);
+    const time = new Date(job.startedAt).toLocaleTimeString();
+    const rasterInfo = rasters.map(r => `${r.widthBytes * 8}×${r.heightLines}`).join(', ') || 'no raster';
+
+    const row = document.createElement('div');
+    row.className = 'loopback-job border border-gray-200 rounded-lg p-3';
+    row.dataset.jobId = job.id;
+    row.innerHTML = `
+      <div class="flex items-start justify-between gap-2 mb-2">
+        <div class="min-w-0">
+          <div class="text-sm font-medium text-gray-800">Job #${job.id} <span class="text-gray-400 font-normal">${escapeHtml(time)}</span></div>
+          <div class="text-xs text-gray-500 truncate">${escapeHtml(job.meta.description || job.meta.protocol || 'Raw data')}</div>
+          <div class="loopback-job-stats text-xs text-gray-400">${bytes.length} bytes in ${job.writes.length} writes · raster ${rasterInfo}</div>
+        </div>
+        <div class="shrink-0 flex gap-1">
+          <button class="loopback-job-decode text-xs px-2 py-1 text-blue-600 hover:bg-blue-50 rounded">Decode</button>
+          <button class="loopback-job-download text-xs px-2 py-1 text-blue-600 hover:bg-blue-50 rounded">Download .bin</button>
+        </div>
+      </div>
+      <div class="loopback-job-preview bg-gray-100 rounded p-2 flex justify-center overflow-auto max-h-64"></div>
+    `;
+
+    const preview = renderJobPreview(job);
+    if (preview) {
+      preview.className = 'max-w-full h-auto shadow';
+      row.querySelector('.loopback-job-preview').appendChild(preview);
+    } else {
+      row.querySelector('.loopback-job-preview').innerHTML = '<span class="text-xs text-gray-400">No raster data in this job</span>';
+    }
+
+    row.querySelector('.loopback-job-decode').addEventListener('click', () => {
+      showDecoderDialog(bytes, `Job #${job.id}`);
+    });
+
+    row.querySelector('.loopback-job-download').addEventListener('click', () => {
+      const blob = new Blob([bytes], { type: 'application/octet-stream' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `phomymo-job-${job.id}.bin`;
+      a.click();
+      URL.revokeObjectURL(url);
+    });
+
+    list.appendChild(row);
+  }
+}
+
+// =============================================================================
+// COMMAND STREAM DECODER
+// =============================================================================
+
+// Bytes currently shown in the decoder (re-rendered when options change)
+let decoderBytes = null;
+let decoderSource = '';
+
+/**
+ * Open the decoder, optionally with a stream to decode straight away
+ * @param {Uint8Array|null} bytes - Stream to decode
+ * @param {string} source - Where the bytes came from (shown in the summary)
+ */
+function showDecoderDialog(bytes = null, source = '') {
+  if (bytes) {
+    decoderBytes = bytes;
+    decoderSource = source;
+    $('#decoder-hex-input').value = '';
+  }
+  renderDecodedStream();
+  $('#decoder-dialog').classList.remove('hidden');
+}
+
+/**
+ * Hide the decoder
+ */
+function hideDecoderDialog() {
+  $('#decoder-dialog').classList.add('hidden');
+}
+
+/**
+ * Decode the pasted hex dump
+ */
+function handleDecodeHex() {
+  try {
+    const bytes = parseHex($('#decoder-hex-input').value);
+    if (bytes.length === 0) {
+      showToast('Paste a hex dump to decode', 'warning');
+      return;
+    }
+    decoderBytes = bytes;
+    decoderSource = 'Pasted hex';
+    renderDecodedStream();
+  } catch (e) {
+    showToast(e.message, 'error');
+  }
+}
+
+/**
+ * Decode a binary capture file
+ * @param {File} file
+ */
+function handleDecoderFile(file) {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    decoderBytes = new Uint8Array(e.target.result);
+    decoderSource = file.name;
+    renderDecodedStream();
+  };
+  reader.onerror = () => showToast('Failed to read file', 'error');
+  reader.readAsArrayBuffer(file);
+}
+
+// Label colors per segment kind
+const DECODER_KIND_CLASSES = {
+  [SEGMENT.COMMAND]: 'text-blue-700',
+  [SEGMENT.RASTER]: 'text-green-700',
+  [SEGMENT.TEXT]: 'text-purple-700',
+  [SEGMENT.UNKNOWN]: 'text-red-600',
+};
+
+/**
+ * Render the annotated command list for decoderBytes
+ */
+function renderDecodedStream() {
+  const output = $('#decoder-output');
+  output.innerHTML = '';
+
+  if (!decoderBytes) {
+    $('#decoder-summary').textContent = 'Paste a hex dump or load a .bin capture';
+    return;
+  }
+
+  const segments = decodeStream(decoderBytes);
+  const unknown = segments.filter(s => s.kind === SEGMENT.UNKNOWN).reduce((sum, s) => sum + s.length, 0);
+  $('#decoder-summary').textContent =
+    `${decoderSource ? decoderSource + ' - ' : ''}${decoderBytes.length} bytes, ${segments.length} segments` +
+    (unknown ? `, ${unknown} unrecognized bytes` : '');
+
+  const showImages = $('#decoder-show-images').checked;
+
+  for (const segment of segments) {
+    const bytes = decoderBytes.slice(segment.offset, segment.offset + segment.length);
+    // Raster payloads are huge - only show the header bytes
+    const headerLength = segment.raster ? segment.length - segment.raster.data.length : segment.length;
+
+    const row = document.createElement('div');
+    row.className = `decoder-segment decoder-${segment.kind} border-b border-gray-100 py-1`;
+    row.innerHTML = `
+      <div class="flex gap-3">
+        <span class="text-gray-400 shrink-0">${segment.offset.toString(16).padStart(6, '0')}</span>
+        <span class="${DECODER_KIND_CLASSES[segment.kind]} font-semibold shrink-0 w-20 truncate">${escapeHtml(segment.name)}</span>
+        <span class="text-gray-800 flex-1 min-w-0 font-sans">${escapeHtml(segment.detail)}</span>
+      </div>
+      <div class="text-gray-400 pl-[4.5rem] break-all">${toHex(bytes, Math.min(headerLength, 24))}</div>
+    `;
+
+    if (segment.raster && showImages && segment.raster.data.length > 0) {
+      const canvas = rasterToCanvas(segment.raster);
+      canvas.className = 'max-w-full h-auto border border-gray-300 mt-1 ml-[4.5rem]';
+      canvas.style.imageRendering = 'pixelated';
+      row.appendChild(canvas);
+    }
+
+    output.appendChild(row);
+  }
+}
+
+// =============================================================================
+// PRINTER DEFINITIONS UI
+// =============================================================================
+
+/**
+ * Populate the printer model dropdown from loaded definitions
+ */
+function populatePrinterModelDropdown() {
+  const defs = getAllPrinterDefinitions();
+  // Group by group name
+  const groups = {};
+  for (const def of defs) {
+    const group = def.group || 'Other';
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(def);
+  }
+
+  // Populate both the print settings dropdown and the model prompt dropdown
+  const selects = [
+    { el: $('#printer-model'), keepFirst: true },
+    { el: $('#prompt-model-select'), keepFirst: true },
+  ];
+
+  for (const { el: select, keepFirst } of selects) {
+    if (!select) continue;
+    const currentValue = select.value;
+
+    // Clear all options except the first
+    while (select.options.length > (keepFirst ? 1 : 0)) {
+      select.remove(keepFirst ? 1 : 0);
+    }
+    // Remove any optgroups
+    select.querySelectorAll('optgroup').forEach(g => g.remove());
+
+    for (const [groupName, printers] of Object.entries(groups)) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = groupName;
+      for (const def of printers) {
+        const opt = document.createElement('option');
+        opt.value = def.id;
+        const widthMm = def.widthBytes ? Math.round(def.widthBytes * 8 / 8) : null;
+        const dpiNote = def.dpi === 300 ? ', 300 DPI' : '';
+        opt.textContent = def.name + (widthMm ? ` (${widthMm}mm${dpiNote})` : '') + (!def.builtin ? ' *' : '');
+        optgroup.appendChild(opt);
+      }
+      select.appendChild(optgroup);
+    }
+
+    // Restore selection
+    select.value = currentValue;
+    // If saved value is no longer valid, fall back
+    if (!select.value || select.selectedIndex === -1) {
+      select.selectedIndex = 0;
+    }
+  }
+}
+
+/**
+ * Initialize the Printer Definitions Manager dialog
+ */
+function initPrinterDefsManager() {
+  const dialog = $('#printer-defs-dialog');
+  const list = $('#printer-defs-list');
+  const editor = $('#printer-def-editor');
+  const editorTitle = $('#printer-def-editor-title');
+  if (!dialog || !list || !editor) return;
+
+  let editingId = null; // null = new, string = editing existing
+
+  // Populate protocol and label preset dropdowns in editor
+  const protocolSelect = $('#pdef-protocol');
+  const labelPresetsSelect = $('#pdef-label-presets');
+  if (protocolSelect) {
+    protocolSelect.innerHTML = '';
+    for (const p of getAvailableProtocols()) {
+      const opt = document.createElement('option');
+      opt.value = p.value;
+      opt.textContent = p.label;
+      protocolSelect.appendChild(opt);
+    }
+  }
+  if (labelPresetsSelect) {
+    labelPresetsSelect.innerHTML = '';
+    for (const p of getAvailableLabelPresets()) {
+      const opt = document.createElement('option');
+      opt.value = p.value;
+      opt.textContent = p.label;
+      labelPresetsSelect.appendChild(opt);
+    }
+  }
+
+  // Custom command sequence editor (shown for the 'custom' protocol)
+  const commandsOptions = $('#pdef-commands-options');
+  const commandsInput = $('#pdef-commands');
+  let lastProtocol = 'm-series';
+  if (protocolSelect && commandsOptions) {
+    protocolSelect.addEventListener('focus', () => {
+      lastProtocol = protocolSelect.value;
+    });
+    protocolSelect.addEventListener('change', () => {
+      const isCustom = protocolSelect.value === 'custom';
+      commandsOptions.classList.toggle('hidden', !isCustom);
+      // Start from the protocol the user had selected, so they can tweak it
+      if (isCustom && !commandsInput.value.trim()) {
+        const base = getProtocolDefinition(lastProtocol);
+        if (base) {
+          const { id, ...commands } = base;
+          commands.name = `Custom (based on ${base.name})`;
+          commandsInput.value = JSON.stringify(commands, null, 2);
+        }
+      }
+      lastProtocol = protocolSelect.value;
+    });
+  }
+
+  // Width info helper
+  const widthInput = $('#pdef-width');
+  const widthInfo = $('#pdef-width-info');
+  if (widthInput && widthInfo) {
+    widthInput.addEventListener('input', () => {
+      const bytes = parseInt(widthInput.value);
+      if (bytes > 0) {
+        const px = bytes * 8;
+        const mm = bytes; // 8px/mm at 203 DPI ~ 1 byte/mm
+        widthInfo.textContent = `= ${px}px = ~${mm}mm`;
+      } else {
+        widthInfo.textContent = '';
+      }
+    });
+  }
+
+  // Tape toggle
+  const tapeSelect = $('#pdef-tape');
+  const tapeOptions = $('#pdef-tape-options');
   if (tapeSelect && tapeOptions) {
     tapeSelect.addEventListener('change', () => {
       tapeOptions.classList.toggle('hidden', tapeSelect.value !== 'true');
@@ -6888,6 +8501,8 @@ function initPrinterDefsManager() {
     $('#pdef-group').value = def?.group || 'Custom Printers';
     $('#pdef-description').value = def?.description || '';
     protocolSelect.value = def?.protocol || 'm-series';
+    commandsInput.value = def?.commands ? JSON.stringify(def.commands, null, 2) : '';
+    commandsOptions.classList.toggle('hidden', protocolSelect.value !== 'custom');
     $('#pdef-dpi').value = def?.dpi || 203;
     $('#pdef-width').value = def?.widthBytes ?? '';
     widthInput.dispatchEvent(new Event('input')); // Update info text
@@ -6927,12 +8542,30 @@ function initPrinterDefsManager() {
 
     const widthVal = $('#pdef-width').value.trim();
 
+    let commands = null;
+    if (protocolSelect.value === 'custom') {
+      try {
+        commands = JSON.parse(commandsInput.value);
+      } catch (e) {
+        alert(`Command sequence is not valid JSON: ${e.message}`);
+        return;
+      }
+      const problems = validateCustomProtocol(commands);
+      if (problems.length > 0) {
+        alert(`Command sequence has problems:\n\n${problems.join('\n')}`);
+        return;
+      }
+    }
+
     const def = {
+      // Keep settings edited elsewhere (media settings)
+      ...(editingId ? getPrinterDefinition(editingId) : {}),
       id: editingId || id,
       name,
       group: $('#pdef-group').value.trim() || 'Custom Printers',
       description: $('#pdef-description').value.trim(),
       protocol: protocolSelect.value,
+      commands,
       widthBytes: widthVal === '' ? null : parseInt(widthVal),
       dpi: parseInt($('#pdef-dpi').value),
       alignment: $('#pdef-alignment').value,
@@ -6970,6 +8603,7 @@ function initPrinterDefsManager() {
 
   // Add new
   $('#printer-def-add')?.addEventListener('click', () => openEditor(null));
+  $('#printer-defs-decoder')?.addEventListener('click', () => showDecoderDialog());
 
   // Cancel editor
   $('#printer-def-cancel')?.addEventListener('click', closeEditor);
@@ -7006,6 +8640,7 @@ function init() {
         $('#printer-model').value = settings.printerModel;
       }
     }
+    updatePreviewTone('', $('#printer-model').value);
   });
 
   // Create canvas renderer
@@ -7052,6 +8687,11 @@ function init() {
     const usbOption = connType.querySelector('option[value="usb"]');
     if (usbOption) usbOption.remove();
   }
+  if (!('serial' in navigator)) {
+    for (const select of ['#conn-type', '#mobile-conn-type', '#printer-add-type']) {
+      $(select)?.querySelector('option[value="serial"]')?.remove();
+    }
+  }
   connType.addEventListener('change', (e) => {
     state.connectionType = e.target.value;
     const btn = $('#connect-btn');
@@ -7130,30 +8770,126 @@ function init() {
   });
 
   $('#printer-info-refresh').addEventListener('click', async () => {
-    if (state.transport?.isConnected() && state.transport.queryAll) {
-      try {
-        setStatus('Querying printer...');
-        await state.transport.queryAll();
-        setStatus('Printer info updated');
-      } catch (e) {
-        console.warn('Failed to query printer:', e.message);
-        setStatus('Query failed');
+    // Ask every connected printer, so the list shows current status side by side
+    const printers = PrinterRegistry.getShared().list()
+      .filter(p => p.transport.isConnected() && p.transport.queryAll);
+    if (printers.length === 0) return;
+    try {
+      setStatus(printers.length > 1 ? 'Querying printers...' : 'Querying printer...');
+      for (const printer of printers) {
+        const printerModel = printer.transport === state.transport ? state.printSettings.printerModel : printer.printerModel;
+        await queryPrinterInfo(printer.transport, printerModel);
       }
+      setStatus('Printer info updated');
+    } catch (e) {
+      console.warn('Failed to query printer:', e.message);
+      setStatus('Query failed');
     }
   });
 
-  $('#printer-info-disconnect').addEventListener('click', async () => {
+  $('#printer-info-jobs').addEventListener('click', () => {
     printerInfoPopup.classList.add('hidden');
-    if (state.transport) {
-      try {
-        await state.transport.disconnect();
-      } catch (e) {
-        console.warn('Disconnect error:', e.message);
-      }
-      state.transport = null;
+    showLoopbackJobsDialog();
+  });
+
+  // Print queue (jobs saved by an earlier session are loaded in the background)
+  const printQueue = PrintQueue.getShared();
+  printQueue.onChange = handlePrintQueueChange;
+  printQueue.load().then(() => {
+    const { pending, failed } = printQueue.getCounts();
+    if (pending + failed > 0) {
+      showToast(`${pending + failed} label${pending + failed !== 1 ? 's' : ''} left in the print queue from last time`, 'info');
     }
-    updateConnectionStatus(false);
-    setStatus('Disconnected');
+  });
+  $('#print-queue-btn').addEventListener('click', showPrintQueueDialog);
+  $('#template-queue-btn').addEventListener('click', showPrintQueueDialog);
+  $('#print-queue-close').addEventListener('click', hidePrintQueueDialog);
+  $('#print-queue-dialog').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) hidePrintQueueDialog();
+  });
+  $('#print-queue-resume').addEventListener('click', () => {
+    if (printQueue.isRunning()) {
+      printQueue.pause();
+      return;
+    }
+    hidePrintQueueDialog();
+    hideTemplateDataDialog();
+    runPrintQueue();
+  });
+  $('#print-queue-retry').addEventListener('click', () => printQueue.retryFailed());
+  $('#print-queue-clear-done').addEventListener('click', () => printQueue.clearDone());
+  $('#print-queue-clear').addEventListener('click', () => {
+    if (confirm('Remove every job from the print queue?')) {
+      printQueue.clear();
+    }
+  });
+
+  // Print history dialog
+  loadHistory();
+  $('#print-history-btn').addEventListener('click', showPrintHistoryDialog);
+  $('#print-history-close').addEventListener('click', hidePrintHistoryDialog);
+  $('#print-history-dialog').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) hidePrintHistoryDialog();
+  });
+  $('#print-history-search').addEventListener('input', () => {
+    printHistoryLimit = PRINT_HISTORY.PAGE_SIZE;
+    renderPrintHistory();
+  });
+  $('#print-history-more').addEventListener('click', () => {
+    printHistoryLimit += PRINT_HISTORY.PAGE_SIZE;
+    renderPrintHistory();
+  });
+  $('#print-history-export').addEventListener('click', exportPrintHistoryCSV);
+  $('#print-history-clear').addEventListener('click', async () => {
+    if (confirm('Delete the whole print history?')) {
+      await clearHistory();
+      renderPrintHistory();
+    }
+  });
+
+  // Virtual printer job log dialog
+  $('#loopback-jobs-close').addEventListener('click', hideLoopbackJobsDialog);
+  $('#loopback-jobs-dialog').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) hideLoopbackJobsDialog();
+  });
+  $('#loopback-jobs-clear').addEventListener('click', () => {
+    getLoopbackTransport().clearJobs();
+    renderLoopbackJobs();
+  });
+
+  // Command stream decoder dialog
+  $('#decoder-close').addEventListener('click', hideDecoderDialog);
+  $('#decoder-dialog').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) hideDecoderDialog();
+  });
+  $('#decoder-decode-hex').addEventListener('click', handleDecodeHex);
+  $('#decoder-load-file').addEventListener('click', () => $('#decoder-file-input').click());
+  $('#decoder-file-input').addEventListener('change', (e) => {
+    if (e.target.files[0]) {
+      handleDecoderFile(e.target.files[0]);
+      e.target.value = '';
+    }
+  });
+  $('#decoder-show-images').addEventListener('change', renderDecodedStream);
+
+  $('#printer-info-disconnect').addEventListener('click', async () => {
+    printerInfoPopup.classList.add('hidden');
+    await disconnectPrinter(PrinterRegistry.getShared().activeId);
+  });
+
+  // Printer list: every connected printer with its status, and the design's printer
+  const printerRegistry = PrinterRegistry.getShared();
+  printerRegistry.onChange = renderPrinterList;
+  printerRegistry.onPrinterInfo = handlePrinterInfo;
+  renderPrinterList();
+
+  $('#printer-add').addEventListener('click', (e) => {
+    e.stopPropagation();
+    addPrinter($('#printer-add-type').value);
+  });
+  $('#design-printer').addEventListener('change', (e) => {
+    state.designPrinter = e.target.value || null;
+    setStatus(state.designPrinter ? `This design prints on ${state.designPrinter}` : 'This design prints on the active printer');
   });
 
   // Close popup when clicking outside
@@ -7170,6 +8906,142 @@ function init() {
   const copiesInput = $('#print-copies');
   const feedSelect = $('#print-feed');
   const printerModelSelect = $('#printer-model');
+  const adaptiveCheckbox = $('#print-adaptive');
+  const nativeTSPLCheckbox = $('#print-native-tspl');
+  const compressCheckbox = $('#print-compress');
+  const skipBlankCheckbox = $('#print-skip-blank');
+  const autoReconnectCheckbox = $('#print-auto-reconnect');
+  const speedSelect = $('#print-speed');
+  const heatSelect = $('#print-heat');
+  const mediaSection = $('#print-media-section');
+  const mediaTypeSelect = $('#media-type');
+
+  // Media settings belong to the printer definition of the model picked in the dialog
+  const mediaPrinter = () => [state.transport?.getDeviceName?.() || '', printerModelSelect.value];
+
+  const updateMediaFields = () => {
+    const type = mediaTypeSelect.value;
+    $$('.media-gap-field').forEach(field => field.classList.toggle('hidden', type === 'continuous'));
+    $('#media-gap-label').textContent = type === 'bline' ? 'Mark height (mm)' : 'Gap (mm)';
+    $('#media-calibrate').classList.toggle('hidden', type === 'continuous' || !supportsMediaCalibration(...mediaPrinter(), usesBLEProtocol()));
+  };
+
+  const showMediaSettings = () => {
+    const media = getMediaSettings(...mediaPrinter());
+    mediaSection.classList.toggle('hidden', !media);
+    if (!media) return;
+    mediaTypeSelect.value = media.type;
+    $('#media-mode').value = media.mode;
+    $('#media-gap').value = media.gapMm;
+    $('#media-gap-offset').value = media.gapOffsetMm;
+    $('#media-offset').value = media.offsetMm;
+    $('#media-shift').value = media.shiftDots;
+    $('#media-speed').value = media.speed;
+    $('#media-direction').value = media.direction;
+    $('#media-tone-profile').value = media.toneProfile || '';
+    updateMediaFields();
+  };
+
+  const readMediaSettings = () => {
+    const number = (selector, fallback) => {
+      const value = parseFloat($(selector).value);
+      return isNaN(value) ? fallback : value;
+    };
+    const media = getMediaSettings(...mediaPrinter());
+    return {
+      ...media,
+      type: mediaTypeSelect.value,
+      mode: $('#media-mode').value,
+      gapMm: number('#media-gap', media.gapMm),
+      gapOffsetMm: number('#media-gap-offset', media.gapOffsetMm),
+      offsetMm: number('#media-offset', media.offsetMm),
+      shiftDots: Math.round(number('#media-shift', media.shiftDots)),
+      speed: parseInt($('#media-speed').value),
+      direction: parseInt($('#media-direction').value),
+      toneProfile: $('#media-tone-profile').value || undefined,
+    };
+  };
+
+  // Tone profile: the printer's is saved with its definition, and media
+  // settings can pick another for the loaded media (see tone.js)
+  const toneProfileSelect = $('#tone-profile');
+  const mediaToneSelect = $('#media-tone-profile');
+  const toneFields = { dotGain: $('#tone-dot-gain'), blackPoint: $('#tone-black-point'), whitePoint: $('#tone-white-point') };
+
+  const populateToneProfiles = () => {
+    const selected = [toneProfileSelect.value, mediaToneSelect.value];
+    const options = getToneProfiles().map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+    toneProfileSelect.innerHTML = options;
+    mediaToneSelect.innerHTML = `<option value="">Printer's tone profile</option>${options}`;
+    [toneProfileSelect.value, mediaToneSelect.value] = selected;
+  };
+
+  const showToneProfile = () => {
+    const profile = getToneProfile(toneProfileSelect.value);
+    toneProfileSelect.value = profile.id;
+    for (const [key, input] of Object.entries(toneFields)) {
+      input.value = profile[key];
+    }
+    $('#tone-profile-delete').classList.toggle('hidden', isBuiltinToneProfile(profile.id));
+  };
+
+  const showToneSettings = () => {
+    populateToneProfiles();
+    toneProfileSelect.value = getToneProfile(getToneProfileId(...mediaPrinter(), { media: false })).id;
+    showToneProfile();
+  };
+
+  toneProfileSelect.addEventListener('change', showToneProfile);
+
+  // Save the values in the fields as a custom profile (same name = update it)
+  $('#tone-profile-save').addEventListener('click', () => {
+    const current = getToneProfile(toneProfileSelect.value);
+    const name = prompt('Tone profile name:', isBuiltinToneProfile(current.id) ? '' : current.name)?.trim();
+    if (!name) return;
+    const existing = getToneProfiles().find(p => p.name === name && !isBuiltinToneProfile(p.id));
+    const profile = {
+      id: existing?.id || toneProfileId(name),
+      name,
+      dotGain: parseFloat(toneFields.dotGain.value),
+      blackPoint: parseInt(toneFields.blackPoint.value),
+      whitePoint: parseInt(toneFields.whitePoint.value),
+    };
+    try {
+      saveToneProfile(profile);
+    } catch (error) {
+      setStatus(error.message);
+      return;
+    }
+    populateToneProfiles();
+    toneProfileSelect.value = profile.id;
+    showToneProfile();
+    setStatus(`Tone profile "${name}" saved`);
+  });
+
+  $('#tone-profile-delete').addEventListener('click', () => {
+    const profile = getToneProfile(toneProfileSelect.value);
+    if (isBuiltinToneProfile(profile.id) || !confirm(`Delete tone profile "${profile.name}"?`)) return;
+    deleteToneProfile(profile.id);
+    populateToneProfiles();
+    showToneProfile();
+    setStatus(`Tone profile "${profile.name}" deleted`);
+  });
+
+  // Speed and heat: only the controls the printer's protocol takes, with its default level
+  const showTuningControls = () => {
+    const controls = getTuningControls(...mediaPrinter(), usesBLEProtocol());
+    $('#print-tuning-section').classList.toggle('hidden', Object.keys(controls).length === 0);
+    [['speed', speedSelect], ['heat', heatSelect]].forEach(([control, select]) => {
+      $(`#print-${control}-field`).classList.toggle('hidden', controls[control] === undefined);
+      select.querySelector('[data-default]').textContent = `Default (${controls[control]})`;
+      select.value = state.printSettings[control] ?? '';
+    });
+  };
+
+  printerModelSelect.addEventListener('change', showToneSettings);
+  printerModelSelect.addEventListener('change', showMediaSettings);
+  printerModelSelect.addEventListener('change', showTuningControls);
+  mediaTypeSelect.addEventListener('change', updateMediaFields);
 
   // Load saved print settings from localStorage
   const savedPrintSettings = safeStorageGet('phomymo_print_settings');
@@ -7188,9 +9060,17 @@ function init() {
       copiesInput.value = state.printSettings.copies;
       feedSelect.value = state.printSettings.feed;
       printerModelSelect.value = state.printSettings.printerModel || 'auto';
+      adaptiveCheckbox.checked = state.printSettings.adaptiveTransfer;
+      nativeTSPLCheckbox.checked = state.printSettings.nativeTSPL;
+      compressCheckbox.checked = state.printSettings.compressRaster;
+      skipBlankCheckbox.checked = state.printSettings.skipBlankRows;
+      autoReconnectCheckbox.checked = state.printSettings.autoReconnect;
     }
   }
 
+  // Rejoin the remembered Bluetooth printer (waits until it is in range)
+  rejoinRememberedPrinter().catch(e => console.warn('Rejoin failed:', e.message));
+
   // Dither preview toggle (shows exact print output for all elements)
   const ditherPreviewBtn = $('#dither-preview-btn');
   const updatePreviewButtonState = () => {
@@ -7223,6 +9103,14 @@ function init() {
     copiesInput.value = state.printSettings.copies;
     feedSelect.value = state.printSettings.feed;
     printerModelSelect.value = state.printSettings.printerModel || 'auto';
+    adaptiveCheckbox.checked = state.printSettings.adaptiveTransfer;
+    nativeTSPLCheckbox.checked = state.printSettings.nativeTSPL;
+    compressCheckbox.checked = state.printSettings.compressRaster;
+    skipBlankCheckbox.checked = state.printSettings.skipBlankRows;
+    autoReconnectCheckbox.checked = state.printSettings.autoReconnect;
+    showTuningControls();
+    showToneSettings();
+    showMediaSettings();
     printSettingsDialog.classList.remove('hidden');
   });
 
@@ -7235,12 +9123,19 @@ function init() {
   });
 
   $('#print-settings-reset').addEventListener('click', () => {
-    state.printSettings = { density: 6, copies: 1, feed: 32, printerModel: 'auto' };
+    state.printSettings = { density: 6, copies: 1, feed: 32, printerModel: 'auto', adaptiveTransfer: false, nativeTSPL: false, compressRaster: false, skipBlankRows: false, speed: null, heat: null, autoReconnect: false };
     densitySlider.value = 6;
     densityValue.textContent = '6';
     copiesInput.value = 1;
     feedSelect.value = 32;
     printerModelSelect.value = 'auto';
+    adaptiveCheckbox.checked = false;
+    nativeTSPLCheckbox.checked = false;
+    compressCheckbox.checked = false;
+    skipBlankCheckbox.checked = false;
+    autoReconnectCheckbox.checked = false;
+    speedSelect.value = '';
+    heatSelect.value = '';
   });
 
   $('#print-settings-save').addEventListener('click', () => {
@@ -7248,6 +9143,38 @@ function init() {
     state.printSettings.copies = Math.max(PRINT.MIN_COPIES, Math.min(PRINT.MAX_COPIES, parseInt(copiesInput.value) || PRINT.DEFAULT_COPIES));
     state.printSettings.feed = parseInt(feedSelect.value);
     state.printSettings.printerModel = printerModelSelect.value;
+    state.printSettings.adaptiveTransfer = adaptiveCheckbox.checked;
+    state.printSettings.nativeTSPL = nativeTSPLCheckbox.checked;
+    state.printSettings.compressRaster = compressCheckbox.checked;
+    state.printSettings.skipBlankRows = skipBlankCheckbox.checked;
+    state.printSettings.speed = parseInt(speedSelect.value) || null;
+    state.printSettings.heat = parseInt(heatSelect.value) || null;
+    saveDeviceTuning(state.transport?.getDeviceName?.() || '', state.printSettings);
+
+    // Remember (or forget) the Bluetooth printer for automatic reconnection
+    state.printSettings.autoReconnect = autoReconnectCheckbox.checked;
+    if (!state.printSettings.autoReconnect) {
+      forgetRememberedPrinter();
+    }
+    if (state.transport instanceof BLETransport) {
+      state.transport.autoReconnect = state.printSettings.autoReconnect;
+      if (state.printSettings.autoReconnect && state.transport.isConnected()) {
+        rememberPrinter(state.transport);
+      }
+    }
+
+    // The tone profile is stored with the printer definition, only when changed
+    if (toneProfileSelect.value !== getToneProfile(getToneProfileId(...mediaPrinter(), { media: false })).id) {
+      savePrinterToneProfile(...mediaPrinter(), toneProfileSelect.value);
+    }
+
+    // Media settings are stored with the printer definition, only when changed
+    if (!mediaSection.classList.contains('hidden')) {
+      const media = readMediaSettings();
+      if (JSON.stringify(media) !== JSON.stringify(getMediaSettings(...mediaPrinter()))) {
+        saveMediaSettings(...mediaPrinter(), media);
+      }
+    }
 
     // Save to localStorage
     safeStorageSet('phomymo_print_settings', safeJsonStringify(state.printSettings));
@@ -7256,6 +9183,7 @@ function init() {
     const deviceName = state.transport?.getDeviceName?.() || '';
     updateLabelSizeDropdown(deviceName, state.printSettings.printerModel);
     updateLengthAdjustButtons();
+    updatePreviewTone(deviceName, state.printSettings.printerModel);
 
     printSettingsDialog.classList.add('hidden');
     setStatus('Print settings saved');
@@ -7290,11 +9218,18 @@ function init() {
       printSettingsDialog.classList.add('hidden');
       setStatus('Printing density test (8 strips)...');
 
-      await printDensityTest(
-        state.transport,
-        state.connectionType === 'ble',
-        (progress) => setStatus(`Printing density test... ${progress}%`)
-      );
+      // One label per strip, at the current label size
+      const [deviceName, printerModel] = mediaPrinter();
+      await printDensityTest(state.transport, {
+        isBLE: usesBLEProtocol(),
+        deviceName,
+        printerModel,
+        labelMm: state.labelSize,
+        feed: parseInt(feedSelect.value),
+        grayRamp: $('#density-test-ramp').checked,
+        fineLines: $('#density-test-lines').checked,
+        onProgress: (progress) => setStatus(`Printing density test... ${progress}%`),
+      });
 
       setStatus('Density test complete! Compare the 8 strips (1=lightest, 8=darkest)');
     } catch (error) {
@@ -7306,6 +9241,188 @@ function init() {
     }
   });
 
+  // Tone chart button: patches for measuring the tone profile of the loaded media
+  $('#print-tone-chart').addEventListener('click', async () => {
+    const btn = $('#print-tone-chart');
+    const originalText = btn.innerHTML;
+
+    try {
+      // Ensure connected
+      if (!state.transport || !state.transport.isConnected()) {
+        printSettingsDialog.classList.add('hidden');
+        setStatus('Connecting...');
+        await handleConnect();
+
+        if (!state.transport || !state.transport.isConnected()) {
+          throw new Error('Please connect to printer first');
+        }
+      }
+
+      btn.disabled = true;
+      btn.innerHTML = '🌗 Printing chart...';
+      printSettingsDialog.classList.add('hidden');
+      setStatus('Printing tone chart...');
+
+      // One label at the current label size and density
+      const [deviceName, printerModel] = mediaPrinter();
+      await printToneChart(state.transport, {
+        isBLE: usesBLEProtocol(),
+        deviceName,
+        printerModel,
+        labelMm: state.labelSize,
+        density: parseInt(densitySlider.value),
+        feed: parseInt(feedSelect.value),
+        onProgress: (progress) => setStatus(`Printing tone chart... ${progress}%`),
+      });
+
+      setStatus('Tone chart printed! Enter the matching Gain, Black and White patches under Tone Profile and save');
+    } catch (error) {
+      logError(error, 'toneChart');
+      setStatus(error.message || 'Tone chart failed');
+    } finally {
+      btn.disabled = false;
+      btn.innerHTML = originalText;
+    }
+  });
+
+  // Media calibration button (gap / black mark sensor)
+  $('#media-calibrate').addEventListener('click', async () => {
+    const btn = $('#media-calibrate');
+    try {
+      if (!state.transport || !state.transport.isConnected()) {
+        printSettingsDialog.classList.add('hidden');
+        setStatus('Connecting...');
+        await handleConnect();
+
+        if (!state.transport || !state.transport.isConnected()) {
+          throw new Error('Please connect to printer first');
+        }
+      }
+
+      btn.disabled = true;
+      setStatus('Calibrating media...');
+      const [deviceName, printerModel] = mediaPrinter();
+      await calibrateMedia(state.transport, {
+        isBLE: usesBLEProtocol(),
+        deviceName,
+        printerModel,
+        media: readMediaSettings(),
+      });
+      setStatus('Media calibrated');
+    } catch (error) {
+      logError(error, 'mediaCalibration');
+      setStatus(error.message || 'Media calibration failed');
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  // Calibration wizard: print a ruler/crosshair page (and density ladder),
+  // then store what the user read off it with the printer definition
+  const calibrationDialog = $('#calibration-dialog');
+
+  const readCalibrationAnswers = () => {
+    const number = (selector) => {
+      const value = parseFloat($(selector).value);
+      return Number.isFinite(value) ? value : null;
+    };
+    return {
+      leftMm: number('#calibration-left') ?? 0,
+      rightMm: number('#calibration-right'),
+      crosshairXMm: number('#calibration-dx') ?? 0,
+      crosshairYMm: number('#calibration-dy') ?? 0,
+      density: parseInt($('#calibration-density').value) || null,
+    };
+  };
+
+  const showCalibrationSummary = () => {
+    const basis = getCalibrationBasis(...mediaPrinter());
+    const result = computeCalibration(basis, readCalibrationAnswers());
+    const density = result.density ? `, density ${result.density}` : '';
+    $('#calibration-summary').textContent =
+      `Will save: print width ${result.widthBytes * 8} dots, offset ${result.offsetX},${result.offsetY} dots${density}`;
+  };
+
+  $('#calibration-open').addEventListener('click', () => {
+    const [deviceName, printerModel] = mediaPrinter();
+    const basis = getCalibrationBasis(deviceName, printerModel);
+    $('#calibration-printer').textContent =
+      `${getPrinterDescription(deviceName, printerModel)}: ${basis.widthMm} mm print width, ${state.labelSize.height} mm label`;
+    $('#calibration-left').value = 0;
+    $('#calibration-right').value = basis.widthMm;
+    $('#calibration-dx').value = 0;
+    $('#calibration-dy').value = 0;
+    $('#calibration-density').value = '';
+    showCalibrationSummary();
+    calibrationDialog.classList.remove('hidden');
+  });
+
+  ['#calibration-left', '#calibration-right', '#calibration-dx', '#calibration-dy', '#calibration-density'].forEach(selector => {
+    $(selector).addEventListener('input', showCalibrationSummary);
+  });
+
+  const closeCalibration = () => calibrationDialog.classList.add('hidden');
+  $('#calibration-close').addEventListener('click', closeCalibration);
+  $('#calibration-cancel').addEventListener('click', closeCalibration);
+  calibrationDialog.addEventListener('click', (e) => {
+    if (e.target === calibrationDialog) closeCalibration();
+  });
+
+  $('#calibration-print').addEventListener('click', async () => {
+    const btn = $('#calibration-print');
+    try {
+      if (!state.transport || !state.transport.isConnected()) {
+        setStatus('Connecting...');
+        await handleConnect();
+
+        if (!state.transport || !state.transport.isConnected()) {
+          throw new Error('Please connect to printer first');
+        }
+      }
+
+      btn.disabled = true;
+      setStatus('Printing calibration page...');
+      const [deviceName, printerModel] = mediaPrinter();
+      await printCalibrationPage(state.transport, {
+        isBLE: usesBLEProtocol(),
+        deviceName,
+        printerModel,
+        labelMm: state.labelSize,
+        density: parseInt(densitySlider.value),
+        feed: parseInt(feedSelect.value),
+        densityLadder: $('#calibration-ladder').checked,
+        onProgress: (progress) => setStatus(`Printing calibration page... ${progress}%`),
+      });
+      setStatus('Calibration page printed - enter what you see on it');
+    } catch (error) {
+      logError(error, 'calibration');
+      setStatus(error.message || 'Calibration page failed');
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  $('#calibration-save').addEventListener('click', () => {
+    const [deviceName, printerModel] = mediaPrinter();
+    const result = computeCalibration(getCalibrationBasis(deviceName, printerModel), readCalibrationAnswers());
+    const { density, ...calibration } = result;
+    if (density) calibration.density = density;
+
+    if (!savePrinterCalibration(deviceName, printerModel, calibration)) {
+      setStatus('Select the printer model before saving a calibration');
+      return;
+    }
+    if (density) {
+      state.printSettings.density = density;
+      densitySlider.value = density;
+      densityValue.textContent = density;
+      safeStorageSet('phomymo_print_settings', safeJsonStringify(state.printSettings));
+    }
+    updateLabelSizeDropdown(deviceName, state.printSettings.printerModel);
+    closeCalibration();
+    setStatus('Calibration saved');
+  });
+
   // Add element buttons
   $('#add-text').addEventListener('click', addTextElement);
   $('#add-image').addEventListener('click', () => $('#image-file-input').click());
@@ -7439,7 +9556,13 @@ function init() {
 
   // Print progress cancel button
   $('#progress-cancel').addEventListener('click', () => {
+    if (printProgressFailed) {
+      hidePrintProgress();
+      return;
+    }
     printProgressCancelled = true;
+    // Queued labels that haven't printed yet stay in the queue
+    PrintQueue.getShared().pause();
     $('#progress-subtitle').textContent = 'Cancelling...';
   });
 
@@ -7609,8 +9732,9 @@ function init() {
     const element = getSelected();
     if (element && element.type === 'image') {
       const scale = scalePercent / 100;
-      const newWidth = element.naturalWidth * scale;
-      const newHeight = element.naturalHeight * scale;
+      const natural = getImageNaturalSize(element);
+      const newWidth = natural.width * scale;
+      const newHeight = natural.height * scale;
       // Keep centered on current center point
       const cx = element.x + element.width / 2;
       const cy = element.y + element.height / 2;
@@ -7679,11 +9803,12 @@ function init() {
       saveHistory();
       const cx = element.x + element.width / 2;
       const cy = element.y + element.height / 2;
+      const natural = getImageNaturalSize(element);
       modifyElement(element.id, {
-        width: element.naturalWidth,
-        height: element.naturalHeight,
-        x: cx - element.naturalWidth / 2,
-        y: cy - element.naturalHeight / 2,
+        width: natural.width,
+        height: natural.height,
+        x: cx - natural.width / 2,
+        y: cy - natural.height / 2,
       });
       setStatus('Image reset to native size');
     }
@@ -7698,6 +9823,66 @@ function init() {
     }
   });
 
+  // Serpentine scanning checkbox
+  $('#prop-image-serpentine').addEventListener('change', (e) => {
+    const element = getSelected();
+    if (element && element.type === 'image') {
+      saveHistory();
+      modifyElement(element.id, { serpentine: e.target.checked });
+    }
+  });
+
+  // Threshold and gamma sliders, each with a number input
+  const bindDitherSlider = (key, min, max, parse, fallback) => {
+    const slider = $(`#prop-image-${key}`);
+    const input = $(`#prop-image-${key}-input`);
+    let snapshot = null;
+    slider.addEventListener('mousedown', () => {
+      if (state.selectedIds[0]) {
+        snapshot = JSON.parse(JSON.stringify(state.elements));
+      }
+    });
+    slider.addEventListener('input', (e) => {
+      const value = parse(e.target.value);
+      input.value = value;
+      const element = getSelected();
+      if (element && element.type === 'image') {
+        modifyElement(element.id, { [key]: value });
+      }
+    });
+    slider.addEventListener('mouseup', () => {
+      if (snapshot) {
+        const currentState = JSON.stringify(state.elements);
+        if (currentState !== JSON.stringify(snapshot)) {
+          if (state.historyIndex < state.history.length - 1) {
+            state.history = state.history.slice(0, state.historyIndex + 1);
+          }
+          state.history.push(snapshot);
+          if (state.history.length > HISTORY.MAX_SIZE) {
+            state.history.shift();
+          } else {
+            state.historyIndex++;
+          }
+          updateUndoRedoButtons();
+        }
+        snapshot = null;
+      }
+    });
+    trackInputForHistory(`#prop-image-${key}-input`);
+    input.addEventListener('change', (e) => {
+      const parsed = parse(e.target.value);
+      const value = Math.max(min, Math.min(max, isNaN(parsed) ? fallback : parsed));
+      slider.value = value;
+      input.value = value;
+      const element = getSelected();
+      if (element && element.type === 'image') {
+        modifyElement(element.id, { [key]: value });
+      }
+    });
+  };
+  bindDitherSlider('threshold', 0, 255, value => parseInt(value), DEFAULT_THRESHOLD);
+  bindDitherSlider('gamma', IMAGE.MIN_GAMMA, IMAGE.MAX_GAMMA, value => Math.round(parseFloat(value) * 10) / 10, DEFAULT_GAMMA);
+
   // Brightness slider
   let brightnessSnapshot = null;
   $('#prop-image-brightness').addEventListener('mousedown', () => {
@@ -7786,6 +9971,52 @@ function init() {
     }
   });
 
+  // Adjustment stack: add, rotate, edit, reorder and remove steps
+  $('#prop-image-adjust-add').addEventListener('change', (e) => {
+    const element = getSelected();
+    if (element && element.type === 'image' && e.target.value) {
+      setImageAdjustments(element, [...(element.adjustments || []), createAdjustment(e.target.value)]);
+    }
+    e.target.value = '';
+  });
+  $('#prop-image-rotate-left').addEventListener('click', () => {
+    const element = getSelected();
+    if (element && element.type === 'image') {
+      rotateImage(element, -1);
+    }
+  });
+  $('#prop-image-rotate-right').addEventListener('click', () => {
+    const element = getSelected();
+    if (element && element.type === 'image') {
+      rotateImage(element, 1);
+    }
+  });
+  $('#prop-image-adjustments').addEventListener('change', (e) => {
+    const element = getSelected();
+    const row = e.target.closest('[data-index]');
+    if (!element || element.type !== 'image' || !row || !e.target.dataset.key) return;
+    const index = parseInt(row.dataset.index);
+    const step = element.adjustments[index];
+    const field = ADJUSTMENT_TYPES[step.type].fields.find(f => f.key === e.target.dataset.key);
+    const parsed = parseInt(e.target.value);
+    const value = Math.max(field.min, Math.min(field.max, isNaN(parsed) ? ADJUSTMENT_TYPES[step.type].defaults[field.key] : parsed));
+    const adjustments = element.adjustments.map((s, i) => (i === index ? { ...s, [field.key]: value } : s));
+    setImageAdjustments(element, adjustments);
+  });
+  $('#prop-image-adjustments').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    const element = getSelected();
+    if (!button || !element || element.type !== 'image') return;
+    const index = parseInt(button.closest('[data-index]').dataset.index);
+    const adjustments = [...element.adjustments];
+    if (button.dataset.action === 'remove') {
+      adjustments.splice(index, 1);
+    } else if (button.dataset.action === 'up' && index > 0) {
+      [adjustments[index - 1], adjustments[index]] = [adjustments[index], adjustments[index - 1]];
+    }
+    setImageAdjustments(element, adjustments);
+  });
+
   // Properties panel - barcode
   trackInputForHistory('#prop-barcode-data');
   $('#prop-barcode-data').addEventListener('input', (e) => {
@@ -8090,6 +10321,7 @@ function init() {
 
   // Initialize printer model prompt listeners
   initPrinterModelPrompt();
+  initNetworkPrinterDialog();
 
   // Cleanup on page unload
   window.addEventListener('beforeunload', () => {
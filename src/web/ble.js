@@ -6,22 +6,14 @@
  * - Once connected, device is remembered for reconnection
  * - Automatic retry with exponential backoff for reliable connections
  * - Handles timing issues common with BLE GATT connections
+ * - Adaptive chunk size and pacing for print data, with measured throughput
+ * - Optional automatic reconnection: rejoin() reconnects to a printer the site
+ *   was given access to before (getDevices) once it advertises, and with
+ *   autoReconnect on a watchdog reconnects after unexpected GATT disconnects
  */
 
 import { BLE } from './constants.js';
-
-// Printer query commands (format: [0x1F, 0x11, X])
-const QUERY_COMMANDS = {
-  battery: [0x1F, 0x11, 0x08],
-  firmware: [0x1F, 0x11, 0x07],
-  serial: [0x1F, 0x11, 0x09],
-  paper: [0x1F, 0x11, 0x11],
-  cover: [0x1F, 0x11, 0x12],
-  version: [0x1F, 0x11, 0x33],
-  mac: [0x1F, 0x11, 0x20],
-  power: [0x1F, 0x11, 0x0E],
-  label: [0x1F, 0x11, 0x19],
-};
+import { QUERY_COMMANDS, parseStatusResponse } from './status.js';
 
 // Singleton instance
 let sharedInstance = null;
@@ -35,8 +27,15 @@ export class BLETransport {
     this.notifyChar = null;
     this.connected = false;
     this.onDisconnect = null;
+    this.onReconnect = null; // Called when the watchdog is done: onReconnect(connected)
+    this.autoReconnect = false; // Reconnect after unexpected disconnects (see _watchdog)
+    this._reconnecting = null; // AbortController of a running rejoin or watchdog
     this.onPrinterInfo = null; // Callback for printer info updates
+    this._statusListeners = new Set(); // Print status listeners (see addStatusListener)
     this._useWriteWithResponse = false; // Some devices need writeValue instead of writeValueWithoutResponse
+    this._canWriteWithResponse = false; // Characteristic acknowledges writes (usable for flow control)
+    this._flow = null; // Adaptive transfer state for this connection (see sendPaced)
+    this.throughput = null; // Last measured transfer { bytesPerSecond, chunkSize, delay, withResponse }
     this.printerInfo = {
       battery: null,
       paper: null,
@@ -77,6 +76,9 @@ export class BLETransport {
       return true;
     }
 
+    // The user is connecting by hand - a waiting rejoin or watchdog is moot
+    this.stopReconnect();
+
     // Try reconnecting to known device (from this session)
     if (this.device) {
       try {
@@ -229,13 +231,154 @@ export class BLETransport {
     });
   }
 
+  /**
+   * Reconnect to a printer the site was given access to before, without the
+   * device picker. Waits for the printer to advertise (i.e. come into range)
+   * before connecting, so it can be started when the page loads.
+   * Needs navigator.bluetooth.getDevices() (Chrome with the new permissions backend).
+   * @param {string} deviceId - BluetoothDevice.id from an earlier connection
+   * @param {Object} options
+   * @param {number|null} options.timeout - Give up after this many ms (null = wait until stopReconnect)
+   * @returns {Promise<boolean>} Whether the printer is connected
+   */
+  async rejoin(deviceId, { timeout = null } = {}) {
+    if (!BLETransport.isAvailable() || !('getDevices' in navigator.bluetooth)) {
+      return false;
+    }
+    if (this.isConnected()) return true;
+
+    const devices = await navigator.bluetooth.getDevices();
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) {
+      console.log('Remembered printer is no longer permitted');
+      return false;
+    }
+
+    this.stopReconnect();
+    const abort = new AbortController();
+    this._reconnecting = abort;
+    this.device = device;
+    try {
+      console.log('Waiting for', device.name, 'to come into range...');
+      if (!await this._waitForAdvertisement(device, { timeout, signal: abort.signal })) {
+        return false;
+      }
+      await this.retryWithBackoff(
+        () => this.connectGATT(),
+        BLE.MAX_RETRIES,
+        BLE.INITIAL_RETRY_DELAY_MS
+      );
+      return true;
+    } catch (e) {
+      console.log('Rejoin failed:', e.message);
+      return false;
+    } finally {
+      if (this._reconnecting === abort) this._reconnecting = null;
+      if (!this.isConnected() && this.device === device) this.device = null;
+    }
+  }
+
+  /**
+   * Stop a running rejoin or watchdog
+   */
+  stopReconnect() {
+    if (this._reconnecting) {
+      this._reconnecting.abort();
+      this._reconnecting = null;
+    }
+  }
+
+  /**
+   * Whether a rejoin or watchdog is waiting for the printer
+   */
+  isReconnecting() {
+    return this._reconnecting !== null;
+  }
+
+  /**
+   * Reconnect after an unexpected disconnect, waiting for the printer to
+   * advertise between attempts (it may have been switched off or out of range)
+   * @param {BluetoothDevice} device - The device that disconnected
+   */
+  async _watchdog(device) {
+    this.stopReconnect();
+    const abort = new AbortController();
+    this._reconnecting = abort;
+
+    try {
+      for (let attempt = 1; attempt <= BLE.RECONNECT_ATTEMPTS; attempt++) {
+        if (abort.signal.aborted || this.device !== device) return;
+        console.log(`Reconnecting to ${device.name} (attempt ${attempt}/${BLE.RECONNECT_ATTEMPTS})...`);
+        try {
+          if (await this._waitForAdvertisement(device, { timeout: BLE.RECONNECT_SCAN_MS, signal: abort.signal })) {
+            await this.connectGATT();
+            console.log('Reconnected to', device.name);
+            if (this.onReconnect) this.onReconnect(true);
+            return;
+          }
+        } catch (e) {
+          console.log('Reconnect attempt failed:', e.message);
+        }
+        await this.delay(Math.min(BLE.RECONNECT_MAX_DELAY_MS, BLE.INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt)));
+      }
+      if (abort.signal.aborted || this.device !== device) return;
+      console.log('Giving up reconnecting to', device.name);
+      if (this.onReconnect) this.onReconnect(false);
+    } finally {
+      if (this._reconnecting === abort) this._reconnecting = null;
+    }
+  }
+
+  /**
+   * Wait until a device advertises
+   * @param {BluetoothDevice} device
+   * @param {Object} options
+   * @param {number|null} options.timeout - ms, null = no limit
+   * @param {AbortSignal} options.signal - Stops waiting
+   * @returns {Promise<boolean>} True when an advertisement arrived (or the browser
+   *   can't watch advertisements, so connecting is worth a try), false on timeout or abort
+   */
+  _waitForAdvertisement(device, { timeout = null, signal } = {}) {
+    if (!device.watchAdvertisements) return Promise.resolve(!signal?.aborted);
+
+    return new Promise((resolve) => {
+      const watch = new AbortController();
+      let timeoutId = null;
+      const finish = (result) => {
+        clearTimeout(timeoutId);
+        device.removeEventListener('advertisementreceived', onAdvertisement);
+        signal?.removeEventListener('abort', onAbort);
+        watch.abort();
+        resolve(result);
+      };
+      const onAdvertisement = () => finish(true);
+      const onAbort = () => finish(false);
+
+      if (signal?.aborted) {
+        resolve(false);
+        return;
+      }
+      signal?.addEventListener('abort', onAbort);
+      device.addEventListener('advertisementreceived', onAdvertisement);
+      if (timeout !== null) {
+        timeoutId = setTimeout(() => finish(false), timeout);
+      }
+      device.watchAdvertisements({ signal: watch.signal }).catch((e) => {
+        // Watching isn't possible right now (e.g. Bluetooth off) - try connecting anyway
+        console.log('watchAdvertisements failed:', e.message);
+        finish(true);
+      });
+    });
+  }
+
   /**
    * Connect to GATT server and get characteristics
    */
   async connectGATT() {
     // Setup disconnect handler (only once per device)
     if (!this.device._hasDisconnectHandler) {
-      this.device.addEventListener('gattserverdisconnected', () => {
+      const device = this.device;
+      device.addEventListener('gattserverdisconnected', () => {
         console.log('Disconnected');
         this.connected = false;
         this.server = null;
@@ -247,6 +390,12 @@ export class BLETransport {
         }
         this.notifyChar = null;
         this._notificationHandler = null;
+
+        // disconnect() lets go of the device first, so this was unexpected.
+        // Started before onDisconnect so it can check isReconnecting().
+        if (this.autoReconnect && this.device === device) {
+          this._watchdog(device);
+        }
         if (this.onDisconnect) this.onDisconnect();
       });
       this.device._hasDisconnectHandler = true;
@@ -304,6 +453,9 @@ export class BLETransport {
     if (this._useWriteWithResponse) {
       console.log('Device requires writeValue (with response)');
     }
+    this._canWriteWithResponse = !!props.write;
+    this._flow = null;
+    this.throughput = null;
 
     try {
       this.notifyChar = await this.service.getCharacteristic(BLE.NOTIFY_CHAR_UUID);
@@ -339,11 +491,14 @@ export class BLETransport {
         // Ignore errors during cleanup (device may already be disconnected)
       }
     }
-    if (this.device && this.device.gatt?.connected) {
-      this.device.gatt.disconnect();
+    this.stopReconnect();
+    // Let go of the device before disconnecting, so the watchdog stays quiet
+    const device = this.device;
+    this.device = null;
+    if (device && device.gatt?.connected) {
+      device.gatt.disconnect();
     }
     this.connected = false;
-    this.device = null;
     this.server = null;
     this.service = null;
     this.writeChar = null;
@@ -436,6 +591,90 @@ export class BLETransport {
     }
   }
 
+  /**
+   * Send a print payload with adaptive chunk size and pacing
+   *
+   * Web Bluetooth exposes neither the negotiated MTU nor any credit count, so
+   * the usable chunk size is found by probing. When the characteristic
+   * acknowledges writes, chunks start at the largest candidate size and step
+   * down whenever a write is rejected. Otherwise the protocol's chunk size is
+   * used, and a failed write halves the chunk and doubles the delay. The
+   * protocol's delay is kept between chunks either way: an ack only means the
+   * Bluetooth stack took the packet, not that the printer's buffer has room,
+   * and an overrun prints garbled rather than failing the write. Settled
+   * values are kept for the rest of the connection.
+   *
+   * @param {Uint8Array} data - Payload to send
+   * @param {Object} pacing - Protocol defaults { chunkSize, delay }
+   * @param {Function} onChunk - Called with the number of bytes sent so far
+   */
+  async sendPaced(data, { chunkSize, delay = 0 }, onChunk = null) {
+    if (!this.isConnected()) {
+      throw new Error('Not connected');
+    }
+
+    if (!this._flow) {
+      this._flow = this._canWriteWithResponse
+        ? { chunkSize: BLE.CHUNK_SIZE_CANDIDATES[0], delay, withResponse: true }
+        : { chunkSize, delay, withResponse: false };
+    }
+    const flow = this._flow;
+    console.log(`Sending data (${flow.chunkSize}-byte chunks, ${flow.delay}ms delay${flow.withResponse ? ', with response' : ''})...`);
+
+    const started = performance.now();
+    let offset = 0;
+    let failures = 0;
+
+    while (offset < data.length) {
+      const chunk = data.slice(offset, Math.min(offset + flow.chunkSize, data.length));
+      try {
+        if (flow.withResponse) {
+          await this.writeChar.writeValue(chunk.buffer);
+        } else {
+          await this.writeChar.writeValueWithoutResponse(chunk.buffer);
+        }
+      } catch (e) {
+        failures++;
+        if (!this.isConnected() || failures > BLE.MAX_WRITE_FAILURES) {
+          throw e;
+        }
+        console.warn(`Write of ${chunk.length} bytes failed (${e.message}), backing off`);
+        this._backOff(flow);
+        await this.delay(Math.max(flow.delay, BLE.CHUNK_DELAY_MS));
+        continue; // Resend the same bytes with the new settings
+      }
+
+      failures = 0;
+      offset += chunk.length;
+      if (flow.delay) {
+        await this.delay(flow.delay);
+      }
+
+      const elapsed = (performance.now() - started) / 1000;
+      this.throughput = {
+        bytesPerSecond: elapsed > 0 ? Math.round(offset / elapsed) : 0,
+        chunkSize: flow.chunkSize,
+        delay: flow.delay,
+        withResponse: flow.withResponse,
+      };
+      if (onChunk) onChunk(offset);
+    }
+  }
+
+  /**
+   * Make the transfer more conservative after a failed write
+   * @param {Object} flow - Transfer state, updated in place
+   */
+  _backOff(flow) {
+    const smaller = BLE.CHUNK_SIZE_CANDIDATES.find(size => size < flow.chunkSize);
+    if (smaller) {
+      flow.chunkSize = smaller;
+    } else {
+      flow.chunkSize = Math.max(BLE.MIN_CHUNK_SIZE, Math.floor(flow.chunkSize / 2));
+      flow.delay = Math.min(BLE.MAX_CHUNK_DELAY_MS, Math.max(BLE.CHUNK_DELAY_MS, flow.delay * 2));
+    }
+  }
+
   /**
    * Delay helper
    */
@@ -484,151 +723,54 @@ export class BLETransport {
     return this.device?.name || 'Unknown';
   }
 
+  /**
+   * Get device id (stable per site, for rejoin)
+   */
+  getDeviceId() {
+    return this.device?.id || null;
+  }
+
   /**
    * Handle notification data from printer
-   * Response format: 0x1A, type, data...
+   * Response format: 0x1A, type, data... (see status.js)
    */
   handleNotification(event) {
     const data = new Uint8Array(event.target.value.buffer);
     console.log('[BLE <<<]', Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' '));
 
-    if (data.length < 2) return;
+    const response = parseStatusResponse(data);
+    if (!response) return;
 
-    // Handle special result/printer type responses (2-3 bytes)
-    if (data.length === 2 && data[0] === 0x01) {
-      console.log('Result:', data[1]);
-      return;
+    const { field, value } = response;
+    if (field in this.printerInfo) {
+      this.printerInfo[field] = value;
     }
-    if (data.length === 3 && data[0] === 0x02) {
-      console.log('Printer type:', data[1]);
-      return;
-    }
-
-    // Standard response format: 0x1A, type, data...
-    if (data[0] !== 0x1A) return;
-    if (data.length < 3) return; // Need at least 3 bytes for type + value
-
-    const type = data[1];
-    let value = null;
-    let field = null;
-
-    switch (type) {
-      case 0x03: // Hot/heating status
-        if (data[2] === 0xA9) value = -1;
-        else if (data[2] === 0xA8) value = 0;
-        else value = 1;
-        field = 'hot';
-        break;
-
-      case 0x04: // Battery
-        if (data[2] === 0xA4) value = 0;
-        else if (data[2] === 0xA3) value = 3;
-        else if (data[2] === 0xA2) value = 5;
-        else if (data[2] === 0xA1) value = 10;
-        else value = data[2];
-        field = 'battery';
-        this.printerInfo.battery = value;
-        break;
-
-      case 0x05: // Cover
-        value = data[2] === 0x98 ? 'open' : (data[2] === 0x99 ? 'closed' : 'unknown');
-        field = 'cover';
-        this.printerInfo.cover = value;
-        break;
-
-      case 0x06: // Paper
-        value = data[2] === 0x88 ? 'out' : 'ok';
-        field = 'paper';
-        this.printerInfo.paper = value;
-        break;
-
-      case 0x07: // Firmware
-        value = this.data2dots(data, 2);
-        field = 'firmware';
-        this.printerInfo.firmware = value;
-        break;
-
-      case 0x08: // Serial
-        value = this.data2string(data, 2);
-        field = 'serial';
-        this.printerInfo.serial = value;
-        break;
-
-      case 0x09: // Power
-        value = data[2];
-        field = 'power';
-        this.printerInfo.power = value;
-        break;
-
-      case 0x0B: // Print status
-        value = data[2] === 0xB8 ? -1 : data[2];
-        field = 'print';
-        break;
-
-      case 0x0C: // Label
-        if (data[2] === 0x0B) value = 0;
-        else if (data[2] === 0x26) value = 3;
-        else value = 2;
-        field = 'label';
-        this.printerInfo.label = value;
-        break;
-
-      case 0x0D: // MAC
-        value = this.data2string(data, 2);
-        field = 'mac';
-        this.printerInfo.mac = value;
-        break;
-
-      case 0x0F: // Print status alt
-        value = data[2] === 0x0C ? 1 : data[2];
-        field = 'print';
-        break;
-
-      case 0x11: // Version
-        value = this.data2dots(data, 2);
-        field = 'version';
-        this.printerInfo.version = value;
-        break;
-
-      case 0x17: // Chip
-        value = data[2];
-        field = 'chip';
-        break;
-
-      default:
-        console.log('Unknown response type:', type.toString(16));
-        return;
-    }
-
-    console.log(`Printer ${field}:`, value);
 
     // Notify callback if set
     if (this.onPrinterInfo) {
       this.onPrinterInfo(field, value, this.printerInfo);
     }
+
+    for (const listener of this._statusListeners) {
+      listener(field, value);
+    }
   }
 
   /**
-   * Convert data bytes to dot-separated string (for firmware/version)
+   * Subscribe to status notifications (paper, cover, hot, print...)
+   * Used by print() to wait for completion and abort on printer errors
+   * @param {Function} listener - Called with (field, value)
    */
-  data2dots(data, start) {
-    let str = '';
-    for (let i = start; i < data.length; i++) {
-      str += data[i];
-      if (i < data.length - 1) str += '.';
-    }
-    return str;
+  addStatusListener(listener) {
+    this._statusListeners.add(listener);
   }
 
   /**
-   * Convert data bytes to ASCII string
+   * Unsubscribe from status notifications
+   * @param {Function} listener - Listener passed to addStatusListener
    */
-  data2string(data, start) {
-    let str = '';
-    for (let i = start; i < data.length; i++) {
-      str += String.fromCharCode(data[i]);
-    }
-    return str;
+  removeStatusListener(listener) {
+    this._statusListeners.delete(listener);
   }
 
   /**
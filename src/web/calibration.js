@@ -0,0 +1,505 @@
+/**
+ * Printer calibration and density tests for Phomymo
+ *
+ * The calibration wizard prints a test page - millimetre rulers along the top
+ * and left edges, a crosshair at the centre and a border at the print area's
+ * edges - optionally followed by the density test. The user reports which
+ * ruler marks are visible, where the crosshair landed and which strip looks
+ * best; computeCalibration turns that into print width, offsets and density
+ * for the printer definition.
+ *
+ * The density test prints one labelled strip per density level, each a normal
+ * print through the printer's protocol, so every printer family gets its own
+ * density commands, print width and rotation. Strips can carry a gray ramp and
+ * fine lines for choosing dither settings per media.
+ *
+ * The tone chart measures a tone profile (see tone.js) for a printer and
+ * media. Each row's patches are captioned with the value to enter:
+ * - Gain: a coarse 50% bar pattern (which hardly spreads) followed by 50% gray
+ *   dithered with increasing dot gain compensation; the patch that matches
+ *   the bars is the dot gain.
+ * - Black: dark grays; the lightest patch that prints solid black is the black point.
+ * - White: light grays; the darkest patch whose dots should not print is the white point.
+ */
+
+// Same specifier as app.js: one shared copy of printer.js, with the definitions app.js loaded
+import { print, getPrinterWidthBytes, getPrinterDpi, getPrinterCalibration, isRotatedPrinter } from './printer.js?v=140';
+import { applyToneCurve, ditherGrayscale } from './dither.js';
+
+// Density levels in the density test
+export const DENSITY_LEVELS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Patches of the tone chart: dot gain (%) and gray values (0 = black, 255 = white)
+export const TONE_CHART_STEPS = {
+  dotGain: [0, 5, 10, 15, 20, 25, 30, 35],
+  blackPoint: [0, 8, 16, 24, 32, 48, 64],
+  whitePoint: [255, 250, 245, 240, 235, 230, 220],
+};
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Dots per millimetre for a DPI
+ */
+function dotsPerMm(dpi) {
+  return dpi / MM_PER_INCH;
+}
+
+// =============================================================================
+// TEST PAGES
+// =============================================================================
+
+/**
+ * Build the ruler/crosshair test page
+ * @param {Object} options
+ * @param {number} options.widthBytes - Print width in bytes
+ * @param {number} options.heightLines - Label height in dots
+ * @param {number} options.dpi - Printer resolution
+ * @returns {Object} { data, widthBytes, heightLines } (1 = black)
+ */
+export function buildTestPage({ widthBytes, heightLines, dpi }) {
+  const width = widthBytes * 8;
+  const mm = dotsPerMm(dpi);
+  const { canvas, ctx } = createCanvas(width, heightLines);
+  const line = Math.max(1, Math.round(mm / 4));
+
+  // Border at the edges of the print area
+  ctx.lineWidth = 1;
+  ctx.strokeRect(0.5, 0.5, width - 1, heightLines - 1);
+
+  // Rulers: ticks every mm, longer every 5 mm, numbered every 10 mm
+  ctx.font = `bold ${Math.round(mm * 2.5)}px sans-serif`;
+  ctx.textBaseline = 'top';
+  for (let i = 0; i * mm < width; i++) {
+    const x = Math.round(i * mm);
+    const length = Math.round(mm * (i % 10 === 0 ? 4 : i % 5 === 0 ? 2.5 : 1.5));
+    ctx.fillRect(x, 0, 1, length);
+    if (i % 10 === 0 && i > 0) {
+      ctx.textAlign = 'center';
+      ctx.fillText(String(i), x, length + 1);
+    }
+  }
+  for (let i = 0; i * mm < heightLines; i++) {
+    const y = Math.round(i * mm);
+    const length = Math.round(mm * (i % 10 === 0 ? 4 : i % 5 === 0 ? 2.5 : 1.5));
+    ctx.fillRect(0, y, length, 1);
+    if (i % 10 === 0 && i > 0) {
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(i), length + 2, y);
+      ctx.textBaseline = 'top';
+    }
+  }
+
+  // Crosshair with a 3 mm circle at the centre
+  const cx = Math.round(width / 2);
+  const cy = Math.round(heightLines / 2);
+  const arm = Math.round(mm * 6);
+  ctx.fillRect(cx - arm, cy - Math.floor(line / 2), arm * 2, line);
+  ctx.fillRect(cx - Math.floor(line / 2), cy - arm, line, arm * 2);
+  ctx.lineWidth = line;
+  ctx.beginPath();
+  ctx.arc(cx, cy, mm * 3, 0, Math.PI * 2);
+  ctx.stroke();
+
+  // Print width, so the page says what it was printed with
+  ctx.font = `${Math.round(mm * 2)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(`${(width / mm).toFixed(1)} mm / ${width} dots`, cx, heightLines - Math.round(mm));
+
+  return canvasToRaster(canvas, widthBytes);
+}
+
+/**
+ * Build one density test strip: the level number, a solid block and,
+ * optionally, a gray ramp and fine-line patches
+ * @param {Object} options
+ * @param {number} options.widthBytes - Strip width in bytes
+ * @param {number} options.heightLines - Strip height in dots
+ * @param {number} options.dpi - Printer resolution
+ * @param {number} options.level - Density level printed in this strip
+ * @param {boolean} options.grayRamp - Add 20-100% gray steps (ordered dither, default true)
+ * @param {boolean} options.fineLines - Add 1-dot lines at 2-4 dot pitch (default true)
+ * @returns {Object} { data, widthBytes, heightLines } (1 = black)
+ */
+export function buildDensityStrip({ widthBytes, heightLines, dpi, level, grayRamp = true, fineLines = true }) {
+  const width = widthBytes * 8;
+  const mm = dotsPerMm(dpi);
+  const margin = Math.max(2, Math.round(mm));
+  const height = heightLines - margin * 2;
+
+  // The level number is the only thing drawn as text
+  const { canvas, ctx } = createCanvas(width, heightLines);
+  const labelWidth = Math.round(Math.min(width / 4, mm * 10));
+  ctx.font = `bold ${Math.round(Math.min(height, labelWidth / 1.4))}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(level), labelWidth / 2, heightLines / 2);
+  const raster = canvasToRaster(canvas, widthBytes);
+
+  // Patches share the rest of the strip equally
+  const patches = [fillSolid];
+  if (grayRamp) patches.push(fillGrayRamp);
+  if (fineLines) patches.push(fillVerticalLines, fillHorizontalLines);
+  const patchWidth = Math.floor((width - labelWidth) / patches.length);
+  patches.forEach((fill, i) => {
+    fill(raster, { x: labelWidth + i * patchWidth, y: margin, width: patchWidth - margin, height });
+  });
+
+  return raster;
+}
+
+/**
+ * Print a density test: one strip per density level, each sent through the
+ * printer's protocol (its own density commands, width and rotation)
+ *
+ * @param {Object} transport - BLE, USB or loopback transport
+ * @param {Object} options
+ * @param {boolean} options.isBLE - Whether using BLE transport
+ * @param {string} options.deviceName - Device name for protocol detection
+ * @param {string} options.printerModel - Manual model override
+ * @param {Object} options.labelMm - Label size { width, height } as designed; each strip is one label
+ * @param {number} options.feed - Feed after each strip in dots
+ * @param {boolean} options.grayRamp - Add a gray ramp to each strip
+ * @param {boolean} options.fineLines - Add fine-line patches to each strip
+ * @param {Function} options.onProgress - Progress callback (percent)
+ */
+export async function printDensityTest(transport, options = {}) {
+  const { isBLE = false, deviceName = '', printerModel = 'auto', labelMm = { width: 40, height: 12 }, feed = 32, grayRamp = true, fineLines = true, onProgress = null } = options;
+  const dpi = getPrinterDpi(deviceName, printerModel);
+  const mm = dotsPerMm(dpi);
+
+  // Strips are shaped like the app's own rasters: full print width on normal
+  // printers, the label itself on rotated ones (D-series, tape)
+  const widthBytes = isRotatedPrinter(deviceName, printerModel)
+    ? Math.ceil(labelMm.width * mm / 8)
+    : getPrinterWidthBytes(deviceName, printerModel);
+  const heightLines = Math.round(labelMm.height * mm);
+
+  for (let i = 0; i < DENSITY_LEVELS.length; i++) {
+    const level = DENSITY_LEVELS[i];
+    await print(transport, buildDensityStrip({ widthBytes, heightLines, dpi, level, grayRamp, fineLines }), {
+      isBLE,
+      deviceName,
+      printerModel,
+      density: level,
+      feed,
+      onProgress: onProgress && (percent => onProgress(Math.round((i * 100 + percent) / DENSITY_LEVELS.length))),
+    });
+  }
+}
+
+/**
+ * Build the tone chart: rows of captioned patches for measuring dot gain,
+ * black point and white point
+ * @param {Object} options
+ * @param {number} options.widthBytes - Chart width in bytes
+ * @param {number} options.heightLines - Chart height in dots
+ * @param {number} options.dpi - Printer resolution
+ * @param {string} options.ditherMode - Dithering the patches are printed with (default 'floyd-steinberg')
+ * @returns {Object} { data, widthBytes, heightLines } (1 = black)
+ */
+export function buildToneChart({ widthBytes, heightLines, dpi, ditherMode = 'floyd-steinberg' }) {
+  const width = widthBytes * 8;
+  const mm = dotsPerMm(dpi);
+  const margin = Math.max(2, Math.round(mm));
+  const titleWidth = Math.round(Math.min(width / 6, mm * 8));
+  const columns = TONE_CHART_STEPS.dotGain.length + 1; // Gain row has the reference first
+  const columnWidth = Math.floor((width - titleWidth - margin) / columns);
+  const rowHeight = Math.floor((heightLines - margin * 2) / 3);
+  const captionHeight = Math.round(Math.min(mm * 2, columnWidth / 2));
+  const gap = Math.max(1, Math.round(mm / 4));
+  const patchHeight = rowHeight - captionHeight - gap * 2;
+
+  const rows = [
+    { title: 'Gain', patches: TONE_CHART_STEPS.dotGain.map(dotGain => ({ caption: dotGain, gray: 127.5, tone: { dotGain } })) },
+    { title: 'Black', patches: TONE_CHART_STEPS.blackPoint.map(gray => ({ caption: gray, gray })) },
+    { title: 'White', patches: TONE_CHART_STEPS.whitePoint.map(gray => ({ caption: gray, gray })) },
+  ];
+  rows[0].patches.unshift({ caption: 'ref', reference: true });
+
+  // Titles and captions are drawn as text
+  const { canvas, ctx } = createCanvas(width, heightLines);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  rows.forEach((row, r) => {
+    const top = margin + r * rowHeight;
+    ctx.font = `bold ${Math.round(Math.min(rowHeight / 3, titleWidth / 3))}px sans-serif`;
+    ctx.fillText(row.title, titleWidth / 2, top + rowHeight / 2);
+    ctx.font = `${captionHeight}px sans-serif`;
+    row.patches.forEach((patch, c) => {
+      ctx.fillText(String(patch.caption), titleWidth + c * columnWidth + columnWidth / 2, top + captionHeight / 2);
+    });
+  });
+  const raster = canvasToRaster(canvas, widthBytes);
+
+  rows.forEach((row, r) => {
+    const y = margin + r * rowHeight + captionHeight + gap;
+    row.patches.forEach((patch, c) => {
+      const area = { x: titleWidth + c * columnWidth, y, width: columnWidth - gap, height: patchHeight };
+      if (patch.reference) {
+        fillBars(raster, area, Math.max(2, Math.round(mm / 2)));
+      } else {
+        fillGray(raster, area, patch.gray, patch.tone, ditherMode);
+      }
+    });
+  });
+
+  return raster;
+}
+
+/**
+ * Print the tone chart on a printer, as one label through its protocol
+ *
+ * @param {Object} transport - BLE, USB or loopback transport
+ * @param {Object} options
+ * @param {boolean} options.isBLE - Whether using BLE transport
+ * @param {string} options.deviceName - Device name for protocol detection
+ * @param {string} options.printerModel - Manual model override
+ * @param {Object} options.labelMm - Label size { width, height } as designed
+ * @param {number} options.density - Density to measure at (the one labels print with)
+ * @param {number} options.feed - Feed after the chart in dots
+ * @param {string} options.ditherMode - Dithering the patches are printed with
+ * @param {Function} options.onProgress - Progress callback (percent)
+ */
+export async function printToneChart(transport, options = {}) {
+  const { isBLE = false, deviceName = '', printerModel = 'auto', labelMm = { width: 40, height: 30 }, density = 6, feed = 32, ditherMode = 'floyd-steinberg', onProgress = null } = options;
+  const dpi = getPrinterDpi(deviceName, printerModel);
+  const mm = dotsPerMm(dpi);
+
+  // Shaped like the app's own rasters (see printDensityTest)
+  const widthBytes = isRotatedPrinter(deviceName, printerModel)
+    ? Math.ceil(labelMm.width * mm / 8)
+    : getPrinterWidthBytes(deviceName, printerModel);
+  const heightLines = Math.round(labelMm.height * mm);
+
+  await print(transport, buildToneChart({ widthBytes, heightLines, dpi, ditherMode }), {
+    isBLE,
+    deviceName,
+    printerModel,
+    density,
+    feed,
+    onProgress,
+  });
+}
+
+/**
+ * Print the calibration test page (and the density ladder) on a printer
+ *
+ * @param {Object} transport - BLE, USB or loopback transport
+ * @param {Object} options
+ * @param {boolean} options.isBLE - Whether using BLE transport
+ * @param {string} options.deviceName - Device name for protocol detection
+ * @param {string} options.printerModel - Manual model override
+ * @param {Object} options.labelMm - Label size { width, height } as designed
+ * @param {number} options.density - Density for the test page
+ * @param {number} options.feed - Feed after each label in dots
+ * @param {boolean} options.densityLadder - Also print one strip per density level
+ * @param {Function} options.onProgress - Progress callback (percent)
+ */
+export async function printCalibrationPage(transport, options = {}) {
+  const { isBLE = false, deviceName = '', printerModel = 'auto', labelMm = { width: 40, height: 30 }, density = 6, feed = 32, densityLadder = true, onProgress = null } = options;
+  if (isRotatedPrinter(deviceName, printerModel)) {
+    throw new Error('Calibration is not available for rotated printers (D-series, tape)');
+  }
+
+  const widthBytes = getPrinterWidthBytes(deviceName, printerModel);
+  const dpi = getPrinterDpi(deviceName, printerModel);
+  const heightLines = Math.round(labelMm.height * dotsPerMm(dpi));
+  const share = densityLadder ? 2 : 1;
+  await print(transport, buildTestPage({ widthBytes, heightLines, dpi }), {
+    isBLE,
+    deviceName,
+    printerModel,
+    density,
+    feed,
+    onProgress: onProgress && (percent => onProgress(Math.round(percent / share))),
+  });
+
+  if (densityLadder) {
+    await printDensityTest(transport, {
+      isBLE,
+      deviceName,
+      printerModel,
+      labelMm,
+      feed,
+      onProgress: onProgress && (percent => onProgress(50 + Math.round(percent / 2))),
+    });
+  }
+}
+
+// =============================================================================
+// RESULTS
+// =============================================================================
+
+/**
+ * Turn the user's observations of the test page into printer settings
+ *
+ * @param {Object} printer - { widthBytes, dpi, offsetX, offsetY } the page was printed with
+ * @param {Object} answers
+ * @param {number} answers.leftMm - First fully visible mark of the top ruler
+ * @param {number} answers.rightMm - Last fully visible mark of the top ruler
+ * @param {number} answers.crosshairXMm - How far the crosshair is right of the label centre (- = left)
+ * @param {number} answers.crosshairYMm - How far the crosshair is below the label centre (- = above)
+ * @param {number} answers.density - Best looking density strip (optional)
+ * @returns {Object} { widthBytes, offsetX, offsetY, density } for the printer definition
+ */
+export function computeCalibration(printer, answers) {
+  const { widthBytes, dpi, offsetX = 0, offsetY = 0 } = printer;
+  const mm = dotsPerMm(dpi);
+  const { leftMm = 0, rightMm = null, crosshairXMm = 0, crosshairYMm = 0, density = null } = answers;
+
+  // Only narrow the width if marks were actually cut off
+  const lastMark = Math.floor(widthBytes * 8 / mm);
+  let width = widthBytes;
+  if (rightMm !== null && (leftMm > 0 || rightMm < lastMark)) {
+    width = Math.max(1, Math.floor((rightMm - leftMm) * mm / 8));
+  }
+
+  return {
+    widthBytes: width,
+    offsetX: offsetX - Math.round(crosshairXMm * mm),
+    offsetY: offsetY - Math.round(crosshairYMm * mm),
+    density: DENSITY_LEVELS.includes(density) ? density : null,
+  };
+}
+
+/**
+ * Get what a device's test page would be printed with
+ * @returns {Object} { widthBytes, dpi, offsetX, offsetY, widthMm }
+ */
+export function getCalibrationBasis(deviceName, printerModel = 'auto') {
+  const widthBytes = getPrinterWidthBytes(deviceName, printerModel);
+  const dpi = getPrinterDpi(deviceName, printerModel);
+  const { offsetX, offsetY } = getPrinterCalibration(deviceName, printerModel);
+  return { widthBytes, dpi, offsetX, offsetY, widthMm: Math.floor(widthBytes * 8 / dotsPerMm(dpi)) };
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Create a white canvas drawn in black
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#000';
+  ctx.strokeStyle = '#000';
+  return { canvas, ctx };
+}
+
+/**
+ * Threshold a canvas into a packed raster (1 = black)
+ */
+function canvasToRaster(canvas, widthBytes) {
+  const { width, height } = canvas;
+  const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const data = new Uint8Array(widthBytes * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[(y * width + x) * 4] < 128) {
+        data[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return { data, widthBytes, heightLines: height };
+}
+
+// 4x4 Bayer matrix (thresholds 0-15) for the gray ramp
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+/**
+ * Set one dot of a packed raster
+ */
+function setDot(raster, x, y) {
+  raster.data[y * raster.widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+}
+
+/**
+ * Fill a patch solid black
+ */
+function fillSolid(raster, { x, y, width, height }) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) setDot(raster, col, row);
+  }
+}
+
+/**
+ * Fill a patch with five gray steps, 20% to 100% black
+ */
+function fillGrayRamp(raster, { x, y, width, height }) {
+  const steps = 5;
+  const step = Math.floor(width / steps);
+  for (let s = 0; s < steps; s++) {
+    const level = (s + 1) * 16 / steps; // Dots with a lower Bayer threshold are black
+    for (let row = y; row < y + height; row++) {
+      for (let col = x + s * step; col < x + (s + 1) * step; col++) {
+        if (BAYER_4[row & 3][col & 3] < level) setDot(raster, col, row);
+      }
+    }
+  }
+}
+
+/**
+ * Fill a patch with a flat gray, dithered the way labels print
+ * @param {Object} raster - Raster to draw into
+ * @param {Object} area - { x, y, width, height }
+ * @param {number} gray - Gray value 0-255
+ * @param {Object|null} tone - Tone profile to apply first
+ * @param {string} ditherMode - Dithering algorithm
+ */
+function fillGray(raster, { x, y, width, height }, gray, tone, ditherMode) {
+  const grayscale = applyToneCurve(new Float32Array(width * height).fill(gray), tone);
+  const dithered = ditherGrayscale(grayscale, width, height, ditherMode);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (dithered[row * width + col]) setDot(raster, x + col, y + row);
+    }
+  }
+}
+
+/**
+ * Fill a patch with 50% vertical bars of a given width
+ */
+function fillBars(raster, { x, y, width, height }, barWidth) {
+  for (let col = x; col < x + width; col++) {
+    if (Math.floor((col - x) / barWidth) % 2 === 1) continue;
+    for (let row = y; row < y + height; row++) setDot(raster, col, row);
+  }
+}
+
+/**
+ * Fill a patch with 1-dot vertical lines, at 2, 3 and 4 dot pitch
+ */
+function fillVerticalLines(raster, { x, y, width, height }) {
+  const third = Math.floor(width / 3);
+  for (let p = 0; p < 3; p++) {
+    for (let col = x + p * third; col < x + (p + 1) * third - 1; col += p + 2) {
+      for (let row = y; row < y + height; row++) setDot(raster, col, row);
+    }
+  }
+}
+
+/**
+ * Fill a patch with 1-dot horizontal lines, at 2, 3 and 4 dot pitch
+ */
+function fillHorizontalLines(raster, { x, y, width, height }) {
+  const third = Math.floor(width / 3);
+  for (let p = 0; p < 3; p++) {
+    for (let row = y; row < y + height; row += p + 2) {
+      for (let col = x + p * third; col < x + (p + 1) * third - 1; col++) setDot(raster, col, row);
+    }
+  }
+}
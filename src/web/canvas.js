@@ -3,12 +3,18 @@
  * Supports multi-element rendering with transforms
  */
 
-import { drawHandles, drawGroupHandles } from './handles.js?v=5';
+import { drawHandles, drawGroupHandles } from './handles.js?v=6';
 import { logError, ErrorLevel } from './utils/errors.js';
+import { pixelsToRaster } from './dither.js';
+import { RasterPipeline, ditherImage } from './raster.js';
+import { applyAdjustments, adjustmentsKey } from './adjustments.js';
 
 // Pixels per mm (203 DPI ≈ 8 px/mm)
 const PX_PER_MM = 8;
 
+// Resolution of the design coordinates; prints at other DPIs scale from it
+const BASE_DPI = 203;
+
 // Default printer width in bytes (72 bytes = 576 pixels for M260)
 // M110/M200 use 48 bytes (384 pixels)
 const DEFAULT_PRINTER_WIDTH_BYTES = 72;
@@ -50,8 +56,15 @@ export class CanvasRenderer {
     // Zoom level for high-resolution rendering
     this.zoom = 1;
 
+    // Printer dots per design pixel while rendering for print (null on screen)
+    this.printScale = null;
+    // Element ID -> image dithered for print, while rendering for print
+    this.printImages = null;
+
     // Image cache for elements
     this.imageCache = new Map();
+    // Images with their adjustment stack applied (element id -> { img, key, canvas })
+    this.adjustedImageCache = new Map();
     // Track images currently loading to prevent race conditions
     this.loadingImages = new Set();
 
@@ -76,6 +89,12 @@ export class CanvasRenderer {
     this.ditherPreview = false;
     // Cache for dithered preview canvases
     this.ditherPreviewCache = new Map();
+    // Previews being dithered in the raster worker (key -> generation), and a
+    // counter that discards results from before the cache was last cleared
+    this.ditherPreviewPending = new Map();
+    this.ditherPreviewGeneration = 0;
+    // Tone profile of the printer and media, for dither previews (see tone.js)
+    this.toneProfile = null;
   }
 
   /**
@@ -143,7 +162,18 @@ export class CanvasRenderer {
       this.ditherPreview = enabled;
       // Clear cache when toggling to force regeneration
       this.ditherPreviewCache.clear();
-      this.fullLabelPreviewCache = null;
+      this.ditherPreviewGeneration++;
+    }
+  }
+
+  /**
+   * Set the tone profile dither previews are made with
+   * @param {Object|null} tone - Tone profile (null = none)
+   */
+  setToneProfile(tone) {
+    if (JSON.stringify(this.toneProfile) !== JSON.stringify(tone)) {
+      this.toneProfile = tone;
+      this.clearDitherPreviewCache();
     }
   }
 
@@ -162,170 +192,83 @@ export class CanvasRenderer {
     } else {
       this.ditherPreviewCache.clear();
     }
-    // Also invalidate full label preview
-    this.fullLabelPreviewCache = null;
-  }
-
-  /**
-   * Invalidate full label preview cache (call when any element changes)
-   */
-  invalidateFullLabelPreview() {
-    this.fullLabelPreviewCache = null;
+    this.ditherPreviewGeneration++;
   }
 
   /**
-   * Generate full-label dithered preview
-   * Renders all elements at print resolution and applies dithering
-   * @param {Array} elements - All elements to render
-   * @param {string} ditherMode - Dithering algorithm to use
-   * @returns {HTMLCanvasElement} Canvas with dithered preview at print resolution
+   * Get the dithered preview of an image element
+   * Generates at actual print resolution (203 DPI) for accurate preview. The
+   * dithering runs in the raster worker: until it is done this returns null,
+   * then onAsyncLoad re-renders with the preview.
+   * @param {CanvasImageSource} img - Source image, adjustments applied
+   * @param {number} width - Target width in printer pixels (not display pixels)
+   * @param {number} height - Target height in printer pixels (not display pixels)
+   * @param {Object} element - Element with dither settings
+   * @returns {CanvasImageSource|null} Dithered image at print resolution, or null while it is generated
    */
-  generateFullLabelPreview(elements, ditherMode = 'floyd-steinberg') {
-    // Create cache key from element states
-    const cacheKey = JSON.stringify(elements.map(e => ({
-      id: e.id, x: e.x, y: e.y, width: e.width, height: e.height,
-      rotation: e.rotation, type: e.type, text: e.text,
-      imageData: e.imageData?.substring(0, 50), // Just enough to detect changes
-      barcodeData: e.barcodeData, qrData: e.qrData,
-      brightness: e.brightness, contrast: e.contrast, dither: e.dither,
-    }))) + `_${ditherMode}_${this.labelWidth}_${this.labelHeight}`;
+  _generateDitherPreview(img, width, height, element) {
+    const options = this._imageDitherOptions(element, this.toneProfile);
+    const { ditherMode, threshold, gamma, serpentine } = options;
+    const brightness = element.brightness || 0;
+    const contrast = element.contrast || 0;
+    const cacheKey = `${element.id}_${width}_${height}_${ditherMode}_${brightness}_${contrast}_${threshold}_${gamma}_${!!serpentine}_${adjustmentsKey(element.adjustments)}`;
 
     // Check cache
-    if (this.fullLabelPreviewCache && this.fullLabelPreviewCacheKey === cacheKey) {
-      return this.fullLabelPreviewCache;
+    const cached = this.ditherPreviewCache.get(cacheKey);
+    const generation = this.ditherPreviewGeneration;
+    if (cached || this.ditherPreviewPending.get(cacheKey) === generation) {
+      return cached || null;
     }
 
-    // Render all elements to pixels at print resolution
-    const { pixels, width, height } = this._renderToPixels(elements);
+    this.ditherPreviewPending.set(cacheKey, generation);
+    RasterPipeline.getShared().dither(img, width, height, options)
+      .then((preview) => {
+        // The image or its settings changed meanwhile
+        if (generation !== this.ditherPreviewGeneration) return;
 
-    // Convert to grayscale
-    const grayscale = this._rgbaToGrayscale(pixels, width, height, 1.3);
+        this.ditherPreviewCache.set(cacheKey, preview);
 
-    // Apply dithering
-    let dithered;
-    if (ditherMode === 'none' || ditherMode === 'threshold') {
-      dithered = new Uint8Array(width * height);
-      for (let i = 0; i < grayscale.length; i++) {
-        dithered[i] = grayscale[i] < 128 ? 1 : 0;
-      }
-    } else if (ditherMode === 'atkinson') {
-      dithered = this._atkinsonDither(grayscale, width, height);
-    } else if (ditherMode === 'ordered') {
-      dithered = this._orderedDither(grayscale, width, height);
-    } else {
-      dithered = this._floydSteinbergDither(grayscale, width, height);
-    }
-
-    // Create output canvas
-    const outputCanvas = document.createElement('canvas');
-    outputCanvas.width = width;
-    outputCanvas.height = height;
-    const outputCtx = outputCanvas.getContext('2d');
-    const outputData = outputCtx.createImageData(width, height);
-
-    // Convert dithered to RGBA
-    for (let i = 0; i < dithered.length; i++) {
-      const color = dithered[i] === 1 ? 0 : 255; // 1 = black, 0 = white
-      const idx = i * 4;
-      outputData.data[idx] = color;
-      outputData.data[idx + 1] = color;
-      outputData.data[idx + 2] = color;
-      outputData.data[idx + 3] = 255;
-    }
-
-    outputCtx.putImageData(outputData, 0, 0);
+        // Limit cache size
+        if (this.ditherPreviewCache.size > MAX_IMAGE_CACHE_SIZE) {
+          const firstKey = this.ditherPreviewCache.keys().next().value;
+          this.ditherPreviewCache.delete(firstKey);
+        }
 
-    // Cache result
-    this.fullLabelPreviewCache = outputCanvas;
-    this.fullLabelPreviewCacheKey = cacheKey;
+        if (this.onAsyncLoad) {
+          this.onAsyncLoad();
+        }
+      })
+      .catch(error => logError(error, 'ditherPreview', ErrorLevel.WARNING))
+      .finally(() => {
+        if (this.ditherPreviewPending.get(cacheKey) === generation) {
+          this.ditherPreviewPending.delete(cacheKey);
+        }
+      });
 
-    return outputCanvas;
+    return null;
   }
 
   /**
-   * Generate dithered preview canvas for an image element
-   * Generates at actual print resolution (203 DPI) for accurate preview
-   * @param {HTMLImageElement} img - Source image
-   * @param {number} width - Target width in printer pixels (not display pixels)
-   * @param {number} height - Target height in printer pixels (not display pixels)
-   * @param {Object} element - Element with dither settings
-   * @returns {HTMLCanvasElement} Canvas with dithered image at print resolution
+   * Get how an image element is dithered, the same for print preview and
+   * printing (see RasterPipeline.dither)
+   * @param {Object} element - Image element
+   * @param {Object|null} tone - Tone profile of the printer
+   * @returns {Object} { ditherMode, filter, threshold, gamma, serpentine, tone }
    */
-  _generateDitherPreview(img, width, height, element) {
-    const ditherMode = element.dither || 'floyd-steinberg';
+  _imageDitherOptions(element, tone) {
     const brightness = element.brightness || 0;
     const contrast = element.contrast || 0;
-    const cacheKey = `${element.id}_${width}_${height}_${ditherMode}_${brightness}_${contrast}`;
-
-    // Check cache
-    let cached = this.ditherPreviewCache.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
-
-    // Create temp canvas to draw and process the image
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = width;
-    tempCanvas.height = height;
-    const tempCtx = tempCanvas.getContext('2d');
 
     // Apply brightness/contrast filters
+    let filter = 'none';
     if (brightness !== 0 || contrast !== 0) {
       const brightnessValue = 1 + (brightness / 100);
       const contrastValue = 1 + (contrast / 100);
-      tempCtx.filter = `brightness(${brightnessValue}) contrast(${contrastValue})`;
-    }
-
-    // Draw image
-    tempCtx.drawImage(img, 0, 0, width, height);
-    tempCtx.filter = 'none';
-
-    // Get pixel data
-    const imageData = tempCtx.getImageData(0, 0, width, height);
-    const pixels = imageData.data;
-
-    // Convert to grayscale
-    const grayscale = this._rgbaToGrayscale(pixels, width, height, 1.3);
-
-    // Apply dithering based on mode
-    let dithered;
-    if (ditherMode === 'none' || ditherMode === 'threshold') {
-      // Simple threshold
-      dithered = new Uint8Array(width * height);
-      for (let i = 0; i < grayscale.length; i++) {
-        dithered[i] = grayscale[i] < 128 ? 1 : 0;
-      }
-    } else if (ditherMode === 'atkinson') {
-      dithered = this._atkinsonDither(grayscale, width, height);
-    } else if (ditherMode === 'ordered') {
-      dithered = this._orderedDither(grayscale, width, height);
-    } else {
-      dithered = this._floydSteinbergDither(grayscale, width, height);
-    }
-
-    // Convert back to RGBA (black and white)
-    for (let i = 0; i < dithered.length; i++) {
-      const color = dithered[i] === 1 ? 0 : 255; // 1 = black, 0 = white
-      const idx = i * 4;
-      pixels[idx] = color;
-      pixels[idx + 1] = color;
-      pixels[idx + 2] = color;
-      pixels[idx + 3] = 255;
-    }
-
-    // Put processed data back
-    tempCtx.putImageData(imageData, 0, 0);
-
-    // Cache and return
-    this.ditherPreviewCache.set(cacheKey, tempCanvas);
-
-    // Limit cache size
-    if (this.ditherPreviewCache.size > MAX_IMAGE_CACHE_SIZE) {
-      const firstKey = this.ditherPreviewCache.keys().next().value;
-      this.ditherPreviewCache.delete(firstKey);
+      filter = `brightness(${brightnessValue}) contrast(${contrastValue})`;
     }
 
-    return tempCanvas;
+    const { threshold, gamma, serpentine } = element;
+    return { ditherMode: element.dither || 'floyd-steinberg', filter, threshold, gamma, serpentine, tone };
   }
 
   /**
@@ -1120,20 +1063,35 @@ export class CanvasRenderer {
     }
 
     if (img.complete && img.naturalWidth > 0) {
+      // Printing: the image was dithered on its own beforehand (see _ditherPrintImages)
+      const printImage = this.printScale && this.printImages?.get(element.id);
+      if (printImage) {
+        this.ctx.save();
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(printImage, -width / 2, -height / 2, width, height);
+        this.ctx.restore();
+        return;
+      }
+
+      const source = this._getAdjustedImage(element, img);
+
       // When dither preview is enabled, show how this image will look when printed
-      if (this.ditherPreview) {
+      if (this.ditherPreview && !this.printScale) {
         // Generate dithered preview at print resolution (element dimensions are printer pixels)
         const printWidth = Math.round(element.width);
         const printHeight = Math.round(element.height);
-        const ditherCanvas = this._generateDitherPreview(img, printWidth, printHeight, element);
-
-        // Draw with smoothing for better display quality, then restore state
-        this.ctx.save();
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'medium';
-        this.ctx.drawImage(ditherCanvas, -width / 2, -height / 2, width, height);
-        this.ctx.restore();
-        return;
+        const ditherCanvas = this._generateDitherPreview(source, printWidth, printHeight, element);
+
+        // Until the preview is ready the image shows as it is
+        if (ditherCanvas) {
+          // Draw with smoothing for better display quality, then restore state
+          this.ctx.save();
+          this.ctx.imageSmoothingEnabled = true;
+          this.ctx.imageSmoothingQuality = 'medium';
+          this.ctx.drawImage(ditherCanvas, -width / 2, -height / 2, width, height);
+          this.ctx.restore();
+          return;
+        }
       }
 
       // Normal rendering: Apply brightness and contrast filters if set
@@ -1150,7 +1108,7 @@ export class CanvasRenderer {
         this.ctx.filter = `brightness(${brightnessValue}) contrast(${contrastValue})`;
       }
 
-      this.ctx.drawImage(img, -width / 2, -height / 2, width, height);
+      this.ctx.drawImage(source, -width / 2, -height / 2, width, height);
 
       if (hasFilters) {
         this.ctx.filter = 'none';
@@ -1158,6 +1116,34 @@ export class CanvasRenderer {
     }
   }
 
+  /**
+   * Get an image element's image with its adjustment stack applied
+   * (see adjustments.js). Cached until the image or the stack changes.
+   * @param {Object} element - Image element
+   * @param {HTMLImageElement} img - Loaded original image
+   * @returns {CanvasImageSource} Adjusted image, or the original if there are no adjustments
+   */
+  _getAdjustedImage(element, img) {
+    const key = adjustmentsKey(element.adjustments);
+    if (!key) return img;
+
+    const cached = this.adjustedImageCache.get(element.id);
+    if (cached && cached.img === img && cached.key === key) {
+      return cached.canvas;
+    }
+
+    try {
+      const canvas = applyAdjustments(img, element.adjustments);
+      this.adjustedImageCache.delete(element.id);
+      this._evictCache(this.adjustedImageCache, MAX_IMAGE_CACHE_SIZE - 1);
+      this.adjustedImageCache.set(element.id, { img, key, canvas });
+      return canvas;
+    } catch (error) {
+      logError(error, 'adjustImage', ErrorLevel.WARNING);
+      return img;
+    }
+  }
+
   /**
    * Render barcode element (centered at origin)
    */
@@ -1170,6 +1156,11 @@ export class CanvasRenderer {
     const textFontSize = element.textFontSize || 12;
     const textBold = element.textBold || false;
 
+    if (this.printScale) {
+      this._renderBarcodeForPrint(element, width, height);
+      return;
+    }
+
     // Render at 3x resolution for crisp display when zoomed
     const renderScale = 3;
     const renderWidth = width * renderScale;
@@ -1292,6 +1283,11 @@ export class CanvasRenderer {
 
     if (!qrData || !qrData.trim()) return;
 
+    if (this.printScale) {
+      this._renderQRForPrint(element, width, height);
+      return;
+    }
+
     const size = Math.min(width, height);
     const cacheKey = `qr_${element.id}_${qrData}_${size}`;
     let cachedCanvas = this._getFromRenderCache(cacheKey);
@@ -1336,6 +1332,134 @@ export class CanvasRenderer {
     }
   }
 
+  /**
+   * Render a barcode for print (centered at origin)
+   * Laid out like the on-screen barcode, but every bar is a whole number of
+   * printer dots wide: the bar pattern (one pixel per module) is scaled up by
+   * a whole number without smoothing.
+   */
+  _renderBarcodeForPrint(element, width, height) {
+    const { barcodeData, barcodeFormat } = element;
+    const showText = element.showText !== false;
+    const textFontSize = element.textFontSize || 12;
+    const textBold = element.textBold || false;
+    const scale = this.printScale;
+
+    const patternKey = `barcode_modules_${barcodeData}_${barcodeFormat}`;
+    let pattern = this._getFromRenderCache(patternKey);
+    if (!pattern) {
+      try {
+        pattern = document.createElement('canvas');
+        JsBarcode(pattern, barcodeData, {
+          format: barcodeFormat || 'CODE128',
+          width: 1,
+          height: 1,
+          displayValue: false,
+          margin: 0,
+        });
+        this._addToRenderCache(patternKey, pattern);
+      } catch (e) {
+        logError(e, 'renderBarcode');
+        return;
+      }
+    }
+    const modules = pattern.width;
+
+    // Same layout as the display barcode: bars 2 units per module with a
+    // 5 unit margin, fitted to 95% of the width and the height above the text
+    const textSpace = showText ? textFontSize + 6 : 0;
+    const svgWidth = modules * 2 + 10;
+    const svgHeight = Math.round((height - (showText ? textFontSize + 8 : 0)) * 0.85) + 10;
+    const fit = Math.min((width * 0.95) / svgWidth, (height - textSpace) / svgHeight);
+    const top = -height / 2 + 2;
+
+    // Whole printer dots per module, as close to the layout as fits
+    let moduleDots = Math.max(1, Math.round(2 * fit * scale));
+    if (moduleDots * modules > width * scale) {
+      moduleDots = Math.max(1, Math.floor(width * scale / modules));
+    }
+    const barsWidth = modules * moduleDots / scale;
+    const barsHeight = (svgHeight - 10) * fit;
+
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(-width / 2, -height / 2, width, height);
+    this.ctx.clip();
+    this.ctx.fillStyle = 'white';
+    this.ctx.fillRect(-width / 2, -height / 2, width, height);
+
+    if (barsHeight > 0) {
+      const origin = this._snapToDot(-barsWidth / 2, top + 5 * fit);
+      this.ctx.imageSmoothingEnabled = false;
+      this.ctx.drawImage(pattern, origin.x, origin.y, barsWidth, barsHeight);
+    }
+
+    const textY = top + svgHeight * fit + 2;
+    if (showText && textY < height / 2) {
+      this.ctx.fillStyle = 'black';
+      this.ctx.font = `${textBold ? 'bold ' : ''}${textFontSize}px monospace`;
+      this.ctx.textAlign = 'center';
+      this.ctx.textBaseline = 'top';
+      this.ctx.fillText(barcodeData, 0, textY);
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * Render a QR code for print (centered at origin)
+   * Every module is the same whole number of printer dots, as large as fits
+   * the element, with the one module quiet zone of the display QR code.
+   */
+  _renderQRForPrint(element, width, height) {
+    const { qrData } = element;
+
+    const patternKey = `qr_modules_${qrData}`;
+    let pattern = this._getFromRenderCache(patternKey);
+    if (!pattern) {
+      try {
+        const { modules } = QRCode.create(qrData);
+        pattern = document.createElement('canvas');
+        pattern.width = modules.size + 2;
+        pattern.height = modules.size + 2;
+        const patternCtx = pattern.getContext('2d');
+        patternCtx.fillStyle = 'white';
+        patternCtx.fillRect(0, 0, pattern.width, pattern.height);
+        patternCtx.fillStyle = 'black';
+        for (let row = 0; row < modules.size; row++) {
+          for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) patternCtx.fillRect(col + 1, row + 1, 1, 1);
+          }
+        }
+        this._addToRenderCache(patternKey, pattern);
+      } catch (e) {
+        logError(e, 'renderQR');
+        return;
+      }
+    }
+
+    const moduleDots = Math.max(1, Math.floor(Math.min(width, height) * this.printScale / pattern.width));
+    const size = pattern.width * moduleDots / this.printScale;
+
+    const origin = this._snapToDot(-size / 2, -size / 2);
+    this.ctx.save();
+    this.ctx.imageSmoothingEnabled = false;
+    this.ctx.drawImage(pattern, origin.x, origin.y, size, size);
+    this.ctx.restore();
+  }
+
+  /**
+   * Move a point in element coordinates onto the nearest printer dot corner,
+   * so bitmaps drawn from it don't straddle dots (unrotated elements only)
+   */
+  _snapToDot(x, y) {
+    const m = this.ctx.getTransform();
+    if (m.b !== 0 || m.c !== 0) return { x, y };
+    return {
+      x: (Math.round(m.a * x + m.e) - m.e) / m.a,
+      y: (Math.round(m.d * y + m.f) - m.f) / m.d,
+    };
+  }
+
   /**
    * Render shape element (centered at origin)
    */
@@ -1422,7 +1546,8 @@ export class CanvasRenderer {
    */
   fillWithDither(fill, width, height) {
     // Cell size - use 2x2 pixels per cell for better visibility with transforms
-    const cellSize = 2;
+    // (whole printer dots when rendering for print)
+    const cellSize = this.printScale ? Math.round(2 * this.printScale) / this.printScale : 2;
 
     // Calculate bounds in cells (shape centered at origin, add padding)
     const halfW = Math.ceil(width / 2 / cellSize) + 2;
@@ -1699,6 +1824,7 @@ export class CanvasRenderer {
         }
       }
       this.imageCache.delete(elementId);
+      this.adjustedImageCache.delete(elementId);
       // Also clear dither preview cache for this element
       this.clearDitherPreviewCache(elementId);
       // Also clear any pending loads for this element to prevent race conditions
@@ -1710,6 +1836,7 @@ export class CanvasRenderer {
     } else {
       this.renderCache.clear();
       this.imageCache.clear();
+      this.adjustedImageCache.clear();
       this.loadingImages.clear();
       this.ditherPreviewCache.clear();
     }
@@ -1787,6 +1914,7 @@ export class CanvasRenderer {
     // Clear all caches
     this.renderCache.clear();
     this.imageCache.clear();
+    this.adjustedImageCache.clear();
     this.loadingImages.clear();
 
     // Clear callback
@@ -1801,10 +1929,73 @@ export class CanvasRenderer {
   /**
    * Render elements to a temporary canvas and return pixel data
    * Shared helper for getRasterData and getRasterDataRaw
+   * @param {Array} elements - Elements to render
+   * @param {number} dpi - Printer DPI (design coordinates are at 203 DPI)
+   * @param {Object|null} tone - Tone profile images are dithered with
+   */
+  _renderToPixels(elements, dpi = BASE_DPI, tone = null) {
+    const printImages = new Map(this._ditherPrintImages(elements, dpi, tone, ditherImage));
+    const canvas = this._renderToCanvas(elements, dpi, printImages);
+    const { width, height } = canvas;
+    const imageData = canvas.getContext('2d').getImageData(0, 0, width, height);
+    return { pixels: imageData.data, width, height };
+  }
+
+  /**
+   * Render elements to a canvas at print resolution, with images dithered in
+   * the raster worker first (see _ditherPrintImages)
+   * @param {Array} elements - Elements to render
+   * @param {number} dpi - Printer DPI (design coordinates are at 203 DPI)
+   * @param {Object|null} tone - Tone profile images are dithered with
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async _renderForPrint(elements, dpi = BASE_DPI, tone = null) {
+    const pipeline = RasterPipeline.getShared();
+    const images = this._ditherPrintImages(elements, dpi, tone, (...args) => pipeline.dither(...args));
+    const printImages = new Map(await Promise.all(images.map(async ([id, image]) => [id, await image])));
+    return this._renderToCanvas(elements, dpi, printImages);
+  }
+
+  /**
+   * Dither each image element on its own, with its own dither mode,
+   * threshold, gamma and serpentine setting, at the size it prints. The label
+   * is then dithered as a whole for everything else; the images are already
+   * black and white by then, as print preview shows them.
+   * @param {Array} elements - Elements to print
+   * @param {number} dpi - Printer DPI
+   * @param {Object|null} tone - Tone profile of the printer
+   * @param {Function} dither - (source, width, height, options) => image or promise of one
+   * @returns {Array} [element ID, dithered image] pairs (images not loaded yet are left out)
    */
-  _renderToPixels(elements) {
-    const width = this.labelWidth;
-    const height = this.labelHeight;
+  _ditherPrintImages(elements, dpi, tone, dither) {
+    const scale = dpi / BASE_DPI;
+    const images = [];
+    for (const element of elements) {
+      if (element.type !== 'image' || !element.imageData) continue;
+      const img = this._getFromImageCache(element.id);
+      if (!img || img.src !== element.imageData || !img.complete || img.naturalWidth === 0) continue;
+
+      const source = this._getAdjustedImage(element, img);
+      const width = Math.max(1, Math.round(element.width * scale));
+      const height = Math.max(1, Math.round(element.height * scale));
+      images.push([element.id, dither(source, width, height, this._imageDitherOptions(element, tone))]);
+    }
+    return images;
+  }
+
+  /**
+   * Render elements to a temporary canvas at print resolution
+   * Elements are laid out and rasterized at the printer's resolution: text
+   * and shapes are drawn scaled, barcode bars and QR modules snapped to dots.
+   * @param {Array} elements - Elements to render
+   * @param {number} dpi - Printer DPI (design coordinates are at 203 DPI)
+   * @param {Map|null} printImages - Element ID -> image dithered for print (see _ditherPrintImages)
+   * @returns {HTMLCanvasElement}
+   */
+  _renderToCanvas(elements, dpi = BASE_DPI, printImages = null) {
+    const scale = dpi / BASE_DPI;
+    const width = Math.round(this.labelWidth * scale);
+    const height = Math.round(this.labelHeight * scale);
     const tempCanvas = document.createElement('canvas');
     tempCanvas.width = width;
     tempCanvas.height = height;
@@ -1814,13 +2005,17 @@ export class CanvasRenderer {
     tempCtx.fillStyle = 'white';
     tempCtx.fillRect(0, 0, width, height);
 
+    // Draw in design coordinates
+    tempCtx.save();
+    tempCtx.scale(scale, scale);
+
     // For round labels, set up circular clipping
     if (this.isRound) {
       tempCtx.save();
       tempCtx.beginPath();
-      const centerX = width / 2;
-      const centerY = height / 2;
-      const radius = Math.min(width, height) / 2;
+      const centerX = this.labelWidth / 2;
+      const centerY = this.labelHeight / 2;
+      const radius = Math.min(this.labelWidth, this.labelHeight) / 2;
       tempCtx.arc(centerX, centerY, radius, 0, Math.PI * 2);
       tempCtx.clip();
     }
@@ -1828,6 +2023,8 @@ export class CanvasRenderer {
     // Render elements to temp canvas (with zone offsets if multi-label mode)
     const originalCtx = this.ctx;
     this.ctx = tempCtx;
+    this.printScale = scale;
+    this.printImages = printImages;
     if (this.multiLabel.enabled) {
       for (const element of elements) {
         const zone = this.multiLabel.zones[element.zone ?? 0];
@@ -1846,438 +2043,36 @@ export class CanvasRenderer {
       }
     }
     this.ctx = originalCtx;
+    this.printScale = null;
+    this.printImages = null;
 
     // Restore context if we applied circular clipping
     if (this.isRound) {
       tempCtx.restore();
     }
+    tempCtx.restore();
 
-    // Get image data
-    const imageData = tempCtx.getImageData(0, 0, width, height);
-    return { pixels: imageData.data, width, height };
-  }
-
-  /**
-   * Convert RGBA pixels to perceptual grayscale with gamma correction
-   * @param {Uint8ClampedArray} pixels - RGBA pixel data
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @param {number} gamma - Gamma correction value (1.0 = none, 1.3 = lighter midtones for thermal)
-   * @returns {Float32Array} Grayscale values 0-255
-   */
-  _rgbaToGrayscale(pixels, width, height, gamma = 1.3) {
-    const grayscale = new Float32Array(width * height);
-    const gammaInv = 1.0 / gamma;
-
-    for (let i = 0; i < width * height; i++) {
-      const idx = i * 4;
-      const r = pixels[idx];
-      const g = pixels[idx + 1];
-      const b = pixels[idx + 2];
-      const a = pixels[idx + 3];
-
-      // Perceptual grayscale (ITU-R BT.601)
-      let gray = 0.299 * r + 0.587 * g + 0.114 * b;
-
-      // Handle transparency - blend with white background
-      if (a < 255) {
-        gray = gray * (a / 255) + 255 * (1 - a / 255);
-      }
-
-      // Apply gamma correction to lift midtones for thermal printing
-      gray = 255 * Math.pow(gray / 255, gammaInv);
-
-      grayscale[i] = gray;
-    }
-
-    return grayscale;
-  }
-
-  /**
-   * Apply Floyd-Steinberg dithering to grayscale image
-   * Produces high-quality 1-bit output that simulates grayscale through dot patterns
-   * @param {Float32Array} grayscale - Grayscale values 0-255
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
-   */
-  _floydSteinbergDither(grayscale, width, height) {
-    // Work on a copy to avoid modifying original
-    const pixels = new Float32Array(grayscale);
-    const output = new Uint8Array(width * height);
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        const oldPixel = pixels[idx];
-
-        // Threshold to black (0) or white (255)
-        const newPixel = oldPixel < 128 ? 0 : 255;
-        output[idx] = newPixel === 0 ? 1 : 0; // 1 = black, 0 = white
-
-        // Calculate quantization error
-        const error = oldPixel - newPixel;
-
-        // Distribute error to neighboring pixels (Floyd-Steinberg pattern)
-        //       X   7/16
-        // 3/16 5/16 1/16
-        if (x + 1 < width) {
-          pixels[idx + 1] += error * 7 / 16;
-        }
-        if (y + 1 < height) {
-          if (x > 0) {
-            pixels[(y + 1) * width + (x - 1)] += error * 3 / 16;
-          }
-          pixels[(y + 1) * width + x] += error * 5 / 16;
-          if (x + 1 < width) {
-            pixels[(y + 1) * width + (x + 1)] += error * 1 / 16;
-          }
-        }
-      }
-    }
-
-    return output;
-  }
-
-  /**
-   * Apply Atkinson dithering to grayscale image
-   * Lighter result than Floyd-Steinberg, good for preserving detail
-   * Only distributes 6/8 of error (loses some darkness)
-   * @param {Float32Array} grayscale - Grayscale values 0-255
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
-   */
-  _atkinsonDither(grayscale, width, height) {
-    const pixels = new Float32Array(grayscale);
-    const output = new Uint8Array(width * height);
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        const oldPixel = pixels[idx];
-
-        const newPixel = oldPixel < 128 ? 0 : 255;
-        output[idx] = newPixel === 0 ? 1 : 0;
-
-        // Atkinson only distributes 6/8 of the error (intentionally loses 2/8)
-        const error = (oldPixel - newPixel) / 8;
-
-        // Distribute error to 6 neighbors (1/8 each)
-        //       X   1   1
-        //   1   1   1
-        //       1
-        if (x + 1 < width) {
-          pixels[idx + 1] += error;
-        }
-        if (x + 2 < width) {
-          pixels[idx + 2] += error;
-        }
-        if (y + 1 < height) {
-          if (x > 0) {
-            pixels[(y + 1) * width + (x - 1)] += error;
-          }
-          pixels[(y + 1) * width + x] += error;
-          if (x + 1 < width) {
-            pixels[(y + 1) * width + (x + 1)] += error;
-          }
-        }
-        if (y + 2 < height) {
-          pixels[(y + 2) * width + x] += error;
-        }
-      }
-    }
-
-    return output;
-  }
-
-  /**
-   * Apply ordered (Bayer) dithering to grayscale image
-   * Creates regular pattern, good for graphics and when consistency matters
-   * @param {Float32Array} grayscale - Grayscale values 0-255
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
-   */
-  _orderedDither(grayscale, width, height) {
-    const output = new Uint8Array(width * height);
-
-    // 8x8 Bayer matrix (normalized to 0-63, we scale to 0-255)
-    const bayer8x8 = [
-       0, 32,  8, 40,  2, 34, 10, 42,
-      48, 16, 56, 24, 50, 18, 58, 26,
-      12, 44,  4, 36, 14, 46,  6, 38,
-      60, 28, 52, 20, 62, 30, 54, 22,
-       3, 35, 11, 43,  1, 33,  9, 41,
-      51, 19, 59, 27, 49, 17, 57, 25,
-      15, 47,  7, 39, 13, 45,  5, 37,
-      63, 31, 55, 23, 61, 29, 53, 21
-    ];
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        const gray = grayscale[idx];
-
-        // Get threshold from Bayer matrix (scale from 0-63 to 0-255)
-        const bayerIdx = (y % 8) * 8 + (x % 8);
-        const threshold = (bayer8x8[bayerIdx] / 64) * 255;
-
-        // Compare pixel to threshold
-        output[idx] = gray < threshold ? 1 : 0;
-      }
-    }
-
-    return output;
-  }
-
-  /**
-   * Detect if image likely contains photos or gradients that benefit from dithering
-   * @param {Uint8ClampedArray} pixels - RGBA pixel data
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @returns {boolean} True if dithering recommended
-   */
-  _shouldUseDithering(pixels, width, height) {
-    // Sample pixels to check for gradients/photos
-    const sampleSize = Math.min(1000, width * height);
-    const step = Math.floor((width * height) / sampleSize);
-
-    let uniqueColors = new Set();
-    let gradientCount = 0;
-    let lastGray = -1;
-
-    for (let i = 0; i < width * height; i += step) {
-      const idx = i * 4;
-      const r = pixels[idx];
-      const g = pixels[idx + 1];
-      const b = pixels[idx + 2];
-
-      // Count unique colors (packed RGB)
-      uniqueColors.add((r << 16) | (g << 8) | b);
-
-      // Check for gradual transitions (indicates gradients/photos)
-      const gray = Math.round((r + g + b) / 3);
-      if (lastGray >= 0) {
-        const diff = Math.abs(gray - lastGray);
-        if (diff > 0 && diff < 30) {
-          gradientCount++;
-        }
-      }
-      lastGray = gray;
-    }
-
-    // Use dithering if many colors or gradual transitions detected
-    const hasManyfColors = uniqueColors.size > 50;
-    const hasGradients = gradientCount > sampleSize * 0.1;
-
-    return hasManyfColors || hasGradients;
-  }
-
-  /**
-   * Convert pixel data to raster bytes using simple threshold
-   * Best for text, barcodes, and simple graphics
-   * @param {Uint8ClampedArray} pixels - RGBA pixel data
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @param {number} outputWidthBytes - Output width in bytes (for alignment)
-   * @param {'left' | 'center' | 'right'} alignment - How to align output within outputWidthBytes
-   */
-  _pixelsToRasterThreshold(pixels, width, height, outputWidthBytes, alignment = 'left') {
-    const canvasBytesPerRow = Math.ceil(width / 8);
-    const output = new Uint8Array(outputWidthBytes * height);
-
-    // Calculate offset based on alignment
-    let offset = 0;
-    if (alignment === 'center') {
-      offset = Math.floor((outputWidthBytes - canvasBytesPerRow) / 2);
-    } else if (alignment === 'right') {
-      offset = outputWidthBytes - canvasBytesPerRow;
-    }
-
-    for (let y = 0; y < height; y++) {
-      for (let byteX = 0; byteX < canvasBytesPerRow; byteX++) {
-        let byte = 0;
-
-        for (let bit = 0; bit < 8; bit++) {
-          const x = byteX * 8 + bit;
-          if (x >= width) continue;
-
-          const idx = (y * width + x) * 4;
-          const r = pixels[idx];
-          const g = pixels[idx + 1];
-          const b = pixels[idx + 2];
-          // Use perceptual grayscale even for threshold
-          const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
-
-          if (brightness < 128) {
-            byte |= (1 << (7 - bit));
-          }
-        }
-
-        const outputPos = y * outputWidthBytes + offset + byteX;
-        if (outputPos >= 0 && outputPos < output.length) {
-          output[outputPos] = byte;
-        }
-      }
-    }
-
-    return output;
-  }
-
-  /**
-   * Convert pixel data to raster bytes using dithering
-   * Best for images with gradients, photos, or many colors
-   * @param {Uint8ClampedArray} pixels - RGBA pixel data
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @param {number} outputWidthBytes - Output width in bytes (for alignment)
-   * @param {'left' | 'center' | 'right'} alignment - How to align output within outputWidthBytes
-   * @param {string} algorithm - Dithering algorithm ('floyd-steinberg', 'atkinson', 'ordered')
-   */
-  _pixelsToRasterDithered(pixels, width, height, outputWidthBytes, alignment = 'left', algorithm = 'floyd-steinberg') {
-    // Convert to grayscale with gamma correction
-    const grayscale = this._rgbaToGrayscale(pixels, width, height, 1.3);
-
-    // Apply selected dithering algorithm
-    let dithered;
-    switch (algorithm) {
-      case 'atkinson':
-        dithered = this._atkinsonDither(grayscale, width, height);
-        break;
-      case 'ordered':
-        dithered = this._orderedDither(grayscale, width, height);
-        break;
-      case 'floyd-steinberg':
-      default:
-        dithered = this._floydSteinbergDither(grayscale, width, height);
-        break;
-    }
-
-    // Pack into bytes
-    const canvasBytesPerRow = Math.ceil(width / 8);
-    const output = new Uint8Array(outputWidthBytes * height);
-
-    // Calculate offset based on alignment
-    let offset = 0;
-    if (alignment === 'center') {
-      offset = Math.floor((outputWidthBytes - canvasBytesPerRow) / 2);
-    } else if (alignment === 'right') {
-      offset = outputWidthBytes - canvasBytesPerRow;
-    }
-
-    for (let y = 0; y < height; y++) {
-      for (let byteX = 0; byteX < canvasBytesPerRow; byteX++) {
-        let byte = 0;
-
-        for (let bit = 0; bit < 8; bit++) {
-          const x = byteX * 8 + bit;
-          if (x >= width) continue;
-
-          if (dithered[y * width + x] === 1) {
-            byte |= (1 << (7 - bit));
-          }
-        }
-
-        const outputPos = y * outputWidthBytes + offset + byteX;
-        if (outputPos >= 0 && outputPos < output.length) {
-          output[outputPos] = byte;
-        }
-      }
-    }
-
-    return output;
-  }
-
-  /**
-   * Convert pixel data to raster bytes
-   * @param {Uint8ClampedArray} pixels - RGBA pixel data
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @param {number} outputWidthBytes - Output width in bytes (for alignment)
-   * @param {'left' | 'center' | 'right'} alignment - How to align output within outputWidthBytes
-   * @param {string} ditherMode - Dither mode: 'auto', 'none', 'threshold', 'floyd-steinberg', 'atkinson', 'ordered'
-   */
-  _pixelsToRaster(pixels, width, height, outputWidthBytes, alignment = 'left', ditherMode = 'auto') {
-    // Handle explicit modes
-    if (ditherMode === 'none' || ditherMode === 'threshold') {
-      console.log('Using threshold method for crisp output');
-      return this._pixelsToRasterThreshold(pixels, width, height, outputWidthBytes, alignment);
-    }
-
-    if (ditherMode === 'floyd-steinberg' || ditherMode === 'atkinson' || ditherMode === 'ordered') {
-      console.log(`Using ${ditherMode} dithering`);
-      return this._pixelsToRasterDithered(pixels, width, height, outputWidthBytes, alignment, ditherMode);
-    }
-
-    // Auto-detect whether to use dithering based on image content
-    const useDithering = this._shouldUseDithering(pixels, width, height);
-
-    if (useDithering) {
-      console.log('Auto: Using Floyd-Steinberg dithering for better image quality');
-      return this._pixelsToRasterDithered(pixels, width, height, outputWidthBytes, alignment, 'floyd-steinberg');
-    } else {
-      console.log('Auto: Using threshold method for crisp text/graphics');
-      return this._pixelsToRasterThreshold(pixels, width, height, outputWidthBytes, alignment);
-    }
+    return tempCanvas;
   }
 
   /**
    * Get canvas image data as raster format for printing
-   * Renders to a temporary off-screen canvas at base resolution (zoom=1)
+   * Renders to a temporary off-screen canvas at the printer's resolution
    * @param {Array} elements - Elements to render
    * @param {number} printerWidthBytes - Printer width in bytes (48 for M110/M200, 72 for M260)
    * @param {number} printerDpi - Printer DPI (203 for most, 300 for M02 Pro)
-   * @param {string} ditherMode - Dither mode: 'auto', 'none', 'threshold', 'floyd-steinberg', 'atkinson', 'ordered'
+   * @param {string} ditherMode - Dither mode: 'auto', 'none', 'threshold' or a dithering algorithm (see dither.js);
+   *   images are dithered with their own settings first (see _ditherPrintImages)
    * @param {'left' | 'center' | 'right'} alignment - How to align label within printer width (default: 'center')
+   * @param {Object} ditherOptions - Threshold, gamma, serpentine and tone (see pixelsToRaster); the tone
+   *   applies to images too
    */
-  getRasterData(elements, printerWidthBytes = DEFAULT_PRINTER_WIDTH_BYTES, printerDpi = 203, ditherMode = 'auto', alignment = 'center') {
-    let { pixels, width, height } = this._renderToPixels(elements);
-
-    // Scale up for higher DPI printers (e.g., M02 Pro at 300 DPI)
-    if (printerDpi > 203) {
-      const scale = printerDpi / 203;
-      const scaledWidth = Math.round(width * scale);
-      const scaledHeight = Math.round(height * scale);
-
-      // Create scaled canvas
-      const scaledCanvas = document.createElement('canvas');
-      scaledCanvas.width = scaledWidth;
-      scaledCanvas.height = scaledHeight;
-      const scaledCtx = scaledCanvas.getContext('2d');
-
-      // Create source canvas from pixels
-      const srcCanvas = document.createElement('canvas');
-      srcCanvas.width = width;
-      srcCanvas.height = height;
-      const srcCtx = srcCanvas.getContext('2d');
-      const srcImageData = srcCtx.createImageData(width, height);
-      srcImageData.data.set(pixels);
-      srcCtx.putImageData(srcImageData, 0, 0);
-
-      // Scale up with smooth interpolation
-      scaledCtx.imageSmoothingEnabled = true;
-      scaledCtx.imageSmoothingQuality = 'high';
-      scaledCtx.drawImage(srcCanvas, 0, 0, scaledWidth, scaledHeight);
-
-      // Get scaled pixels
-      const scaledImageData = scaledCtx.getImageData(0, 0, scaledWidth, scaledHeight);
-      pixels = scaledImageData.data;
-      width = scaledWidth;
-      height = scaledHeight;
-
-      // For high-DPI printers, use the specified printer width but left-align
-      // (no centering) to avoid white gaps at the start edge
-      const data = this._pixelsToRaster(pixels, width, height, printerWidthBytes, 'left', ditherMode);
-
-      return {
-        data,
-        widthBytes: printerWidthBytes,
-        heightLines: height,
-      };
-    }
+  getRasterData(elements, printerWidthBytes = DEFAULT_PRINTER_WIDTH_BYTES, printerDpi = BASE_DPI, ditherMode = 'auto', alignment = 'center', ditherOptions = {}) {
+    const { pixels, width, height } = this._renderToPixels(elements, printerDpi, ditherOptions.tone);
 
-    const data = this._pixelsToRaster(pixels, width, height, printerWidthBytes, alignment, ditherMode);
+    // For high-DPI printers, use the specified printer width but left-align
+    // (no centering) to avoid white gaps at the start edge
+    const data = pixelsToRaster(pixels, width, height, printerWidthBytes, printerDpi > BASE_DPI ? 'left' : alignment, ditherMode, ditherOptions);
 
     return {
       data,
@@ -2293,12 +2088,14 @@ export class CanvasRenderer {
    * Note: D30 has thermal limits - high black content (>60%) may cause
    * print failures. Use dithered grays instead of solid black for large fills.
    * @param {Array} elements - Elements to render
-   * @param {string} ditherMode - Dither mode: 'auto', 'none', 'threshold', 'floyd-steinberg', 'atkinson', 'ordered'
+   * @param {string} ditherMode - Dither mode, as for getRasterData
+   * @param {number} printerDpi - Printer DPI
+   * @param {Object} ditherOptions - Threshold, gamma, serpentine and tone, as for getRasterData
    */
-  getRasterDataRaw(elements, ditherMode = 'auto') {
-    const { pixels, width, height } = this._renderToPixels(elements);
+  getRasterDataRaw(elements, ditherMode = 'auto', printerDpi = BASE_DPI, ditherOptions = {}) {
+    const { pixels, width, height } = this._renderToPixels(elements, printerDpi, ditherOptions.tone);
     const widthBytes = Math.ceil(width / 8);
-    const data = this._pixelsToRaster(pixels, width, height, widthBytes, false, ditherMode);
+    const data = pixelsToRaster(pixels, width, height, widthBytes, false, ditherMode, ditherOptions);
 
     return {
       data,
@@ -2307,6 +2104,50 @@ export class CanvasRenderer {
     };
   }
 
+  /**
+   * Get raster data for printing, dithered and packed in the raster worker
+   * Same arguments and result as getRasterData. Only the pixel work leaves
+   * the main thread: the label is still drawn here (_renderToCanvas) before
+   * the worker gets it.
+   */
+  async getRasterDataAsync(elements, printerWidthBytes = DEFAULT_PRINTER_WIDTH_BYTES, printerDpi = BASE_DPI, ditherMode = 'auto', alignment = 'center', ditherOptions = {}) {
+    const canvas = await this._renderForPrint(elements, printerDpi, ditherOptions.tone);
+    const data = await RasterPipeline.getShared().rasterize(canvas, {
+      outputWidthBytes: printerWidthBytes,
+      alignment: printerDpi > BASE_DPI ? 'left' : alignment,
+      ditherMode,
+      ditherOptions,
+    });
+
+    return {
+      data,
+      widthBytes: printerWidthBytes,
+      heightLines: canvas.height,
+    };
+  }
+
+  /**
+   * Get raw raster data (no padding/centering), dithered and packed in the
+   * raster worker. Same arguments and result as getRasterDataRaw; drawing
+   * stays on the main thread, as in getRasterDataAsync.
+   */
+  async getRasterDataRawAsync(elements, ditherMode = 'auto', printerDpi = BASE_DPI, ditherOptions = {}) {
+    const canvas = await this._renderForPrint(elements, printerDpi, ditherOptions.tone);
+    const widthBytes = Math.ceil(canvas.width / 8);
+    const data = await RasterPipeline.getShared().rasterize(canvas, {
+      outputWidthBytes: widthBytes,
+      alignment: 'left',
+      ditherMode,
+      ditherOptions,
+    });
+
+    return {
+      data,
+      widthBytes,
+      heightLines: canvas.height,
+    };
+  }
+
   /**
    * Convert canvas coordinates to element-local coordinates
    */
@@ -0,0 +1,336 @@
+/**
+ * Raster compression for Phomymo
+ *
+ * Blank rows: on continuous paper, blank rows at either end can be dropped
+ * and long blank stretches inside the label replaced by paper feeds, so only
+ * rows with ink are sent (see splitBlankRows).
+ *
+ * M04-series printers accept LZO-compressed rasters (compression mode 1,
+ * `1F 11 35 01`): the GS v 0 header is followed by an LZO1X stream instead of
+ * the raw bitmap. Label rasters are mostly white, so the stream is usually a
+ * small fraction of the bitmap. The stream ends with its own end marker, so
+ * no length is sent.
+ *
+ * LZO1X stream format (as in lzo1x_decompress):
+ *   first byte > 17        literal run of (byte - 17) bytes, at stream start only
+ *   0000LLLL (state 0)     literal run of 3 + L bytes (L = 0: 18 + extension)
+ *   0000DDSS HHHHHHHH      short match after a literal run (not produced here)
+ *   0001HLLL DD DD         match of 2 + L bytes (L = 0: 9 + extension),
+ *                          distance 16384 + (H << 14) + D; distance 16384 ends the stream
+ *   001LLLLL DD DD         match of 2 + L bytes (L = 0: 33 + extension), distance D + 1
+ *   01LDDDSS HHHHHHHH      match of 3 + L bytes, distance (H << 3) + D + 1
+ *   1LLDDDSS HHHHHHHH      match of 5 + LL bytes, distance (H << 3) + D + 1
+ * "DD DD" is little-endian (D << 2) | S. S (0-3) is the number of literal
+ * bytes that follow a match. Extensions are a run of 0 bytes (255 each)
+ * followed by a non-zero byte.
+ */
+
+// Compression methods a protocol data step can ask for
+export const COMPRESSION = {
+  LZO: 'lzo',
+};
+
+const MIN_MATCH = 4;
+const M2_MAX_DISTANCE = 2048;
+const M2_MAX_LENGTH = 8;
+const M3_MAX_DISTANCE = 16384;
+const M4_MAX_DISTANCE = 49151;
+const HASH_BITS = 14;
+
+/**
+ * Compress data with a protocol compression method
+ * @param {string} method - One of COMPRESSION
+ * @param {Uint8Array} data - Raster bytes
+ * @returns {Uint8Array}
+ */
+export function compress(method, data) {
+  if (method === COMPRESSION.LZO) return lzoCompress(data);
+  throw new Error(`Unknown compression "${method}"`);
+}
+
+// =============================================================================
+// BLANK ROWS
+// =============================================================================
+
+/**
+ * Split a raster into bands of rows with ink. Leading and trailing blank rows
+ * are dropped; blank runs shorter than minBlank rows stay inside a band
+ * (starting a new band costs a raster header).
+ * @param {Uint8Array} data - Raster bytes (0 = white)
+ * @param {number} widthBytes - Bytes per row
+ * @param {number} heightLines - Number of rows
+ * @param {number} minBlank - Shortest blank run worth skipping
+ * @returns {Object[]} [{ start, lines, feedBefore }] - row ranges, with the blank
+ *   rows skipped before each band (0 for the first)
+ */
+export function splitBlankRows(data, widthBytes, heightLines, minBlank = 16) {
+  const bands = [];
+  let band = null;
+  let blank = 0;
+
+  for (let y = 0; y < heightLines; y++) {
+    const row = y * widthBytes;
+    let ink = false;
+    for (let x = 0; x < widthBytes; x++) {
+      if (data[row + x] !== 0) {
+        ink = true;
+        break;
+      }
+    }
+
+    if (!ink) {
+      blank++;
+      continue;
+    }
+    if (band && blank < minBlank) {
+      band.lines += blank + 1;
+    } else {
+      band = { start: y, lines: 1, feedBefore: band ? blank : 0 };
+      bands.push(band);
+    }
+    blank = 0;
+  }
+  return bands;
+}
+
+// =============================================================================
+// LZO1X
+// =============================================================================
+
+/**
+ * Compress data as an LZO1X stream (greedy, LZO1X-1 style)
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function lzoCompress(data) {
+  const out = new ByteWriter(data.length + (data.length >> 4) + 64);
+  const dict = new Int32Array(1 << HASH_BITS).fill(-1);
+  const end = data.length;
+  let literalStart = 0;
+  let ip = 0;
+
+  while (ip + MIN_MATCH <= end) {
+    const h = hash(data, ip);
+    const candidate = dict[h];
+    dict[h] = ip;
+
+    const distance = ip - candidate;
+    if (candidate < 0 || distance > M4_MAX_DISTANCE || !matches(data, candidate, ip, MIN_MATCH)) {
+      ip++;
+      continue;
+    }
+
+    let length = MIN_MATCH;
+    while (ip + length < end && data[candidate + length] === data[ip + length]) length++;
+
+    writeLiterals(out, data, literalStart, ip);
+    writeMatch(out, distance, length);
+    ip += length;
+    literalStart = ip;
+  }
+
+  writeLiterals(out, data, literalStart, end);
+  // End of stream: distance-16384 match
+  out.push(0x11, 0x00, 0x00);
+  return out.bytes();
+}
+
+/**
+ * Decompress an LZO1X stream
+ * @param {Uint8Array} bytes - Buffer holding the stream
+ * @param {number} offset - Where the stream starts
+ * @returns {Object} { data, length } - decompressed bytes and the stream length
+ * @throws {Error} If the stream is malformed or truncated
+ */
+export function lzoDecompress(bytes, offset = 0) {
+  const out = new ByteWriter(Math.max(64, (bytes.length - offset) * 4));
+  let ip = offset;
+  let state = 0;
+
+  const next = () => {
+    if (ip >= bytes.length) throw new Error('LZO stream is truncated');
+    return bytes[ip++];
+  };
+  const extended = (base) => {
+    let length = base;
+    let b;
+    while ((b = next()) === 0) length += 255;
+    return length + b;
+  };
+  const copyLiterals = (count) => {
+    for (let k = 0; k < count; k++) out.push(next());
+  };
+  const copyMatch = (distance, length) => {
+    if (distance > out.length) throw new Error('LZO match reaches before the start of the data');
+    out.copyBack(distance, length);
+  };
+
+  if (bytes[ip] > 17) {
+    const count = next() - 17;
+    copyLiterals(count);
+    state = count < 4 ? count : 4;
+  }
+
+  for (;;) {
+    const t = next();
+    let trailing;
+
+    if (t >= 128) {
+      const h = next();
+      copyMatch((h << 3) + ((t >> 2) & 7) + 1, 5 + ((t >> 5) & 3));
+      trailing = t & 3;
+    } else if (t >= 64) {
+      const h = next();
+      copyMatch((h << 3) + ((t >> 2) & 7) + 1, 3 + ((t >> 5) & 1));
+      trailing = t & 3;
+    } else if (t >= 32) {
+      const length = 2 + ((t & 31) || extended(31));
+      const d = next() | (next() << 8);
+      copyMatch((d >> 2) + 1, length);
+      trailing = d & 3;
+    } else if (t >= 16) {
+      const length = 2 + ((t & 7) || extended(7));
+      const d = next() | (next() << 8);
+      const distance = 16384 + ((t & 8) << 11) + (d >> 2);
+      if (distance === 16384) break;
+      copyMatch(distance, length);
+      trailing = d & 3;
+    } else if (state === 0) {
+      copyLiterals(3 + (t || extended(15)));
+      state = 4;
+      continue;
+    } else if (state === 4) {
+      copyMatch((next() << 2) + (t >> 2) + 2049, 3);
+      trailing = t & 3;
+    } else {
+      copyMatch((next() << 2) + (t >> 2) + 1, 2);
+      trailing = t & 3;
+    }
+
+    copyLiterals(trailing);
+    state = trailing;
+  }
+
+  return { data: out.bytes(), length: ip - offset };
+}
+
+/**
+ * Emit a literal run (attached to the previous match when it is 1-3 bytes)
+ */
+function writeLiterals(out, data, start, end) {
+  const count = end - start;
+  if (count === 0) return;
+
+  if (out.length === 0 && count <= 238) {
+    out.push(count + 17);
+  } else if (count <= 3) {
+    out.buffer[out.matchState] |= count; // Trailing literal count of the match before
+  } else if (count <= 18) {
+    out.push(count - 3);
+  } else {
+    out.push(0);
+    writeExtension(out, count - 18);
+  }
+  for (let i = start; i < end; i++) out.push(data[i]);
+}
+
+/**
+ * Emit a match (its trailing literal count is filled in by writeLiterals)
+ */
+function writeMatch(out, distance, length) {
+  if (distance <= M2_MAX_DISTANCE && length <= M2_MAX_LENGTH) {
+    const d = distance - 1;
+    const lengthBits = length <= 4 ? 0x40 | ((length - 3) << 5) : 0x80 | ((length - 5) << 5);
+    out.matchState = out.length;
+    out.push(lengthBits | ((d & 7) << 2), d >> 3);
+  } else if (distance <= M3_MAX_DISTANCE) {
+    if (length <= 33) {
+      out.push(0x20 | (length - 2));
+    } else {
+      out.push(0x20);
+      writeExtension(out, length - 33);
+    }
+    const d = (distance - 1) << 2;
+    out.matchState = out.length;
+    out.push(d & 0xff, d >> 8);
+  } else {
+    const d = distance - 16384;
+    const high = (d >> 14) << 3;
+    if (length <= 9) {
+      out.push(0x10 | high | (length - 2));
+    } else {
+      out.push(0x10 | high);
+      writeExtension(out, length - 9);
+    }
+    const low = (d & 0x3fff) << 2;
+    out.matchState = out.length;
+    out.push(low & 0xff, low >> 8);
+  }
+}
+
+/**
+ * Emit a length extension: a 0 byte per 255, then the (non-zero) remainder
+ */
+function writeExtension(out, value) {
+  while (value > 255) {
+    out.push(0);
+    value -= 255;
+  }
+  out.push(value);
+}
+
+/**
+ * Hash the 4 bytes at position i
+ */
+function hash(data, i) {
+  const v = (data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24)) >>> 0;
+  return Math.imul(v, 0x1824429d) >>> (32 - HASH_BITS);
+}
+
+/**
+ * Check that `length` bytes at positions a and b are equal
+ */
+function matches(data, a, b, length) {
+  for (let k = 0; k < length; k++) {
+    if (data[a + k] !== data[b + k]) return false;
+  }
+  return true;
+}
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  constructor(capacity) {
+    this.buffer = new Uint8Array(capacity);
+    this.length = 0;
+    this.matchState = -1; // Byte holding the last match's trailing literal count
+  }
+
+  push(...values) {
+    for (const v of values) {
+      if (this.length === this.buffer.length) this.grow(1);
+      this.buffer[this.length++] = v;
+    }
+  }
+
+  copyBack(distance, count) {
+    this.grow(count);
+    // Byte by byte: matches may overlap the bytes they produce
+    for (let k = 0; k < count; k++) {
+      this.buffer[this.length] = this.buffer[this.length - distance];
+      this.length++;
+    }
+  }
+
+  grow(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    const next = new Uint8Array(Math.max(this.buffer.length * 2, this.length + extra));
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  bytes() {
+    return this.buffer.slice(0, this.length);
+  }
+}
@@ -29,6 +29,8 @@ export const IMAGE = {
   MIN_SCALE: 10,
   MAX_SCALE: 200,
   DEFAULT_SCALE: 100,
+  MIN_GAMMA: 0.5,
+  MAX_GAMMA: 3,
 };
 
 // =============================================================================
@@ -70,6 +72,15 @@ export const PRINT = {
   DEFAULT_COPIES: 1,
   DEFAULT_DENSITY: 6,
   DEFAULT_FEED: 32,
+  BATCH_RENDER_AHEAD: 3, // Batch labels rendered ahead of the printer
+};
+
+// =============================================================================
+// PRINT HISTORY
+// =============================================================================
+export const PRINT_HISTORY = {
+  MAX_ENTRIES: 500,   // Oldest entries are dropped beyond this
+  PAGE_SIZE: 50,      // Entries shown before "Show more"
 };
 
 // =============================================================================
@@ -123,8 +134,19 @@ export const BLE = {
   ],
   CHUNK_SIZE: 128,
   CHUNK_DELAY_MS: 20,
+  // Adaptive transfer (BLETransport.sendPaced). Web Bluetooth doesn't expose
+  // the negotiated MTU, so chunk sizes are probed from largest to smallest:
+  // 512 (max attribute length), 244 (247-byte MTU), 182 (185-byte MTU), 128
+  CHUNK_SIZE_CANDIDATES: [512, 244, 182, 128],
+  MIN_CHUNK_SIZE: 20,       // Default 23-byte MTU minus ATT header
+  MAX_CHUNK_DELAY_MS: 200,  // Back-off limit for the delay between chunks
+  MAX_WRITE_FAILURES: 5,    // Consecutive failed writes before giving up
   MAX_RETRIES: 1,
   INITIAL_RETRY_DELAY_MS: 300,
+  // Automatic reconnection (BLETransport.rejoin and the disconnect watchdog)
+  RECONNECT_ATTEMPTS: 10,        // Reconnect attempts after an unexpected disconnect
+  RECONNECT_SCAN_MS: 10000,      // How long each attempt waits for the printer to advertise
+  RECONNECT_MAX_DELAY_MS: 30000, // Back-off limit between attempts
 };
 
 // =============================================================================
@@ -132,11 +154,16 @@ export const BLE = {
 // =============================================================================
 export const STORAGE_KEYS = {
   DEVICE_MAPPING: 'phomymo_device_models',
+  DEVICE_TUNING: 'phomymo_device_tuning',
+  REMEMBERED_PRINTER: 'phomymo_remembered_printer',
+  NETWORK_PRINTER: 'phomymo_network_printer',
+  PRINTER_NAMES: 'phomymo_printer_names',
   DESIGNS: 'phomymo_designs',
   SETTINGS: 'phomymo_settings',
   MULTI_LABEL_PRESETS: 'phomymo_multi_label_presets',
   LOCAL_FONTS_ENABLED: 'phomymo_local_fonts_enabled',
   CUSTOM_PRINTERS: 'phomymo_custom_printers',
+  TONE_PROFILES: 'phomymo_tone_profiles',
 };
 
 // =============================================================================
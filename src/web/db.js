@@ -0,0 +1,117 @@
+/**
+ * IndexedDB persistence for Phomymo
+ *
+ * Used for data that outgrows localStorage (rendered print jobs, print
+ * history). Every call opens the shared database lazily; callers should be
+ * prepared for rejection (private browsing, storage disabled) and fall back
+ * to memory.
+ */
+
+const DB_NAME = 'phomymo';
+const DB_VERSION = 4;
+
+// Object stores, all keyed by `id`
+export const STORES = {
+  PRINT_QUEUE: 'printQueue',
+  PRINT_BATCHES: 'printBatches',
+  PRINT_HISTORY: 'printHistory',
+  HISTORY_DESIGNS: 'printHistoryDesigns',
+  HISTORY_RASTERS: 'printHistoryRasters',
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not supported'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const store of Object.values(STORES)) {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store, { keyPath: 'id' });
+        }
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * Run one request in a transaction and resolve with its result
+ */
+async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get every record in a store
+ * @param {string} storeName - One of STORES
+ * @returns {Promise<Object[]>}
+ */
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Get one record by id
+ * @param {string} storeName - One of STORES
+ * @param {*} id - Record id
+ * @returns {Promise<Object|undefined>}
+ */
+export function getRecord(storeName, id) {
+  return withStore(storeName, 'readonly', store => store.get(id));
+}
+
+/**
+ * Insert or replace records
+ * @param {string} storeName - One of STORES
+ * @param {Object[]} records - Records with an `id`
+ */
+export function putRecords(storeName, records) {
+  return withStore(storeName, 'readwrite', (store) => {
+    for (const record of records) {
+      store.put(record);
+    }
+    return null;
+  });
+}
+
+/**
+ * Delete records by id
+ * @param {string} storeName - One of STORES
+ * @param {Array} ids - Record ids
+ */
+export function deleteRecords(storeName, ids) {
+  return withStore(storeName, 'readwrite', (store) => {
+    for (const id of ids) {
+      store.delete(id);
+    }
+    return null;
+  });
+}
@@ -0,0 +1,355 @@
+/**
+ * Command stream decoder for Phomymo
+ *
+ * Annotates a raw byte stream (as produced by print() in printer.js, captured
+ * by the virtual printer, or copied out of a btsnoop log) command by command:
+ * ESC/POS setup commands, GS v 0 raster headers, Phomemo 1F 11 / 1F F0
+ * commands, M110 settings and TSPL text commands. Raster payloads are kept so
+ * the viewer can render them as images (LZO payloads after an M04
+ * `1F 11 35 01` are decompressed first).
+ */
+
+import { lzoDecompress } from './compression.js';
+
+// Segment kinds returned by decodeStream()
+export const SEGMENT = {
+  COMMAND: 'command', // Fixed-length binary command
+  RASTER: 'raster',   // Raster header + bitmap payload
+  TEXT: 'text',       // TSPL text line
+  UNKNOWN: 'unknown', // Bytes that didn't match any known command
+};
+
+// Hex byte helper
+const hex = (b) => (b ?? 0).toString(16).padStart(2, '0');
+
+// =============================================================================
+// COMMAND TABLE
+// =============================================================================
+
+// Known binary commands, matched on the longest prefix first.
+// length: total command length in bytes; describe: builds the annotation.
+const COMMANDS = [
+  // ESC/POS
+  { prefix: [0x1b, 0x40], length: 2, name: 'ESC @', describe: () => 'Initialize printer' },
+  { prefix: [0x1b, 0x37], length: 5, name: 'ESC 7', describe: b => `Heat settings: max dots ${b[2]}, heat time ${b[3]}, interval ${b[4]}` },
+  { prefix: [0x1b, 0x33], length: 3, name: 'ESC 3', describe: b => `Line spacing ${b[2]} dots` },
+  { prefix: [0x1b, 0x4a], length: 3, name: 'ESC J', describe: b => `Feed ${b[2]} dots` },
+  { prefix: [0x1b, 0x64], length: 3, name: 'ESC d', describe: b => `Feed ${b[2]} lines` },
+  { prefix: [0x1d, 0x7c], length: 3, name: 'GS |', describe: b => `Print density ${b[2]}` },
+
+  // M110 (phomemo-tools) settings
+  { prefix: [0x1b, 0x4e, 0x0d], length: 4, name: 'ESC N 0D', describe: b => `M110 print speed ${b[3]}` },
+  { prefix: [0x1b, 0x4e, 0x04], length: 4, name: 'ESC N 04', describe: b => `M110 print density ${b[3]}` },
+  { prefix: [0x1b, 0x4e], length: 4, name: 'ESC N', describe: b => `Printer setting 0x${hex(b[2])} = ${b[3]}` },
+  { prefix: [0x1f, 0xf0, 0x05, 0x00], length: 4, name: '1F F0 05', describe: () => 'M110 footer (part 1)' },
+  { prefix: [0x1f, 0xf0, 0x03, 0x00], length: 4, name: '1F F0 03', describe: () => 'M110 footer (part 2)' },
+  { prefix: [0x1f, 0xf0], length: 4, name: '1F F0', describe: b => `Footer 0x${hex(b[2])} 0x${hex(b[3])}` },
+
+  // M02 prefix
+  { prefix: [0x10, 0xff, 0xfe, 0x01], length: 4, name: '10 FF FE 01', describe: () => 'M02 command prefix' },
+  { prefix: [0x10, 0xff], length: 4, name: '10 FF', describe: b => `Vendor command 0x${hex(b[2])} 0x${hex(b[3])}` },
+
+  // M04 (1F 11 xx with a parameter byte)
+  { prefix: [0x1f, 0x11, 0x02], length: 4, name: '1F 11 02', describe: b => `M04 density 0x${hex(b[3])}` },
+  { prefix: [0x1f, 0x11, 0x37], length: 4, name: '1F 11 37', describe: b => `M04 heat/speed ${b[3]}` },
+  { prefix: [0x1f, 0x11, 0x35], length: 4, name: '1F 11 35', describe: b => `M04 compression: ${b[3] ? 'LZO' : 'raw'}` },
+  { prefix: [0x1f, 0x11, 0x0b], length: 3, name: '1F 11 0B', describe: () => 'M04 init' },
+
+  // Remaining 1F 11 xx commands are 3 bytes (P12 init packets, M110 media type)
+  { prefix: [0x1f, 0x11], length: 3, name: '1F 11', describe: b => PHOMEMO_1F11[b[2]] || `Phomemo command 0x${hex(b[2])}` },
+];
+
+// Known meanings of 3-byte 1F 11 xx commands
+const PHOMEMO_1F11 = {
+  0x0a: 'Media type 10 (labels with gaps)',
+  0x07: 'P12 init',
+  0x09: 'P12 init',
+  0x11: 'P12 init',
+  0x12: 'P12 init',
+  0x13: 'P12 init',
+  0x19: 'P12 init',
+  0x38: 'P12 init',
+};
+
+/**
+ * Find the command table entry matching bytes at position i
+ */
+function _matchCommand(bytes, i) {
+  let best = null;
+  for (const cmd of COMMANDS) {
+    if (best && best.prefix.length >= cmd.prefix.length) continue;
+    if (cmd.prefix.every((b, k) => bytes[i + k] === b)) {
+      best = cmd;
+    }
+  }
+  return best;
+}
+
+// =============================================================================
+// DECODING
+// =============================================================================
+
+/**
+ * Decode a command stream into annotated segments.
+ * Raster segments carry their payload normalized to 1 = black (TSPL bitmaps,
+ * which use 0 = black on the wire, are flipped).
+ *
+ * @param {Uint8Array} bytes - Raw stream
+ * @returns {Array} [{ offset, length, kind, name, detail, raster? }]
+ */
+export function decodeStream(bytes) {
+  const segments = [];
+  let unknownStart = -1;
+  let i = 0;
+  let lzo = false; // M04 compression mode
+
+  const flushUnknown = () => {
+    if (unknownStart === -1) return;
+    const length = i - unknownStart;
+    segments.push({
+      offset: unknownStart,
+      length,
+      kind: SEGMENT.UNKNOWN,
+      name: '??',
+      detail: `${length} unrecognized byte${length !== 1 ? 's' : ''}`,
+    });
+    unknownStart = -1;
+  };
+
+  const push = (segment) => {
+    flushUnknown();
+    segments.push(segment);
+    i = segment.offset + segment.length;
+  };
+
+  while (i < bytes.length) {
+    // GS v 0 m xL xH yL yH <data>
+    if (bytes[i] === 0x1d && bytes[i + 1] === 0x76 && bytes[i + 2] === 0x30) {
+      const widthBytes = bytes[i + 4] | (bytes[i + 5] << 8);
+      const heightLines = bytes[i + 6] | (bytes[i + 7] << 8);
+      push(lzo
+        ? _lzoRasterSegment(bytes, i, 8, 'GS v 0', widthBytes, heightLines)
+        : _rasterSegment(bytes, i, 8, 'GS v 0', widthBytes, heightLines, false));
+      continue;
+    }
+
+    const cmd = _matchCommand(bytes, i);
+    if (cmd) {
+      if (cmd.name === '1F 11 35') lzo = bytes[i + 3] === 0x01;
+      const length = Math.min(cmd.length, bytes.length - i);
+      const b = bytes.slice(i, i + cmd.length);
+      const truncated = length < cmd.length;
+      push({
+        offset: i,
+        length,
+        kind: SEGMENT.COMMAND,
+        name: cmd.name,
+        detail: truncated ? `${cmd.describe(b)} (truncated)` : cmd.describe(b),
+      });
+      continue;
+    }
+
+    // TSPL is line based ("COMMAND args\r\n"), except BITMAP which embeds binary data
+    const tspl = _matchTSPL(bytes, i);
+    if (tspl) {
+      push(tspl);
+      continue;
+    }
+
+    if (unknownStart === -1) unknownStart = i;
+    i++;
+  }
+
+  flushUnknown();
+  return segments;
+}
+
+/**
+ * Build a raster segment (header + payload) starting at offset
+ */
+function _rasterSegment(bytes, offset, headerLength, name, widthBytes, heightLines, inverted) {
+  const start = offset + headerLength;
+  const size = widthBytes * heightLines;
+  const available = Math.max(0, Math.min(size, bytes.length - start));
+  let data = bytes.slice(start, start + available);
+  if (inverted) {
+    data = data.map(v => v ^ 0xff);
+  }
+
+  const truncated = available < size ? ` - truncated, ${available} of ${size} bytes` : '';
+  return {
+    offset,
+    length: headerLength + available,
+    kind: SEGMENT.RASTER,
+    name,
+    detail: `Raster ${widthBytes * 8}×${heightLines} dots (${widthBytes} bytes/row, ${size} bytes)${truncated}`,
+    raster: { data, widthBytes, heightLines, offset },
+  };
+}
+
+/**
+ * Build a raster segment whose payload is an LZO stream
+ */
+function _lzoRasterSegment(bytes, offset, headerLength, name, widthBytes, heightLines) {
+  const start = offset + headerLength;
+  const size = widthBytes * heightLines;
+  let data;
+  let length;
+  let problem = '';
+  try {
+    ({ data, length } = lzoDecompress(bytes, start));
+    if (data.length !== size) problem = ` - expected ${size} bytes, got ${data.length}`;
+  } catch (e) {
+    // Show what is there as raw payload
+    data = bytes.slice(start, start + size);
+    length = data.length;
+    problem = ` - ${e.message}`;
+  }
+
+  return {
+    offset,
+    length: headerLength + length,
+    kind: SEGMENT.RASTER,
+    name,
+    detail: `Raster ${widthBytes * 8}×${heightLines} dots (${widthBytes} bytes/row, LZO ${length} of ${size} bytes)${problem}`,
+    raster: { data: data.slice(0, size), widthBytes, heightLines, offset },
+  };
+}
+
+/**
+ * Match a TSPL line at position i ("SIZE 40 mm, 30 mm\r\n", "BITMAP x,y,wb,h,mode,<data>")
+ */
+function _matchTSPL(bytes, i) {
+  // Bare line ending (sent on its own after BITMAP data)
+  if (bytes[i] === 0x0d && bytes[i + 1] === 0x0a) {
+    return { offset: i, length: 2, kind: SEGMENT.TEXT, name: 'CRLF', detail: 'End of line' };
+  }
+
+  // TSPL commands start with an uppercase letter
+  if (bytes[i] < 0x41 || bytes[i] > 0x5a) return null;
+
+  const head = new TextDecoder().decode(bytes.slice(i, i + 64));
+  const bitmap = head.match(/^BITMAP (\d+),(\d+),(\d+),(\d+),(\d+),/);
+  if (bitmap) {
+    const widthBytes = parseInt(bitmap[3], 10);
+    const heightLines = parseInt(bitmap[4], 10);
+    const segment = _rasterSegment(bytes, i, bitmap[0].length, 'BITMAP', widthBytes, heightLines, true);
+    segment.detail = `At ${bitmap[1]},${bitmap[2]}, mode ${bitmap[5]} - ${segment.detail}`;
+    return segment;
+  }
+
+  // Plain text line - must be printable ASCII up to CRLF
+  let end = i;
+  while (end < bytes.length && bytes[end] >= 0x20 && bytes[end] < 0x7f) end++;
+  if (bytes[end] !== 0x0d || bytes[end + 1] !== 0x0a) return null;
+
+  const line = new TextDecoder().decode(bytes.slice(i, end));
+  const keyword = line.split(/[\s,]/)[0];
+  return {
+    offset: i,
+    length: end - i + 2,
+    kind: SEGMENT.TEXT,
+    name: keyword,
+    detail: TSPL_COMMANDS[keyword] ? `${TSPL_COMMANDS[keyword]}: ${line}` : line,
+  };
+}
+
+// Descriptions of common TSPL commands
+const TSPL_COMMANDS = {
+  SIZE: 'Label size',
+  GAP: 'Gap between labels',
+  BLINE: 'Black mark',
+  OFFSET: 'Stop offset',
+  SHIFT: 'Vertical shift',
+  REFERENCE: 'Reference point',
+  DENSITY: 'Print density',
+  SPEED: 'Print speed',
+  DIRECTION: 'Print direction',
+  SET: 'Setting',
+  CLS: 'Clear image buffer',
+  TEXT: 'Text',
+  BARCODE: 'Barcode',
+  QRCODE: 'QR code',
+  BAR: 'Filled bar',
+  BOX: 'Box',
+  PRINT: 'Print',
+  END: 'End of job',
+};
+
+/**
+ * Extract raster images from a command stream
+ * @param {Uint8Array} bytes - Raw stream
+ * @returns {Array} [{ data, widthBytes, heightLines, offset }] with 1 = black
+ */
+export function extractRasters(bytes) {
+  return decodeStream(bytes)
+    .filter(segment => segment.kind === SEGMENT.RASTER)
+    .map(segment => segment.raster);
+}
+
+// =============================================================================
+// INPUT / OUTPUT HELPERS
+// =============================================================================
+
+/**
+ * Format bytes as a hex string (e.g. "1b 40 1d 76")
+ * @param {Uint8Array} bytes
+ * @param {number} max - Maximum number of bytes to include
+ * @returns {string}
+ */
+export function toHex(bytes, max = Infinity) {
+  const shown = Array.from(bytes.slice(0, max)).map(hex).join(' ');
+  return bytes.length > max ? `${shown} …` : shown;
+}
+
+/**
+ * Parse a pasted hex dump ("1b 40 1d 76", "1b401d76", "0x1b, 0x40") into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text contains non-hex characters or an odd digit count
+ */
+export function parseHex(text) {
+  const digits = text.replace(/0x/gi, '').replace(/[\s,:;-]/g, '');
+  if (/[^0-9a-f]/i.test(digits)) {
+    throw new Error('Hex dump contains non-hex characters');
+  }
+  if (digits.length % 2 !== 0) {
+    throw new Error('Hex dump has an odd number of digits');
+  }
+  const bytes = new Uint8Array(digits.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Render a raster to a canvas (1 = black, 0 = white)
+ * @param {Object} raster - { data, widthBytes, heightLines }
+ * @returns {HTMLCanvasElement}
+ */
+export function rasterToCanvas(raster) {
+  const { data, widthBytes, heightLines } = raster;
+  const width = widthBytes * 8;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, width);
+  canvas.height = Math.max(1, heightLines);
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(canvas.width, canvas.height);
+
+  for (let y = 0; y < heightLines; y++) {
+    for (let x = 0; x < width; x++) {
+      const byte = data[y * widthBytes + (x >> 3)] || 0;
+      const black = (byte >> (7 - (x & 7))) & 1;
+      const idx = (y * width + x) * 4;
+      const color = black ? 0 : 255;
+      imageData.data[idx] = color;
+      imageData.data[idx + 1] = color;
+      imageData.data[idx + 2] = color;
+      imageData.data[idx + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
@@ -0,0 +1,653 @@
+/**
+ * Grayscale conversion, dithering and raster packing for Phomymo
+ *
+ * Pure functions on RGBA pixel data with no DOM access, so they run the same
+ * on the main thread and in the raster worker (raster-worker.js).
+ *
+ * Dithered output is one value per pixel: 1 = black (printed dot), 0 = white.
+ * Raster output is 1 bit per pixel, MSB first, rows padded to whole bytes.
+ */
+
+/**
+ * Convert RGBA pixels to perceptual grayscale with gamma correction
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} gamma - Gamma correction value (1.0 = none, 1.3 = lighter midtones for thermal)
+ * @returns {Float32Array} Grayscale values 0-255
+ */
+export function rgbaToGrayscale(pixels, width, height, gamma = 1.3) {
+  const grayscale = new Float32Array(width * height);
+  const gammaInv = 1.0 / gamma;
+
+  for (let i = 0; i < width * height; i++) {
+    const idx = i * 4;
+    const r = pixels[idx];
+    const g = pixels[idx + 1];
+    const b = pixels[idx + 2];
+    const a = pixels[idx + 3];
+
+    // Perceptual grayscale (ITU-R BT.601)
+    let gray = 0.299 * r + 0.587 * g + 0.114 * b;
+
+    // Handle transparency - blend with white background
+    if (a < 255) {
+      gray = gray * (a / 255) + 255 * (1 - a / 255);
+    }
+
+    // Apply gamma correction to lift midtones for thermal printing
+    gray = 255 * Math.pow(gray / 255, gammaInv);
+
+    grayscale[i] = gray;
+  }
+
+  return grayscale;
+}
+
+// Defaults for the per-element dither options
+export const DEFAULT_THRESHOLD = 128;
+export const DEFAULT_GAMMA = 1.3;
+
+/**
+ * Create the tone curve of a tone profile (see tone.js)
+ *
+ * Input at or below the black point prints solid black, input at or above the
+ * white point prints white, and the range between is stretched over 0-255.
+ * Dot gain compensation then lightens it: printed dots spread, so a 50% dot
+ * pattern prints (50 + dotGain)% dark. Modelling the spread as
+ * darkness = 1 - (1 - dots)^n, the dot pattern for a tone is lightness^(1/n),
+ * with n fitted to the dot gain at 50%.
+ * @param {Object|null} tone - { dotGain (% at 50%), blackPoint, whitePoint }
+ * @returns {Function|null} Maps 0-255 to 0-255, or null if the profile changes nothing
+ */
+export function createToneCurve(tone) {
+  if (!tone) return null;
+  const dotGain = Math.min(45, Math.max(0, tone.dotGain || 0));
+  const blackPoint = tone.blackPoint ?? 0;
+  const whitePoint = tone.whitePoint ?? 255;
+  if (dotGain === 0 && blackPoint <= 0 && whitePoint >= 255) return null;
+
+  const exponent = Math.log(0.5) / Math.log(0.5 - dotGain / 100); // 1/n
+  const range = Math.max(1, whitePoint - blackPoint);
+  return (value) => {
+    const lightness = Math.min(1, Math.max(0, (value - blackPoint) / range));
+    return 255 * Math.pow(lightness, exponent);
+  };
+}
+
+/**
+ * Apply a tone profile to grayscale values (in place)
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {Object|null} tone - Tone profile (see createToneCurve)
+ * @returns {Float32Array} The same array
+ */
+export function applyToneCurve(grayscale, tone) {
+  const curve = createToneCurve(tone);
+  if (curve) {
+    for (let i = 0; i < grayscale.length; i++) {
+      grayscale[i] = curve(grayscale[i]);
+    }
+  }
+  return grayscale;
+}
+
+/**
+ * Error diffusion kernels: [dx, dy, weight] for each neighbor, relative to the
+ * current pixel, with the weights summing to divisor (Atkinson and Sierra Lite
+ * drop part of the error on purpose).
+ */
+const DIFFUSION_KERNELS = {
+  //       X   7
+  //   3   5   1      (/16)
+  'floyd-steinberg': {
+    divisor: 16,
+    offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]],
+  },
+  //       X   1   1
+  //   1   1   1
+  //       1          (/8, only 6/8 of the error: lighter, keeps detail)
+  atkinson: {
+    divisor: 8,
+    offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]],
+  },
+  //           X   8   4
+  //   2   4   8   4   2
+  //   1   2   4   2   1      (/42)
+  stucki: {
+    divisor: 42,
+    offsets: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+      [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1],
+    ],
+  },
+  //           X   7   5
+  //   3   5   7   5   3
+  //   1   3   5   3   1      (/48)
+  'jarvis-judice-ninke': {
+    divisor: 48,
+    offsets: [
+      [1, 0, 7], [2, 0, 5],
+      [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+      [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1],
+    ],
+  },
+  //           X   5   3
+  //   2   4   5   4   2
+  //       2   3   2          (/32)
+  sierra: {
+    divisor: 32,
+    offsets: [
+      [1, 0, 5], [2, 0, 3],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+      [-1, 2, 2], [0, 2, 3], [1, 2, 2],
+    ],
+  },
+  //       X   2
+  //   1   1          (/4)
+  'sierra-lite': {
+    divisor: 4,
+    offsets: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]],
+  },
+};
+
+/**
+ * Dither grayscale image by error diffusion
+ * Each pixel is set black or white and the difference is pushed on to the
+ * pixels not yet visited, so the average tone is kept.
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {{ divisor: number, offsets: number[][] }} kernel - See DIFFUSION_KERNELS
+ * @param {Object} options
+ * @param {number} options.threshold - Values below this print black (default 128)
+ * @param {boolean} options.serpentine - Scan odd rows right to left, which breaks up
+ *   the diagonal "worm" patterns of left-to-right scanning
+ * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
+ */
+export function errorDiffusionDither(grayscale, width, height, kernel, { threshold = DEFAULT_THRESHOLD, serpentine = false } = {}) {
+  // Work on a copy to avoid modifying original
+  const pixels = new Float32Array(grayscale);
+  const output = new Uint8Array(width * height);
+  const { divisor, offsets } = kernel;
+
+  for (let y = 0; y < height; y++) {
+    const reverse = serpentine && y % 2 === 1;
+    const direction = reverse ? -1 : 1;
+
+    for (let i = 0; i < width; i++) {
+      const x = reverse ? width - 1 - i : i;
+      const idx = y * width + x;
+      const oldPixel = pixels[idx];
+
+      const newPixel = oldPixel < threshold ? 0 : 255;
+      output[idx] = newPixel === 0 ? 1 : 0; // 1 = black, 0 = white
+
+      const error = oldPixel - newPixel;
+
+      // Mirror the kernel when scanning right to left
+      for (const [dx, dy, weight] of offsets) {
+        const nx = x + dx * direction;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) {
+          pixels[ny * width + nx] += error * weight / divisor;
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Apply Floyd-Steinberg dithering to grayscale image
+ * Produces high-quality 1-bit output that simulates grayscale through dot patterns
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - threshold and serpentine (see errorDiffusionDither)
+ * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
+ */
+export function floydSteinbergDither(grayscale, width, height, options = {}) {
+  return errorDiffusionDither(grayscale, width, height, DIFFUSION_KERNELS['floyd-steinberg'], options);
+}
+
+/**
+ * Apply Atkinson dithering to grayscale image
+ * Lighter result than Floyd-Steinberg, good for preserving detail
+ * Only distributes 6/8 of error (loses some darkness)
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - threshold and serpentine (see errorDiffusionDither)
+ * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
+ */
+export function atkinsonDither(grayscale, width, height, options = {}) {
+  return errorDiffusionDither(grayscale, width, height, DIFFUSION_KERNELS.atkinson, options);
+}
+
+/**
+ * Dither with a tiled threshold matrix
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {ArrayLike<number>} matrix - Ranks 0 to size*size - 1, row by row
+ * @param {number} size - Matrix width and height
+ * @param {number} threshold - Midpoint of the matrix thresholds (default 128)
+ * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
+ */
+function thresholdMatrixDither(grayscale, width, height, matrix, size, threshold = DEFAULT_THRESHOLD) {
+  const output = new Uint8Array(width * height);
+  const levels = size * size;
+  const shift = threshold - DEFAULT_THRESHOLD;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+
+      // Scale the rank to 0-255
+      const cellThreshold = (matrix[(y % size) * size + (x % size)] / levels) * 255 + shift;
+
+      output[idx] = grayscale[idx] < cellThreshold ? 1 : 0;
+    }
+  }
+
+  return output;
+}
+
+// 8x8 Bayer matrix (0-63)
+const BAYER_8X8 = [
+   0, 32,  8, 40,  2, 34, 10, 42,
+  48, 16, 56, 24, 50, 18, 58, 26,
+  12, 44,  4, 36, 14, 46,  6, 38,
+  60, 28, 52, 20, 62, 30, 54, 22,
+   3, 35, 11, 43,  1, 33,  9, 41,
+  51, 19, 59, 27, 49, 17, 57, 25,
+  15, 47,  7, 39, 13, 45,  5, 37,
+  63, 31, 55, 23, 61, 29, 53, 21
+];
+
+/**
+ * Apply ordered (Bayer) dithering to grayscale image
+ * Creates regular pattern, good for graphics and when consistency matters
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options
+ * @param {number} options.threshold - Shifts all thresholds (default 128)
+ * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
+ */
+export function orderedDither(grayscale, width, height, { threshold } = {}) {
+  return thresholdMatrixDither(grayscale, width, height, BAYER_8X8, 8, threshold);
+}
+
+// Blue noise matrix size (64 x 64 dots is 8 mm at 203 DPI)
+const BLUE_NOISE_SIZE = 64;
+
+// Generated on first use
+let blueNoiseMatrix = null;
+
+/**
+ * Generate a blue noise threshold matrix with the void-and-cluster method
+ * (Ulichney 1993). Dots are added one at a time where the pattern is most
+ * empty, so every threshold level is evenly spread with no repeating
+ * structure. The start pattern comes from a fixed seed, so the matrix is the
+ * same everywhere.
+ * @param {number} size - Matrix width and height
+ * @returns {Uint16Array} Ranks 0 to size*size - 1, row by row
+ */
+function generateBlueNoise(size) {
+  const count = size * size;
+  const sigma = 1.5;
+
+  // Gaussian weight for each (wrapped) offset, so the matrix tiles seamlessly
+  const weights = new Float64Array(count);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const wx = Math.min(dx, size - dx);
+      const wy = Math.min(dy, size - dy);
+      weights[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+    }
+  }
+
+  const pattern = new Uint8Array(count);
+  const energy = new Float64Array(count); // How crowded each position is
+  const setDot = (pos, on) => {
+    pattern[pos] = on ? 1 : 0;
+    const sign = on ? 1 : -1;
+    const px = pos % size;
+    const py = Math.floor(pos / size);
+    for (let y = 0; y < size; y++) {
+      const row = ((y - py + size) % size) * size;
+      for (let x = 0; x < size; x++) {
+        energy[y * size + x] += sign * weights[row + (x - px + size) % size];
+      }
+    }
+  };
+  // Most crowded dot / emptiest space
+  const find = (value, pickMax) => {
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (pattern[i] !== value) continue;
+      if (best < 0 || (pickMax ? energy[i] > energy[best] : energy[i] < energy[best])) best = i;
+    }
+    return best;
+  };
+
+  // Random start pattern with 10% of the dots (mulberry32)
+  let seed = 0x9E3779B9;
+  const random = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const initialCount = Math.floor(count / 10);
+  for (let placed = 0; placed < initialCount;) {
+    const pos = Math.floor(random() * count);
+    if (!pattern[pos]) {
+      setDot(pos, true);
+      placed++;
+    }
+  }
+
+  // Even it out: move the most crowded dot to the emptiest space until it stays put
+  for (;;) {
+    const cluster = find(1, true);
+    setDot(cluster, false);
+    const gap = find(0, false);
+    setDot(gap, true);
+    if (gap === cluster) break;
+  }
+
+  const initialPattern = pattern.slice();
+  const initialEnergy = energy.slice();
+  const ranks = new Uint16Array(count);
+
+  // Rank the start dots, removing the most crowded first
+  for (let rank = initialCount - 1; rank >= 0; rank--) {
+    const cluster = find(1, true);
+    setDot(cluster, false);
+    ranks[cluster] = rank;
+  }
+
+  // Rank the rest by filling the emptiest space
+  pattern.set(initialPattern);
+  energy.set(initialEnergy);
+  for (let rank = initialCount; rank < count; rank++) {
+    const gap = find(0, false);
+    setDot(gap, true);
+    ranks[gap] = rank;
+  }
+
+  return ranks;
+}
+
+/**
+ * Apply blue noise ordered dithering to grayscale image
+ * Like Bayer, each pixel is compared to a tiled threshold, but the dots are
+ * spread irregularly: no crosshatch pattern, no error diffusion worms, and
+ * still position-independent (stable when the image moves)
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options
+ * @param {number} options.threshold - Shifts all thresholds (default 128)
+ * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
+ */
+export function blueNoiseDither(grayscale, width, height, { threshold } = {}) {
+  if (!blueNoiseMatrix) {
+    blueNoiseMatrix = generateBlueNoise(BLUE_NOISE_SIZE);
+  }
+  return thresholdMatrixDither(grayscale, width, height, blueNoiseMatrix, BLUE_NOISE_SIZE, threshold);
+}
+
+/**
+ * Check if a dither mode is a dithering algorithm (not 'auto', 'none' or 'threshold')
+ * @param {string} ditherMode
+ * @returns {boolean}
+ */
+export function isDitherAlgorithm(ditherMode) {
+  return Object.hasOwn(DIFFUSION_KERNELS, ditherMode) || ditherMode === 'ordered' || ditherMode === 'blue-noise';
+}
+
+/**
+ * Detect if image likely contains photos or gradients that benefit from dithering
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {boolean} True if dithering recommended
+ */
+export function shouldUseDithering(pixels, width, height) {
+  // Sample pixels to check for gradients/photos
+  const sampleSize = Math.min(1000, width * height);
+  const step = Math.floor((width * height) / sampleSize);
+
+  let uniqueColors = new Set();
+  let gradientCount = 0;
+  let lastGray = -1;
+
+  for (let i = 0; i < width * height; i += step) {
+    const idx = i * 4;
+    const r = pixels[idx];
+    const g = pixels[idx + 1];
+    const b = pixels[idx + 2];
+
+    // Count unique colors (packed RGB)
+    uniqueColors.add((r << 16) | (g << 8) | b);
+
+    // Check for gradual transitions (indicates gradients/photos)
+    const gray = Math.round((r + g + b) / 3);
+    if (lastGray >= 0) {
+      const diff = Math.abs(gray - lastGray);
+      if (diff > 0 && diff < 30) {
+        gradientCount++;
+      }
+    }
+    lastGray = gray;
+  }
+
+  // Use dithering if many colors or gradual transitions detected
+  const hasManyfColors = uniqueColors.size > 50;
+  const hasGradients = gradientCount > sampleSize * 0.1;
+
+  return hasManyfColors || hasGradients;
+}
+
+/**
+ * Convert pixel data to raster bytes using simple threshold
+ * Best for text, barcodes, and simple graphics
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} outputWidthBytes - Output width in bytes (for alignment)
+ * @param {'left' | 'center' | 'right'} alignment - How to align output within outputWidthBytes
+ * @param {number} threshold - Brightness below this prints black (default 128)
+ * @param {Object|null} tone - Tone profile applied before the threshold (see createToneCurve)
+ * @param {number} gamma - Gamma correction applied first (default 1.0: none, edges stay as drawn)
+ */
+export function pixelsToRasterThreshold(pixels, width, height, outputWidthBytes, alignment = 'left', threshold = DEFAULT_THRESHOLD, tone = null, gamma = 1.0) {
+  const curve = createToneCurve(tone);
+  const gammaInv = 1.0 / gamma;
+  const canvasBytesPerRow = Math.ceil(width / 8);
+  const output = new Uint8Array(outputWidthBytes * height);
+
+  // Calculate offset based on alignment
+  let offset = 0;
+  if (alignment === 'center') {
+    offset = Math.floor((outputWidthBytes - canvasBytesPerRow) / 2);
+  } else if (alignment === 'right') {
+    offset = outputWidthBytes - canvasBytesPerRow;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let byteX = 0; byteX < canvasBytesPerRow; byteX++) {
+      let byte = 0;
+
+      for (let bit = 0; bit < 8; bit++) {
+        const x = byteX * 8 + bit;
+        if (x >= width) continue;
+
+        const idx = (y * width + x) * 4;
+        const r = pixels[idx];
+        const g = pixels[idx + 1];
+        const b = pixels[idx + 2];
+        // Use perceptual grayscale even for threshold
+        let brightness = 0.299 * r + 0.587 * g + 0.114 * b;
+        if (gamma !== 1.0) brightness = 255 * Math.pow(brightness / 255, gammaInv);
+        if (curve) brightness = curve(brightness);
+
+        if (brightness < threshold) {
+          byte |= (1 << (7 - bit));
+        }
+      }
+
+      const outputPos = y * outputWidthBytes + offset + byteX;
+      if (outputPos >= 0 && outputPos < output.length) {
+        output[outputPos] = byte;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Convert pixel data to raster bytes using dithering
+ * Best for images with gradients, photos, or many colors
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} outputWidthBytes - Output width in bytes (for alignment)
+ * @param {'left' | 'center' | 'right'} alignment - How to align output within outputWidthBytes
+ * @param {string} algorithm - Dithering algorithm (see ditherGrayscale)
+ * @param {Object} options - Dither options: threshold, gamma, serpentine, tone
+ */
+export function pixelsToRasterDithered(pixels, width, height, outputWidthBytes, alignment = 'left', algorithm = 'floyd-steinberg', options = {}) {
+  // Convert to grayscale with gamma correction, then the printer's tone curve
+  const grayscale = rgbaToGrayscale(pixels, width, height, options.gamma ?? DEFAULT_GAMMA);
+  applyToneCurve(grayscale, options.tone);
+
+  // Apply selected dithering algorithm
+  const dithered = ditherGrayscale(grayscale, width, height, algorithm, options);
+
+  // Pack into bytes
+  const canvasBytesPerRow = Math.ceil(width / 8);
+  const output = new Uint8Array(outputWidthBytes * height);
+
+  // Calculate offset based on alignment
+  let offset = 0;
+  if (alignment === 'center') {
+    offset = Math.floor((outputWidthBytes - canvasBytesPerRow) / 2);
+  } else if (alignment === 'right') {
+    offset = outputWidthBytes - canvasBytesPerRow;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let byteX = 0; byteX < canvasBytesPerRow; byteX++) {
+      let byte = 0;
+
+      for (let bit = 0; bit < 8; bit++) {
+        const x = byteX * 8 + bit;
+        if (x >= width) continue;
+
+        if (dithered[y * width + x] === 1) {
+          byte |= (1 << (7 - bit));
+        }
+      }
+
+      const outputPos = y * outputWidthBytes + offset + byteX;
+      if (outputPos >= 0 && outputPos < output.length) {
+        output[outputPos] = byte;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Convert pixel data to raster bytes
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} outputWidthBytes - Output width in bytes (for alignment)
+ * @param {'left' | 'center' | 'right'} alignment - How to align output within outputWidthBytes
+ * @param {string} ditherMode - Dither mode: 'auto', 'none', 'threshold' or a dithering algorithm (see ditherGrayscale)
+ * @param {Object} options - Dither options
+ * @param {number} options.threshold - Black/white threshold, 0-255 (default 128)
+ * @param {number} options.gamma - Gamma applied first (default 1.3 when dithering, none for threshold)
+ * @param {boolean} options.serpentine - Alternate scan direction for error diffusion
+ * @param {Object} options.tone - Tone profile of the printer and media (see createToneCurve)
+ */
+export function pixelsToRaster(pixels, width, height, outputWidthBytes, alignment = 'left', ditherMode = 'auto', options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+
+  // Handle explicit modes
+  if (ditherMode === 'none' || ditherMode === 'threshold') {
+    console.log('Using threshold method for crisp output');
+    return pixelsToRasterThreshold(pixels, width, height, outputWidthBytes, alignment, threshold, options.tone, options.gamma);
+  }
+
+  if (isDitherAlgorithm(ditherMode)) {
+    console.log(`Using ${ditherMode} dithering`);
+    return pixelsToRasterDithered(pixels, width, height, outputWidthBytes, alignment, ditherMode, options);
+  }
+
+  // Auto-detect whether to use dithering based on image content
+  const useDithering = shouldUseDithering(pixels, width, height);
+
+  if (useDithering) {
+    console.log('Auto: Using Floyd-Steinberg dithering for better image quality');
+    return pixelsToRasterDithered(pixels, width, height, outputWidthBytes, alignment, 'floyd-steinberg', options);
+  } else {
+    console.log('Auto: Using threshold method for crisp text/graphics');
+    return pixelsToRasterThreshold(pixels, width, height, outputWidthBytes, alignment, threshold, options.tone, options.gamma);
+  }
+}
+
+/**
+ * Dither grayscale values with the algorithm for a dither mode
+ * @param {Float32Array} grayscale - Grayscale values 0-255
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} ditherMode - 'none', 'threshold', 'ordered', 'blue-noise', or an error
+ *   diffusion algorithm: 'floyd-steinberg', 'atkinson', 'stucki', 'jarvis-judice-ninke',
+ *   'sierra', 'sierra-lite'
+ * @param {Object} options - threshold and serpentine (see pixelsToRaster)
+ * @returns {Uint8Array} 1-bit values (0 = white, 1 = black)
+ */
+export function ditherGrayscale(grayscale, width, height, ditherMode = 'floyd-steinberg', options = {}) {
+  if (ditherMode === 'none' || ditherMode === 'threshold') {
+    const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    const dithered = new Uint8Array(width * height);
+    for (let i = 0; i < grayscale.length; i++) {
+      dithered[i] = grayscale[i] < threshold ? 1 : 0;
+    }
+    return dithered;
+  }
+  if (ditherMode === 'ordered') {
+    return orderedDither(grayscale, width, height, options);
+  }
+  if (ditherMode === 'blue-noise') {
+    return blueNoiseDither(grayscale, width, height, options);
+  }
+  const kernel = DIFFUSION_KERNELS[Object.hasOwn(DIFFUSION_KERNELS, ditherMode) ? ditherMode : 'floyd-steinberg'];
+  return errorDiffusionDither(grayscale, width, height, kernel, options);
+}
+
+/**
+ * Write dithered values into RGBA pixels as black and white (for previews)
+ * @param {Uint8Array} dithered - 1-bit values (0 = white, 1 = black)
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data to overwrite
+ */
+export function ditheredToRGBA(dithered, pixels) {
+  for (let i = 0; i < dithered.length; i++) {
+    const color = dithered[i] === 1 ? 0 : 255; // 1 = black, 0 = white
+    const idx = i * 4;
+    pixels[idx] = color;
+    pixels[idx + 1] = color;
+    pixels[idx + 2] = color;
+    pixels[idx + 3] = 255;
+  }
+}
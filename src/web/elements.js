@@ -58,6 +58,7 @@ export function createImageElement(imageData, options = {}) {
     naturalWidth: options.naturalWidth ?? 100,
     naturalHeight: options.naturalHeight ?? 100,
     lockAspectRatio: options.lockAspectRatio ?? true,
+    adjustments: options.adjustments ?? [], // Crop, rotate, invert... (see adjustments.js)
   };
 }
 
@@ -4,6 +4,7 @@
  */
 
 import { HANDLES } from './constants.js';
+import { getAdjustedSize } from './adjustments.js';
 
 // Use constants for handle configuration
 const HANDLE_SIZE = HANDLES.SIZE;
@@ -295,10 +296,11 @@ export function calculateResize(element, handleType, dx, dy, preserveAspect = fa
   newHeight = Math.max(newHeight, 10);
 
   // Apply aspect ratio constraint
-  // For images, use natural dimensions; otherwise use current dimensions
-  const aspect = (element.naturalWidth && element.naturalHeight)
-    ? element.naturalWidth / element.naturalHeight
-    : width / height;
+  // For images, use natural dimensions (after crop/rotate); otherwise use current dimensions
+  const natural = (element.naturalWidth && element.naturalHeight)
+    ? getAdjustedSize(element.naturalWidth, element.naturalHeight, element.adjustments)
+    : null;
+  const aspect = natural ? natural.width / natural.height : width / height;
   if (preserveAspect) {
     const isCorner = handleType === HandleType.NW || handleType === HandleType.NE ||
                      handleType === HandleType.SE || handleType === HandleType.SW;
@@ -0,0 +1,299 @@
+/**
+ * Print history for Phomymo
+ *
+ * Every successful print is logged with what it takes to find and reprint it
+ * later: when and on which printer it printed, the settings used, the
+ * label's design, template record values, evaluated [[expressions]] and the
+ * raster that was sent. Entries are kept in IndexedDB (in memory only if
+ * that is unavailable), newest first.
+ *
+ * Only what the history list shows and searches is loaded. Designs (which
+ * can carry image data) and rasters have stores of their own and are read
+ * one label at a time; the labels of a batch share their template's design,
+ * and a reprint shares the original's design and raster.
+ */
+
+import { STORES, getAllRecords, getRecord, putRecords, deleteRecords } from './db.js';
+import { PRINT_HISTORY } from './constants.js';
+import { toCSV } from './templates.js';
+
+// Loaded entries, newest first (null until loadHistory runs)
+let entries = null;
+let loading = null;
+let persist = true;
+
+// Designs and rasters by ID while IndexedDB is unavailable
+const unsaved = {
+  [STORES.HISTORY_DESIGNS]: new Map(),
+  [STORES.HISTORY_RASTERS]: new Map(),
+};
+
+/**
+ * Generate a history entry ID
+ */
+function generateEntryId() {
+  return 'print_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Load saved history (only reads the database once)
+ */
+export function loadHistory() {
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const records = await getAllRecords(STORES.PRINT_HISTORY);
+        entries = records.sort((a, b) => b.printedAt - a.printedAt);
+      } catch (e) {
+        console.warn('Print history will not survive reloads:', e.message);
+        persist = false;
+        entries = [];
+      }
+    })();
+  }
+  return loading;
+}
+
+/**
+ * Log a print
+ * @param {Object} entry - { source, printerName, printerModel, printerDescription, density,
+ *   feed, copies, designName, labelSize, elements, records, expressions, raster }, plus:
+ *   - content: text the label shows (default: read from elements)
+ *   - designId: design the elements belong to, stored once for every label that shares it
+ *   - rasterId: raster logged earlier (instead of raster)
+ * @returns {Promise<Object>} The saved entry, without elements and raster
+ */
+export async function addHistoryEntry(entry) {
+  await loadHistory();
+
+  const { elements, raster, ...details } = entry;
+  const id = generateEntryId();
+  const saved = {
+    records: [],
+    expressions: [],
+    content: getLabelContent(elements),
+    ...details,
+    id,
+    designId: entry.designId ?? id,
+    rasterId: entry.rasterId ?? id,
+    printedAt: entry.printedAt ?? Date.now(),
+  };
+  saved.searchText = buildSearchText(saved);
+
+  const newDesign = elements && !entries.some(e => e.designId === saved.designId);
+  entries.unshift(saved);
+  const dropped = entries.splice(PRINT_HISTORY.MAX_ENTRIES);
+
+  try {
+    if (newDesign) {
+      await storeRecord(STORES.HISTORY_DESIGNS, { id: saved.designId, elements });
+    }
+    if (raster) {
+      await storeRecord(STORES.HISTORY_RASTERS, { id: saved.rasterId, raster });
+    }
+    if (persist) {
+      await putRecords(STORES.PRINT_HISTORY, [saved]);
+    }
+    await forgetEntries(dropped);
+  } catch (e) {
+    console.warn('Failed to save print history:', e.message);
+  }
+  return saved;
+}
+
+/**
+ * Find entries matching every word of a query (newest first)
+ * Matches printer, design name, record values, expression values, label
+ * content and the print date ("2026-03-14").
+ * @param {string} query - Search text (empty returns everything)
+ * @returns {Promise<Object[]>}
+ */
+export async function searchHistory(query = '') {
+  await loadHistory();
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return [...entries];
+  }
+  return entries.filter(entry => terms.every(term => entry.searchText.includes(term)));
+}
+
+/**
+ * Get one entry by ID
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getHistoryEntry(id) {
+  await loadHistory();
+  return entries.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Read the raster a logged label was printed with
+ * @param {Object} entry - History entry
+ * @returns {Promise<Object|null>} { data, widthBytes, heightLines }
+ */
+export async function getHistoryRaster(entry) {
+  const record = await readRecord(STORES.HISTORY_RASTERS, entry.rasterId);
+  return record?.raster || null;
+}
+
+/**
+ * Read the elements a logged label was printed from (for a batch label, the
+ * template its records and expressions were filled into)
+ * @param {Object} entry - History entry
+ * @returns {Promise<Array|null>}
+ */
+export async function getHistoryDesign(entry) {
+  const record = await readRecord(STORES.HISTORY_DESIGNS, entry.designId);
+  return record?.elements || null;
+}
+
+/**
+ * Delete entries
+ * @param {string[]} ids - Entry IDs
+ */
+export async function deleteHistoryEntries(ids) {
+  await loadHistory();
+  const removed = entries.filter(entry => ids.includes(entry.id));
+  entries = entries.filter(entry => !removed.includes(entry));
+  try {
+    await forgetEntries(removed);
+  } catch (e) {
+    console.warn('Failed to delete print history:', e.message);
+  }
+}
+
+/**
+ * Delete every entry
+ */
+export async function clearHistory() {
+  await loadHistory();
+  await deleteHistoryEntries(entries.map(entry => entry.id));
+}
+
+/**
+ * Collect the text a label shows (text, barcode and QR data), as printed
+ * @param {Array} elements - Label elements
+ * @returns {string[]}
+ */
+export function getLabelContent(elements = []) {
+  const content = [];
+  for (const el of elements) {
+    for (const value of [el.text, el.barcodeData, el.qrData]) {
+      if (value) content.push(String(value));
+    }
+  }
+  return content;
+}
+
+/**
+ * Format record values as "Field=value; Field=value" (records joined with " / ")
+ * @param {Object[]} records - Template records
+ * @returns {string}
+ */
+export function formatHistoryRecords(records = []) {
+  return records
+    .filter(Boolean)
+    .map(record => Object.entries(record).map(([key, value]) => `${key}=${value}`).join('; '))
+    .join(' / ');
+}
+
+/**
+ * Export entries as CSV (one row per print)
+ * @param {Object[]} list - Entries to export
+ * @returns {string} CSV content
+ */
+export function historyToCSV(list) {
+  const headers = ['Printed At', 'Source', 'Printer', 'Model', 'Density', 'Copies', 'Design', 'Records', 'Expressions', 'Content'];
+  const rows = list.map(entry => ({
+    'Printed At': formatTimestamp(entry.printedAt),
+    'Source': entry.source,
+    'Printer': entry.printerName,
+    'Model': entry.printerDescription || entry.printerModel,
+    'Density': entry.density,
+    'Copies': entry.copies ?? 1,
+    'Design': entry.designName,
+    'Records': formatHistoryRecords(entry.records),
+    'Expressions': entry.expressions.map(e => `${e.expression}=${e.value}`).join('; '),
+    'Content': entry.content.join(' | '),
+  }));
+  return toCSV(headers, rows);
+}
+
+/**
+ * Format a timestamp as local "YYYY-MM-DD HH:mm:ss"
+ */
+function formatTimestamp(time) {
+  const d = new Date(time);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/**
+ * Lower-cased text that searchHistory matches against
+ */
+function buildSearchText(entry) {
+  return [
+    formatTimestamp(entry.printedAt),
+    entry.source,
+    entry.printerName,
+    entry.printerModel,
+    entry.printerDescription,
+    entry.designName,
+    ...entry.records.filter(Boolean).flatMap(record => Object.values(record)),
+    ...entry.expressions.map(e => e.value),
+    ...entry.content,
+  ].filter(v => v !== null && v !== undefined && v !== '').join('\n').toLowerCase();
+}
+
+/**
+ * Store a design or raster (in memory while IndexedDB is unavailable)
+ */
+async function storeRecord(storeName, record) {
+  if (persist) {
+    await putRecords(storeName, [record]);
+  } else {
+    unsaved[storeName].set(record.id, record);
+  }
+}
+
+/**
+ * Read a design or raster
+ */
+async function readRecord(storeName, id) {
+  await loadHistory();
+  if (!persist) {
+    return unsaved[storeName].get(id) || null;
+  }
+  try {
+    return (await getRecord(storeName, id)) || null;
+  } catch (e) {
+    console.warn('Failed to read print history:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Delete removed entries along with the designs and rasters no remaining
+ * entry uses
+ * @param {Object[]} removed - Entries already taken out of the list
+ */
+async function forgetEntries(removed) {
+  if (removed.length === 0) return;
+
+  const unused = (key) => {
+    const kept = new Set(entries.map(entry => entry[key]));
+    return [...new Set(removed.map(entry => entry[key]))].filter(id => !kept.has(id));
+  };
+  const designIds = unused('designId');
+  const rasterIds = unused('rasterId');
+
+  if (!persist) {
+    designIds.forEach(id => unsaved[STORES.HISTORY_DESIGNS].delete(id));
+    rasterIds.forEach(id => unsaved[STORES.HISTORY_RASTERS].delete(id));
+    return;
+  }
+  await deleteRecords(STORES.PRINT_HISTORY, removed.map(entry => entry.id));
+  await deleteRecords(STORES.HISTORY_DESIGNS, designIds);
+  await deleteRecords(STORES.HISTORY_RASTERS, rasterIds);
+}
@@ -0,0 +1,276 @@
+/**
+ * Loopback (virtual printer) transport for Phomymo
+ *
+ * Implements the same surface as BLETransport and USBTransport, but instead of
+ * writing to hardware it records every byte the protocol functions emit into
+ * an inspectable job log. Captured jobs can be decoded back into bitmaps, so
+ * labels can be designed and "printed" without a printer attached, and the
+ * ESC/POS and TSPL byte sequences can be checked by the Playwright suite.
+ */
+
+import { extractRasters, rasterToCanvas } from './decoder.js?v=101';
+
+// Device name reported to protocol detection (unrecognized on purpose, so the
+// user picks which printer model to emulate via the model prompt)
+const DEFAULT_DEVICE_NAME = 'Virtual Printer';
+
+// Maximum number of jobs kept in the log (oldest are dropped first)
+const MAX_JOBS = 50;
+
+// Chunk size for sendChunked (matches BLE so captured writes look the same)
+const CHUNK_SIZE = 128;
+
+// Singleton instance
+let sharedInstance = null;
+
+export class LoopbackTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.deviceName - Name reported by getDeviceName()
+   * @param {boolean} options.realtime - If true, delay() waits for the requested time
+   */
+  constructor({ deviceName = DEFAULT_DEVICE_NAME, realtime = false } = {}) {
+    this.deviceName = deviceName;
+    this.realtime = realtime;
+    this.connected = false;
+    this.onDisconnect = null;
+    this.onJobComplete = null; // Callback when a job finishes (receives job)
+    this._statusListeners = new Set();
+    this.jobs = [];
+    this._currentJob = null;
+    this._nextJobId = 1;
+  }
+
+  static getShared() {
+    if (!sharedInstance) {
+      sharedInstance = new LoopbackTransport();
+    }
+    return sharedInstance;
+  }
+
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * "Connect" to the virtual printer (always succeeds)
+   * @param {Object} options - Connection options (unused, for API consistency)
+   */
+  async connect(options = {}) {
+    this.connected = true;
+    console.log('Loopback connected:', this.deviceName);
+    return true;
+  }
+
+  /**
+   * Disconnect from the virtual printer (finishes any open job)
+   */
+  async disconnect() {
+    if (this._currentJob) {
+      this.endJob();
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Capture data instead of sending it
+   */
+  async send(data) {
+    if (!this.isConnected()) {
+      throw new Error('Not connected');
+    }
+
+    // Copy so later mutation of the caller's buffer can't change the log
+    const bytes = data instanceof ArrayBuffer
+      ? new Uint8Array(data.slice(0))
+      : new Uint8Array(data);
+
+    const job = this._currentJob || this.beginJob();
+    job.writes.push(bytes);
+    job.byteLength += bytes.length;
+  }
+
+  /**
+   * Send data in chunks (no pacing needed, but keeps write boundaries realistic)
+   */
+  async sendChunked(data, onProgress = null) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const totalChunks = Math.ceil(bytes.length / CHUNK_SIZE);
+
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      const chunk = bytes.slice(i, Math.min(i + CHUNK_SIZE, bytes.length));
+      await this.send(chunk);
+
+      if (onProgress) {
+        const chunkNum = Math.floor(i / CHUNK_SIZE) + 1;
+        const progress = Math.round((i + chunk.length) / bytes.length * 100);
+        onProgress(chunkNum, totalChunks, progress);
+      }
+    }
+  }
+
+  /**
+   * Delay helper - returns immediately unless realtime mode is on,
+   * so virtual prints don't wait for pacing meant for real hardware
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, this.realtime ? ms : 0));
+  }
+
+  /**
+   * Check if connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get device name
+   */
+  getDeviceName() {
+    return this.deviceName;
+  }
+
+  /**
+   * Subscribe to (simulated) status notifications, same as BLETransport
+   * @param {Function} listener - Called with (field, value)
+   */
+  addStatusListener(listener) {
+    this._statusListeners.add(listener);
+  }
+
+  /**
+   * Unsubscribe from status notifications
+   */
+  removeStatusListener(listener) {
+    this._statusListeners.delete(listener);
+  }
+
+  /**
+   * Simulate a printer status notification (e.g. 'paper', 'out'), for
+   * exercising error handling without hardware
+   * @param {string} field - Status field ('paper', 'cover', 'hot', 'print')
+   * @param {*} value - Status value as BLETransport would parse it
+   */
+  emitStatus(field, value) {
+    for (const listener of this._statusListeners) {
+      listener(field, value);
+    }
+  }
+
+  // ===========================================================================
+  // JOB LOG
+  // ===========================================================================
+
+  /**
+   * Start a new job. Called by print() before the first byte of a print;
+   * send() also opens a job implicitly if none is active.
+   * @param {Object} meta - Job metadata (deviceName, printerModel, protocol, density...)
+   * @returns {Object} The new job
+   */
+  beginJob(meta = {}) {
+    if (this._currentJob) {
+      this.endJob();
+    }
+    this._currentJob = {
+      id: this._nextJobId++,
+      startedAt: Date.now(),
+      finishedAt: null,
+      meta: { ...meta },
+      writes: [],
+      byteLength: 0,
+    };
+    return this._currentJob;
+  }
+
+  /**
+   * Finish the current job and add it to the log
+   * @returns {Object|null} The finished job
+   */
+  endJob() {
+    const job = this._currentJob;
+    if (!job) return null;
+
+    this._currentJob = null;
+    job.finishedAt = Date.now();
+    this.jobs.push(job);
+    if (this.jobs.length > MAX_JOBS) {
+      this.jobs.shift();
+    }
+
+    console.log(`Loopback captured job #${job.id}: ${job.writes.length} writes, ${job.byteLength} bytes`);
+    if (this.onJobComplete) {
+      this.onJobComplete(job);
+    }
+    return job;
+  }
+
+  /**
+   * Get all finished jobs (oldest first)
+   */
+  getJobs() {
+    return [...this.jobs];
+  }
+
+  /**
+   * Get the most recently finished job
+   */
+  getLastJob() {
+    return this.jobs[this.jobs.length - 1] || null;
+  }
+
+  /**
+   * Clear the job log
+   */
+  clearJobs() {
+    this.jobs = [];
+  }
+}
+
+/**
+ * Concatenate all writes of a job into a single byte stream
+ * @param {Object} job - Job from LoopbackTransport
+ * @returns {Uint8Array}
+ */
+export function getJobBytes(job) {
+  const bytes = new Uint8Array(job.byteLength);
+  let offset = 0;
+  for (const write of job.writes) {
+    bytes.set(write, offset);
+    offset += write.length;
+  }
+  return bytes;
+}
+
+// =============================================================================
+// PREVIEW RENDERING
+// =============================================================================
+
+/**
+ * Render every raster in a job, stacked top to bottom as they'd come out
+ * of the printer
+ * @param {Object} job - Job from LoopbackTransport
+ * @param {number} gap - Gap between rasters in pixels
+ * @returns {HTMLCanvasElement|null} Preview canvas, or null if the job has no raster
+ */
+export function renderJobPreview(job, gap = 8) {
+  const rasters = extractRasters(getJobBytes(job));
+  if (rasters.length === 0) return null;
+
+  const width = Math.max(...rasters.map(r => r.widthBytes * 8));
+  const height = rasters.reduce((sum, r) => sum + r.heightLines, 0) + gap * (rasters.length - 1);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#e5e7eb';
+  ctx.fillRect(0, 0, width, height);
+
+  let y = 0;
+  for (const raster of rasters) {
+    ctx.drawImage(rasterToCanvas(raster), 0, y);
+    y += raster.heightLines + gap;
+  }
+  return canvas;
+}
@@ -0,0 +1,337 @@
+/**
+ * Network transport for Phomymo
+ *
+ * For label printers on the network that take print data on a raw TCP port
+ * (9100, "JetDirect"), such as TSPL and ESC/POS printers. Browsers can't open
+ * TCP connections, so the app talks to a small WebSocket bridge running on
+ * the computer (or anywhere on the network), which forwards bytes both ways.
+ *
+ * Bridge protocol:
+ * - The app opens `<bridge URL>?host=<printer host>&port=<printer port>`; the
+ *   bridge connects to that TCP port (a bridge for one printer can ignore it)
+ * - Binary messages are raw bytes: print data to the printer, and status
+ *   bytes back from it, in whatever pieces the socket delivers them
+ * - Text messages from the bridge are notices (e.g. why the printer couldn't
+ *   be reached) and are only logged
+ * - Either side closing ends the connection
+ * Any plain WebSocket-to-TCP proxy works, e.g. `websockify 9101 192.168.1.50:9100`.
+ */
+
+import { StatusReceiver, emptyPrinterInfo } from './status.js';
+
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:9101';
+export const DEFAULT_PRINTER_PORT = 9100;
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+// Chunk size and delay for network writes
+const CHUNK_SIZE = 4096;
+const CHUNK_DELAY = 5;
+
+// Data queued in the WebSocket before send() waits for it to drain
+const MAX_BUFFERED_BYTES = 64 * 1024;
+
+// A TCP socket delivers a byte stream, not packets: bytes that arrive without
+// a pause this long are one response
+const RESPONSE_GAP_MS = 30;
+
+// Singleton instance for persistent connection
+let sharedInstance = null;
+
+/**
+ * Network Transport class for printers behind a WebSocket bridge
+ */
+export class NetworkTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.bridgeUrl - WebSocket URL of the bridge
+   * @param {string} options.address - Printer host, or host:port
+   */
+  constructor({ bridgeUrl = DEFAULT_BRIDGE_URL, address = '' } = {}) {
+    this.socket = null;
+    this.connected = false;
+    this.bridgeUrl = bridgeUrl;
+    this.address = address;
+    this.queryProtocol = 'phomemo'; // 'phomemo' or 'tspl' (see status.js)
+
+    this.onDisconnect = null;
+    this.onPrinterInfo = null; // Callback for printer info updates
+    this._status = new StatusReceiver(this, { name: 'Network', responseGap: RESPONSE_GAP_MS }); // Responses, listeners and queries
+    this.resetPrinterInfo();
+  }
+
+  /**
+   * Get shared instance (singleton pattern for persistent connection)
+   */
+  static getShared() {
+    if (!sharedInstance) {
+      sharedInstance = new NetworkTransport();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Check if WebSockets are available
+   */
+  static isAvailable() {
+    return typeof WebSocket !== 'undefined';
+  }
+
+  /**
+   * Split a printer address into host and port
+   * @param {string} address - "host" or "host:port" ("[v6]:port" for IPv6)
+   * @returns {Object|null} { host, port }, or null if it isn't an address
+   */
+  static parseAddress(address) {
+    const match = /^\s*(\[[^\]]+\]|[^\s:/[\]]+)(?::(\d{1,5}))?\s*$/.exec(address || '');
+    if (!match) return null;
+    const port = match[2] ? parseInt(match[2], 10) : DEFAULT_PRINTER_PORT;
+    if (port < 1 || port > 65535) return null;
+    return { host: match[1].replace(/^\[|\]$/g, ''), port };
+  }
+
+  /**
+   * Connect to the printer through the bridge
+   * @param {Object} options
+   * @param {string} options.bridgeUrl - WebSocket URL of the bridge (default: the last one used)
+   * @param {string} options.address - Printer host, or host:port (default: the last one used)
+   */
+  async connect({ bridgeUrl = this.bridgeUrl, address = this.address } = {}) {
+    if (!NetworkTransport.isAvailable()) {
+      throw new Error('WebSockets are not supported in this browser');
+    }
+
+    if (this.connected) {
+      console.log('Already connected');
+      return true;
+    }
+
+    const target = NetworkTransport.parseAddress(address);
+    if (!target) {
+      throw new Error(`Invalid printer address: ${address || '(none)'}`);
+    }
+
+    let url;
+    try {
+      url = new URL(bridgeUrl);
+    } catch (e) {
+      throw new Error(`Invalid bridge URL: ${bridgeUrl}`);
+    }
+    if (url.protocol !== 'ws:' && url.protocol !== 'wss:') {
+      throw new Error(`Invalid bridge URL: ${bridgeUrl}`);
+    }
+    url.searchParams.set('host', target.host);
+    url.searchParams.set('port', target.port);
+
+    this.bridgeUrl = bridgeUrl;
+    this.address = address.trim();
+
+    console.log(`Connecting to ${this.address} through ${bridgeUrl}...`);
+    const socket = new WebSocket(url.href);
+    socket.binaryType = 'arraybuffer';
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          socket.close();
+          reject(new Error(`No answer from the print bridge at ${bridgeUrl}`));
+        }, CONNECT_TIMEOUT_MS);
+        socket.onopen = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        socket.onclose = () => {
+          clearTimeout(timer);
+          reject(new Error(`Could not reach ${this.address} through the print bridge at ${bridgeUrl}`));
+        };
+      });
+    } catch (error) {
+      console.error('Network connection error:', error);
+      throw error;
+    }
+
+    this.socket = socket;
+    this.connected = true;
+    this.resetPrinterInfo();
+    socket.onmessage = (event) => this._message(event.data);
+    socket.onclose = () => this._closed(socket);
+    console.log('Network connected to', this.getDeviceName());
+    return true;
+  }
+
+  /**
+   * Disconnect from the printer
+   */
+  async disconnect() {
+    const socket = this.socket;
+    this.connected = false;
+    this.socket = null;
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+    }
+    this.resetPrinterInfo();
+  }
+
+  /**
+   * Send data to the printer
+   * Waits while the socket has a lot of data queued, so protocol delays
+   * between steps still reach the printer as pauses.
+   */
+  async send(data) {
+    if (!this.connected || !this.socket) {
+      throw new Error('Not connected');
+    }
+
+    const buffer = data instanceof Uint8Array ? data : new Uint8Array(data);
+    while (this.socket?.bufferedAmount > MAX_BUFFERED_BYTES) {
+      await this.delay(10);
+    }
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+    this.socket.send(buffer);
+  }
+
+  /**
+   * Send data in chunks with delays
+   */
+  async sendChunked(data, onProgress = null) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const totalChunks = Math.ceil(bytes.length / CHUNK_SIZE);
+
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      const chunk = bytes.slice(i, Math.min(i + CHUNK_SIZE, bytes.length));
+      await this.send(chunk);
+      await this.delay(CHUNK_DELAY);
+
+      if (onProgress) {
+        const chunkNum = Math.floor(i / CHUNK_SIZE) + 1;
+        const progress = Math.round((i + chunk.length) / bytes.length * 100);
+        onProgress(chunkNum, totalChunks, progress);
+      }
+    }
+  }
+
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Check if connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get device name (the printer's address, as network printers don't
+   * announce a name)
+   */
+  getDeviceName() {
+    return this.address || 'Network Printer';
+  }
+
+  /**
+   * Get a stable ID for the printer (its address)
+   */
+  getDeviceId() {
+    const target = NetworkTransport.parseAddress(this.address);
+    return target ? `${target.host}:${target.port}` : null;
+  }
+
+  // ===========================================================================
+  // PRINTER STATUS
+  // ===========================================================================
+
+  /**
+   * Handle a message from the bridge
+   * @param {ArrayBuffer|string} data
+   */
+  _message(data) {
+    if (typeof data === 'string') {
+      console.log('[Bridge]', data);
+      return;
+    }
+    this._status.receive(new Uint8Array(data));
+  }
+
+  /**
+   * The bridge or the printer closed the connection
+   * @param {WebSocket} socket
+   */
+  _closed(socket) {
+    if (socket !== this.socket || !this.connected) return;
+    console.log('Network connection closed');
+    this.connected = false;
+    this.socket = null;
+    if (this.onDisconnect) this.onDisconnect();
+  }
+
+  /**
+   * Handle a response read from the printer
+   * @param {DataView} view - Response data
+   */
+  handleResponse(view) {
+    this._status.handle(view);
+  }
+
+  /**
+   * Wait for a response from the printer
+   * Used by protocols with waitResponse steps
+   * @param {number} timeout - Maximum time to wait in ms (default 500)
+   * @returns {Promise<DataView|null>} Response data or null if timeout
+   */
+  async waitForResponse(timeout = 500) {
+    return this._status.waitForResponse(timeout);
+  }
+
+  /**
+   * Subscribe to status notifications (paper, cover, hot, print...)
+   * Used by print() to wait for completion and abort on printer errors
+   * @param {Function} listener - Called with (field, value)
+   */
+  addStatusListener(listener) {
+    this._status.addListener(listener);
+  }
+
+  /**
+   * Unsubscribe from status notifications
+   * @param {Function} listener - Listener passed to addStatusListener
+   */
+  removeStatusListener(listener) {
+    this._status.removeListener(listener);
+  }
+
+  /**
+   * Query printer for status information
+   * @param {string} queryType - Phomemo: battery, firmware, serial, paper, cover, version,
+   *   mac, power, label; TSPL: status, paper, cover, model
+   */
+  async query(queryType) {
+    return this._status.query(queryType);
+  }
+
+  /**
+   * Query all available printer info
+   */
+  async queryAll() {
+    return this._status.queryAll();
+  }
+
+  /**
+   * Get current printer info
+   */
+  getPrinterInfo() {
+    return { ...this.printerInfo };
+  }
+
+  /**
+   * Reset printer info (on connect and disconnect)
+   */
+  resetPrinterInfo() {
+    this.printerInfo = emptyPrinterInfo();
+  }
+}
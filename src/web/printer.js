@@ -4,9 +4,12 @@
  * Supports M-series (M02, M110, M200, M220, M260) and D-series (D30, D110)
  *
  * Printer definitions are data-driven from printers.json + user custom definitions.
+ * Command sequences are declarative protocols (also in printers.json), run by protocols.js.
  */
 
 import { STORAGE_KEYS } from './constants.js';
+import { runProtocol, runCalibration, resolveMedia, validateProtocol, shiftRaster } from './protocols.js';
+import { createError, getErrorMessage, ErrorCodes } from './utils/errors.js';
 
 // =============================================================================
 // PRINTER DEFINITIONS MANAGER
@@ -16,6 +19,8 @@ import { STORAGE_KEYS } from './constants.js';
 let _allDefinitions = [];
 // Built-in definitions loaded from printers.json
 let _builtinDefinitions = [];
+// Built-in print protocols loaded from printers.json (see protocols.js for the format)
+let _protocols = [];
 // Whether definitions have been loaded
 let _loaded = false;
 
@@ -28,9 +33,11 @@ export async function loadPrinterDefinitions() {
     const resp = await fetch('./printers.json');
     const json = await resp.json();
     _builtinDefinitions = json.printers || [];
+    _protocols = json.protocols || [];
   } catch (e) {
     console.error('Failed to load printers.json:', e);
     _builtinDefinitions = [];
+    _protocols = [];
   }
   _loaded = true;
   _rebuildDefinitions();
@@ -118,19 +125,37 @@ export function resetBuiltinPrinter(id) {
 
 /**
  * Get the available protocol types (for the editor UI)
+ * 'custom' means the printer definition carries its own command sequence.
  */
 export function getAvailableProtocols() {
   return [
-    { value: 'm-series', label: 'M-series (ESC/POS Raster)' },
-    { value: 'm02', label: 'M02-series (ESC/POS with Prefix)' },
-    { value: 'm04', label: 'M04-series (300 DPI)' },
-    { value: 'm110', label: 'M110-series (phomemo-tools)' },
-    { value: 'd-series', label: 'D-series (Rotated)' },
-    { value: 'p12', label: 'P12/Tape (Rotated, Continuous)' },
-    { value: 'tspl', label: 'TSPL (Shipping Label)' },
+    ..._protocols.map(p => ({ value: p.id, label: p.name })),
+    { value: 'custom', label: 'Custom (own command sequence)' },
   ];
 }
 
+/**
+ * Get a built-in protocol definition by id
+ * @param {string} id - Protocol id (e.g. 'm-series', 'tspl')
+ * @returns {Object|null}
+ */
+export function getProtocolDefinition(id) {
+  return _protocols.find(p => p.id === id) || null;
+}
+
+/**
+ * Validate a custom command sequence before it is saved
+ * @param {Object} commands - Protocol definition (see protocols.js)
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateCustomProtocol(commands) {
+  const errors = validateProtocol(commands);
+  if (commands?.usbProtocol && !getProtocolDefinition(commands.usbProtocol)) {
+    errors.push(`usbProtocol "${commands.usbProtocol}" is not a built-in protocol`);
+  }
+  return errors;
+}
+
 /**
  * Get the available label preset groups (for the editor UI)
  */
@@ -235,154 +260,6 @@ function getOverrideConfig(modelOverride) {
   return null;
 }
 
-/**
- * Convert density level (1-8) to heat time value
- * Higher heat time = darker print
- */
-function densityToHeatTime(density) {
-  // Map density 1-8 to heat time values
-  // Range approximately 40-200 (40=very light, 200=very dark)
-  const heatTimes = [40, 60, 80, 100, 120, 140, 160, 200];
-  return heatTimes[Math.max(0, Math.min(7, density - 1))];
-}
-
-// ESC/POS commands for M-series
-const CMD = {
-  INIT: new Uint8Array([0x1b, 0x40]),
-  FEED: (dots) => new Uint8Array([0x1b, 0x4a, dots]),
-  // Standard ESC/POS density (GS | n) - may not work on all printers
-  DENSITY: (level) => new Uint8Array([0x1d, 0x7c, level]),
-  // ESC 7 - Heat settings (n1=max dots, n2=heat time, n3=heat interval)
-  // Heat time (n2): higher = darker, range ~3-255, default ~80
-  // This command is common on Chinese thermal printers
-  HEAT_SETTINGS: (maxDots, heatTime, heatInterval) =>
-    new Uint8Array([0x1b, 0x37, maxDots, heatTime, heatInterval]),
-  LINE_SPACING: (dots) => new Uint8Array([0x1b, 0x33, dots]),
-  RASTER_HEADER: (widthBytes, heightLines) => new Uint8Array([
-    0x1d, 0x76, 0x30, 0x00,
-    widthBytes, 0x00,
-    heightLines & 0xff, (heightLines >> 8) & 0xff,
-  ]),
-};
-
-// M02-series specific commands
-const M02_CMD = {
-  // M02 requires a special prefix before standard ESC/POS commands
-  PREFIX: new Uint8Array([0x10, 0xff, 0xfe, 0x01]),
-};
-
-// D-series (D30, D110) specific commands
-const D_CMD = {
-  // D30 header includes init inline: ESC @ GS v 0 \0 widthLow widthHigh rowsLow rowsHigh
-  HEADER: (widthBytes, rows) => new Uint8Array([
-    0x1b, 0x40,           // ESC @ - Initialize
-    0x1d, 0x76, 0x30, 0x00, // GS v 0 \0 - Raster bit image
-    widthBytes % 256,
-    Math.floor(widthBytes / 256),
-    rows % 256,
-    Math.floor(rows / 256),
-  ]),
-  END: new Uint8Array([0x1b, 0x64, 0x00]),
-};
-
-// M110-series specific commands (based on phomemo-tools project)
-// These commands are tested and working for M110/M110S printers
-const M110_CMD = {
-  // ESC N 0x0D <speed> - Set print speed (default 5)
-  SPEED: (speed) => new Uint8Array([0x1b, 0x4e, 0x0d, speed]),
-  // ESC N 0x04 <density> - Set print density (range ~1-15, default 10)
-  DENSITY: (density) => new Uint8Array([0x1b, 0x4e, 0x04, density]),
-  // 1F 11 <type> - Set media type (10 = labels with gaps)
-  MEDIA_TYPE: (type) => new Uint8Array([0x1f, 0x11, type]),
-  // Footer sequence to finalize print
-  FOOTER: new Uint8Array([0x1f, 0xf0, 0x05, 0x00, 0x1f, 0xf0, 0x03, 0x00]),
-};
-
-// M04-series specific commands (reverse-engineered from BTSnoop HCI logs)
-// M04S/M04AS use 300 DPI and a proprietary init sequence
-// Tested on real hardware by @ramiorg (github.com/transcriptionstream/phomymo/issues/23)
-const M04_CMD = {
-  // 1F 11 02 <density> - Set print density (0x00-0x0F, default 0x04)
-  DENSITY: (level) => new Uint8Array([0x1f, 0x11, 0x02, level]),
-  // 1F 11 37 <param> - Set heat/speed parameter
-  HEAT: (param) => new Uint8Array([0x1f, 0x11, 0x37, param]),
-  // 1F 11 0B - Init command (required, purpose undetermined)
-  INIT: new Uint8Array([0x1f, 0x11, 0x0b]),
-  // 1F 11 35 <mode> - Compression mode (0x00=raw, 0x01=LZO; raw is sufficient)
-  COMPRESSION: (mode) => new Uint8Array([0x1f, 0x11, 0x35, mode]),
-  // M04 raster header - same opcodes as standard ESC/POS but with proper 16-bit LE width
-  RASTER_HEADER: (widthBytes, heightLines) => new Uint8Array([
-    0x1d, 0x76, 0x30, 0x00,
-    widthBytes % 256,
-    Math.floor(widthBytes / 256),
-    heightLines % 256,
-    Math.floor(heightLines / 256),
-  ]),
-  // 1B 64 02 - Paper feed
-  FEED: new Uint8Array([0x1b, 0x64, 0x02]),
-};
-
-// P12-series specific commands (based on soburi/phomemo_p12 protocol)
-const P12_CMD = {
-  // P12 init sequence - grouped into 6 packets as per soburi protocol
-  // Each packet should be followed by waiting for printer response
-  INIT_SEQUENCE: [
-    new Uint8Array([0x1f, 0x11, 0x38]),
-    new Uint8Array([0x1f, 0x11, 0x11, 0x1f, 0x11, 0x12, 0x1f, 0x11, 0x09, 0x1f, 0x11, 0x13]),
-    new Uint8Array([0x1f, 0x11, 0x09]),
-    new Uint8Array([0x1f, 0x11, 0x19, 0x1f, 0x11, 0x11]),
-    new Uint8Array([0x1f, 0x11, 0x19]),
-    new Uint8Array([0x1f, 0x11, 0x07]),
-  ],
-  // P12 print header: ESC @ + GS v 0 + dimensions
-  HEADER: (widthBytes, rows) => new Uint8Array([
-    0x1b, 0x40,           // ESC @ - Initialize
-    0x1d, 0x76, 0x30, 0x00, // GS v 0 \0 - Raster bit image
-    widthBytes % 256,
-    Math.floor(widthBytes / 256),
-    rows % 256,
-    Math.floor(rows / 256),
-  ]),
-  // P12 feed: ESC d 13 (feed 13 lines)
-  FEED: new Uint8Array([0x1b, 0x64, 0x0d]),
-};
-
-// TSPL commands for shipping label printers (PM-241, etc.)
-// TSPL is a text-based protocol used by many Chinese thermal label printers
-const TSPL = {
-  // Helper to create command string with CRLF
-  cmd: (str) => new TextEncoder().encode(str + '\r\n'),
-
-  // Set label size in mm
-  SIZE: (widthMm, heightMm) => new TextEncoder().encode(`SIZE ${widthMm} mm, ${heightMm} mm\r\n`),
-
-  // Set gap between labels (0 for continuous)
-  GAP: (gapMm) => new TextEncoder().encode(`GAP ${gapMm} mm, 0 mm\r\n`),
-
-  // Set print density (0-15)
-  DENSITY: (level) => new TextEncoder().encode(`DENSITY ${level}\r\n`),
-
-  // Set print speed (1-10)
-  SPEED: (speed) => new TextEncoder().encode(`SPEED ${speed}\r\n`),
-
-  // Set print direction (0=normal, 1=reversed)
-  DIRECTION: (dir) => new TextEncoder().encode(`DIRECTION ${dir}\r\n`),
-
-  // Clear image buffer
-  CLS: () => new TextEncoder().encode('CLS\r\n'),
-
-  // BITMAP header: x, y, widthBytes, heightDots, mode (0=overwrite)
-  // Binary data follows immediately after this
-  BITMAP_HEADER: (x, y, widthBytes, heightDots) =>
-    new TextEncoder().encode(`BITMAP ${x},${y},${widthBytes},${heightDots},0,`),
-
-  // Print n copies
-  PRINT: (copies = 1) => new TextEncoder().encode(`PRINT ${copies}\r\n`),
-
-  // End command
-  END: () => new TextEncoder().encode('END\r\n'),
-};
-
 // =============================================================================
 // PROTOCOL DETECTION HELPERS (data-driven from definitions)
 // =============================================================================
@@ -397,6 +274,34 @@ function _resolveConfig(deviceName, modelOverride = 'auto') {
   return detectPrinterConfig(deviceName);
 }
 
+/**
+ * Resolve the protocol definition used to print to a device.
+ * Custom printers may carry their own command sequence; protocols with a
+ * usbProtocol switch to it when the printer isn't connected over BLE.
+ */
+function _resolveProtocol(deviceName, modelOverride = 'auto', isBLE = true) {
+  const config = _resolveConfig(deviceName, modelOverride);
+  let protocol = config.protocol === 'custom'
+    ? config.definition?.commands
+    : getProtocolDefinition(config.protocol);
+  if (!protocol) {
+    throw new Error(`No command sequence for protocol "${config.protocol}"`);
+  }
+  if (!isBLE && protocol.usbProtocol) {
+    protocol = getProtocolDefinition(protocol.usbProtocol) || protocol;
+  }
+  return protocol;
+}
+
+/**
+ * Get the display name of the protocol used for a device
+ */
+export function getPrinterProtocolName(deviceName, modelOverride = 'auto') {
+  const config = _resolveConfig(deviceName, modelOverride);
+  if (config.protocol === 'custom') return config.definition?.commands?.name || 'Custom';
+  return getProtocolDefinition(config.protocol)?.name || config.protocol;
+}
+
 /**
  * Check if a device name is recognized (matches a known pattern)
  */
@@ -450,14 +355,6 @@ export function isTSPLPrinter(deviceName, modelOverride = 'auto') {
   return _resolveConfig(deviceName, modelOverride).protocol === 'tspl';
 }
 
-function isM110Printer(deviceName, modelOverride = 'auto') {
-  return _resolveConfig(deviceName, modelOverride).protocol === 'm110';
-}
-
-function isM04Printer(deviceName, modelOverride = 'auto') {
-  return _resolveConfig(deviceName, modelOverride).protocol === 'm04';
-}
-
 export function isRotatedPrinter(deviceName, modelOverride = 'auto') {
   const config = _resolveConfig(deviceName, modelOverride);
   const def = config.definition;
@@ -502,675 +399,321 @@ export function getPrinterDescription(deviceName, modelOverride = 'auto') {
   return `M-series (${widthMm}mm)`;
 }
 
-/**
- * Rotate raster data 90 degrees clockwise for D-series printers
- * D-series prints labels top-to-bottom, so we need to rotate the image
- *
- * @param {Uint8Array} data - Original raster data (1 bit per pixel, packed in bytes)
- * @param {number} widthBytes - Width in bytes (8 pixels per byte)
- * @param {number} heightLines - Height in lines
- * @returns {Object} { data, widthBytes, heightLines } - Rotated raster data
- */
-function rotateRaster90CW(data, widthBytes, heightLines) {
-  const srcWidthPx = widthBytes * 8;
-  const srcHeightPx = heightLines;
-
-  // After 90° CW rotation: new width = old height, new height = old width
-  const dstWidthPx = srcHeightPx;
-  const dstHeightPx = srcWidthPx;
-  const dstWidthBytes = Math.ceil(dstWidthPx / 8);
-
-  const rotated = new Uint8Array(dstWidthBytes * dstHeightPx);
-
-  // For each pixel in source, calculate its position in destination
-  for (let srcY = 0; srcY < srcHeightPx; srcY++) {
-    for (let srcX = 0; srcX < srcWidthPx; srcX++) {
-      // Get source pixel
-      const srcByteIdx = srcY * widthBytes + Math.floor(srcX / 8);
-      const srcBitIdx = 7 - (srcX % 8);
-      const pixel = (data[srcByteIdx] >> srcBitIdx) & 1;
-
-      // 90° CW rotation: (x, y) -> (height - 1 - y, x)
-      const dstX = srcHeightPx - 1 - srcY;
-      const dstY = srcX;
-
-      // Set destination pixel
-      const dstByteIdx = dstY * dstWidthBytes + Math.floor(dstX / 8);
-      const dstBitIdx = 7 - (dstX % 8);
-      if (pixel) {
-        rotated[dstByteIdx] |= (1 << dstBitIdx);
-      }
-    }
-  }
-
-  return {
-    data: rotated,
-    widthBytes: dstWidthBytes,
-    heightLines: dstHeightPx,
-  };
-}
-
-/**
- * Rotate raster data 90 degrees counter-clockwise
- * Used for P12 printers which may need opposite rotation from D30
- *
- * @param {Uint8Array} data - Original raster data (1 bit per pixel, packed in bytes)
- * @param {number} widthBytes - Width in bytes (8 pixels per byte)
- * @param {number} heightLines - Height in lines
- * @returns {Object} { data, widthBytes, heightLines } - Rotated raster data
- */
-function rotateRaster90CCW(data, widthBytes, heightLines) {
-  const srcWidthPx = widthBytes * 8;
-  const srcHeightPx = heightLines;
-
-  // After 90° CCW rotation: new width = old height, new height = old width
-  const dstWidthPx = srcHeightPx;
-  const dstHeightPx = srcWidthPx;
-  const dstWidthBytes = Math.ceil(dstWidthPx / 8);
-
-  const rotated = new Uint8Array(dstWidthBytes * dstHeightPx);
-
-  // For each pixel in source, calculate its position in destination
-  for (let srcY = 0; srcY < srcHeightPx; srcY++) {
-    for (let srcX = 0; srcX < srcWidthPx; srcX++) {
-      // Get source pixel
-      const srcByteIdx = srcY * widthBytes + Math.floor(srcX / 8);
-      const srcBitIdx = 7 - (srcX % 8);
-      const pixel = (data[srcByteIdx] >> srcBitIdx) & 1;
-
-      // 90° CCW rotation: (x, y) -> (y, width - 1 - x)
-      const dstX = srcY;
-      const dstY = srcWidthPx - 1 - srcX;
-
-      // Set destination pixel
-      const dstByteIdx = dstY * dstWidthBytes + Math.floor(dstX / 8);
-      const dstBitIdx = 7 - (dstX % 8);
-      if (pixel) {
-        rotated[dstByteIdx] |= (1 << dstBitIdx);
-      }
-    }
-  }
-
-  return {
-    data: rotated,
-    widthBytes: dstWidthBytes,
-    heightLines: dstHeightPx,
-  };
-}
-
 /**
  * Print raster data to a Phomemo printer
  *
  * @param {Object} transport - BLE or USB transport instance
- * @param {Object} rasterData - Raster data from canvas { data, widthBytes, heightLines }
+ * @param {Object} rasterData - Raster data from canvas { data, widthBytes, heightLines }, optionally
+ *   with native element commands for protocols that take them (see runProtocol). The printer's
+ *   calibration offset is applied to the raster here; native output is positioned by the caller.
  * @param {Object} options - Print options
  * @param {boolean} options.isBLE - Whether using BLE transport
  * @param {string} options.deviceName - Device name for protocol detection
  * @param {string} options.printerModel - Manual model override ('auto', 'narrow', 'wide', 'd-series')
  * @param {number} options.density - Print density 1-8 (default 6)
  * @param {number} options.feed - Feed after print in dots (default 32)
- * @param {Function} options.onProgress - Progress callback (percent)
+ * @param {number} options.copies - Number of copies (default 1), printed the most efficient way
+ *   the protocol allows (see runProtocol)
+ * @param {Function} options.onProgress - Progress callback (percent, over all copies)
+ * @param {boolean} options.adaptive - Let BLE pick chunk size and pacing (default false)
+ * @param {number} options.speed - Speed level 1-5, for protocols that offer it (default: the protocol's)
+ * @param {number} options.heat - Heat level 1-5, for protocols that offer it (default: the protocol's)
+ * @param {boolean} options.compress - Send the raster compressed where the protocol supports it
+ *   (M04 LZO mode, default false)
+ * @param {boolean} options.skipBlankRows - Drop blank rows at the ends and feed over blank stretches
+ *   where the protocol supports it (continuous paper, default false)
  */
 export async function print(transport, rasterData, options = {}) {
-  const { isBLE = false, deviceName = '', printerModel = 'auto', density = 6, feed = 32, onProgress = null } = options;
+  const { isBLE = false, deviceName = '', printerModel = 'auto', density = 6, feed = 32, copies = 1, onProgress = null, adaptive = false, speed = null, heat = null, compress = false, skipBlankRows = false } = options;
   const { data, widthBytes, heightLines } = rasterData;
 
-  const isDSeries = isDSeriesPrinter(deviceName, printerModel);
-  const isP12 = isP12Printer(deviceName, printerModel);
-  const isM02 = isM02Printer(deviceName, printerModel);
-  const isM04 = isM04Printer(deviceName, printerModel);
-  const isM110 = isM110Printer(deviceName, printerModel);
-  const isTSPL = isTSPLPrinter(deviceName, printerModel);
+  const protocol = _resolveProtocol(deviceName, printerModel, isBLE);
+  const { offsetX, offsetY } = getPrinterCalibration(deviceName, printerModel);
+  if (offsetX || offsetY) {
+    console.log(`Calibration offset: ${offsetX},${offsetY} dots`);
+    rasterData = { ...rasterData, data: shiftRaster(data, widthBytes, heightLines, offsetX, offsetY) };
+  }
   const printerDesc = getPrinterDescription(deviceName, printerModel);
   console.log(`Printing: ${widthBytes}x${heightLines} (${data.length} bytes)`);
   console.log(`Device: ${deviceName}, Model: ${printerModel}, Detected: ${printerDesc}`);
-  console.log(`Transport: ${isBLE ? 'BLE' : 'USB'}, Density: ${density}, Feed: ${feed}`);
-
-  if (isTSPL) {
-    // TSPL protocol for shipping label printers (PM-241, etc.)
-    // Get label dimensions in mm from raster data
-    const labelWidthMm = Math.round(widthBytes * 8 / 8); // 8 dots/mm at 203 DPI
-    const labelHeightMm = Math.round(heightLines / 8);
-    await printTSPL(transport, data, widthBytes, heightLines, labelWidthMm, labelHeightMm, density, onProgress);
-  } else if (isP12 && isBLE) {
-    // P12 uses its own protocol with proprietary init sequence
-    await printP12(transport, data, widthBytes, heightLines, onProgress);
-  } else if (isDSeries && isBLE) {
-    // D-series (D30, D110, etc.)
-    await printDSeries(transport, data, widthBytes, heightLines, onProgress, density);
-  } else if (isM02 && isBLE) {
-    await printM02(transport, data, widthBytes, heightLines, density, onProgress);
-  } else if (isM04 && isBLE) {
-    await printM04(transport, data, widthBytes, heightLines, density, feed, onProgress);
-  } else if (isM110 && isBLE) {
-    // M110/M110S/M120 uses phomemo-tools protocol
-    await printM110(transport, data, widthBytes, heightLines, density, onProgress);
-  } else if (isBLE) {
-    await printBLE(transport, data, widthBytes, heightLines, density, feed, onProgress);
-  } else {
-    await printUSB(transport, data, widthBytes, heightLines, density, feed, onProgress);
-  }
-}
-
-/**
- * Print via BLE for D-series printers (D30, D110, etc.)
- * Uses rotated printing with D-series protocol
- */
-async function printDSeries(transport, data, widthBytes, heightLines, onProgress, density = 6) {
-  console.log('Using D-series protocol...');
-  console.log(`Input: ${widthBytes} bytes wide x ${heightLines} rows (${data.length} bytes)`);
-
-  // Rotate for D-series (they print labels sideways)
-  const rotated = rotateRaster90CW(data, widthBytes, heightLines);
-  console.log(`Rotated: ${rotated.widthBytes} bytes wide x ${rotated.heightLines} rows`);
-
-  // Set heat/density before header
-  const heatTime = densityToHeatTime(density);
-  console.log(`Setting density ${density} (heat time: ${heatTime})...`);
-  await transport.send(CMD.HEAT_SETTINGS(7, heatTime, 2));
-  await transport.delay(30);
-
-  // Send D-series header (includes ESC @ init)
-  console.log('Sending D-series header...');
-  await transport.send(D_CMD.HEADER(rotated.widthBytes, rotated.heightLines));
-
-  // Send data in chunks
-  console.log('Sending data...');
-  const chunkSize = 128;
-
-  for (let i = 0; i < rotated.data.length; i += chunkSize) {
-    const chunk = rotated.data.slice(i, Math.min(i + chunkSize, rotated.data.length));
-    await transport.send(chunk);
-    await transport.delay(20);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / rotated.data.length * 100);
-      onProgress(progress);
-    }
+  console.log(`Transport: ${isBLE ? 'BLE' : 'USB'}, Density: ${density}, Feed: ${feed}, Copies: ${copies}`);
+
+  // Virtual transports (loopback) group everything sent for one print into a job
+  if (transport.beginJob) {
+    transport.beginJob({
+      deviceName,
+      printerModel,
+      protocol: protocol.id || _resolveConfig(deviceName, printerModel).protocol,
+      description: printerDesc,
+      density,
+      feed,
+      copies,
+      widthBytes,
+      heightLines,
+    });
   }
 
-  // D-series end command
-  await transport.delay(100);
-  console.log('Sending D-series end command...');
-  await transport.send(D_CMD.END);
+  // Follow the printer's status notifications, if the transport delivers them
+  const monitor = transport.addStatusListener ? _watchPrintStatus(transport) : null;
 
-  console.log('Print complete!');
+  try {
+    await runProtocol(transport, protocol, rasterData, {
+      density,
+      feed,
+      copies,
+      onProgress,
+      adaptive,
+      speed,
+      heat,
+      compress,
+      skipBlankRows,
+      media: _resolveConfig(deviceName, printerModel).definition?.media,
+      checkStatus: monitor?.check,
+      waitForCompletion: monitor?.waitForCompletion,
+    });
+  } finally {
+    monitor?.stop();
+    if (transport.endJob) transport.endJob();
+  }
 }
 
+// =============================================================================
+// CALIBRATION
+// =============================================================================
+
 /**
- * Print via BLE for P12-series printers (P12, P12 Pro)
- * Continuous tape printer - uses proprietary init sequence to fix print positioning
+ * Get the calibration a device prints with (from the calibration wizard or Manage Printers)
+ * @param {string} deviceName - Device name for detection
+ * @param {string} modelOverride - Manual model selection
+ * @returns {Object} { offsetX, offsetY } in dots (+ = right / down), and the preferred
+ *   density (1-8, or null if none was chosen)
  */
-async function printP12(transport, data, widthBytes, heightLines, onProgress) {
-  console.log('Using P12-series protocol...');
-  console.log(`Input: ${widthBytes} bytes wide x ${heightLines} rows (${data.length} bytes)`);
-
-  // Rotate for P12 (prints labels sideways like D30)
-  const rotated = rotateRaster90CW(data, widthBytes, heightLines);
-  console.log(`Rotated: ${rotated.widthBytes} bytes wide x ${rotated.heightLines} rows`);
-
-  // Send P12 init sequence with response waiting (as per soburi protocol)
-  console.log('Sending P12 init sequence...');
-  for (let i = 0; i < P12_CMD.INIT_SEQUENCE.length; i++) {
-    const cmd = P12_CMD.INIT_SEQUENCE[i];
-    console.log(`  Init packet ${i + 1}/${P12_CMD.INIT_SEQUENCE.length}...`);
-    await transport.send(cmd);
-    // Wait for printer response before sending next packet
-    if (transport.waitForResponse) {
-      await transport.waitForResponse(500);
-    } else {
-      await transport.delay(100); // Fallback delay if no waitForResponse
-    }
-  }
-
-  // Send P12 header (ESC @ + GS v 0 + dimensions)
-  console.log('Sending P12 header...');
-  await transport.send(P12_CMD.HEADER(rotated.widthBytes, rotated.heightLines));
-
-  // Send data in chunks
-  console.log('Sending data...');
-  const chunkSize = 128;
-
-  for (let i = 0; i < rotated.data.length; i += chunkSize) {
-    const chunk = rotated.data.slice(i, Math.min(i + chunkSize, rotated.data.length));
-    await transport.send(chunk);
-    await transport.delay(20);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / rotated.data.length * 100);
-      onProgress(progress);
-    }
-  }
-
-  // P12 feed command (ESC d 13, twice as per soburi protocol)
-  await transport.delay(100);
-  console.log('Sending P12 feed...');
-  await transport.send(P12_CMD.FEED);
-  await transport.delay(50);
-  await transport.send(P12_CMD.FEED);
-
-  console.log('Print complete!');
+export function getPrinterCalibration(deviceName, modelOverride = 'auto') {
+  const def = _resolveConfig(deviceName, modelOverride).definition;
+  return {
+    offsetX: def?.offsetX || 0,
+    offsetY: def?.offsetY || 0,
+    density: def?.density || null,
+  };
 }
 
 /**
- * Print via BLE for M02-series printers
- * M02 uses a special prefix and minimal/no feed (continuous paper)
+ * Store calibration results with the printer definition a device resolves to
+ * @param {string} deviceName - Device name for detection
+ * @param {string} modelOverride - Manual model selection
+ * @param {Object} calibration - Any of { widthBytes, offsetX, offsetY, density }
+ * @returns {boolean} False if there is no printer definition to store them with
  */
-async function printM02(transport, data, widthBytes, heightLines, density, onProgress) {
-  console.log('Using M02-series protocol...');
-
-  // M02 requires a special prefix before commands
-  console.log('Sending M02 prefix...');
-  await transport.send(M02_CMD.PREFIX);
-  await transport.delay(50);
-
-  // Standard init
-  console.log('Sending init...');
-  await transport.send(CMD.INIT);
-  await transport.delay(100);
-
-  // Set density using ESC 7 heat command
-  const heatTime = densityToHeatTime(density);
-  console.log(`Setting density to ${density} (heat time: ${heatTime})...`);
-  await transport.send(CMD.HEAT_SETTINGS(7, heatTime, 2));
-  await transport.delay(30);
-
-  // Raster header
-  console.log('Sending header...');
-  await transport.send(CMD.RASTER_HEADER(widthBytes, heightLines));
-
-  // Send data in 128-byte chunks
-  console.log('Sending data...');
-  const chunkSize = 128;
-
-  for (let i = 0; i < data.length; i += chunkSize) {
-    const chunk = data.slice(i, Math.min(i + chunkSize, data.length));
-    await transport.send(chunk);
-    await transport.delay(20);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / data.length * 100);
-      onProgress(progress);
-    }
-  }
+export function savePrinterCalibration(deviceName, modelOverride, calibration) {
+  const def = _resolveConfig(deviceName, modelOverride).definition;
+  if (!def) return false;
+  saveCustomPrinterDefinition({ ...def, ...calibration });
+  return true;
+}
 
-  // M02 uses continuous paper - minimal feed just to clear print head
-  // Too much feed wastes paper on continuous rolls
-  await transport.delay(300);
-  console.log('Sending minimal feed (8 dots for continuous paper)...');
-  await transport.send(CMD.FEED(8));
-  await transport.delay(500);
+// =============================================================================
+// TONE PROFILES
+// =============================================================================
 
-  console.log('Print complete!');
+/**
+ * Get the tone profile a device prints with (see tone.js)
+ * The media settings' profile wins over the printer definition's, so one
+ * printer can keep a profile for each kind of media it is loaded with.
+ * @param {string} deviceName - Device name for detection
+ * @param {string} modelOverride - Manual model selection
+ * @param {Object} options
+ * @param {boolean} options.media - Include the media settings' profile (default true)
+ * @returns {string|null} Tone profile id, or null if none was picked
+ */
+export function getToneProfileId(deviceName, modelOverride = 'auto', { media = true } = {}) {
+  const def = _resolveConfig(deviceName, modelOverride).definition;
+  return (media && def?.media?.toneProfile) || def?.toneProfile || null;
 }
 
 /**
- * Print via BLE for M04-series printers (M04S, M04AS)
- * Uses proprietary init sequence and 300 DPI
- * Tested on real hardware by @ramiorg
+ * Store the printer's tone profile with the printer definition a device resolves to
+ * @param {string} deviceName - Device name for detection
+ * @param {string} modelOverride - Manual model selection
+ * @param {string|null} toneProfile - Tone profile id (null = none)
+ * @returns {boolean} False if there is no printer definition to store it with
  */
-async function printM04(transport, data, widthBytes, heightLines, density, feed, onProgress) {
-  console.log('Using M04-series protocol (300 DPI)...');
-
-  // Map density 1-8 to M04 range 0x00-0x0F (default 0x04)
-  const m04Density = Math.round((density / 8) * 15);
-  // Heat parameter - tested range on real hardware
-  const m04Heat = Math.round(100 + (density - 1) * 50 / 3);
-
-  // Step 1: Set density
-  console.log(`Setting density to ${density} (M04 value: 0x${m04Density.toString(16).padStart(2, '0')})...`);
-  await transport.send(M04_CMD.DENSITY(m04Density));
-  await transport.delay(30);
-
-  // Step 2: Set heat/speed
-  console.log(`Setting heat/speed (${m04Heat})...`);
-  await transport.send(M04_CMD.HEAT(m04Heat));
-  await transport.delay(30);
-
-  // Step 3: Init
-  console.log('Sending M04 init...');
-  await transport.send(M04_CMD.INIT);
-  await transport.delay(30);
-
-  // Step 4: Set compression mode to raw (no LZO)
-  console.log('Setting compression mode (raw)...');
-  await transport.send(M04_CMD.COMPRESSION(0x00));
-  await transport.delay(30);
-
-  // Step 5: M04-specific raster header (proper 16-bit LE width/height)
-  console.log('Sending raster header...');
-  await transport.send(M04_CMD.RASTER_HEADER(widthBytes, heightLines));
-
-  // Step 6: Send data in 256-byte chunks
-  console.log('Sending data (256-byte chunks)...');
-  const chunkSize = 256;
-
-  for (let i = 0; i < data.length; i += chunkSize) {
-    const chunk = data.slice(i, Math.min(i + chunkSize, data.length));
-    await transport.send(chunk);
-    await transport.delay(20);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / data.length * 100);
-      onProgress(progress);
-    }
-  }
-
-  // Step 7: Feed - number of feed commands based on feed setting
-  await transport.delay(300);
-  const feedCount = Math.max(1, Math.round(feed / 16));
-  console.log(`Sending feed (${feedCount} lines)...`);
-  for (let i = 0; i < feedCount; i++) {
-    await transport.send(M04_CMD.FEED);
-    await transport.delay(30);
-  }
-  await transport.delay(500);
-
-  console.log('Print complete!');
+export function savePrinterToneProfile(deviceName, modelOverride, toneProfile) {
+  return savePrinterCalibration(deviceName, modelOverride, { toneProfile: toneProfile || null });
 }
 
+// =============================================================================
+// SPEED AND HEAT
+// =============================================================================
+
 /**
- * Print via BLE transport for M110/M110S/M120 printers
- * Uses the phomemo-tools protocol which is tested and working
+ * Get the speed/heat controls a device's protocol offers
+ * @param {string} deviceName - Device name for detection
+ * @param {string} modelOverride - Manual model selection
+ * @param {boolean} isBLE - Whether printing over BLE (USB may use another protocol)
+ * @returns {Object} Default level (1-5) by control, e.g. { speed: 3, heat: 3 }; empty if none
  */
-async function printM110(transport, data, widthBytes, heightLines, density, onProgress) {
-  console.log('Using M110 protocol (phomemo-tools)...');
-
-  // Map our density (1-8) to M110 density (~1-15, default 10)
-  // Our scale: 1=lightest, 8=darkest
-  // M110 scale: higher = darker, default 10
-  const m110Density = Math.round(5 + density * 1.25); // Maps 1-8 to ~6-15
-
-  // Set speed (default 5)
-  console.log('Setting speed...');
-  await transport.send(M110_CMD.SPEED(5));
-  await transport.delay(30);
-
-  // Set density
-  console.log(`Setting density to ${density} (M110 value: ${m110Density})...`);
-  await transport.send(M110_CMD.DENSITY(m110Density));
-  await transport.delay(30);
-
-  // Set media type (10 = labels with gaps)
-  console.log('Setting media type...');
-  await transport.send(M110_CMD.MEDIA_TYPE(10));
-  await transport.delay(30);
-
-  // Raster header (same format as standard M-series)
-  console.log('Sending header...');
-  await transport.send(CMD.RASTER_HEADER(widthBytes, heightLines));
-
-  // Send data in 128-byte chunks
-  console.log('Sending data...');
-  const chunkSize = 128;
-
-  for (let i = 0; i < data.length; i += chunkSize) {
-    const chunk = data.slice(i, Math.min(i + chunkSize, data.length));
-    await transport.send(chunk);
-    await transport.delay(20);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / data.length * 100);
-      onProgress(progress);
-    }
+export function getTuningControls(deviceName, modelOverride = 'auto', isBLE = true) {
+  try {
+    return { ..._resolveProtocol(deviceName, modelOverride, isBLE).tuning };
+  } catch (e) {
+    return {};
   }
+}
 
-  // Send footer to finalize print
-  await transport.delay(300);
-  console.log('Sending footer...');
-  await transport.send(M110_CMD.FOOTER);
-  await transport.delay(500);
+// =============================================================================
+// MEDIA SETTINGS
+// =============================================================================
 
-  console.log('Print complete!');
+/**
+ * Get the media settings (gap, black mark, offset, speed...) a device prints with
+ * @param {string} deviceName - Device name for detection
+ * @param {string} modelOverride - Manual model selection
+ * @returns {Object|null} Settings (see MEDIA_DEFAULTS in protocols.js), or null if
+ *   the printer's protocol has no media settings
+ */
+export function getMediaSettings(deviceName, modelOverride = 'auto') {
+  const config = _resolveConfig(deviceName, modelOverride);
+  const protocol = config.protocol === 'custom' ? config.definition?.commands : getProtocolDefinition(config.protocol);
+  if (!protocol?.media) return null;
+  return resolveMedia(protocol, config.definition?.media);
 }
 
 /**
- * Print via BLE transport
- * Uses the protocol that works with M260
+ * Store media settings with the printer definition a device resolves to
+ * (a built-in definition becomes a customized copy, like any other edit)
+ * @param {string} deviceName - Device name for detection
+ * @param {string} modelOverride - Manual model selection
+ * @param {Object} media - Media settings
+ * @returns {boolean} False if there is no printer definition to store them with
  */
-async function printBLE(transport, data, widthBytes, heightLines, density, feed, onProgress) {
-  // Init - must be right before data
-  console.log('Sending init...');
-  await transport.send(CMD.INIT);
-  await transport.delay(100);
-
-  // Set density using ESC 7 heat command (more widely supported)
-  const heatTime = densityToHeatTime(density);
-  console.log(`Setting density to ${density} (heat time: ${heatTime})...`);
-  await transport.send(CMD.HEAT_SETTINGS(7, heatTime, 2));
-  await transport.delay(30);
-  // Also send standard density command as backup
-  await transport.send(CMD.DENSITY(density));
-  await transport.delay(50);
-
-  // Raster header
-  console.log('Sending header...');
-  await transport.send(CMD.RASTER_HEADER(widthBytes, heightLines));
-
-  // Send data in 128-byte chunks
-  console.log('Sending data...');
-  const chunkSize = 128;
-  const totalChunks = Math.ceil(data.length / chunkSize);
-
-  for (let i = 0; i < data.length; i += chunkSize) {
-    const chunk = data.slice(i, Math.min(i + chunkSize, data.length));
-    await transport.send(chunk);
-    await transport.delay(20);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / data.length * 100);
-      onProgress(progress);
-    }
-  }
-
-  // Feed after print
-  await transport.delay(300);
-  console.log(`Sending feed (${feed} dots)...`);
-  await transport.send(CMD.FEED(feed));
-  await transport.delay(800);
-
-  console.log('Print complete!');
+export function saveMediaSettings(deviceName, modelOverride, media) {
+  const def = _resolveConfig(deviceName, modelOverride).definition;
+  if (!def) return false;
+  saveCustomPrinterDefinition({ ...def, media: { ...media } });
+  return true;
 }
 
 /**
- * Print via USB transport
+ * Check if a device's protocol can calibrate its media sensor
  */
-async function printUSB(transport, data, widthBytes, heightLines, density, feed, onProgress) {
-  // Init
-  console.log('Sending init...');
-  await transport.send(CMD.INIT);
-  await transport.delay(100);
-
-  // Density and line spacing
-  console.log(`Setting density to ${density}...`);
-  await transport.send(CMD.DENSITY(density));
-  await transport.send(CMD.LINE_SPACING(0)); // Line spacing 0
-
-  // Initial feed
-  await transport.send(CMD.FEED(0x0c)); // 12 dots
-  await transport.delay(50);
-
-  // Raster header
-  console.log('Sending header...');
-  await transport.send(CMD.RASTER_HEADER(widthBytes, heightLines));
-
-  // Send data in 512-byte chunks
-  console.log('Sending data...');
-  const chunkSize = 512;
-  const totalChunks = Math.ceil(data.length / chunkSize);
-
-  for (let i = 0; i < data.length; i += chunkSize) {
-    const chunk = data.slice(i, Math.min(i + chunkSize, data.length));
-    await transport.send(chunk);
-    await transport.delay(20);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / data.length * 100);
-      onProgress(progress);
-    }
+export function supportsMediaCalibration(deviceName, modelOverride = 'auto', isBLE = true) {
+  try {
+    return !!_resolveProtocol(deviceName, modelOverride, isBLE).calibrate;
+  } catch (e) {
+    return false;
   }
-
-  // Final feed
-  await transport.delay(100);
-  console.log(`Sending feed (${feed} dots)...`);
-  await transport.send(CMD.FEED(feed));
-
-  console.log('Print complete!');
 }
 
 /**
- * Print via TSPL protocol (for shipping label printers like PM-241)
- * TSPL is a text-based command language used by many Chinese thermal label printers
- */
-async function printTSPL(transport, data, widthBytes, heightLines, labelWidthMm, labelHeightMm, density, onProgress) {
-  console.log('Using TSPL protocol...');
-  console.log(`Label size: ${labelWidthMm}mm x ${labelHeightMm}mm`);
-  console.log(`Raster: ${widthBytes} bytes wide x ${heightLines} rows`);
-
-  // Map density 1-8 to TSPL density 0-15
-  const tsplDensity = Math.round((density / 8) * 15);
-
-  // Build TSPL command sequence
-  console.log('Sending TSPL setup commands...');
-
-  // SIZE command - label dimensions
-  await transport.send(TSPL.SIZE(labelWidthMm, labelHeightMm));
-  await transport.delay(50);
-
-  // GAP command - gap between labels (3mm typical for die-cut labels)
-  await transport.send(TSPL.GAP(3));
-  await transport.delay(50);
-
-  // OFFSET command - shift print down to center on label (negative = down)
-  await transport.send(new TextEncoder().encode('OFFSET -3 mm\r\n'));
-  await transport.delay(50);
-
-  // DENSITY command
-  console.log(`Setting TSPL density to ${tsplDensity}...`);
-  await transport.send(TSPL.DENSITY(tsplDensity));
-  await transport.delay(50);
-
-  // SPEED command (use moderate speed)
-  await transport.send(TSPL.SPEED(4));
-  await transport.delay(50);
-
-  // DIRECTION command (normal direction)
-  await transport.send(TSPL.DIRECTION(0));
-  await transport.delay(50);
-
-  // CLS - clear image buffer
-  await transport.send(TSPL.CLS());
-  await transport.delay(50);
-
-  // BITMAP command header
-  console.log('Sending BITMAP header...');
-  await transport.send(TSPL.BITMAP_HEADER(0, 0, widthBytes, heightLines));
-
-  // Invert bitmap data - TSPL expects 0=black, 1=white (opposite of our format)
-  console.log('Inverting bitmap data for TSPL...');
-  const invertedData = new Uint8Array(data.length);
-  for (let i = 0; i < data.length; i++) {
-    invertedData[i] = data[i] ^ 0xFF;
+ * Let the printer measure its labels (gap or black mark sensor calibration)
+ *
+ * @param {Object} transport - BLE or USB transport instance
+ * @param {Object} options
+ * @param {boolean} options.isBLE - Whether using BLE transport
+ * @param {string} options.deviceName - Device name for protocol detection
+ * @param {string} options.printerModel - Manual model override
+ * @param {Object} options.media - Media settings to calibrate for (default: the saved ones)
+ */
+export async function calibrateMedia(transport, options = {}) {
+  const { isBLE = false, deviceName = '', printerModel = 'auto' } = options;
+  const protocol = _resolveProtocol(deviceName, printerModel, isBLE);
+  const media = options.media || _resolveConfig(deviceName, printerModel).definition?.media;
+  if (resolveMedia(protocol, media).type === 'continuous') {
+    throw new Error('Continuous media has no gaps or marks to calibrate');
   }
 
-  // Send binary bitmap data in chunks
-  console.log('Sending bitmap data...');
-  const chunkSize = 512;
-
-  for (let i = 0; i < invertedData.length; i += chunkSize) {
-    const chunk = invertedData.slice(i, Math.min(i + chunkSize, invertedData.length));
-    await transport.send(chunk);
-    await transport.delay(10);
-
-    if (onProgress) {
-      const progress = Math.round((i + chunk.length) / invertedData.length * 100);
-      onProgress(progress);
-    }
+  if (transport.beginJob) {
+    transport.beginJob({ description: 'Media calibration' });
   }
+  try {
+    await runCalibration(transport, protocol, { media });
+  } finally {
+    if (transport.endJob) transport.endJob();
+  }
+}
 
-  // Need CRLF after bitmap data
-  await transport.send(new TextEncoder().encode('\r\n'));
-  await transport.delay(50);
-
-  // PRINT command
-  console.log('Sending PRINT command...');
-  await transport.send(TSPL.PRINT(1));
-  await transport.delay(50);
+// =============================================================================
+// PRINT STATUS MONITORING
+// =============================================================================
 
-  // END command
-  await transport.send(TSPL.END());
+// Transports whose printer has reported print completion at least once.
+// Until then waitComplete steps use their fixed delay, so printers that never
+// report completion don't stall every label for the full timeout.
+const _reportsCompletion = new WeakSet();
 
-  console.log('TSPL print complete!');
+/**
+ * Map a printer status notification to an error
+ * @param {string} field - Status field ('paper', 'cover', 'hot', 'print')
+ * @param {*} value - Parsed status value
+ * @returns {Error|null} Error with an ErrorCodes code, or null if the status is fine
+ */
+export function statusToError(field, value) {
+  let code = null;
+  if (field === 'paper' && value === 'out') code = ErrorCodes.PRINTER_PAPER_OUT;
+  else if (field === 'cover' && value === 'open') code = ErrorCodes.PRINTER_COVER_OPEN;
+  else if (field === 'hot' && value === -1) code = ErrorCodes.PRINTER_OVERHEATED;
+  else if (field === 'print' && value === -1) code = ErrorCodes.PRINTER_REPORTED_ERROR;
+  return code ? createError(getErrorMessage(code), code, { field, value }) : null;
 }
 
 /**
- * Print a density test pattern - 8 strips at different density levels
- * This helps verify that the density setting is working correctly
- *
- * @param {Object} transport - BLE or USB transport instance
- * @param {boolean} isBLE - Whether using BLE transport
- * @param {Function} onProgress - Progress callback
+ * Watch status notifications for the duration of one print job
+ * @param {Object} transport - Transport with addStatusListener/removeStatusListener
+ * @returns {Object} { check, waitForCompletion, stop }
  */
-export async function printDensityTest(transport, isBLE = true, onProgress = null) {
-  console.log('Printing density test pattern (using ESC 7 heat command)...');
-
-  // Create a test pattern: 8 strips, each 30 pixels tall, 320 pixels wide
-  const stripHeight = 30;
-  const stripWidth = 320;  // 40mm * 8 dots/mm
-  const widthBytes = stripWidth / 8;  // 40 bytes per row
-  const gap = 8;  // Gap between strips
-
-  for (let density = 1; density <= 8; density++) {
-    if (onProgress) {
-      onProgress(Math.round((density - 1) / 8 * 100));
-    }
-
-    const heatTime = densityToHeatTime(density);
-    console.log(`Printing strip at density ${density} (heat time: ${heatTime})...`);
-
-    // Create strip data - solid black rectangle
-    const stripData = new Uint8Array(widthBytes * stripHeight);
-    stripData.fill(0xFF);  // All black
-
-    // Init
-    await transport.send(CMD.INIT);
-    await transport.delay(50);
-
-    // Try ESC 7 heat settings (maxDots=7, heatTime=variable, heatInterval=2)
-    await transport.send(CMD.HEAT_SETTINGS(7, heatTime, 2));
-    await transport.delay(30);
-
-    // Also try standard density command in case it works
-    await transport.send(CMD.DENSITY(density));
-    await transport.delay(30);
+function _watchPrintStatus(transport) {
+  let error = null;
+  let complete = false;
+  let wake = null;
 
-    // Raster header
-    await transport.send(CMD.RASTER_HEADER(widthBytes, stripHeight));
+  const listener = (field, value) => {
+    if (field === 'print' && value === 1) {
+      complete = true;
+      _reportsCompletion.add(transport);
+    }
+    error = error || statusToError(field, value);
+    if (wake) wake();
+  };
+  transport.addStatusListener(listener);
 
-    // Send strip data
-    const chunkSize = isBLE ? 128 : 512;
-    for (let i = 0; i < stripData.length; i += chunkSize) {
-      const chunk = stripData.slice(i, Math.min(i + chunkSize, stripData.length));
-      await transport.send(chunk);
-      await transport.delay(isBLE ? 20 : 10);
+  // Throw the first error the printer reported during this job
+  const check = () => {
+    if (error) {
+      console.warn(`Printer reported ${error.code}, aborting job`);
+      throw error;
     }
+  };
 
-    // Small feed between strips (except after last)
-    if (density < 8) {
-      await transport.delay(200);
-      await transport.send(CMD.FEED(gap));
-      await transport.delay(300);
+  // Wait for the completion notification (or an error); fixed delay if the
+  // printer has never reported completion. Each wait uses up the notification
+  // it saw, so the next copy waits for its own.
+  const waitForCompletion = async (timeout, fallbackDelay = 0) => {
+    check();
+    if (!_reportsCompletion.has(transport)) {
+      if (fallbackDelay) await transport.delay(fallbackDelay);
+      complete = false;
+      check();
+      return;
     }
-  }
 
-  // Final feed
-  await transport.delay(300);
-  await transport.send(CMD.FEED(48));
-  await transport.delay(500);
+    console.log('Waiting for printer to finish...');
+    const deadline = Date.now() + timeout;
+    while (!complete && !error && Date.now() < deadline) {
+      await new Promise(resolve => {
+        wake = resolve;
+        setTimeout(resolve, deadline - Date.now());
+      });
+      wake = null;
+    }
+    check();
+    if (!complete) {
+      console.warn(`No completion status from printer after ${timeout}ms, continuing`);
+    }
+    complete = false;
+  };
 
-  if (onProgress) {
-    onProgress(100);
-  }
+  const stop = () => transport.removeStatusListener(listener);
 
-  console.log('Density test complete! You should see 8 strips from light (1) to dark (8).');
+  return { check, waitForCompletion, stop };
 }
+
@@ -0,0 +1,783 @@
+/**
+ * Declarative print protocols for Phomymo
+ *
+ * A protocol describes the byte stream a printer expects as data rather than
+ * code, so custom printers can define new command sequences without code
+ * changes. Built-in protocols live in printers.json; custom printers can embed
+ * their own under `commands`.
+ *
+ * Protocol format:
+ *   {
+ *     "id": "m-series",
+ *     "name": "M-series (ESC/POS Raster)",
+ *     "usbProtocol": "usb",          // Protocol to use instead over USB (optional)
+ *     "rotate": "cw",                // Rotate raster 90° "cw" or "ccw" before sending (optional)
+ *     "invert": false,               // Flip raster bits, for printers where 0 = black (optional)
+ *     "copies": "native",            // Steps print all copies themselves via {copies} (optional)
+ *     "media": {                     // Default media settings (optional, see MEDIA_DEFAULTS)
+ *       "type": "gap", "gapMm": 3, "offsetMm": -3, "speed": 4
+ *     },
+ *     "tuning": { "speed": 3, "heat": 3 }, // Speed/heat controls offered, default levels (optional)
+ *     "params": {                    // Values derived from print options
+ *       "heatTime": { "from": "density", "table": [40, 60, 80, 100, 120, 140, 160, 200] },
+ *       "level":    { "from": "density", "scale": 1.25, "offset": 5, "min": 1, "max": 15 },
+ *       "heat":     { "from": "density", "table": [100, 150, 200],      // Plus a second value
+ *                     "add": { "from": "heat", "table": [-20, 0, 20] }, "max": 255 },
+ *       "version":  { "value": 5 }
+ *     },
+ *     "steps": [
+ *       { "send": "1b 40", "delay": 100 },                        // Hex bytes
+ *       { "send": "1b 37 07 {heatTime} 02", "delay": 30 },         // {name} = one byte
+ *       { "send": "1d 76 30 00 {widthBytes:u16le} {heightLines:u16le}" },
+ *       { "text": "SIZE {widthBytes} mm\r\n", "delay": 50 },       // Text, {name} = decimal
+ *       { "data": { "chunkSize": 128, "delay": 20 }, "copy": true }, // Raster payload, once per copy
+ *       { "data": { "chunkSize": 256, "compress": "lzo" } },       // Compressed when enabled
+ *       { "data": { "chunkSize": 128, "blankRows": {                 // Blank rows skipped when enabled
+ *         "header": "1d 76 30 00 {widthBytes:u16le} {bandLines:u16le}",
+ *         "feed": "1b 4a {feedLines}", "maxFeed": 255, "minBlank": 16 } } },
+ *       { "elements": true },                                      // Native element commands
+ *       { "text": "BITMAP ...", "if": "heightLines" },             // Skipped when the value is 0
+ *       { "text": "GAP ...", "if": "!mediaBlackMark" },            // Skipped unless the value is 0
+ *       { "send": "1b 64 02", "repeat": "feedCount", "delay": 30 },
+ *       { "send": "1f 11 38", "waitResponse": 500, "delay": 100 }, // Wait for a reply
+ *       { "send": "1b 4a {feed}", "waitComplete": 15000, "delay": 800 }, // Wait for completion
+ *       { "delay": 300 }
+ *     ],
+ *     "calibrate": [                 // Media calibration steps, no raster (optional)
+ *       { "text": "GAPDETECT\r\n", "delay": 3000 }
+ *     ]
+ *   }
+ *
+ * Multiple copies: with "copies": "native" the steps run once and print every
+ * copy themselves (TSPL `PRINT 1,{copies}`). Otherwise the steps marked
+ * "copy" (one consecutive block, e.g. raster header, data and feed) are
+ * repeated for each copy while setup is sent once; without copy steps the
+ * whole sequence is repeated.
+ *
+ * A data step with "compress" names the compression the printer accepts (see
+ * compression.js). It is only used when the compress option is on; the
+ * `compressed` value tells the steps which mode to announce.
+ *
+ * A data step with "blankRows" (continuous paper) can skip blank rows when the
+ * skipBlankRows option is on: leading and trailing blank rows are dropped, and
+ * blank runs of at least minBlank rows become `feed` commands (feedLines dots
+ * each, up to maxFeed). Every band of rows with ink gets its own `header`
+ * (bandLines rows); the `trimmed` value is 1 so the protocol's regular raster
+ * header can be skipped with "if": "!trimmed".
+ *
+ * The data step's chunkSize and delay are defaults: with the adaptive option,
+ * transports that implement sendPaced() choose their own pacing.
+ *
+ * waitResponse and waitComplete fall back to the step's delay when the transport
+ * can't receive replies, or the printer has never reported print completion.
+ *
+ * Speed and heat: "tuning" lists the controls a protocol's commands can take,
+ * each as its default level. Levels run from 1 (slowest / coolest) to 5
+ * (fastest / hottest); params map them to the printer's own values, so the
+ * default level must reproduce the printer's usual setting.
+ *
+ * Built-in values available to params and templates: density (1-8), feed (dots),
+ * speed and heat (1-5, the tuning defaults unless chosen; 3 without tuning),
+ * copies (labels to print), compressed (1 when the raster is sent compressed),
+ * trimmed (1 when blank rows are skipped),
+ * widthBytes and heightLines (of the raster as sent, i.e. after rotation),
+ * labelWidthBytes and labelHeightLines (of the whole label), and rasterX and
+ * rasterY (dots from the label's top left corner to the raster), and the media
+ * settings (the protocol's media defaults, overridden by the printer
+ * definition's `media`): mediaGap and mediaGapOffset (mm, 0 for continuous
+ * stock), mediaBlackMark and mediaContinuous (1 or 0), mediaOffset (mm),
+ * mediaShift (dots), mediaSpeed, mediaDirection, and mediaTear / mediaPeel
+ * (1 when that mode is chosen, both 0 to leave the printer's setting).
+ *
+ * Protocols with an elements step can print native element commands: when the
+ * raster carries `native` output (see tspl.js), the elements step sends its
+ * commands and the raster shrinks to the elements that still need a bitmap,
+ * positioned by rasterX and rasterY. It can be empty, so guard raster steps
+ * with "if": "heightLines". Otherwise the elements step sends nothing and the
+ * whole label is sent as the raster.
+ */
+
+import { compress as compressData, splitBlankRows, COMPRESSION } from './compression.js';
+
+// Values every protocol can reference without declaring them
+const BUILTIN_VALUES = [
+  'density', 'feed', 'speed', 'heat', 'copies', 'compressed', 'trimmed', 'widthBytes', 'heightLines', 'labelWidthBytes', 'labelHeightLines', 'rasterX', 'rasterY',
+  'mediaGap', 'mediaGapOffset', 'mediaBlackMark', 'mediaContinuous', 'mediaOffset', 'mediaShift',
+  'mediaSpeed', 'mediaDirection', 'mediaTear', 'mediaPeel',
+];
+
+// Media settings, as stored on printer definitions
+export const MEDIA_TYPES = ['gap', 'bline', 'continuous'];
+export const MEDIA_MODES = ['', 'tear', 'peel']; // '' = leave the printer's setting
+export const MEDIA_DEFAULTS = {
+  type: 'gap',       // Gap between labels, black mark ('bline') or continuous stock
+  gapMm: 3,          // Gap or black mark height
+  gapOffsetMm: 0,    // Extra offset of the gap or mark
+  offsetMm: 0,       // Where the label stops after printing (tear bar or peeler)
+  shiftDots: 0,      // Vertical print position adjustment
+  speed: 4,          // Print speed (inches per second)
+  direction: 0,      // 0 or 1 (printout upside down)
+  mode: '',          // MEDIA_MODES
+};
+
+// Speed and heat levels (see "tuning")
+export const TUNING_CONTROLS = ['speed', 'heat'];
+export const TUNING_LEVELS = [1, 2, 3, 4, 5];
+const TUNING_DEFAULT = 3;
+
+// Pause between copies when the whole sequence is repeated (ms)
+const COPY_PAUSE = 500;
+
+// Byte template token: 2-digit hex or {name} / {name:u8} / {name:u16le}
+const HEX_TOKEN = /^[0-9a-f]{2}$/i;
+const VALUE_TOKEN = /^\{(\w+)(?::(u8|u16le))?\}$/;
+
+// Text template placeholder
+const TEXT_PLACEHOLDER = /\{(\w+)\}/g;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate a protocol definition
+ * @param {Object} protocol - Protocol definition
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateProtocol(protocol) {
+  const errors = [];
+  if (!protocol || typeof protocol !== 'object') {
+    return ['Protocol must be an object'];
+  }
+  if (protocol.rotate && !['cw', 'ccw'].includes(protocol.rotate)) {
+    errors.push(`rotate must be "cw" or "ccw", got "${protocol.rotate}"`);
+  }
+  if (protocol.copies !== undefined && protocol.copies !== 'native') {
+    errors.push(`copies must be "native", got "${protocol.copies}"`);
+  }
+  if (!Array.isArray(protocol.steps) || protocol.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return errors;
+  }
+
+  const params = protocol.params || {};
+  const known = new Set([...BUILTIN_VALUES, ...Object.keys(params)]);
+
+  const checkParam = (param, name) => {
+    if (param.value === undefined && param.from === undefined) {
+      errors.push(`param "${name}" needs "value" or "from"`);
+    } else if (param.from !== undefined && !BUILTIN_VALUES.includes(param.from)) {
+      errors.push(`param "${name}" has unknown source "${param.from}"`);
+    }
+    if (param.table !== undefined && (!Array.isArray(param.table) || param.table.length === 0)) {
+      errors.push(`param "${name}" table must be a non-empty array`);
+    }
+  };
+  for (const [name, param] of Object.entries(params)) {
+    checkParam(param, name);
+    if (param.add !== undefined) checkParam(param.add, `${name}.add`);
+  }
+
+  const checkName = (name, where) => {
+    if (!known.has(name)) errors.push(`${where}: unknown value "${name}"`);
+  };
+
+  validateSteps(protocol.steps, 'step', checkName, errors);
+  if (protocol.calibrate !== undefined) {
+    if (!Array.isArray(protocol.calibrate)) {
+      errors.push('calibrate must be an array of steps');
+    } else {
+      validateSteps(protocol.calibrate, 'calibrate step', checkName, errors);
+      if (protocol.calibrate.some(step => step.data !== undefined || step.elements !== undefined)) {
+        errors.push('calibrate steps cannot send the raster or elements');
+      }
+    }
+  }
+  if (protocol.tuning !== undefined) {
+    for (const [control, level] of Object.entries(protocol.tuning)) {
+      if (!TUNING_CONTROLS.includes(control)) {
+        errors.push(`tuning has unknown control "${control}"`);
+      } else if (!TUNING_LEVELS.includes(level)) {
+        errors.push(`tuning.${control} must be a level from 1 to ${TUNING_LEVELS.length}`);
+      }
+    }
+  }
+  if (protocol.media !== undefined) {
+    if (protocol.media.type !== undefined && !MEDIA_TYPES.includes(protocol.media.type)) {
+      errors.push(`media.type must be one of ${MEDIA_TYPES.join(', ')}`);
+    }
+  }
+
+  if (!protocol.steps.some(step => step.data !== undefined)) {
+    errors.push('No data step - the raster would never be sent');
+  }
+
+  const copySteps = protocol.steps.map((step, i) => step.copy ? i : -1).filter(i => i >= 0);
+  if (copySteps.length > 0 && copySteps[copySteps.length - 1] - copySteps[0] !== copySteps.length - 1) {
+    errors.push('copy steps must be one consecutive block');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of steps
+ */
+function validateSteps(steps, label, checkName, errors) {
+  const checkBytes = (template, where, extraNames = []) => {
+    for (const token of String(template).trim().split(/\s+/)) {
+      const match = token.match(VALUE_TOKEN);
+      if (match) {
+        if (!extraNames.includes(match[1])) checkName(match[1], where);
+      } else if (!HEX_TOKEN.test(token)) {
+        errors.push(`${where}: "${token}" is not a hex byte or {value}`);
+      }
+    }
+  };
+
+  steps.forEach((step, i) => {
+    const where = `${label} ${i + 1}`;
+    const actions = ['send', 'text', 'data', 'elements'].filter(key => step[key] !== undefined);
+    if (actions.length > 1) {
+      errors.push(`${where}: use only one of send, text, data or elements`);
+    }
+    if (actions.length === 0 && step.delay === undefined && step.waitComplete === undefined) {
+      errors.push(`${where}: needs send, text, data, elements, delay or waitComplete`);
+    }
+
+    if (step.send !== undefined) {
+      checkBytes(step.send, where);
+    }
+    if (step.text !== undefined) {
+      for (const match of String(step.text).matchAll(TEXT_PLACEHOLDER)) {
+        checkName(match[1], where);
+      }
+    }
+    if (step.data !== undefined && !(step.data.chunkSize > 0)) {
+      errors.push(`${where}: data.chunkSize must be a positive number`);
+    }
+    const blankRows = step.data?.blankRows;
+    if (blankRows !== undefined) {
+      if (blankRows.header === undefined || blankRows.feed === undefined) {
+        errors.push(`${where}: data.blankRows needs header and feed`);
+      } else {
+        checkBytes(blankRows.header, `${where} blankRows.header`, ['bandLines']);
+        checkBytes(blankRows.feed, `${where} blankRows.feed`, ['feedLines']);
+      }
+    }
+    if (step.data?.compress !== undefined && !Object.values(COMPRESSION).includes(step.data.compress)) {
+      errors.push(`${where}: data.compress must be one of ${Object.values(COMPRESSION).join(', ')}`);
+    }
+    if (typeof step.repeat === 'string') {
+      checkName(step.repeat, where);
+    }
+    if (step.if !== undefined) {
+      checkName(String(step.if).replace(/^!/, ''), where);
+    }
+  });
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/**
+ * Send a raster through a transport using a protocol definition
+ *
+ * @param {Object} transport - BLE, USB or loopback transport
+ * @param {Object} protocol - Protocol definition
+ * @param {Object} rasterData - { data, widthBytes, heightLines } (1 = black), optionally with
+ *   native: { commands, raster: { data, widthBytes, heightLines, x, y } } for protocols
+ *   with an elements step
+ * @param {Object} options
+ * @param {number} options.density - Print density 1-8
+ * @param {number} options.feed - Feed after print in dots
+ * @param {number} options.copies - Number of copies (default 1)
+ * @param {Function} options.onProgress - Progress callback (percent, over all copies)
+ * @param {Function} options.checkStatus - Throws if the printer reported an error (optional)
+ * @param {Function} options.waitForCompletion - (timeout, fallbackDelay) => Promise, used by
+ *   waitComplete steps (optional; without it they just delay)
+ * @param {boolean} options.adaptive - Let the transport pace the raster payload (sendPaced)
+ * @param {Object} options.media - Media settings from the printer definition (optional)
+ * @param {number} options.speed - Speed level 1-5 (default: the protocol's tuning)
+ * @param {number} options.heat - Heat level 1-5 (default: the protocol's tuning)
+ * @param {boolean} options.compress - Compress the raster if the protocol's data step allows it
+ * @param {boolean} options.skipBlankRows - Skip blank rows if the protocol's data step allows it
+ */
+export async function runProtocol(transport, protocol, rasterData, options = {}) {
+  const { density = 6, feed = 32, copies = 1, onProgress = null, checkStatus = null, waitForCompletion = null, adaptive = false, media = null, speed = null, heat = null, compress = false, skipBlankRows = false } = options;
+  console.log(`Using ${protocol.name || protocol.id || 'custom'} protocol...`);
+
+  let { data, widthBytes, heightLines } = rasterData;
+  let rasterX = 0;
+  let rasterY = 0;
+  let elementCommands = null;
+  const labelWidthBytes = widthBytes;
+  const labelHeightLines = heightLines;
+  if (rasterData.native && protocol.steps.some(step => step.elements)) {
+    ({ data, widthBytes, heightLines, x: rasterX, y: rasterY } = rasterData.native.raster);
+    elementCommands = new TextEncoder().encode(rasterData.native.commands);
+    console.log(`Native elements: ${elementCommands.length} bytes, bitmap ${widthBytes}x${heightLines} at ${rasterX},${rasterY}`);
+  }
+  if (protocol.rotate) {
+    const rotated = protocol.rotate === 'ccw'
+      ? rotateRaster90CCW(data, widthBytes, heightLines)
+      : rotateRaster90CW(data, widthBytes, heightLines);
+    console.log(`Rotated: ${rotated.widthBytes} bytes wide x ${rotated.heightLines} rows`);
+    ({ data, widthBytes, heightLines } = rotated);
+  }
+  const bandStep = skipBlankRows ? protocol.steps.find(step => step.data?.blankRows) : null;
+  const bands = bandStep
+    ? splitBlankRows(data, widthBytes, heightLines, bandStep.data.blankRows.minBlank ?? 16)
+    : null;
+  if (bands) {
+    const inkLines = bands.reduce((sum, band) => sum + band.lines, 0);
+    console.log(`Skipping blank rows: ${inkLines} of ${heightLines} rows in ${bands.length} band(s)`);
+  }
+  if (protocol.invert) {
+    data = data.map(b => b ^ 0xff);
+  }
+  const method = compress ? protocol.steps.find(step => step.data?.compress)?.data.compress : null;
+  if (method && !bands) {
+    const rawLength = data.length;
+    data = compressData(method, data);
+    console.log(`Compressed (${method}): ${rawLength} -> ${data.length} bytes`);
+  }
+
+  const values = resolveParams(protocol.params, {
+    density,
+    feed,
+    ...resolveTuning(protocol, { speed, heat }),
+    copies,
+    compressed: method ? 1 : 0,
+    trimmed: bands ? 1 : 0,
+    widthBytes,
+    heightLines,
+    labelWidthBytes: elementCommands ? labelWidthBytes : widthBytes,
+    labelHeightLines: elementCommands ? labelHeightLines : heightLines,
+    rasterX,
+    rasterY,
+    ...mediaValues(resolveMedia(protocol, media)),
+  });
+
+  const steps = copySteps(protocol, copies);
+  const passes = steps.filter(step => step.data !== undefined).length;
+  let pass = 0;
+  const progress = onProgress && passes > 1
+    ? (percent) => onProgress(Math.round((pass * 100 + percent) / passes))
+    : onProgress;
+
+  await runSteps(transport, steps, values, {
+    data,
+    bands,
+    method,
+    elementCommands,
+    onProgress: progress,
+    onData: () => pass++,
+    checkStatus,
+    waitForCompletion,
+    adaptive,
+  });
+
+  console.log('Print complete!');
+}
+
+/**
+ * Expand a protocol's steps for a number of copies
+ * @returns {Object[]} Steps to run
+ */
+function copySteps(protocol, copies) {
+  const steps = protocol.steps;
+  if (copies <= 1 || protocol.copies === 'native') return steps;
+
+  const first = steps.findIndex(step => step.copy);
+  if (first < 0) {
+    const expanded = [...steps];
+    for (let copy = 1; copy < copies; copy++) {
+      expanded.push({ label: `Copy ${copy + 1}`, delay: COPY_PAUSE }, ...steps);
+    }
+    return expanded;
+  }
+
+  const last = steps.length - 1 - [...steps].reverse().findIndex(step => step.copy);
+  const block = steps.slice(first, last + 1);
+  const expanded = steps.slice(0, first);
+  for (let copy = 0; copy < copies; copy++) {
+    expanded.push(...block);
+  }
+  return expanded.concat(steps.slice(last + 1));
+}
+
+/**
+ * Run a protocol's media calibration steps (e.g. TSPL GAPDETECT)
+ * @param {Object} transport - BLE, USB or loopback transport
+ * @param {Object} protocol - Protocol definition with `calibrate` steps
+ * @param {Object} options
+ * @param {Object} options.media - Media settings from the printer definition (optional)
+ */
+export async function runCalibration(transport, protocol, options = {}) {
+  const { media = null } = options;
+  if (!protocol.calibrate) {
+    throw new Error(`${protocol.name || protocol.id || 'This protocol'} has no media calibration`);
+  }
+  console.log('Calibrating media...');
+
+  const values = resolveParams(protocol.params, {
+    density: 6,
+    feed: 0,
+    ...resolveTuning(protocol),
+    copies: 1,
+    compressed: 0,
+    trimmed: 0,
+    widthBytes: 0,
+    heightLines: 0,
+    labelWidthBytes: 0,
+    labelHeightLines: 0,
+    rasterX: 0,
+    rasterY: 0,
+    ...mediaValues(resolveMedia(protocol, media)),
+  });
+  await runSteps(transport, protocol.calibrate, values, {});
+
+  console.log('Calibration complete!');
+}
+
+/**
+ * Merge a printer's media settings over the protocol defaults
+ * @param {Object} protocol - Protocol definition (its `media` holds the defaults)
+ * @param {Object} media - Printer definition media settings (optional)
+ * @returns {Object} Complete media settings (see MEDIA_DEFAULTS)
+ */
+export function resolveMedia(protocol, media = null) {
+  return { ...MEDIA_DEFAULTS, ...(protocol?.media || {}), ...(media || {}) };
+}
+
+/**
+ * Get the speed and heat levels to print with: chosen levels for the controls
+ * the protocol offers, its defaults otherwise
+ * @param {Object} protocol - Protocol definition
+ * @param {Object} tuning - Chosen levels { speed, heat } (null = default)
+ * @returns {Object} { speed, heat }
+ */
+export function resolveTuning(protocol, tuning = {}) {
+  const levels = {};
+  for (const control of TUNING_CONTROLS) {
+    const fallback = protocol?.tuning?.[control];
+    levels[control] = fallback === undefined ? TUNING_DEFAULT : (tuning[control] ?? fallback);
+  }
+  return levels;
+}
+
+/**
+ * Template values for media settings
+ */
+function mediaValues(media) {
+  const continuous = media.type === 'continuous';
+  return {
+    mediaGap: continuous ? 0 : media.gapMm,
+    mediaGapOffset: continuous ? 0 : media.gapOffsetMm,
+    mediaBlackMark: media.type === 'bline' ? 1 : 0,
+    mediaContinuous: continuous ? 1 : 0,
+    mediaOffset: media.offsetMm,
+    mediaShift: media.shiftDots,
+    mediaSpeed: media.speed,
+    mediaDirection: media.direction,
+    mediaTear: media.mode === 'tear' ? 1 : 0,
+    mediaPeel: media.mode === 'peel' ? 1 : 0,
+  };
+}
+
+/**
+ * Send a list of steps
+ * @param {Object} context - { data, bands, method, elementCommands, onProgress, onData, checkStatus,
+ *   waitForCompletion, adaptive }
+ */
+async function runSteps(transport, steps, values, context) {
+  const { data, bands = null, method = null, elementCommands, onProgress = null, onData = null, checkStatus = null, waitForCompletion = null, adaptive = false } = context;
+
+  for (const step of steps) {
+    if (step.if !== undefined && !conditionHolds(step.if, values)) continue;
+    const repeat = typeof step.repeat === 'string' ? values[step.repeat] : (step.repeat ?? 1);
+    if (step.label) {
+      console.log(`${step.label}...`);
+    }
+
+    for (let r = 0; r < repeat; r++) {
+      if (step.send !== undefined) {
+        await transport.send(encodeBytes(step.send, values));
+      } else if (step.text !== undefined) {
+        await transport.send(encodeText(step.text, values));
+      } else if (step.data !== undefined && bands && step.data.blankRows) {
+        await sendBands(transport, data, bands, method, step.data, values, onProgress, checkStatus, adaptive);
+        if (onData) onData();
+      } else if (step.data !== undefined) {
+        await sendData(transport, data, step.data, onProgress, checkStatus, adaptive);
+        if (onData) onData();
+      } else if (step.elements && elementCommands?.length) {
+        await transport.send(elementCommands);
+      }
+
+      if (step.waitComplete && waitForCompletion) {
+        await waitForCompletion(step.waitComplete, step.delay);
+      } else if (step.waitResponse && transport.waitForResponse) {
+        await transport.waitForResponse(step.waitResponse);
+      } else if (step.delay) {
+        await transport.delay(step.delay);
+      }
+      if (checkStatus) checkStatus();
+    }
+  }
+}
+
+/**
+ * Evaluate a step condition: "name" holds when the value is non-zero, "!name" when it is 0
+ */
+function conditionHolds(condition, values) {
+  return condition.startsWith('!') ? !values[condition.slice(1)] : !!values[condition];
+}
+
+/**
+ * Compute protocol params from the built-in values
+ * @param {Object} params - Param definitions
+ * @param {Object} builtins - { density, feed, widthBytes, heightLines, ... } (see BUILTIN_VALUES)
+ * @returns {Object} All values by name
+ */
+export function resolveParams(params = {}, builtins) {
+  const values = { ...builtins };
+  for (const [name, param] of Object.entries(params)) {
+    values[name] = resolveParam(param, builtins);
+  }
+  return values;
+}
+
+/**
+ * Resolve one param against the built-in values
+ */
+function resolveParam(param, builtins) {
+  if (param.value !== undefined) return param.value;
+
+  const source = builtins[param.from];
+  let value;
+  if (param.table) {
+    // Tables are indexed from 1 (density 1 = first entry)
+    const idx = Math.max(0, Math.min(param.table.length - 1, source - 1));
+    value = param.table[idx];
+  } else {
+    value = Math.round(source * (param.scale ?? 1) + (param.offset ?? 0));
+  }
+  if (param.add) value += resolveParam(param.add, builtins);
+  if (param.min !== undefined) value = Math.max(param.min, value);
+  if (param.max !== undefined) value = Math.min(param.max, value);
+  return value;
+}
+
+/**
+ * Build bytes from a hex template ("1b 37 07 {heatTime} 02")
+ */
+function encodeBytes(template, values) {
+  const bytes = [];
+  for (const token of template.trim().split(/\s+/)) {
+    const match = token.match(VALUE_TOKEN);
+    if (match) {
+      const value = values[match[1]];
+      bytes.push(value & 0xff);
+      if (match[2] === 'u16le') {
+        bytes.push((value >> 8) & 0xff);
+      }
+    } else {
+      bytes.push(parseInt(token, 16));
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Build bytes from a text template ("SIZE {labelWidthMm} mm\r\n")
+ */
+function encodeText(template, values) {
+  return new TextEncoder().encode(template.replace(TEXT_PLACEHOLDER, (_, name) => values[name]));
+}
+
+/**
+ * Send the rows with ink band by band, feeding over the blank rows between them
+ */
+async function sendBands(transport, data, bands, method, pacing, values, onProgress, checkStatus, adaptive) {
+  const { header, feed, maxFeed = 255 } = pacing.blankRows;
+  const rowBytes = values.widthBytes;
+  const totalLines = bands.reduce((sum, band) => sum + band.lines, 0);
+  let sentLines = 0;
+
+  for (const band of bands) {
+    for (let rows = band.feedBefore; rows > 0; rows -= maxFeed) {
+      await transport.send(encodeBytes(feed, { ...values, feedLines: Math.min(rows, maxFeed) }));
+    }
+    await transport.send(encodeBytes(header, { ...values, bandLines: band.lines }));
+
+    let bandData = data.slice(band.start * rowBytes, (band.start + band.lines) * rowBytes);
+    if (method) bandData = compressData(method, bandData);
+    const before = sentLines;
+    const bandProgress = onProgress &&
+      (percent => onProgress(Math.round((before + band.lines * percent / 100) / totalLines * 100)));
+    await sendData(transport, bandData, pacing, bandProgress, checkStatus, adaptive);
+    sentLines += band.lines;
+  }
+}
+
+/**
+ * Send the raster payload in chunks
+ */
+async function sendData(transport, data, pacing, onProgress, checkStatus, adaptive) {
+  if (adaptive && transport.sendPaced) {
+    await transport.sendPaced(data, pacing, (sent) => {
+      if (checkStatus) checkStatus();
+      if (onProgress) onProgress(Math.round(sent / data.length * 100));
+    });
+    return;
+  }
+
+  const { chunkSize, delay = 0 } = pacing;
+  console.log(`Sending data (${chunkSize}-byte chunks)...`);
+  for (let i = 0; i < data.length; i += chunkSize) {
+    const chunk = data.slice(i, Math.min(i + chunkSize, data.length));
+    await transport.send(chunk);
+    if (delay) {
+      await transport.delay(delay);
+    }
+    // Stop mid-raster if the printer ran out of paper, the cover opened, etc.
+    if (checkStatus) checkStatus();
+
+    if (onProgress) {
+      const progress = Math.round((i + chunk.length) / data.length * 100);
+      onProgress(progress);
+    }
+  }
+}
+
+// =============================================================================
+// RASTER TRANSFORMS
+// =============================================================================
+
+/**
+ * Rotate raster data 90 degrees clockwise for D-series printers
+ * D-series prints labels top-to-bottom, so we need to rotate the image
+ *
+ * @param {Uint8Array} data - Original raster data (1 bit per pixel, packed in bytes)
+ * @param {number} widthBytes - Width in bytes (8 pixels per byte)
+ * @param {number} heightLines - Height in lines
+ * @returns {Object} { data, widthBytes, heightLines } - Rotated raster data
+ */
+export function rotateRaster90CW(data, widthBytes, heightLines) {
+  const srcWidthPx = widthBytes * 8;
+  const srcHeightPx = heightLines;
+
+  // After 90° CW rotation: new width = old height, new height = old width
+  const dstWidthPx = srcHeightPx;
+  const dstHeightPx = srcWidthPx;
+  const dstWidthBytes = Math.ceil(dstWidthPx / 8);
+
+  const rotated = new Uint8Array(dstWidthBytes * dstHeightPx);
+
+  // For each pixel in source, calculate its position in destination
+  for (let srcY = 0; srcY < srcHeightPx; srcY++) {
+    for (let srcX = 0; srcX < srcWidthPx; srcX++) {
+      // Get source pixel
+      const srcByteIdx = srcY * widthBytes + Math.floor(srcX / 8);
+      const srcBitIdx = 7 - (srcX % 8);
+      const pixel = (data[srcByteIdx] >> srcBitIdx) & 1;
+
+      // 90° CW rotation: (x, y) -> (height - 1 - y, x)
+      const dstX = srcHeightPx - 1 - srcY;
+      const dstY = srcX;
+
+      // Set destination pixel
+      const dstByteIdx = dstY * dstWidthBytes + Math.floor(dstX / 8);
+      const dstBitIdx = 7 - (dstX % 8);
+      if (pixel) {
+        rotated[dstByteIdx] |= (1 << dstBitIdx);
+      }
+    }
+  }
+
+  return {
+    data: rotated,
+    widthBytes: dstWidthBytes,
+    heightLines: dstHeightPx,
+  };
+}
+
+/**
+ * Rotate raster data 90 degrees counter-clockwise
+ * Used for P12 printers which may need opposite rotation from D30
+ *
+ * @param {Uint8Array} data - Original raster data (1 bit per pixel, packed in bytes)
+ * @param {number} widthBytes - Width in bytes (8 pixels per byte)
+ * @param {number} heightLines - Height in lines
+ * @returns {Object} { data, widthBytes, heightLines } - Rotated raster data
+ */
+export function rotateRaster90CCW(data, widthBytes, heightLines) {
+  const srcWidthPx = widthBytes * 8;
+  const srcHeightPx = heightLines;
+
+  // After 90° CCW rotation: new width = old height, new height = old width
+  const dstWidthPx = srcHeightPx;
+  const dstHeightPx = srcWidthPx;
+  const dstWidthBytes = Math.ceil(dstWidthPx / 8);
+
+  const rotated = new Uint8Array(dstWidthBytes * dstHeightPx);
+
+  // For each pixel in source, calculate its position in destination
+  for (let srcY = 0; srcY < srcHeightPx; srcY++) {
+    for (let srcX = 0; srcX < srcWidthPx; srcX++) {
+      // Get source pixel
+      const srcByteIdx = srcY * widthBytes + Math.floor(srcX / 8);
+      const srcBitIdx = 7 - (srcX % 8);
+      const pixel = (data[srcByteIdx] >> srcBitIdx) & 1;
+
+      // 90° CCW rotation: (x, y) -> (y, width - 1 - x)
+      const dstX = srcY;
+      const dstY = srcWidthPx - 1 - srcX;
+
+      // Set destination pixel
+      const dstByteIdx = dstY * dstWidthBytes + Math.floor(dstX / 8);
+      const dstBitIdx = 7 - (dstX % 8);
+      if (pixel) {
+        rotated[dstByteIdx] |= (1 << dstBitIdx);
+      }
+    }
+  }
+
+  return {
+    data: rotated,
+    widthBytes: dstWidthBytes,
+    heightLines: dstHeightPx,
+  };
+}
+
+/**
+ * Move raster content by whole dots, keeping the raster size
+ * Content moved past an edge is dropped; uncovered areas are white.
+ *
+ * @param {Uint8Array} data - Raster data (1 bit per pixel, packed in bytes)
+ * @param {number} widthBytes - Width in bytes (8 pixels per byte)
+ * @param {number} heightLines - Height in lines
+ * @param {number} dx - Dots to move right (negative = left)
+ * @param {number} dy - Dots to move down (negative = up)
+ * @returns {Uint8Array} Shifted raster data
+ */
+export function shiftRaster(data, widthBytes, heightLines, dx, dy) {
+  const widthPx = widthBytes * 8;
+  const shifted = new Uint8Array(data.length);
+
+  for (let dstY = Math.max(0, dy); dstY < Math.min(heightLines, heightLines + dy); dstY++) {
+    const srcRow = (dstY - dy) * widthBytes;
+    const dstRow = dstY * widthBytes;
+    for (let dstX = Math.max(0, dx); dstX < Math.min(widthPx, widthPx + dx); dstX++) {
+      const srcX = dstX - dx;
+      if ((data[srcRow + (srcX >> 3)] >> (7 - (srcX & 7))) & 1) {
+        shifted[dstRow + (dstX >> 3)] |= 1 << (7 - (dstX & 7));
+      }
+    }
+  }
+
+  return shifted;
+}
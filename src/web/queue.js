@@ -0,0 +1,385 @@
+/**
+ * Persistent print job queue for Phomymo
+ *
+ * Each label (or multi-label row) of a batch is one job holding its rendered
+ * raster and print options. Jobs are kept in IndexedDB, so a run that stops
+ * part way (Bluetooth drop, paper out, page reload) can be resumed where it
+ * left off, reordered, and its failed labels reprinted on their own.
+ *
+ * What the jobs of a batch share (the design they were rendered from) is
+ * kept once per batch rather than with every job.
+ */
+
+import { STORES, getAllRecords, putRecords, deleteRecords } from './db.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  PRINTING: 'printing',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// Pause between labels so the printer can finish feeding
+const JOB_GAP_MS = 500;
+
+// Singleton instance
+let sharedInstance = null;
+
+/**
+ * Generate a job ID
+ */
+function generateJobId() {
+  return 'job_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
+
+export class PrintQueue {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.persist - Store jobs in IndexedDB (false keeps them in memory)
+   */
+  constructor({ persist = true } = {}) {
+    this.jobs = []; // Ordered by position
+    this.batches = new Map(); // Batch ID -> what its jobs share
+    this.onChange = null; // Callback after any job or run state change
+    this._persist = persist;
+    this._loading = null;
+    this._running = false;
+    this._pauseRequested = false;
+    this._holds = 0;
+    this._changeWaiters = [];
+  }
+
+  static getShared() {
+    if (!sharedInstance) {
+      sharedInstance = new PrintQueue();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Load jobs saved by a previous session (only reads the database once)
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = this._load();
+    }
+    return this._loading;
+  }
+
+  async _load() {
+    if (!this._persist) return;
+
+    try {
+      const records = await getAllRecords(STORES.PRINT_QUEUE);
+      const batches = await getAllRecords(STORES.PRINT_BATCHES);
+      this.batches = new Map(batches.map(batch => [batch.id, batch]));
+      // A job still marked printing was cut off by a reload; send it again
+      const interrupted = records.filter(job => job.status === JOB_STATUS.PRINTING);
+      for (const job of interrupted) {
+        job.status = JOB_STATUS.PENDING;
+      }
+      this.jobs = records.sort((a, b) => a.position - b.position);
+      if (interrupted.length > 0) {
+        await this._save(interrupted);
+      }
+      console.log(`Print queue loaded: ${this.jobs.length} jobs`);
+    } catch (e) {
+      console.warn('Print queue will not survive reloads:', e.message);
+      this._persist = false;
+    }
+    this._emit();
+  }
+
+  // ===========================================================================
+  // JOBS
+  // ===========================================================================
+
+  /**
+   * Add jobs to the end of the queue
+   * @param {Object[]} jobs - { title, raster: { data, widthBytes, heightLines }, options, batchId }
+   * @param {Object} batch - What the jobs of a batch share, stored once per batch ID (optional)
+   * @returns {Promise<Object[]>} The queued jobs
+   */
+  async add(jobs, batch = null) {
+    await this.load();
+    if (batch && !this.batches.has(batch.id)) {
+      this.batches.set(batch.id, batch);
+      await this._save([batch], STORES.PRINT_BATCHES);
+    }
+    let position = this.jobs.length > 0 ? this.jobs[this.jobs.length - 1].position + 1 : 0;
+    const now = Date.now();
+    const added = jobs.map(job => ({
+      ...job,
+      id: generateJobId(),
+      position: position++,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      printedAt: null,
+    }));
+
+    this.jobs.push(...added);
+    await this._save(added);
+    this._emit();
+    return added;
+  }
+
+  /**
+   * Get what the jobs of a batch share (see add)
+   * @param {string} id - Batch ID
+   * @returns {Object|null}
+   */
+  getBatch(id) {
+    return this.batches.get(id) || null;
+  }
+
+  /**
+   * Get all jobs in print order
+   */
+  getJobs() {
+    return [...this.jobs];
+  }
+
+  /**
+   * Get the next job to print
+   */
+  getNextJob() {
+    return this.jobs.find(job => job.status === JOB_STATUS.PENDING) || null;
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Object} { total, pending, printing, done, failed }
+   */
+  getCounts() {
+    const counts = { total: this.jobs.length, pending: 0, printing: 0, done: 0, failed: 0 };
+    for (const job of this.jobs) {
+      counts[job.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Move a job up (negative) or down (positive) in the queue
+   * @param {string} id - Job ID
+   * @param {number} offset - Number of places to move
+   */
+  async move(id, offset) {
+    const from = this.jobs.findIndex(job => job.id === id);
+    if (from === -1) return;
+    const to = Math.max(0, Math.min(this.jobs.length - 1, from + offset));
+    if (to === from) return;
+
+    const [job] = this.jobs.splice(from, 1);
+    this.jobs.splice(to, 0, job);
+
+    // Renumber the affected range
+    const changed = [];
+    const start = Math.min(from, to);
+    const end = Math.max(from, to);
+    for (let i = start; i <= end; i++) {
+      this.jobs[i].position = i;
+      changed.push(this.jobs[i]);
+    }
+    await this._save(changed);
+    this._emit();
+  }
+
+  /**
+   * Put failed jobs back in line (all of them, or the given ones)
+   * @param {string[]} ids - Job IDs (optional)
+   * @returns {Promise<number>} Number of jobs requeued
+   */
+  async retryFailed(ids = null) {
+    const jobs = this.jobs.filter(job =>
+      job.status === JOB_STATUS.FAILED && (!ids || ids.includes(job.id))
+    );
+    for (const job of jobs) {
+      job.status = JOB_STATUS.PENDING;
+      job.error = null;
+      job.updatedAt = Date.now();
+    }
+    await this._save(jobs);
+    this._emit();
+    return jobs.length;
+  }
+
+  /**
+   * Remove jobs (a job that is printing right now is kept)
+   * @param {string[]} ids - Job IDs
+   */
+  async remove(ids) {
+    const removed = this.jobs.filter(job => ids.includes(job.id) && job.status !== JOB_STATUS.PRINTING);
+    if (removed.length === 0) return;
+
+    this.jobs = this.jobs.filter(job => !removed.includes(job));
+    // A batch goes with its last job
+    const batchIds = [...new Set(removed.map(job => job.batchId))]
+      .filter(id => this.batches.has(id) && !this.jobs.some(job => job.batchId === id));
+    for (const id of batchIds) {
+      this.batches.delete(id);
+    }
+
+    if (this._persist) {
+      try {
+        await deleteRecords(STORES.PRINT_QUEUE, removed.map(job => job.id));
+        await deleteRecords(STORES.PRINT_BATCHES, batchIds);
+      } catch (e) {
+        console.warn('Failed to delete queued jobs:', e.message);
+      }
+    }
+    this._emit();
+  }
+
+  /**
+   * Remove jobs that printed successfully
+   */
+  clearDone() {
+    return this.remove(this.jobs.filter(job => job.status === JOB_STATUS.DONE).map(job => job.id));
+  }
+
+  /**
+   * Remove every job that isn't printing
+   */
+  clear() {
+    return this.remove(this.jobs.map(job => job.id));
+  }
+
+  // ===========================================================================
+  // RUNNING
+  // ===========================================================================
+
+  /**
+   * Print pending jobs in order until none are left, the queue is paused, or
+   * a job fails. A failed job is marked as such and the error is rethrown;
+   * the jobs after it stay pending for the next run. While the queue is held
+   * (see hold), running out of jobs waits for the next one.
+   * @param {Function} printJob - async (job) => void, sends one job to the printer
+   * @param {Object} options
+   * @param {number} options.gap - Delay between jobs in ms
+   */
+  async run(printJob, { gap = JOB_GAP_MS } = {}) {
+    if (this._running) return;
+    this._running = true;
+    this._pauseRequested = false;
+    this._emit();
+
+    try {
+      while (!this._pauseRequested) {
+        const job = this.getNextJob();
+        if (!job) {
+          if (this._holds === 0) break;
+          await this._nextChange();
+          continue;
+        }
+
+        await this._update(job, { status: JOB_STATUS.PRINTING, attempts: job.attempts + 1 });
+        try {
+          await printJob(job);
+        } catch (error) {
+          await this._update(job, { status: JOB_STATUS.FAILED, error: error.message || 'Print failed' });
+          throw error;
+        }
+        await this._update(job, { status: JOB_STATUS.DONE, error: null, printedAt: Date.now() });
+
+        if (!this._pauseRequested && (this.getNextJob() || this._holds > 0)) {
+          await new Promise(r => setTimeout(r, gap));
+        }
+      }
+    } finally {
+      this._running = false;
+      this._pauseRequested = false;
+      this._emit();
+    }
+  }
+
+  /**
+   * Keep runs going while jobs are still being added: until the returned
+   * function is called, a run that runs out of jobs waits for more
+   * @returns {Function} Call once no more jobs will be added
+   */
+  hold() {
+    this._holds++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this._holds--;
+      this._emit();
+    };
+  }
+
+  /**
+   * Wait until fewer than `max` jobs are waiting to print. Returns at once
+   * while no run is printing them.
+   * @param {number} max - Pending jobs allowed
+   */
+  async waitForRoom(max) {
+    while (this._running && this.getCounts().pending >= max) {
+      await this._nextChange();
+    }
+  }
+
+  /**
+   * Stop after the job that is printing now
+   */
+  pause() {
+    if (this._running) {
+      this._pauseRequested = true;
+      this._emit();
+    }
+  }
+
+  /**
+   * Whether a run is in progress
+   */
+  isRunning() {
+    return this._running;
+  }
+
+  /**
+   * Whether a pause was requested and the current job is still finishing
+   */
+  isPausing() {
+    return this._pauseRequested;
+  }
+
+  // ===========================================================================
+  // INTERNAL
+  // ===========================================================================
+
+  async _update(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    await this._save([job]);
+    this._emit();
+  }
+
+  async _save(records, storeName = STORES.PRINT_QUEUE) {
+    if (!this._persist || records.length === 0) return;
+    try {
+      await putRecords(storeName, records);
+    } catch (e) {
+      console.warn('Failed to save print queue:', e.message);
+    }
+  }
+
+  /**
+   * Resolve on the next job or run state change
+   */
+  _nextChange() {
+    return new Promise(resolve => this._changeWaiters.push(resolve));
+  }
+
+  _emit() {
+    const waiters = this._changeWaiters;
+    this._changeWaiters = [];
+    for (const resolve of waiters) {
+      resolve();
+    }
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+}
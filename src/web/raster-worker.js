@@ -0,0 +1,61 @@
+/**
+ * Raster worker for Phomymo
+ *
+ * Does the heavy per-pixel work of printing and print preview off the main
+ * thread: reads back a rendered label or image (an ImageBitmap) on an
+ * OffscreenCanvas, converts it to grayscale, dithers it and packs the bits.
+ * Messages are handled in the order they arrive; see raster.js for the API.
+ *
+ * Request:  { id, type: 'raster', bitmap, options: { outputWidthBytes, alignment, ditherMode, ditherOptions } }
+ * Reply:    { id, data } - packed raster rows (data.buffer is transferred)
+ *
+ * Request:  { id, type: 'dither', bitmap, options: { width, height, ditherMode, filter, threshold, gamma, serpentine, tone } }
+ * Reply:    { id, bitmap } - black and white ImageBitmap of width x height
+ *
+ * Failed requests reply { id, error } with the error message.
+ */
+
+import { rgbaToGrayscale, applyToneCurve, ditherGrayscale, ditheredToRGBA, pixelsToRaster } from './dither.js';
+
+/**
+ * Draw a bitmap onto an OffscreenCanvas and read its pixels back
+ * @param {ImageBitmap} bitmap
+ * @param {number} width - Width to draw at
+ * @param {number} height - Height to draw at
+ * @param {string} filter - Canvas filter to draw with (e.g. brightness/contrast)
+ * @returns {{ canvas: OffscreenCanvas, ctx: OffscreenCanvasRenderingContext2D, imageData: ImageData }}
+ */
+function readPixels(bitmap, width, height, filter = 'none') {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.filter = filter;
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  ctx.filter = 'none';
+  bitmap.close();
+  return { canvas, ctx, imageData: ctx.getImageData(0, 0, width, height) };
+}
+
+self.onmessage = (event) => {
+  const { id, type, bitmap, options } = event.data;
+  try {
+    if (type === 'raster') {
+      const { width, height } = bitmap;
+      const { imageData } = readPixels(bitmap, width, height);
+      const data = pixelsToRaster(imageData.data, width, height, options.outputWidthBytes, options.alignment, options.ditherMode, options.ditherOptions);
+      self.postMessage({ id, data }, [data.buffer]);
+    } else if (type === 'dither') {
+      const { width, height } = options;
+      const { canvas, ctx, imageData } = readPixels(bitmap, width, height, options.filter);
+      const grayscale = applyToneCurve(rgbaToGrayscale(imageData.data, width, height, options.gamma), options.tone);
+      ditheredToRGBA(ditherGrayscale(grayscale, width, height, options.ditherMode, options), imageData.data);
+      ctx.putImageData(imageData, 0, 0);
+      const result = canvas.transferToImageBitmap();
+      self.postMessage({ id, bitmap: result }, [result]);
+    } else {
+      throw new Error(`Unknown request: ${type}`);
+    }
+  } catch (error) {
+    bitmap?.close?.();
+    self.postMessage({ id, error: error.message });
+  }
+};
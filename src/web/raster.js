@@ -0,0 +1,167 @@
+/**
+ * Raster pipeline for Phomymo
+ *
+ * Sends rendered labels and images to the raster worker (raster-worker.js)
+ * for grayscale conversion, dithering and bit packing, so printing a batch
+ * or turning on print preview doesn't freeze the editor for long. Drawing
+ * the label still happens on the main thread (see _renderToCanvas in
+ * canvas.js); the worker takes over from its pixels and handles requests
+ * in order.
+ *
+ * Where workers or OffscreenCanvas aren't available (or the worker fails),
+ * the same work runs on the main thread with the same result.
+ */
+
+import { DEFAULT_GAMMA, rgbaToGrayscale, applyToneCurve, ditherGrayscale, ditheredToRGBA, pixelsToRaster } from './dither.js';
+import { logError, ErrorLevel } from './utils/errors.js';
+
+// Singleton instance
+let sharedInstance = null;
+
+/**
+ * Dither an image on the main thread (what RasterPipeline.dither does in the
+ * worker, with the same options)
+ * @returns {HTMLCanvasElement} Black and white image of width x height
+ */
+export function ditherImage(source, width, height, { ditherMode = 'floyd-steinberg', filter = 'none', threshold, gamma = DEFAULT_GAMMA, serpentine, tone = null } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.filter = filter;
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.filter = 'none';
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const grayscale = applyToneCurve(rgbaToGrayscale(imageData.data, width, height, gamma), tone);
+  ditheredToRGBA(ditherGrayscale(grayscale, width, height, ditherMode, { threshold, serpentine }), imageData.data);
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+export class RasterPipeline {
+  constructor() {
+    this.worker = null;
+    this.failed = false; // Worker could not start or crashed: use the main thread
+    this.nextId = 1;
+    this.pending = new Map(); // Request ID -> { resolve, reject }
+  }
+
+  static getShared() {
+    if (!sharedInstance) {
+      sharedInstance = new RasterPipeline();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Check if the worker pipeline can run in this browser
+   */
+  static isAvailable() {
+    return typeof Worker !== 'undefined'
+      && typeof OffscreenCanvas !== 'undefined'
+      && typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Turn a rendered label into packed raster rows
+   * @param {HTMLCanvasElement} canvas - Label rendered at print resolution
+   * @param {Object} options
+   * @param {number} options.outputWidthBytes - Output width in bytes
+   * @param {'left' | 'center' | 'right'} options.alignment - Label position within the output width
+   * @param {string} options.ditherMode - Dither mode: 'auto', 'none', 'threshold' or a dithering algorithm
+   * @param {Object} options.ditherOptions - Threshold, gamma, serpentine and tone (see pixelsToRaster)
+   * @returns {Promise<Uint8Array>} Raster rows, outputWidthBytes each
+   */
+  async rasterize(canvas, { outputWidthBytes, alignment = 'left', ditherMode = 'auto', ditherOptions = {} }) {
+    const options = { outputWidthBytes, alignment, ditherMode, ditherOptions };
+    const inWorker = await this._request('raster', canvas, options);
+    if (inWorker) return inWorker.data;
+
+    const { width, height } = canvas;
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    return pixelsToRaster(pixels, width, height, outputWidthBytes, alignment, ditherMode, ditherOptions);
+  }
+
+  /**
+   * Dither an image to black and white, as it will print
+   * @param {CanvasImageSource} source - Image to dither
+   * @param {number} width - Output width in printer pixels
+   * @param {number} height - Output height in printer pixels
+   * @param {Object} options
+   * @param {string} options.ditherMode - Dithering algorithm
+   * @param {string} options.filter - Canvas filter to apply first (e.g. brightness/contrast)
+   * @param {number} options.threshold - Black/white threshold, 0-255
+   * @param {number} options.gamma - Gamma applied before dithering
+   * @param {boolean} options.serpentine - Alternate scan direction for error diffusion
+   * @param {Object} options.tone - Tone profile of the printer and media
+   * @returns {Promise<CanvasImageSource>} Black and white image of width x height
+   */
+  async dither(source, width, height, { ditherMode = 'floyd-steinberg', filter = 'none', threshold, gamma = DEFAULT_GAMMA, serpentine, tone = null } = {}) {
+    const inWorker = await this._request('dither', source, { width, height, ditherMode, filter, threshold, gamma, serpentine, tone });
+    if (inWorker) return inWorker.bitmap;
+    return ditherImage(source, width, height, { ditherMode, filter, threshold, gamma, serpentine, tone });
+  }
+
+  // ===========================================================================
+  // INTERNAL
+  // ===========================================================================
+
+  /**
+   * Send a request to the worker
+   * @returns {Promise<Object|null>} The reply, or null to do the work on the main thread
+   */
+  async _request(type, source, options) {
+    const worker = this._getWorker();
+    if (!worker) return null;
+
+    try {
+      const bitmap = await createImageBitmap(source);
+      const id = this.nextId++;
+      return await new Promise((resolve, reject) => {
+        this.pending.set(id, { resolve, reject });
+        worker.postMessage({ id, type, bitmap, options }, [bitmap]);
+      });
+    } catch (error) {
+      logError(error, 'RasterPipeline', ErrorLevel.WARNING);
+      return null;
+    }
+  }
+
+  _getWorker() {
+    if (this.worker || this.failed || !RasterPipeline.isAvailable()) {
+      return this.worker;
+    }
+
+    try {
+      this.worker = new Worker(new URL('./raster-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      logError(error, 'RasterPipeline', ErrorLevel.WARNING);
+      this.failed = true;
+      return null;
+    }
+
+    this.worker.onmessage = (event) => {
+      const { id, error } = event.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+      this.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(event.data);
+      }
+    };
+    // The worker didn't load or crashed: finish everything on the main thread
+    this.worker.onerror = (event) => {
+      logError(event.message || 'Raster worker failed', 'RasterPipeline', ErrorLevel.WARNING);
+      this.worker.terminate();
+      this.worker = null;
+      this.failed = true;
+      for (const { reject } of this.pending.values()) {
+        reject(new Error('Raster worker failed'));
+      }
+      this.pending.clear();
+    };
+    return this.worker;
+  }
+}
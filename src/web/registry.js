@@ -0,0 +1,183 @@
+/**
+ * Connected printer registry for Phomymo
+ *
+ * One tab can drive several printers at once, e.g. a PM-241 for shipping
+ * labels and an M110 for product labels. Each connected printer is kept here
+ * with its transport, how to talk to it and a name; designs and batches pick
+ * their printer by that name. One printer is active: the editor follows it,
+ * and prints that don't name a printer go to it. Status reports (battery,
+ * paper, cover...) are kept per printer so they can be shown side by side.
+ */
+
+// Singleton instance
+let sharedInstance = null;
+let nextPrinterId = 1;
+
+export class PrinterRegistry {
+  constructor() {
+    this.printers = []; // In connection order
+    this.activeId = null;
+    this.onChange = null; // Callback after printers are added, removed, renamed or report status
+    this.onPrinterInfo = null; // Callback for status reports: (printer, field, value)
+  }
+
+  static getShared() {
+    if (!sharedInstance) {
+      sharedInstance = new PrinterRegistry();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Register a connected printer (registering its transport again updates it)
+   * The first printer becomes the active one.
+   * @param {Object} transport - Connected transport (BLE, USB, serial, network or loopback)
+   * @param {Object} options
+   * @param {string} options.connectionType - 'ble', 'usb', 'serial', 'network' or 'loopback'
+   * @param {string} options.printerModel - Printer model setting for this printer
+   * @param {string|null} options.name - Name designs and batches use (default: device name)
+   * @returns {Object} The printer: { id, name, transport, connectionType, printerModel, info }
+   */
+  add(transport, { connectionType, printerModel = 'auto', name = null } = {}) {
+    let printer = this.find(transport);
+    if (!printer) {
+      printer = { id: `printer_${nextPrinterId++}`, transport, info: {} };
+      this.printers.push(printer);
+    }
+    printer.connectionType = connectionType;
+    printer.printerModel = printerModel;
+    printer.name = this._uniqueName(name || transport.getDeviceName?.() || 'Printer', printer);
+
+    // Status reports go through the registry, which knows which printer sent them
+    if (transport.onPrinterInfo !== undefined) {
+      transport.onPrinterInfo = (field, value) => {
+        printer.info[field] = value;
+        if (this.onPrinterInfo) this.onPrinterInfo(printer, field, value);
+        this._emit();
+      };
+    }
+
+    if (!this.get(this.activeId)) {
+      this.activeId = printer.id;
+    }
+    this._emit();
+    return printer;
+  }
+
+  /**
+   * Remove a printer (the transport is not disconnected). If it was active,
+   * the first remaining printer becomes active.
+   * @param {string} id
+   * @returns {Object|null} The removed printer
+   */
+  remove(id) {
+    const printer = this.get(id);
+    if (!printer) return null;
+
+    this.printers = this.printers.filter(p => p !== printer);
+    if (printer.transport.onPrinterInfo !== undefined) {
+      printer.transport.onPrinterInfo = null;
+    }
+    if (this.activeId === id) {
+      this.activeId = this.printers[0]?.id ?? null;
+    }
+    this._emit();
+    return printer;
+  }
+
+  /**
+   * Get a printer by ID
+   */
+  get(id) {
+    return this.printers.find(p => p.id === id) || null;
+  }
+
+  /**
+   * Get a printer by name (as designs and batches refer to it)
+   */
+  getByName(name) {
+    return this.printers.find(p => p.name === name) || null;
+  }
+
+  /**
+   * Get the printer using a transport
+   */
+  find(transport) {
+    return this.printers.find(p => p.transport === transport) || null;
+  }
+
+  /**
+   * Get all printers in connection order
+   */
+  list() {
+    return [...this.printers];
+  }
+
+  /**
+   * Get the active printer
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Make a printer the active one
+   * @param {string} id
+   */
+  setActive(id) {
+    if (!this.get(id) || this.activeId === id) return;
+    this.activeId = id;
+    this._emit();
+  }
+
+  /**
+   * Rename a printer
+   * @param {string} id
+   * @param {string} name - New name (made unique with a number if taken)
+   * @returns {string|null} The name given, or null if there is no such printer
+   */
+  rename(id, name) {
+    const printer = this.get(id);
+    if (!printer || !name.trim()) return printer?.name ?? null;
+    printer.name = this._uniqueName(name.trim(), printer);
+    this._emit();
+    return printer.name;
+  }
+
+  /**
+   * Update a printer's settings
+   * @param {string} id
+   * @param {Object} changes - e.g. { printerModel }
+   */
+  update(id, changes) {
+    const printer = this.get(id);
+    if (!printer) return;
+    Object.assign(printer, changes);
+    this._emit();
+  }
+
+  /**
+   * Tell listeners that a printer's connection state changed
+   */
+  changed() {
+    this._emit();
+  }
+
+  // ===========================================================================
+  // INTERNAL
+  // ===========================================================================
+
+  _uniqueName(name, except) {
+    const taken = (candidate) => this.printers.some(p => p !== except && p.name === candidate);
+    if (!taken(name)) return name;
+    let n = 2;
+    while (taken(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+  }
+
+  _emit() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+}
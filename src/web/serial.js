@@ -0,0 +1,336 @@
+/**
+ * Web Serial transport for Phomymo
+ *
+ * For printers that only speak Bluetooth Classic (SPP), such as the PM-241-BT
+ * and older Phomemo models, and for printers on a USB-serial adapter. Once
+ * paired in the operating system, an SPP printer is a serial port (RFCOMM)
+ * that Chrome can open with the Web Serial API. It takes the same command
+ * stream as over BLE and answers status queries on the same port.
+ *
+ * Serial ports have no device name to detect the model from. They are named
+ * after their USB IDs or as a Bluetooth serial port, so the app asks for the
+ * model once (custom printer definitions can also match these names).
+ */
+
+import { StatusReceiver, emptyPrinterInfo } from './status.js';
+
+// Bluetooth Serial Port Profile service class
+const SPP_SERVICE_CLASS_ID = '00001101-0000-1000-8000-00805f9b34fb';
+
+// RFCOMM ports ignore the baud rate; USB-serial adapters need the printer's
+const DEFAULT_BAUD_RATE = 115200;
+
+// Chunk size and delay for serial writes
+const CHUNK_SIZE = 512;
+const CHUNK_DELAY = 20;
+
+// A serial port delivers a byte stream, not packets: bytes that arrive
+// without a pause this long are one response
+const RESPONSE_GAP_MS = 30;
+
+// Singleton instance for persistent connection
+let sharedInstance = null;
+
+/**
+ * Serial Transport class for the Web Serial API
+ */
+export class SerialTransport {
+  /**
+   * @param {Object} options
+   * @param {number} options.baudRate - Baud rate for USB-serial adapters
+   */
+  constructor({ baudRate = DEFAULT_BAUD_RATE } = {}) {
+    this.port = null;
+    this.writer = null;
+    this.reader = null;
+    this._reading = null; // Read loop, settles once it has released the reader
+    this.connected = false;
+    this.baudRate = baudRate;
+    this.queryProtocol = 'phomemo'; // 'phomemo' or 'tspl' (see status.js)
+
+    this.onDisconnect = null;
+    this.onPrinterInfo = null; // Callback for printer info updates
+    this._status = new StatusReceiver(this, { name: 'Serial', responseGap: RESPONSE_GAP_MS }); // Responses, listeners and queries
+    this._handleDisconnect = () => this._closed();
+    this.resetPrinterInfo();
+  }
+
+  /**
+   * Get shared instance (singleton pattern for persistent connection)
+   */
+  static getShared() {
+    if (!sharedInstance) {
+      sharedInstance = new SerialTransport();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Check if Web Serial is available
+   */
+  static isAvailable() {
+    return typeof navigator !== 'undefined' && 'serial' in navigator;
+  }
+
+  /**
+   * Connect to a printer's serial port
+   * Reopens the port from earlier in this session, else shows the port picker
+   * (paired Bluetooth Classic printers are listed as serial ports).
+   * @param {Object} options - Connection options (unused for serial, for API consistency)
+   */
+  async connect(options = {}) {
+    if (!SerialTransport.isAvailable()) {
+      throw new Error('Web Serial is not supported in this browser');
+    }
+
+    if (this.connected) {
+      console.log('Already connected');
+      return true;
+    }
+
+    // Reopen the port from this session
+    if (this.port) {
+      try {
+        await this.openPort(this.port);
+        return true;
+      } catch (e) {
+        console.log('Could not reopen serial port:', e.message);
+        this.port = null;
+      }
+    }
+
+    try {
+      console.log('Requesting serial port...');
+      const port = await navigator.serial.requestPort({
+        allowedBluetoothServiceClassIds: [SPP_SERVICE_CLASS_ID],
+      });
+      await this.openPort(port);
+      return true;
+    } catch (error) {
+      console.error('Serial connection error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a serial port and start reading responses
+   * @param {SerialPort} port
+   */
+  async openPort(port) {
+    this.port = port;
+    await port.open({ baudRate: this.baudRate });
+
+    this.writer = port.writable.getWriter();
+    this.connected = true;
+    this.resetPrinterInfo();
+    port.addEventListener('disconnect', this._handleDisconnect);
+    console.log('Serial connected to', this.getDeviceName());
+
+    if (port.readable) {
+      this._reading = this._readLoop(port);
+    } else {
+      console.log('Port is not readable, printer status unavailable');
+    }
+  }
+
+  /**
+   * Disconnect from the port
+   */
+  async disconnect() {
+    const port = this.port;
+    this.connected = false;
+    if (!port) return;
+
+    port.removeEventListener('disconnect', this._handleDisconnect);
+    try {
+      await this.reader?.cancel();
+    } catch (e) {
+      // Reader already closed
+    }
+    // The port can't close while the read loop still holds its reader
+    await this._reading;
+    this._reading = null;
+    try {
+      this.writer?.releaseLock();
+      await port.close();
+    } catch (e) {
+      console.warn('Error closing serial port:', e);
+    }
+    this.reader = null;
+    this.writer = null;
+    this.resetPrinterInfo();
+  }
+
+  /**
+   * Send data to the printer
+   */
+  async send(data) {
+    if (!this.connected || !this.writer) {
+      throw new Error('Not connected');
+    }
+
+    const buffer = data instanceof Uint8Array ? data : new Uint8Array(data);
+    await this.writer.write(buffer);
+  }
+
+  /**
+   * Send data in chunks with delays
+   */
+  async sendChunked(data, onProgress = null) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const totalChunks = Math.ceil(bytes.length / CHUNK_SIZE);
+
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      const chunk = bytes.slice(i, Math.min(i + CHUNK_SIZE, bytes.length));
+      await this.send(chunk);
+      await this.delay(CHUNK_DELAY);
+
+      if (onProgress) {
+        const chunkNum = Math.floor(i / CHUNK_SIZE) + 1;
+        const progress = Math.round((i + chunk.length) / bytes.length * 100);
+        onProgress(chunkNum, totalChunks, progress);
+      }
+    }
+  }
+
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Check if connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Whether the port is a Bluetooth Classic (RFCOMM) connection
+   */
+  isBluetooth() {
+    return !!this.port?.getInfo?.().bluetoothServiceClassId;
+  }
+
+  /**
+   * Get device name
+   * Ports have none, so it is made from what the port reports about itself:
+   * "Serial 0483:5740" for USB-serial adapters, "Bluetooth Serial" for SPP.
+   */
+  getDeviceName() {
+    const info = this.port?.getInfo?.() || {};
+    if (info.usbVendorId !== undefined) {
+      const hex = (id) => id.toString(16).padStart(4, '0').toUpperCase();
+      return `Serial ${hex(info.usbVendorId)}:${hex(info.usbProductId ?? 0)}`;
+    }
+    return info.bluetoothServiceClassId ? 'Bluetooth Serial' : 'Serial Printer';
+  }
+
+  // ===========================================================================
+  // PRINTER STATUS
+  // ===========================================================================
+
+  /**
+   * Read from the port until it is closed
+   * @param {SerialPort} port - Port the loop belongs to (stops if replaced)
+   */
+  async _readLoop(port) {
+    while (this.connected && this.port === port && port.readable) {
+      this.reader = port.readable.getReader();
+      try {
+        for (;;) {
+          const { value, done } = await this.reader.read();
+          if (done) break;
+          if (value?.length) this._status.receive(value);
+        }
+      } catch (e) {
+        // Framing or parity errors end this reader; a new one carries on
+        if (this.connected && this.port === port) {
+          console.warn('Serial read error:', e.message);
+        }
+      } finally {
+        this.reader?.releaseLock();
+        this.reader = null;
+      }
+    }
+  }
+
+  /**
+   * The port went away (printer switched off, out of range or unplugged)
+   */
+  _closed() {
+    if (!this.connected) return;
+    console.log('Serial port disconnected');
+    this.connected = false;
+    this.reader = null;
+    this.writer = null;
+    if (this.onDisconnect) this.onDisconnect();
+  }
+
+  /**
+   * Handle a response read from the printer
+   * @param {DataView} view - Response data
+   */
+  handleResponse(view) {
+    this._status.handle(view);
+  }
+
+  /**
+   * Wait for a response from the printer
+   * Used by protocols with waitResponse steps
+   * @param {number} timeout - Maximum time to wait in ms (default 500)
+   * @returns {Promise<DataView|null>} Response data or null if timeout
+   */
+  async waitForResponse(timeout = 500) {
+    return this._status.waitForResponse(timeout);
+  }
+
+  /**
+   * Subscribe to status notifications (paper, cover, hot, print...)
+   * Used by print() to wait for completion and abort on printer errors
+   * @param {Function} listener - Called with (field, value)
+   */
+  addStatusListener(listener) {
+    this._status.addListener(listener);
+  }
+
+  /**
+   * Unsubscribe from status notifications
+   * @param {Function} listener - Listener passed to addStatusListener
+   */
+  removeStatusListener(listener) {
+    this._status.removeListener(listener);
+  }
+
+  /**
+   * Query printer for status information
+   * @param {string} queryType - Phomemo: battery, firmware, serial, paper, cover, version,
+   *   mac, power, label; TSPL: status, paper, cover, model
+   */
+  async query(queryType) {
+    return this._status.query(queryType);
+  }
+
+  /**
+   * Query all available printer info
+   */
+  async queryAll() {
+    return this._status.queryAll();
+  }
+
+  /**
+   * Get current printer info
+   */
+  getPrinterInfo() {
+    return { ...this.printerInfo };
+  }
+
+  /**
+   * Reset printer info (on connect and disconnect)
+   */
+  resetPrinterInfo() {
+    this.printerInfo = emptyPrinterInfo();
+  }
+}
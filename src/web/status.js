@@ -0,0 +1,399 @@
+/**
+ * Printer status queries for Phomymo
+ *
+ * Phomemo printers answer `1F 11 xx` queries (and report print progress on
+ * their own) with `1A type value...` packets, over Bluetooth and USB alike.
+ * TSPL printers (PM-241) answer `<ESC>!?` with a one-byte status bitmask and
+ * `~!T` with their model name.
+ *
+ * Parsed responses are { field, value } pairs, e.g. { field: 'paper', value: 'out' }.
+ */
+
+// Phomemo query commands (format: [0x1F, 0x11, X])
+export const QUERY_COMMANDS = {
+  battery: [0x1F, 0x11, 0x08],
+  firmware: [0x1F, 0x11, 0x07],
+  serial: [0x1F, 0x11, 0x09],
+  paper: [0x1F, 0x11, 0x11],
+  cover: [0x1F, 0x11, 0x12],
+  version: [0x1F, 0x11, 0x33],
+  mac: [0x1F, 0x11, 0x20],
+  power: [0x1F, 0x11, 0x0E],
+  label: [0x1F, 0x11, 0x19],
+};
+
+// TSPL immediate commands (answered even while printing)
+const TSPL_STATUS_QUERY = [0x1B, 0x21, 0x3F]; // <ESC>!?
+export const TSPL_QUERY_COMMANDS = {
+  status: TSPL_STATUS_QUERY,
+  paper: TSPL_STATUS_QUERY,
+  cover: TSPL_STATUS_QUERY,
+  model: [0x7E, 0x21, 0x54], // ~!T
+};
+
+// Response types whose value is one byte (1A type value)
+const SHORT_RESPONSE_TYPES = [0x03, 0x04, 0x05, 0x06, 0x09, 0x0B, 0x0C, 0x0F, 0x17];
+
+// <ESC>!? status bits
+const TSPL_STATUS = {
+  HEAD_OPEN: 0x01,
+  PAPER_JAM: 0x02,
+  PAPER_OUT: 0x04,
+  OTHER_ERROR: 0x80,
+};
+
+/**
+ * Parse a Phomemo status response
+ * Response format: 0x1A, type, data...
+ * @param {Uint8Array} data - Response bytes
+ * @returns {Object|null} { field, value }, or null if not a status response
+ */
+export function parseStatusResponse(data) {
+  if (data.length < 2) return null;
+
+  // Handle special result/printer type responses (2-3 bytes)
+  if (data.length === 2 && data[0] === 0x01) {
+    console.log('Result:', data[1]);
+    return null;
+  }
+  if (data.length === 3 && data[0] === 0x02) {
+    console.log('Printer type:', data[1]);
+    return null;
+  }
+
+  // Standard response format: 0x1A, type, data...
+  if (data[0] !== 0x1A) return null;
+  if (data.length < 3) return null; // Need at least 3 bytes for type + value
+
+  const type = data[1];
+  let value = null;
+  let field = null;
+
+  switch (type) {
+    case 0x03: // Hot/heating status (-1 = overheated)
+      if (data[2] === 0xA9) value = -1;
+      else if (data[2] === 0xA8) value = 0;
+      else value = 1;
+      field = 'hot';
+      break;
+
+    case 0x04: // Battery
+      if (data[2] === 0xA4) value = 0;
+      else if (data[2] === 0xA3) value = 3;
+      else if (data[2] === 0xA2) value = 5;
+      else if (data[2] === 0xA1) value = 10;
+      else value = data[2];
+      field = 'battery';
+      break;
+
+    case 0x05: // Cover
+      value = data[2] === 0x98 ? 'open' : (data[2] === 0x99 ? 'closed' : 'unknown');
+      field = 'cover';
+      break;
+
+    case 0x06: // Paper
+      value = data[2] === 0x88 ? 'out' : 'ok';
+      field = 'paper';
+      break;
+
+    case 0x07: // Firmware
+      value = data2dots(data, 2);
+      field = 'firmware';
+      break;
+
+    case 0x08: // Serial
+      value = data2string(data, 2);
+      field = 'serial';
+      break;
+
+    case 0x09: // Power
+      value = data[2];
+      field = 'power';
+      break;
+
+    case 0x0B: // Print status (-1 = print failed)
+      value = data[2] === 0xB8 ? -1 : data[2];
+      field = 'print';
+      break;
+
+    case 0x0C: // Label
+      if (data[2] === 0x0B) value = 0;
+      else if (data[2] === 0x26) value = 3;
+      else value = 2;
+      field = 'label';
+      break;
+
+    case 0x0D: // MAC
+      value = data2string(data, 2);
+      field = 'mac';
+      break;
+
+    case 0x0F: // Print status alt (1 = print complete)
+      value = data[2] === 0x0C ? 1 : data[2];
+      field = 'print';
+      break;
+
+    case 0x11: // Version
+      value = data2dots(data, 2);
+      field = 'version';
+      break;
+
+    case 0x17: // Chip
+      value = data[2];
+      field = 'chip';
+      break;
+
+    default:
+      console.log('Unknown response type:', type.toString(16));
+      return null;
+  }
+
+  console.log(`Printer ${field}:`, value);
+  return { field, value };
+}
+
+/**
+ * Split Phomemo status responses that arrived back to back
+ * Byte streams (serial ports, network sockets) don't keep responses apart.
+ * Short responses (hot, battery, cover, paper, print status...) are three
+ * bytes; anything else runs to the end of the data.
+ * @param {Uint8Array} data - Received bytes
+ * @returns {Uint8Array[]} One response each
+ */
+export function splitStatusResponses(data) {
+  const responses = [];
+  let start = 0;
+  while (start < data.length) {
+    const short = data[start] === 0x1A && SHORT_RESPONSE_TYPES.includes(data[start + 1]) && start + 3 <= data.length;
+    const end = short ? start + 3 : data.length;
+    responses.push(data.subarray(start, end));
+    start = end;
+  }
+  return responses;
+}
+
+/**
+ * Parse a TSPL status response
+ * A single byte answers <ESC>!? (bitmask, 0 = ready); anything longer is the
+ * model name answering ~!T.
+ * @param {Uint8Array} data - Response bytes
+ * @returns {Object[]} { field, value } pairs (empty if nothing was recognized)
+ */
+export function parseTSPLResponse(data) {
+  if (data.length === 0) return [];
+
+  if (data.length > 1) {
+    const model = data2string(data, 0).replace(/[\0\r\n]+/g, ' ').trim();
+    if (!model) return [];
+    console.log('Printer model:', model);
+    return [{ field: 'model', value: model }];
+  }
+
+  const status = data[0];
+  console.log('TSPL status:', status.toString(16));
+  const fields = [
+    { field: 'cover', value: status & TSPL_STATUS.HEAD_OPEN ? 'open' : 'closed' },
+    { field: 'paper', value: status & TSPL_STATUS.PAPER_OUT ? 'out' : 'ok' },
+  ];
+  if (status & (TSPL_STATUS.PAPER_JAM | TSPL_STATUS.OTHER_ERROR)) {
+    fields.push({ field: 'print', value: -1 });
+  }
+  return fields;
+}
+
+/**
+ * Fresh printer info, as reported by status responses (null = not known yet)
+ * @returns {Object}
+ */
+export function emptyPrinterInfo() {
+  return {
+    battery: null,
+    paper: null,
+    firmware: null,
+    serial: null,
+    cover: null,
+    model: null,
+  };
+}
+
+/**
+ * Status handling shared by the USB, serial and network transports
+ *
+ * Reads responses for a transport and reports them through its printerInfo,
+ * onPrinterInfo and status listeners, and sends queries in the transport's
+ * queryProtocol ('phomemo' or 'tspl'). The transport provides send(),
+ * delay() and isConnected().
+ */
+export class StatusReceiver {
+  /**
+   * @param {Object} transport - Transport the responses belong to
+   * @param {Object} options
+   * @param {string} options.name - Name in the response log, e.g. 'USB'
+   * @param {number} options.responseGap - For byte streams: bytes that arrive
+   *   without a pause this long (ms) are one response (see receive)
+   */
+  constructor(transport, { name, responseGap = 0 }) {
+    this.transport = transport;
+    this.name = name;
+    this.responseGap = responseGap;
+    this._listeners = new Set(); // Print status listeners (see addListener)
+    this._waiters = new Set(); // Pending waitForResponse calls
+    this._pending = []; // Bytes of the response being received
+    this._timer = null;
+  }
+
+  /**
+   * Collect bytes from a byte stream (serial port, socket) into a response,
+   * handled once the printer pauses
+   * @param {Uint8Array} bytes
+   */
+  receive(bytes) {
+    this._pending.push(...bytes);
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      const data = new Uint8Array(this._pending);
+      this._pending = [];
+      this.handle(new DataView(data.buffer));
+    }, this.responseGap);
+  }
+
+  /**
+   * Handle a response read from the printer
+   * @param {DataView} view - Response data
+   */
+  handle(view) {
+    const { transport } = this;
+    const data = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+    console.log(`[${this.name} <<<]`, Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' '));
+
+    for (const resolve of this._waiters) {
+      resolve(view);
+    }
+    this._waiters.clear();
+
+    let responses;
+    if (transport.queryProtocol === 'tspl' && data[0] !== 0x1A) {
+      responses = parseTSPLResponse(data);
+    } else {
+      // Responses sent back to back arrive together
+      responses = [];
+      for (const packet of splitStatusResponses(data)) {
+        const response = parseStatusResponse(packet);
+        if (response) responses.push(response);
+      }
+    }
+
+    for (const { field, value } of responses) {
+      if (field in transport.printerInfo) {
+        transport.printerInfo[field] = value;
+      }
+      if (transport.onPrinterInfo) {
+        transport.onPrinterInfo(field, value, transport.printerInfo);
+      }
+      for (const listener of this._listeners) {
+        listener(field, value);
+      }
+    }
+  }
+
+  /**
+   * Wait for the next response from the printer
+   * @param {number} timeout - Maximum time to wait in ms
+   * @returns {Promise<DataView|null>} Response data or null if timeout
+   */
+  waitForResponse(timeout) {
+    return new Promise((resolve) => {
+      const done = (view) => {
+        clearTimeout(timer);
+        this._waiters.delete(done);
+        resolve(view);
+      };
+      const timer = setTimeout(() => done(null), timeout);
+      this._waiters.add(done);
+    });
+  }
+
+  /**
+   * Subscribe to status notifications
+   * @param {Function} listener - Called with (field, value)
+   */
+  addListener(listener) {
+    this._listeners.add(listener);
+  }
+
+  /**
+   * Unsubscribe from status notifications
+   * @param {Function} listener - Listener passed to addListener
+   */
+  removeListener(listener) {
+    this._listeners.delete(listener);
+  }
+
+  /**
+   * Send a status query
+   * @param {string} queryType - Phomemo: battery, firmware, serial, paper, cover, version,
+   *   mac, power, label; TSPL: status, paper, cover, model
+   */
+  async query(queryType) {
+    const { transport } = this;
+    if (!transport.isConnected()) {
+      throw new Error('Not connected');
+    }
+
+    const commands = transport.queryProtocol === 'tspl' ? TSPL_QUERY_COMMANDS : QUERY_COMMANDS;
+    const command = commands[queryType];
+    if (!command) {
+      throw new Error(`Unknown query type: ${queryType}`);
+    }
+
+    console.log(`Querying ${queryType}...`);
+    await transport.send(new Uint8Array(command));
+  }
+
+  /**
+   * Query all available printer info, with a pause between queries so the
+   * answers arrive apart
+   */
+  async queryAll() {
+    const { transport } = this;
+    if (!transport.isConnected()) {
+      throw new Error('Not connected');
+    }
+
+    console.log('Querying all printer info...');
+    const queries = transport.queryProtocol === 'tspl'
+      ? ['status', 'model']
+      : ['battery', 'paper', 'firmware', 'serial'];
+    for (const q of queries) {
+      try {
+        await this.query(q);
+        await transport.delay(100);
+      } catch (e) {
+        console.warn(`Query ${q} failed:`, e.message);
+      }
+    }
+  }
+}
+
+/**
+ * Convert data bytes to dot-separated string (for firmware/version)
+ */
+function data2dots(data, start) {
+  let str = '';
+  for (let i = start; i < data.length; i++) {
+    str += data[i];
+    if (i < data.length - 1) str += '.';
+  }
+  return str;
+}
+
+/**
+ * Convert data bytes to ASCII string
+ */
+function data2string(data, start) {
+  let str = '';
+  for (let i = start; i < data.length; i++) {
+    str += String.fromCharCode(data[i]);
+  }
+  return str;
+}
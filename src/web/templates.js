@@ -348,20 +348,22 @@ export function hasExpressions(elements) {
  * Evaluate instant expressions in elements
  * Replaces [[expression]] with evaluated values at call time
  * @param {Array} elements - Array of label elements
+ * @param {Array} evaluated - Optional array that receives { expression, value }
+ *   for each distinct expression evaluated (e.g. for the print history)
  * @returns {Array} - New array of elements with evaluated expressions
  */
-export function evaluateExpressions(elements) {
+export function evaluateExpressions(elements, evaluated = null) {
   return elements.map(el => {
     const clone = { ...el };
 
     if (clone.text) {
-      clone.text = evaluateExpressionsInString(clone.text);
+      clone.text = evaluateExpressionsInString(clone.text, evaluated);
     }
     if (clone.barcodeData) {
-      clone.barcodeData = evaluateExpressionsInString(clone.barcodeData);
+      clone.barcodeData = evaluateExpressionsInString(clone.barcodeData, evaluated);
     }
     if (clone.qrData) {
-      clone.qrData = evaluateExpressionsInString(clone.qrData);
+      clone.qrData = evaluateExpressionsInString(clone.qrData, evaluated);
     }
 
     return clone;
@@ -371,54 +373,70 @@ export function evaluateExpressions(elements) {
 /**
  * Evaluate expressions in a string
  * @param {string} str - String with [[expression]] placeholders
+ * @param {Array} evaluated - Optional array that receives { expression, value }
  * @returns {string} - String with evaluated values
  */
-function evaluateExpressionsInString(str) {
+function evaluateExpressionsInString(str, evaluated = null) {
   EXPRESSION_PATTERN.lastIndex = 0;
   return str.replace(EXPRESSION_PATTERN, (match, expr, format) => {
-    const expression = expr.trim().toLowerCase();
-    const formatStr = format?.trim() || null;
+    const value = evaluateExpression(match, expr, format);
+    if (evaluated && value !== match && !evaluated.some(e => e.expression === match)) {
+      evaluated.push({ expression: match, value });
+    }
+    return value;
+  });
+}
 
-    switch (expression) {
-      case 'dt':
-      case 'datetime':
-        return formatDateTime(new Date(), formatStr || 'YYYY-MM-DD HH:mm:ss');
+/**
+ * Evaluate a single expression
+ * @param {string} match - Full placeholder ("[[date|MM/DD]]"), returned for unknown expressions
+ * @param {string} expr - Expression name
+ * @param {string} format - Optional format string
+ * @returns {string} - Evaluated value
+ */
+function evaluateExpression(match, expr, format) {
+  const expression = expr.trim().toLowerCase();
+  const formatStr = format?.trim() || null;
 
-      case 'date':
-        return formatDateTime(new Date(), formatStr || 'YYYY-MM-DD');
+  switch (expression) {
+    case 'dt':
+    case 'datetime':
+      return formatDateTime(new Date(), formatStr || 'YYYY-MM-DD HH:mm:ss');
 
-      case 'time':
-        return formatDateTime(new Date(), formatStr || 'HH:mm:ss');
+    case 'date':
+      return formatDateTime(new Date(), formatStr || 'YYYY-MM-DD');
 
-      case 'timestamp':
-      case 'ts':
-        return Date.now().toString();
+    case 'time':
+      return formatDateTime(new Date(), formatStr || 'HH:mm:ss');
 
-      case 'year':
-        return new Date().getFullYear().toString();
+    case 'timestamp':
+    case 'ts':
+      return Date.now().toString();
 
-      case 'month':
-        return String(new Date().getMonth() + 1).padStart(2, '0');
+    case 'year':
+      return new Date().getFullYear().toString();
 
-      case 'day':
-        return String(new Date().getDate()).padStart(2, '0');
+    case 'month':
+      return String(new Date().getMonth() + 1).padStart(2, '0');
 
-      case 'hour':
-        return String(new Date().getHours()).padStart(2, '0');
+    case 'day':
+      return String(new Date().getDate()).padStart(2, '0');
 
-      case 'minute':
-      case 'min':
-        return String(new Date().getMinutes()).padStart(2, '0');
+    case 'hour':
+      return String(new Date().getHours()).padStart(2, '0');
 
-      case 'second':
-      case 'sec':
-        return String(new Date().getSeconds()).padStart(2, '0');
+    case 'minute':
+    case 'min':
+      return String(new Date().getMinutes()).padStart(2, '0');
 
-      default:
-        // Unknown expression, keep original
-        return match;
-    }
-  });
+    case 'second':
+    case 'sec':
+      return String(new Date().getSeconds()).padStart(2, '0');
+
+    default:
+      // Unknown expression, keep original
+      return match;
+  }
 }
 
 /**
@@ -0,0 +1,133 @@
+/**
+ * Tone profiles for Phomymo
+ *
+ * Thermal dots spread and merge, and how much depends on the printer and the
+ * media: the same gray fill prints far darker on M110 labels than on M02
+ * paper. A tone profile describes that with three numbers - dot gain at 50%,
+ * black point and white point - and the renderer corrects for it before
+ * dithering (see createToneCurve in dither.js).
+ *
+ * Profiles are picked per printer definition and per media (TSPL media
+ * settings), and measured with the tone chart (see calibration.js). Built-in
+ * profiles are starting points; measured ones are saved as custom profiles:
+ *
+ *   { "id": "m110-labels", "name": "M110 labels", "dotGain": 18, "blackPoint": 12, "whitePoint": 245 }
+ */
+
+import { STORAGE_KEYS } from './constants.js';
+import { safeJsonParse, safeJsonStringify, safeStorageGet, safeStorageSet } from './utils/errors.js';
+
+// Profile used when none is picked (prints as before tone profiles)
+export const DEFAULT_TONE_PROFILE = 'linear';
+
+// Dot gain limit (a 50% pattern can't print more than 95% dark)
+export const MAX_DOT_GAIN = 45;
+
+export const BUILTIN_TONE_PROFILES = [
+  { id: 'linear', name: 'Linear (no compensation)', dotGain: 0, blackPoint: 0, whitePoint: 255 },
+  { id: 'thermal-paper', name: 'Thermal paper', dotGain: 8, blackPoint: 0, whitePoint: 250 },
+  { id: 'thermal-labels', name: 'Thermal labels', dotGain: 18, blackPoint: 8, whitePoint: 245 },
+  { id: 'synthetic-labels', name: 'Synthetic labels', dotGain: 25, blackPoint: 16, whitePoint: 240 },
+];
+
+/**
+ * Get custom (measured) tone profiles
+ * @returns {Array}
+ */
+export function getCustomToneProfiles() {
+  const profiles = safeJsonParse(safeStorageGet(STORAGE_KEYS.TONE_PROFILES), []);
+  return Array.isArray(profiles) ? profiles : [];
+}
+
+/**
+ * Get all tone profiles, built-in first
+ * @returns {Array}
+ */
+export function getToneProfiles() {
+  const custom = getCustomToneProfiles();
+  return [...BUILTIN_TONE_PROFILES.filter(p => !custom.some(c => c.id === p.id)), ...custom];
+}
+
+/**
+ * Get a tone profile by id
+ * @param {string|null} id - Profile id (null = the default profile)
+ * @returns {Object} The profile, or the default one if there is no such profile
+ */
+export function getToneProfile(id) {
+  const profiles = getToneProfiles();
+  return profiles.find(p => p.id === (id || DEFAULT_TONE_PROFILE))
+    || BUILTIN_TONE_PROFILES.find(p => p.id === DEFAULT_TONE_PROFILE);
+}
+
+/**
+ * Check if a tone profile id is a built-in
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isBuiltinToneProfile(id) {
+  return BUILTIN_TONE_PROFILES.some(p => p.id === id) && !getCustomToneProfiles().some(p => p.id === id);
+}
+
+/**
+ * Validate a tone profile
+ * @param {Object} profile
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateToneProfile(profile) {
+  const errors = [];
+  if (!profile?.id) errors.push('Profile needs an id');
+  if (!profile?.name) errors.push('Profile needs a name');
+  const { dotGain, blackPoint, whitePoint } = profile || {};
+  if (!Number.isFinite(dotGain) || dotGain < 0 || dotGain > MAX_DOT_GAIN) {
+    errors.push(`Dot gain must be 0-${MAX_DOT_GAIN}%`);
+  }
+  if (!Number.isInteger(blackPoint) || blackPoint < 0 || blackPoint > 254) {
+    errors.push('Black point must be 0-254');
+  }
+  if (!Number.isInteger(whitePoint) || whitePoint < 1 || whitePoint > 255) {
+    errors.push('White point must be 1-255');
+  } else if (whitePoint <= blackPoint) {
+    errors.push('White point must be above the black point');
+  }
+  return errors;
+}
+
+/**
+ * Save a custom tone profile (create or update)
+ * @param {Object} profile - { id, name, dotGain, blackPoint, whitePoint }
+ * @throws {Error} If the profile is not valid
+ */
+export function saveToneProfile(profile) {
+  const problems = validateToneProfile(profile);
+  if (problems.length > 0) {
+    throw new Error(problems.join(', '));
+  }
+  const { id, name, dotGain, blackPoint, whitePoint } = profile;
+  const profiles = getCustomToneProfiles().filter(p => p.id !== id);
+  profiles.push({ id, name, dotGain, blackPoint, whitePoint });
+  safeStorageSet(STORAGE_KEYS.TONE_PROFILES, safeJsonStringify(profiles));
+}
+
+/**
+ * Delete a custom tone profile
+ * @param {string} id
+ */
+export function deleteToneProfile(id) {
+  const profiles = getCustomToneProfiles().filter(p => p.id !== id);
+  safeStorageSet(STORAGE_KEYS.TONE_PROFILES, safeJsonStringify(profiles));
+}
+
+/**
+ * Make an id for a new profile from its name
+ * @param {string} name
+ * @returns {string} Id not used by another profile
+ */
+export function toneProfileId(name) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+  const ids = new Set(getToneProfiles().map(p => p.id));
+  let id = base;
+  for (let n = 2; ids.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
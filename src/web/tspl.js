@@ -0,0 +1,369 @@
+/**
+ * Native TSPL element output for Phomymo
+ *
+ * TSPL printers (PM-241) can draw text, barcodes, QR codes and boxes
+ * themselves. Sending those as TEXT / BARCODE / QRCODE / BAR / BOX commands
+ * instead of one label-sized BITMAP is much less data, and the barcodes come
+ * out at exact module widths.
+ *
+ * Elements the printer can't draw the same way (images, rotated or styled
+ * text, dithered fills...) still go out as a bitmap. The printer draws the
+ * bitmap first and the native elements on top, so an element only goes native
+ * if that doesn't change what the label looks like: it must not overlap any
+ * bitmap element, and elements that paint a white background (barcodes, QR
+ * codes, white-filled boxes) must not cover anything below them.
+ *
+ * Coordinates are label pixels, which are printer dots (8 per mm at 203 DPI).
+ */
+
+// Canvas barcode formats the printer knows, as TSPL barcode types
+const BARCODE_TYPES = {
+  CODE128: '128',
+  EAN13: 'EAN13',
+  CODE39: '39',
+};
+
+// TSPL QRCODE cell width range (dots per module)
+const QR_MIN_CELL = 1;
+const QR_MAX_CELL = 10;
+
+// TEXT alignment parameter by element align
+const TEXT_ALIGN = { left: 1, center: 2, right: 3 };
+
+// Points per printer dot (font "0" is sized in points)
+const POINTS_PER_DOT = 72 / 203;
+
+/**
+ * Split elements into native TSPL commands and elements that need a bitmap
+ * @param {Array} elements - Label elements, bottom to top
+ * @param {Object} options
+ * @param {number} options.originX - Dots from the print head's left edge to the label (alignment)
+ * @param {number} options.originY - Dots from the top of the label
+ * @param {Function} options.wrapText - (text, maxWidth, fontSize, fontFamily, fontWeight, fontStyle)
+ *   => lines, as the canvas wraps text (optional; without it text only breaks at newlines)
+ * @returns {Object} { commands, nativeIds, fallback } - TSPL command text, IDs of the
+ *   elements it draws, and the elements left for the bitmap (in z-order)
+ */
+export function buildNativeTSPL(elements, { originX = 0, originY = 0, wrapText = null } = {}) {
+  const items = elements.map(element => ({
+    element,
+    bounds: getBounds(element),
+    commands: toCommands(element, wrapText),
+  }));
+
+  // Falling back one element can push its neighbours back too, so repeat until stable
+  let changed = true;
+  while (changed) {
+    changed = false;
+    items.forEach((item, i) => {
+      if (item.commands === null) return;
+      const blocked = items.some((other, j) => j !== i && overlaps(item.bounds, other.bounds) &&
+        (other.commands === null || (j < i && paintsBackground(item.element))));
+      if (blocked) {
+        item.commands = null;
+        changed = true;
+      }
+    });
+  }
+
+  const native = items.filter(item => item.commands !== null);
+  const commands = native
+    .flatMap(item => item.commands)
+    .map(command => command(originX, originY) + '\r\n')
+    .join('');
+
+  return {
+    commands,
+    nativeIds: native.map(item => item.element.id),
+    fallback: items.filter(item => item.commands === null).map(item => item.element),
+  };
+}
+
+/**
+ * Crop a raster to the bytes and rows that have black dots
+ * @param {Object} raster - { data, widthBytes, heightLines }
+ * @returns {Object} { data, widthBytes, heightLines, x, y } - x and y in dots
+ *   (widthBytes and heightLines are 0 if the raster is blank)
+ */
+export function cropRaster({ data, widthBytes, heightLines }) {
+  let top = heightLines;
+  let bottom = -1;
+  let left = widthBytes;
+  let right = -1;
+
+  for (let y = 0; y < heightLines; y++) {
+    const row = y * widthBytes;
+    for (let x = 0; x < widthBytes; x++) {
+      if (data[row + x]) {
+        if (y < top) top = y;
+        bottom = y;
+        if (x < left) left = x;
+        if (x > right) right = x;
+      }
+    }
+  }
+
+  if (bottom < 0) {
+    return { data: new Uint8Array(0), widthBytes: 0, heightLines: 0, x: 0, y: 0 };
+  }
+
+  const croppedWidth = right - left + 1;
+  const croppedHeight = bottom - top + 1;
+  const cropped = new Uint8Array(croppedWidth * croppedHeight);
+  for (let y = 0; y < croppedHeight; y++) {
+    const start = (top + y) * widthBytes + left;
+    cropped.set(data.subarray(start, start + croppedWidth), y * croppedWidth);
+  }
+
+  return { data: cropped, widthBytes: croppedWidth, heightLines: croppedHeight, x: left * 8, y: top };
+}
+
+// =============================================================================
+// ELEMENTS
+// =============================================================================
+
+/**
+ * Native commands for one element
+ * @returns {Function[]|null} Command builders (originX, originY) => string,
+ *   or null if the element needs the bitmap
+ */
+function toCommands(element, wrapText) {
+  switch (element.type) {
+    case 'text':
+      return textCommands(element, wrapText);
+    case 'barcode':
+      return barcodeCommands(element);
+    case 'qr':
+      return qrCommands(element);
+    case 'shape':
+      return shapeCommands(element);
+    default:
+      return null;
+  }
+}
+
+/**
+ * TEXT commands, one per line, laid out like CanvasRenderer.renderTextElement
+ */
+function textCommands(element, wrapText) {
+  const { text, x, y, width, height, fontSize, align = 'left', verticalAlign = 'middle' } = element;
+  if (normalizeRotation(element.rotation) !== 0) return null;
+  if ((element.color || 'black') !== 'black') return null;
+  if (element.background && element.background !== 'transparent') return null;
+  if (element.textDecoration === 'underline' || element.fontStyle === 'italic') return null;
+  if (element.clipOverflow || element.autoScale) return null;
+  if (!text || !text.trim()) return [];
+  if (!isPrintableText(text.replace(/\n/g, ''))) return null;
+
+  const lines = element.noWrap || !wrapText
+    ? text.split('\n')
+    : wrapText(text, width - 8, fontSize, element.fontFamily, element.fontWeight, element.fontStyle);
+
+  const lineHeight = fontSize * 1.2;
+  const totalHeight = lines.length * lineHeight;
+  let lineY;
+  if (verticalAlign === 'top') {
+    lineY = -height / 2 + lineHeight / 2 + 2;
+  } else if (verticalAlign === 'bottom') {
+    lineY = height / 2 - totalHeight + lineHeight / 2 - 2;
+  } else {
+    lineY = -totalHeight / 2 + lineHeight / 2;
+  }
+
+  let textX = x + width / 2;
+  if (align === 'left') textX = x + 4;
+  else if (align === 'right') textX = x + width - 4;
+
+  const points = Math.max(1, Math.round(fontSize * POINTS_PER_DOT));
+  const alignment = TEXT_ALIGN[align] || TEXT_ALIGN.left;
+  const commands = [];
+  for (const line of lines) {
+    // Canvas draws with a middle baseline; TEXT takes the top of the line
+    const top = y + height / 2 + lineY - fontSize / 2;
+    if (line.trim()) {
+      commands.push((ox, oy) =>
+        `TEXT ${Math.round(ox + textX)},${Math.max(0, Math.round(oy + top))},"0",0,${points},${points},${alignment},${quote(line)}`);
+    }
+    lineY += lineHeight;
+  }
+  return commands;
+}
+
+/**
+ * BARCODE command, sized like the canvas barcode (same module count, centered)
+ */
+function barcodeCommands(element) {
+  const { barcodeData, barcodeFormat = 'CODE128', x, y, width, height } = element;
+  const type = BARCODE_TYPES[barcodeFormat];
+  if (!type || normalizeRotation(element.rotation) !== 0) return null;
+  if (!barcodeData || !barcodeData.trim()) return [];
+  if (!isPrintableText(barcodeData)) return null;
+
+  const modules = countBarcodeModules(barcodeData, barcodeFormat);
+  if (!modules) return null;
+
+  // The canvas scales the code (plus a 2.5-module quiet zone each side) to 95% of the width
+  const narrow = Math.floor(width * 0.95 / (modules + 5));
+  if (narrow < 1) return null;
+
+  const showText = element.showText !== false;
+  const textSpace = showText ? (element.textFontSize || 12) + 6 : 0;
+  const barHeight = Math.round(height - textSpace - 4);
+  if (barHeight < 8) return null;
+
+  const wide = barcodeFormat === 'CODE39' ? narrow * 3 : narrow;
+  const left = x + (width - modules * narrow) / 2;
+  // TSPL computes the EAN-13 check digit itself
+  const content = barcodeFormat === 'EAN13' ? barcodeData.trim().slice(0, 12) : barcodeData;
+
+  return [(ox, oy) =>
+    `BARCODE ${Math.round(ox + left)},${Math.round(oy + y + 2)},"${type}",${barHeight},${showText ? 2 : 0},0,${narrow},${wide},${quote(content)}`];
+}
+
+/**
+ * QRCODE command, with the largest cell size that fits like the canvas QR code
+ */
+function qrCommands(element) {
+  const { qrData, x, y, width, height } = element;
+  if (normalizeRotation(element.rotation) !== 0) return null;
+  if (!qrData || !qrData.trim()) return [];
+  if (!isPrintableText(qrData)) return null;
+
+  const modules = countQRModules(qrData);
+  if (!modules) return null;
+
+  // The canvas QR code has a 1-module margin and fills the smaller side
+  const size = Math.min(width, height);
+  const cell = Math.floor(size / (modules + 2));
+  if (cell < QR_MIN_CELL || cell > QR_MAX_CELL) return null;
+
+  const left = x + (width - modules * cell) / 2;
+  const top = y + (height - modules * cell) / 2;
+  return [(ox, oy) =>
+    `QRCODE ${Math.round(ox + left)},${Math.round(oy + top)},M,${cell},A,0,${quote(qrData)}`];
+}
+
+/**
+ * BAR / BOX commands for solid rectangles and straight lines
+ */
+function shapeCommands(element) {
+  const { shapeType, fill, stroke, strokeWidth = 2, cornerRadius = 0 } = element;
+  const rotation = normalizeRotation(element.rotation);
+  if (rotation % 90 !== 0) return null;
+  const box = getBounds(element);
+
+  if (shapeType === 'line') {
+    if ((stroke && stroke !== 'none' ? stroke : fill || 'black') !== 'black') return null;
+    const vertical = rotation === 90 || rotation === 270;
+    const cx = box.left + (box.right - box.left) / 2;
+    const cy = box.top + (box.bottom - box.top) / 2;
+    return vertical
+      ? [bar(cx - strokeWidth / 2, box.top, strokeWidth, box.bottom - box.top)]
+      : [bar(box.left, cy - strokeWidth / 2, box.right - box.left, strokeWidth)];
+  }
+
+  if (shapeType !== 'rectangle') return null;
+  if (![undefined, 'none', 'black', 'white'].includes(fill)) return null;
+  if (![undefined, 'none', 'black'].includes(stroke)) return null;
+
+  const boxWidth = box.right - box.left;
+  const boxHeight = box.bottom - box.top;
+  if (fill === 'black') {
+    // A black stroke only matters outside the fill
+    if (cornerRadius > 0) return null;
+    const grow = stroke === 'black' ? strokeWidth / 2 : 0;
+    return [bar(box.left - grow, box.top - grow, boxWidth + grow * 2, boxHeight + grow * 2)];
+  }
+  if (stroke !== 'black') return [];
+
+  // Canvas strokes are centered on the edge
+  const half = strokeWidth / 2;
+  const radius = Math.round(Math.min(cornerRadius, boxWidth / 2, boxHeight / 2));
+  return [(ox, oy) =>
+    `BOX ${Math.round(ox + box.left - half)},${Math.round(oy + box.top - half)},` +
+    `${Math.round(ox + box.right + half)},${Math.round(oy + box.bottom + half)},${Math.round(strokeWidth)}` +
+    (radius > 0 ? `,${radius}` : '')];
+}
+
+/**
+ * BAR command builder
+ */
+function bar(left, top, width, height) {
+  return (ox, oy) =>
+    `BAR ${Math.round(ox + left)},${Math.round(oy + top)},${Math.max(1, Math.round(width))},${Math.max(1, Math.round(height))}`;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Axis-aligned bounding box of an element, including rotation
+ */
+function getBounds(element) {
+  const { x, y, width, height } = element;
+  const rad = normalizeRotation(element.rotation) * Math.PI / 180;
+  const cos = Math.abs(Math.cos(rad));
+  const sin = Math.abs(Math.sin(rad));
+  const halfWidth = (width * cos + height * sin) / 2;
+  const halfHeight = (width * sin + height * cos) / 2;
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+  return { left: cx - halfWidth, top: cy - halfHeight, right: cx + halfWidth, bottom: cy + halfHeight };
+}
+
+function overlaps(a, b) {
+  return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+/**
+ * Whether an element paints white over whatever is below it
+ */
+function paintsBackground(element) {
+  return element.type === 'barcode' || element.type === 'qr' ||
+    (element.type === 'shape' && element.fill === 'white');
+}
+
+function normalizeRotation(rotation = 0) {
+  return ((Math.round(rotation) % 360) + 360) % 360;
+}
+
+/**
+ * Printable ASCII only: the printer's fonts and barcode encoders don't take UTF-8
+ */
+function isPrintableText(text) {
+  return /^[\x20-\x7e]*$/.test(text);
+}
+
+/**
+ * Quote a TSPL string parameter (embedded quotes are written as \["])
+ */
+function quote(text) {
+  return `"${text.replace(/"/g, '\\["]')}"`;
+}
+
+/**
+ * Number of modules JsBarcode encodes the data to (0 if it can't be encoded)
+ */
+function countBarcodeModules(data, format) {
+  if (typeof JsBarcode === 'undefined') return 0;
+  try {
+    const result = {};
+    JsBarcode(result, data, { format });
+    return result.encodings.reduce((sum, encoding) => sum + encoding.data.length, 0);
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Size in modules of the QR code the canvas draws (0 if it can't be encoded)
+ */
+function countQRModules(data) {
+  if (typeof QRCode === 'undefined' || !QRCode.create) return 0;
+  try {
+    return QRCode.create(data, { errorCorrectionLevel: 'M' }).modules.size;
+  } catch (e) {
+    return 0;
+  }
+}
@@ -1,7 +1,14 @@
 /**
  * WebUSB transport for Phomymo
+ *
+ * Sends print data on the printer interface's OUT endpoint and, where the
+ * printer has one, reads status responses from its IN endpoint. M-series
+ * printers answer the same queries as over Bluetooth; TSPL printers (PM-241)
+ * are asked with <ESC>!? and ~!T (set queryProtocol to 'tspl').
  */
 
+import { StatusReceiver, emptyPrinterInfo } from './status.js';
+
 // Known USB IDs for Phomemo printers
 const USB_DEVICE_FILTERS = [
   // Standard Phomemo printers (M110, M220, etc.)
@@ -16,6 +23,11 @@ const USB_DEVICE_FILTERS = [
 const CHUNK_SIZE = 512;
 const CHUNK_DELAY = 20;
 
+// Largest status response read from the IN endpoint, and the pause between
+// reads when the printer has nothing to say
+const IN_PACKET_SIZE = 64;
+const READ_IDLE_DELAY = 50;
+
 // Singleton instance for persistent connection
 let sharedInstance = null;
 
@@ -26,9 +38,14 @@ export class USBTransport {
   constructor() {
     this.device = null;
     this.endpointOut = null;
+    this.endpointIn = null; // null if the printer can't report status
     this.connected = false;
+    this.queryProtocol = 'phomemo'; // 'phomemo' or 'tspl' (see status.js)
 
     this.onDisconnect = null;
+    this.onPrinterInfo = null; // Callback for printer info updates
+    this._status = new StatusReceiver(this, { name: 'USB' }); // Responses, listeners and queries
+    this.resetPrinterInfo();
   }
 
   /**
@@ -143,13 +160,16 @@ export class USBTransport {
     await this.device.claimInterface(interfaceNum);
     console.log(`Claimed interface ${interfaceNum}`);
 
-    // Find OUT endpoint
+    // Find bulk OUT and IN endpoints
+    this.endpointOut = null;
+    this.endpointIn = null;
     const iface = this.device.configuration.interfaces[interfaceNum];
     for (const alt of iface.alternates) {
       for (const endpoint of alt.endpoints) {
-        if (endpoint.direction === 'out') {
+        if (endpoint.direction === 'out' && !this.endpointOut) {
           this.endpointOut = endpoint.endpointNumber;
-          break;
+        } else if (endpoint.direction === 'in' && !this.endpointIn) {
+          this.endpointIn = endpoint.endpointNumber;
         }
       }
     }
@@ -159,7 +179,14 @@ export class USBTransport {
     }
 
     this.connected = true;
+    this.resetPrinterInfo();
     console.log('USB connected to', this.device.productName);
+
+    if (this.endpointIn) {
+      this._readLoop(this.device);
+    } else {
+      console.log('No IN endpoint, printer status unavailable');
+    }
   }
 
   /**
@@ -176,6 +203,8 @@ export class USBTransport {
     this.connected = false;
     this.device = null;
     this.endpointOut = null;
+    this.endpointIn = null;
+    this.resetPrinterInfo();
   }
 
   /**
@@ -230,4 +259,108 @@ export class USBTransport {
   getDeviceName() {
     return this.device?.productName || 'USB Printer';
   }
+
+  // ===========================================================================
+  // PRINTER STATUS
+  // ===========================================================================
+
+  /**
+   * Read status responses until the device is closed
+   * @param {USBDevice} device - Device the loop belongs to (stops if replaced)
+   */
+  async _readLoop(device) {
+    while (this.connected && this.device === device) {
+      let result;
+      try {
+        result = await device.transferIn(this.endpointIn, IN_PACKET_SIZE);
+      } catch (e) {
+        if (this.connected && this.device === device) {
+          console.warn('USB status read stopped:', e.message);
+        }
+        return;
+      }
+
+      if (result.status === 'stall') {
+        await device.clearHalt('in', this.endpointIn).catch(() => {});
+      } else if (result.data && result.data.byteLength > 0) {
+        this.handleResponse(result.data);
+        continue;
+      }
+      await this.delay(READ_IDLE_DELAY);
+    }
+  }
+
+  /**
+   * Handle a response read from the printer
+   * @param {DataView} view - Response data
+   */
+  handleResponse(view) {
+    this._status.handle(view);
+  }
+
+  /**
+   * Wait for a response from the printer
+   * Used by protocols with waitResponse steps
+   * @param {number} timeout - Maximum time to wait in ms (default 500)
+   * @returns {Promise<DataView|null>} Response data or null if timeout
+   */
+  async waitForResponse(timeout = 500) {
+    if (!this.endpointIn) {
+      // No IN endpoint, use delay fallback
+      await this.delay(timeout);
+      return null;
+    }
+    return this._status.waitForResponse(timeout);
+  }
+
+  /**
+   * Subscribe to status notifications (paper, cover, hot, print...)
+   * Used by print() to wait for completion and abort on printer errors
+   * @param {Function} listener - Called with (field, value)
+   */
+  addStatusListener(listener) {
+    this._status.addListener(listener);
+  }
+
+  /**
+   * Unsubscribe from status notifications
+   * @param {Function} listener - Listener passed to addStatusListener
+   */
+  removeStatusListener(listener) {
+    this._status.removeListener(listener);
+  }
+
+  /**
+   * Query printer for status information
+   * @param {string} queryType - Phomemo: battery, firmware, serial, paper, cover, version,
+   *   mac, power, label; TSPL: status, paper, cover, model
+   */
+  async query(queryType) {
+    return this._status.query(queryType);
+  }
+
+  /**
+   * Query all available printer info
+   */
+  async queryAll() {
+    if (this.connected && !this.endpointIn) {
+      console.log('Printer has no IN endpoint, skipping status queries');
+      return;
+    }
+    return this._status.queryAll();
+  }
+
+  /**
+   * Get current printer info
+   */
+  getPrinterInfo() {
+    return { ...this.printerInfo };
+  }
+
+  /**
+   * Reset printer info (on connect and disconnect)
+   */
+  resetPrinterInfo() {
+    this.printerInfo = emptyPrinterInfo();
+  }
 }
@@ -341,6 +341,12 @@ export const ErrorCodes = {
   PRINT_NO_DEVICE: 'PRINT_NO_DEVICE',
   PRINT_CANCELLED: 'PRINT_CANCELLED',
 
+  // Printer status errors (reported by the printer mid-job)
+  PRINTER_PAPER_OUT: 'PRINTER_PAPER_OUT',
+  PRINTER_COVER_OPEN: 'PRINTER_COVER_OPEN',
+  PRINTER_OVERHEATED: 'PRINTER_OVERHEATED',
+  PRINTER_REPORTED_ERROR: 'PRINTER_REPORTED_ERROR',
+
   // File errors
   FILE_LOAD_FAILED: 'FILE_LOAD_FAILED',
   FILE_TOO_LARGE: 'FILE_TOO_LARGE',
@@ -372,6 +378,10 @@ export const ErrorMessages = {
   [ErrorCodes.PRINT_FAILED]: 'Print failed',
   [ErrorCodes.PRINT_NO_DEVICE]: 'No printer connected',
   [ErrorCodes.PRINT_CANCELLED]: 'Print cancelled',
+  [ErrorCodes.PRINTER_PAPER_OUT]: 'Printer is out of paper',
+  [ErrorCodes.PRINTER_COVER_OPEN]: 'Printer cover is open',
+  [ErrorCodes.PRINTER_OVERHEATED]: 'Printer is overheating - let it cool down',
+  [ErrorCodes.PRINTER_REPORTED_ERROR]: 'Printer reported a print error',
   [ErrorCodes.FILE_LOAD_FAILED]: 'Failed to load file',
   [ErrorCodes.FILE_TOO_LARGE]: 'File is too large',
   [ErrorCodes.FILE_INVALID_TYPE]: 'Invalid file type',
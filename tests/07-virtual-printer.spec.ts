@@ -0,0 +1,100 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, screenshot, captureJob } from './helpers/app';
+
+const CH = '07-virtual-printer';
+
+test.describe.serial('Virtual Printer', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('connect to the virtual printer', async ({ page }) => {
+    await page.locator('#conn-type').selectOption('loopback');
+    await page.click('#connect-btn');
+
+    // The virtual printer is not a known model, so the app asks which one to emulate
+    await expect(page.locator('#printer-model-prompt')).toBeVisible();
+    await page.locator('#prompt-model-select').selectOption('m260');
+    await page.click('#prompt-model-confirm');
+
+    await expect(page.locator('#printer-info-btn')).toBeVisible();
+    await expect(page.locator('#status-message')).toContainText('Virtual Printer');
+
+    await screenshot(page, CH, 1, 'virtual-printer-connected');
+  });
+
+  test('print captures a job with a decoded preview', async ({ page }) => {
+    await page.locator('#conn-type').selectOption('loopback');
+    await page.click('#connect-btn');
+    await page.locator('#prompt-model-select').selectOption('m260');
+    await page.click('#prompt-model-confirm');
+
+    await page.click('#add-text');
+    await page.waitForTimeout(200);
+    await page.keyboard.press('Escape');
+
+    await page.click('#print-btn');
+    await expect(page.locator('#status-message')).toContainText('Print complete!', { timeout: 10_000 });
+
+    await page.click('#printer-info-btn');
+    await page.click('#printer-info-jobs');
+    await expect(page.locator('#loopback-jobs-dialog')).toBeVisible();
+
+    const jobs = page.locator('#loopback-jobs-list .loopback-job');
+    await expect(jobs).toHaveCount(1);
+    await expect(jobs.first().locator('.loopback-job-stats')).toContainText(/raster \d+×\d+/);
+    await expect(jobs.first().locator('.loopback-job-preview canvas')).toHaveCount(1);
+
+    await screenshot(page, CH, 2, 'captured-job-log');
+  });
+
+  test('M-series byte sequence', async ({ page }) => {
+    const bytes = await captureJob(page, 'm260', { widthBytes: 72, heightLines: 4 });
+
+    expect(bytes.slice(0, 18)).toEqual([
+      0x1b, 0x40,                         // ESC @
+      0x1b, 0x37, 7, 140, 2,              // ESC 7 heat settings (density 6)
+      0x1d, 0x7c, 6,                      // GS | density
+      0x1d, 0x76, 0x30, 0x00, 72, 0, 4, 0, // GS v 0 raster header
+    ]);
+    expect(bytes.slice(18, 18 + 72 * 4).every(b => b === 0xff)).toBe(true);
+    expect(bytes.slice(-3)).toEqual([0x1b, 0x4a, 32]); // ESC J feed
+  });
+
+  test('M110 byte sequence', async ({ page }) => {
+    const bytes = await captureJob(page, 'm110', { widthBytes: 48, heightLines: 2 });
+
+    expect(bytes.slice(0, 19)).toEqual([
+      0x1b, 0x4e, 0x0d, 5,                // speed
+      0x1b, 0x4e, 0x04, 13,               // density
+      0x1f, 0x11, 10,                     // media type
+      0x1d, 0x76, 0x30, 0x00, 48, 0, 2, 0, // raster header
+    ]);
+    expect(bytes.slice(-8)).toEqual([0x1f, 0xf0, 0x05, 0x00, 0x1f, 0xf0, 0x03, 0x00]);
+  });
+
+  test('M04 byte sequence', async ({ page }) => {
+    const bytes = await captureJob(page, 'm04s-53', { widthBytes: 162, heightLines: 3 });
+
+    expect(bytes.slice(0, 23)).toEqual([
+      0x1f, 0x11, 0x02, 11,               // density
+      0x1f, 0x11, 0x37, 183,              // heat
+      0x1f, 0x11, 0x0b,                   // init
+      0x1f, 0x11, 0x35, 0x00,             // compression (raw)
+      0x1d, 0x76, 0x30, 0x00, 162, 0, 3, 0, 0xff,
+    ]);
+  });
+
+  test('TSPL command sequence', async ({ page }) => {
+    const bytes = await captureJob(page, 'pm241', { widthBytes: 102, heightLines: 16, fill: 0x00 });
+    const text = Buffer.from(bytes).toString('latin1');
+
+    expect(text.startsWith('SIZE 102 mm, 2 mm\r\nGAP 3 mm, 0 mm\r\nOFFSET -3 mm\r\nDENSITY 11\r\nSPEED 4\r\nDIRECTION 0\r\nCLS\r\nBITMAP 0,0,102,16,0,')).toBe(true);
+    // TSPL bitmaps are inverted (0 = black), so blank input is sent as 0xFF
+    const bitmapStart = text.indexOf('BITMAP 0,0,102,16,0,') + 'BITMAP 0,0,102,16,0,'.length;
+    expect(bytes.slice(bitmapStart, bitmapStart + 102 * 16).every(b => b === 0xff)).toBe(true);
+    expect(text.endsWith('\r\nPRINT 1\r\nEND\r\n')).toBe(true);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, screenshot, captureJob } from './helpers/app';
+
+const CH = '08-command-decoder';
+
+test.describe.serial('Command Stream Decoder', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('annotates every command of a captured M110 job', async ({ page }) => {
+    const bytes = await captureJob(page, 'm110', { widthBytes: 48, heightLines: 2 });
+
+    const segments = await page.evaluate(async (bytes) => {
+      const { decodeStream } = await import('/decoder.js');
+      return decodeStream(new Uint8Array(bytes)).map(s => ({ kind: s.kind, name: s.name, detail: s.detail, length: s.length }));
+    }, bytes);
+
+    expect(segments.map(s => s.name)).toEqual(['ESC N 0D', 'ESC N 04', '1F 11', 'GS v 0', '1F F0 05', '1F F0 03']);
+    expect(segments[1].detail).toBe('M110 print density 13');
+    expect(segments[3].kind).toBe('raster');
+    expect(segments[3].detail).toContain('384×2');
+    expect(segments[3].length).toBe(8 + 48 * 2);
+    expect(segments.some(s => s.kind === 'unknown')).toBe(false);
+  });
+
+  test('annotates TSPL text commands and bitmap', async ({ page }) => {
+    const bytes = await captureJob(page, 'pm241', { widthBytes: 102, heightLines: 16 });
+
+    const segments = await page.evaluate(async (bytes) => {
+      const { decodeStream, extractRasters } = await import('/decoder.js');
+      const stream = new Uint8Array(bytes);
+      const rasters = extractRasters(stream);
+      return {
+        names: decodeStream(stream).map(s => s.name),
+        // Decoded bitmap is flipped back to 1 = black
+        firstByte: rasters[0].data[0],
+      };
+    }, bytes);
+
+    expect(segments.names).toEqual(['SIZE', 'GAP', 'OFFSET', 'DENSITY', 'SPEED', 'DIRECTION', 'CLS', 'BITMAP', 'CRLF', 'PRINT', 'END']);
+    expect(segments.firstByte).toBe(0xff);
+  });
+
+  test('decodes a pasted hex dump', async ({ page }) => {
+    await page.click('#print-settings-btn');
+    await page.click('#manage-printers-btn');
+    await page.click('#printer-defs-decoder');
+    await expect(page.locator('#decoder-dialog')).toBeVisible();
+
+    await page.fill('#decoder-hex-input', '1b 40 1b 37 07 8c 02 1d 7c 06 1d 76 30 00 01 00 02 00 ff 81 1b 4a 20');
+    await page.click('#decoder-decode-hex');
+
+    await expect(page.locator('#decoder-output .decoder-segment')).toHaveCount(5);
+    await expect(page.locator('#decoder-output .decoder-raster canvas')).toHaveCount(1);
+    await expect(page.locator('#decoder-summary')).toContainText('23 bytes, 5 segments');
+
+    await screenshot(page, CH, 1, 'command-decoder');
+  });
+});
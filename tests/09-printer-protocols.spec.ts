@@ -0,0 +1,53 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, captureJob } from './helpers/app';
+
+test.describe('Printer Protocols', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('custom printer with its own command sequence', async ({ page }) => {
+    await page.evaluate(async () => {
+      const printer = await import('/printer.js');
+      await printer.loadPrinterDefinitions();
+      printer.saveCustomPrinterDefinition({
+        id: 'test-custom',
+        name: 'Test Custom',
+        protocol: 'custom',
+        widthBytes: 8,
+        commands: {
+          name: 'Test sequence',
+          rotate: 'cw',
+          invert: true,
+          params: { level: { from: 'density', table: [1, 2, 3, 4, 5, 6, 7, 8] } },
+          steps: [
+            { send: '1b 40 aa {level}' },
+            { send: '1d 76 30 00 {widthBytes:u16le} {heightLines:u16le}' },
+            { data: { chunkSize: 3 } },
+            { text: 'END {feed}\r\n' },
+          ],
+        },
+      });
+    });
+
+    // 16 dots wide x 8 rows, rotated to 8 dots wide x 16 rows, then inverted
+    const bytes = await captureJob(page, 'test-custom', { widthBytes: 2, heightLines: 8 });
+
+    expect(bytes.slice(0, 12)).toEqual([0x1b, 0x40, 0xaa, 6, 0x1d, 0x76, 0x30, 0x00, 1, 0, 16, 0]);
+    expect(bytes.slice(12, 28).every(b => b === 0x00)).toBe(true);
+    expect(Buffer.from(bytes.slice(28)).toString('latin1')).toBe('END 32\r\n');
+  });
+
+  test('rejects invalid command sequences', async ({ page }) => {
+    const problems = await page.evaluate(async () => {
+      const { validateProtocol } = await import('/protocols.js');
+      return validateProtocol({ steps: [{ send: '1b zz {nope}' }] });
+    });
+
+    expect(problems).toContain('step 1: "zz" is not a hex byte or {value}');
+    expect(problems).toContain('step 1: unknown value "nope"');
+    expect(problems).toContain('No data step - the raster would never be sent');
+  });
+});
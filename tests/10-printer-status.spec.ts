@@ -0,0 +1,40 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog } from './helpers/app';
+
+test.describe('Printer Status', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('aborts with a specific error when the printer runs out of paper', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const printer = await import('/printer.js');
+      const { LoopbackTransport } = await import('/loopback.js');
+      await printer.loadPrinterDefinitions();
+
+      const transport = new LoopbackTransport();
+      await transport.connect();
+      const raster = { data: new Uint8Array(72 * 200).fill(0xff), widthBytes: 72, heightLines: 200 };
+      try {
+        await printer.print(transport, raster, {
+          isBLE: true,
+          printerModel: 'm260',
+          // Paper runs out halfway through the raster
+          onProgress: (progress) => {
+            if (progress >= 50) transport.emitStatus('paper', 'out');
+          },
+        });
+        return { code: null };
+      } catch (e) {
+        return { code: e.code, message: e.message, bytes: transport.getLastJob().byteLength };
+      }
+    });
+
+    expect(result.code).toBe('PRINTER_PAPER_OUT');
+    expect(result.message).toBe('Printer is out of paper');
+    // Stopped mid-raster: the rest of the data and the feed were never sent
+    expect(result.bytes).toBeLessThan(72 * 200);
+  });
+});
@@ -0,0 +1,66 @@
+import { test, expect, type Page } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Adaptive BLE Transfer', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  // Drive sendPaced against a fake GATT characteristic, since there is no
+  // Bluetooth hardware in the test environment
+  async function sendThroughFakeCharacteristic(page: Page, characteristic: { write: boolean; maxLength: number }, length: number, delay = 0) {
+    return page.evaluate(async ({ characteristic, length, delay }) => {
+      const { BLETransport } = await import('/ble.js');
+      const writes = [];
+      const transport = new BLETransport();
+      transport.connected = true;
+      transport.device = { gatt: { connected: true } };
+      transport._canWriteWithResponse = characteristic.write;
+      transport.writeChar = {
+        async writeValue(buffer) {
+          if (buffer.byteLength > characteristic.maxLength) throw new Error('GATT operation failed');
+          writes.push({ length: buffer.byteLength, withResponse: true });
+        },
+        async writeValueWithoutResponse(buffer) {
+          if (buffer.byteLength > characteristic.maxLength) throw new Error('GATT operation failed');
+          writes.push({ length: buffer.byteLength, withResponse: false });
+        },
+      };
+      await transport.sendPaced(new Uint8Array(length), { chunkSize: 128, delay });
+      return { writes, throughput: transport.throughput };
+    }, { characteristic, length, delay });
+  }
+
+  test('steps chunk size down to what the printer accepts', async ({ page }) => {
+    const { writes, throughput } = await sendThroughFakeCharacteristic(page, { write: true, maxLength: 182 }, 1000);
+
+    expect(writes.every(w => w.withResponse)).toBe(true);
+    expect(writes.map(w => w.length)).toEqual([182, 182, 182, 182, 182, 90]);
+    expect(throughput.chunkSize).toBe(182);
+  });
+
+  test('keeps the protocol delay between acknowledged chunks', async ({ page }) => {
+    const { writes, throughput } = await sendThroughFakeCharacteristic(page, { write: true, maxLength: 512 }, 1000, 20);
+
+    expect(writes.map(w => w.length)).toEqual([512, 488]);
+    expect(throughput).toMatchObject({ chunkSize: 512, delay: 20, withResponse: true });
+  });
+
+  test('uses the protocol pacing without write acknowledgements', async ({ page }) => {
+    const { writes } = await sendThroughFakeCharacteristic(page, { write: false, maxLength: 512 }, 300);
+
+    expect(writes).toEqual([
+      { length: 128, withResponse: false },
+      { length: 128, withResponse: false },
+      { length: 44, withResponse: false },
+    ]);
+  });
+
+  test('halves the chunk when unacknowledged writes fail', async ({ page }) => {
+    const { writes, throughput } = await sendThroughFakeCharacteristic(page, { write: false, maxLength: 100 }, 200);
+
+    expect(writes.map(w => w.length)).toEqual([64, 64, 64, 8]);
+    expect(throughput.delay).toBe(20);
+  });
+});
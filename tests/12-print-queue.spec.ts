@@ -0,0 +1,133 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, screenshot } from './helpers/app';
+import path from 'path';
+
+const CH = '12-print-queue';
+
+test.describe.serial('Print Queue', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('keeps unprinted and failed labels across reloads', async ({ page }) => {
+    const before = await page.evaluate(async () => {
+      const { PrintQueue } = await import('/queue.js');
+      const queue = new PrintQueue();
+      await queue.add(['A', 'B', 'C', 'D'].map(title => ({ title, raster: { data: new Uint8Array(4), widthBytes: 1, heightLines: 4 } })));
+
+      // The connection drops on the second label
+      let count = 0;
+      await queue.run(async () => {
+        if (++count === 2) throw new Error('Not connected');
+      }, { gap: 0 }).catch(() => {});
+      return queue.getJobs().map(job => `${job.title}:${job.status}`);
+    });
+    expect(before).toEqual(['A:done', 'B:failed', 'C:pending', 'D:pending']);
+
+    await page.reload({ waitUntil: 'networkidle' });
+
+    const after = await page.evaluate(async () => {
+      const { PrintQueue } = await import('/queue.js');
+      const queue = new PrintQueue();
+      await queue.load();
+      const reloaded = queue.getJobs().map(job => `${job.title}:${job.status}`);
+
+      // Reprint only the failed label, moved to the end
+      const failed = queue.getJobs().find(job => job.status === 'failed');
+      await queue.move(failed!.id, 10);
+      await queue.retryFailed();
+      const printed = [];
+      await queue.run(async (job) => { printed.push(job.title); }, { gap: 0 });
+      await queue.clear();
+      return { reloaded, printed };
+    });
+    expect(after.reloaded).toEqual(['A:done', 'B:failed', 'C:pending', 'D:pending']);
+    expect(after.printed).toEqual(['C', 'D', 'B']);
+  });
+
+  test('prints while jobs are still being added and keeps a batch once', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { PrintQueue } = await import('/queue.js');
+      const queue = new PrintQueue({ persist: false });
+      const batch = { id: 'batch-1', elements: [{ type: 'text', text: '{{Name}}' }] };
+      const raster = { data: new Uint8Array(4), widthBytes: 1, heightLines: 4 };
+
+      const release = queue.hold();
+      const printed = [];
+      const run = queue.run(async (job) => { printed.push(job.title); }, { gap: 0 });
+      await queue.add([{ title: 'A', batchId: 'batch-1', raster }], batch);
+      await new Promise(r => setTimeout(r, 50));
+      const held = { running: queue.isRunning(), printed: [...printed] };
+
+      await queue.add([{ title: 'B', batchId: 'batch-1', raster }], batch);
+      release();
+      await run;
+      const kept = queue.getBatch('batch-1')?.elements.length;
+      await queue.clear();
+      return { held, printed, kept, cleared: queue.getBatch('batch-1') };
+    });
+    expect(result).toEqual({ held: { running: true, printed: ['A'] }, printed: ['A', 'B'], kept: 1, cleared: null });
+  });
+
+  test('lets a batch render only a few labels ahead of the printer', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { PrintQueue } = await import('/queue.js');
+      const queue = new PrintQueue({ persist: false });
+      const raster = { data: new Uint8Array(4), widthBytes: 1, heightLines: 4 };
+
+      const release = queue.hold();
+      let finish = () => {};
+      const printing = new Promise<void>((resolve) => { finish = resolve; });
+      const run = queue.run(async () => { await printing; }, { gap: 0 });
+      await queue.add([1, 2, 3, 4].map(i => ({ title: `L${i}`, raster })));
+
+      // One label printing, three waiting
+      let room = false;
+      const waiting = queue.waitForRoom(3).then(() => { room = true; });
+      await new Promise(r => setTimeout(r, 50));
+      const blocked = !room;
+
+      finish();
+      await waiting;
+      release();
+      await run;
+      return { blocked, room };
+    });
+    expect(result).toEqual({ blocked: true, room: true });
+  });
+
+  test('batch print runs through the queue', async ({ page }) => {
+    await page.locator('#conn-type').selectOption('loopback');
+    await page.click('#connect-btn');
+    await page.locator('#prompt-model-select').selectOption('m260');
+    await page.click('#prompt-model-confirm');
+
+    await page.click('#add-text');
+    await page.waitForTimeout(200);
+    await page.keyboard.press('Escape');
+    await page.waitForTimeout(200);
+    await page.locator('#prop-text-content').fill('{{Name}} - ${{Price}}');
+    await page.locator('#prop-text-content').dispatchEvent('input');
+    await page.waitForTimeout(500);
+
+    await page.click('#template-toolbar-btn');
+    await page.click('#template-manage-data');
+    await page.locator('#template-csv-input').setInputFiles(path.join(__dirname, 'fixtures', 'sample.csv'));
+    await page.waitForTimeout(500);
+
+    await page.click('#template-print-btn');
+    await expect(page.locator('#status-message')).toContainText('Printed 3 labels!', { timeout: 15_000 });
+
+    await page.click('#template-queue-btn');
+    await expect(page.locator('#print-queue-dialog')).toBeVisible();
+    await expect(page.locator('#print-queue-list .print-queue-job[data-status="done"]')).toHaveCount(3);
+    await expect(page.locator('#print-queue-list .print-queue-job').first()).toContainText('Record 1 - Widget A');
+
+    await screenshot(page, CH, 1, 'print-queue');
+
+    await page.click('#print-queue-clear-done');
+    await expect(page.locator('#print-queue-list .print-queue-job')).toHaveCount(0);
+  });
+});
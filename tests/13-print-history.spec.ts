@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, screenshot } from './helpers/app';
+
+const CH = '13-print-history';
+
+test.describe.serial('Print History', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+
+    await page.locator('#conn-type').selectOption('loopback');
+    await page.click('#connect-btn');
+    await page.locator('#prompt-model-select').selectOption('m260');
+    await page.click('#prompt-model-confirm');
+  });
+
+  test('logs prints and finds them by content', async ({ page }) => {
+    await page.click('#add-text');
+    await page.waitForTimeout(200);
+    await page.keyboard.press('Escape');
+    await page.waitForTimeout(200);
+    await page.locator('#prop-text-content').fill('Order 1234 [[date|YYYY]]');
+    await page.locator('#prop-text-content').dispatchEvent('input');
+    await page.waitForTimeout(300);
+
+    await page.click('#print-btn');
+    await expect(page.locator('#status-message')).toContainText('Print complete!', { timeout: 10_000 });
+
+    await page.click('#print-history-btn');
+    await expect(page.locator('#print-history-dialog')).toBeVisible();
+    await expect(page.locator('.print-history-entry')).toHaveCount(1);
+
+    const year = String(new Date().getFullYear());
+    const entry = page.locator('.print-history-entry').first();
+    await expect(entry).toContainText(`Order 1234 ${year}`);
+    await expect(entry).toContainText(`[[date|YYYY]] = ${year}`);
+    await expect(entry.locator('.print-history-thumb canvas')).toHaveCount(1);
+
+    await page.fill('#print-history-search', '1234');
+    await expect(page.locator('.print-history-entry')).toHaveCount(1);
+    await page.fill('#print-history-search', '9999');
+    await expect(page.locator('.print-history-entry')).toHaveCount(0);
+
+    await screenshot(page, CH, 1, 'print-history');
+  });
+
+  test('reprints a logged label and exports CSV', async ({ page }) => {
+    await page.click('#add-text');
+    await page.waitForTimeout(200);
+    await page.keyboard.press('Escape');
+    await page.click('#print-btn');
+    await expect(page.locator('#status-message')).toContainText('Print complete!', { timeout: 10_000 });
+
+    await page.click('#print-history-btn');
+    await page.locator('.print-history-entry .print-history-reprint').first().click();
+    await expect(page.locator('#status-message')).toContainText('Reprinted!', { timeout: 10_000 });
+    await expect(page.locator('.print-history-entry')).toHaveCount(2);
+
+    // The reprint reached the virtual printer as a second job
+    await page.click('#print-history-close');
+    await page.click('#printer-info-btn');
+    await page.click('#printer-info-jobs');
+    await expect(page.locator('#loopback-jobs-count')).toHaveText('2 jobs');
+
+    const csv = await page.evaluate(async () => {
+      const { searchHistory, historyToCSV } = await import('/history.js');
+      return historyToCSV(await searchHistory(''));
+    });
+    const lines = csv.split('\n');
+    expect(lines[0]).toBe('Printed At,Source,Printer,Model,Density,Copies,Design,Records,Expressions,Content');
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(',reprint,Virtual Printer,');
+  });
+
+  test('stores a batch design once and reads rasters on demand', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { addHistoryEntry, searchHistory, getHistoryRaster, getHistoryDesign, deleteHistoryEntries } = await import('/history.js');
+      const { STORES, getAllRecords } = await import('/db.js');
+      const design = [{ type: 'text', text: '{{Name}}' }];
+      for (const name of ['Widget A', 'Widget B']) {
+        await addHistoryEntry({
+          source: 'batch',
+          designId: 'batch-1',
+          elements: design,
+          content: [name],
+          records: [{ Name: name }],
+          raster: { data: new Uint8Array(4), widthBytes: 1, heightLines: 4 },
+        });
+      }
+
+      const [latest, first] = await searchHistory('widget');
+      const designs = await getAllRecords(STORES.HISTORY_DESIGNS);
+      const loaded = {
+        listed: 'elements' in latest || 'raster' in latest,
+        designs: designs.length,
+        design: (await getHistoryDesign(first))?.[0].text,
+        rasterLines: (await getHistoryRaster(latest))?.heightLines,
+      };
+
+      // The design goes with the last label that uses it
+      await deleteHistoryEntries([latest.id]);
+      const kept = (await getAllRecords(STORES.HISTORY_DESIGNS)).length;
+      await deleteHistoryEntries([first.id]);
+      return { ...loaded, kept, left: (await getAllRecords(STORES.HISTORY_DESIGNS)).length, rasters: (await getAllRecords(STORES.HISTORY_RASTERS)).length };
+    });
+    expect(result).toEqual({ listed: false, designs: 1, design: '{{Name}}', rasterLines: 4, kept: 1, left: 0, rasters: 0 });
+  });
+});
@@ -0,0 +1,73 @@
+import { test, expect, type Page } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('USB Printer Status', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  // Connect USBTransport to a fake device that answers status queries on its
+  // IN endpoint, since there is no USB hardware in the test environment
+  async function queryFakeDevice(page: Page, queryProtocol: string, answers: Record<string, number[]>) {
+    return page.evaluate(async ({ queryProtocol, answers }) => {
+      const { USBTransport } = await import('/usb.js');
+      const pending = [];
+      const device = {
+        productName: 'Fake Printer',
+        configuration: {
+          interfaces: [{
+            interfaceNumber: 0,
+            alternates: [{ interfaceClass: 7, endpoints: [{ direction: 'in', endpointNumber: 2 }, { direction: 'out', endpointNumber: 1 }] }],
+          }],
+        },
+        closed: false,
+        async open() {},
+        async claimInterface() {},
+        async close() { this.closed = true; },
+        async transferOut(endpoint, data) {
+          const answer = answers[Array.from(data).join(',')];
+          if (answer) pending.push(new Uint8Array(answer));
+          return { status: 'ok', bytesWritten: data.length };
+        },
+        async transferIn() {
+          if (this.closed) throw new Error('Device closed');
+          const data = pending.shift() || new Uint8Array(0);
+          return { status: 'ok', data: new DataView(data.buffer) };
+        },
+      };
+
+      const transport = new USBTransport();
+      const reported = [];
+      transport.onPrinterInfo = (field, value) => reported.push(`${field}=${value}`);
+      await transport.connectToDevice(device);
+      transport.queryProtocol = queryProtocol;
+      await transport.queryAll();
+      await transport.delay(300);
+      const info = transport.getPrinterInfo();
+      await transport.disconnect();
+      return { reported, info };
+    }, { queryProtocol, answers });
+  }
+
+  test('reads TSPL head-open and paper-out status', async ({ page }) => {
+    const { reported, info } = await queryFakeDevice(page, 'tspl', {
+      '27,33,63': [0x05], // <ESC>!? -> head opened + out of paper
+      '126,33,84': Array.from('PM-241\r\n', c => c.charCodeAt(0)), // ~!T
+    });
+
+    expect(reported).toEqual(['cover=open', 'paper=out', 'model=PM-241']);
+    expect(info.paper).toBe('out');
+    expect(info.cover).toBe('open');
+  });
+
+  test('reads M-series status over USB', async ({ page }) => {
+    const { info } = await queryFakeDevice(page, 'phomemo', {
+      '31,17,8': [0x1A, 0x04, 0x50], // battery 80%
+      '31,17,17': [0x1A, 0x06, 0x89], // paper ok
+    });
+
+    expect(info.battery).toBe(0x50);
+    expect(info.paper).toBe('ok');
+  });
+});
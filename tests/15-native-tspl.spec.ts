@@ -0,0 +1,47 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog } from './helpers/app';
+
+test.describe('Native TSPL Elements', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('TSPL native elements with a cropped bitmap', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const printer = await import('/printer.js');
+      const { buildNativeTSPL, cropRaster } = await import('/tspl.js');
+      const { LoopbackTransport, getJobBytes } = await import('/loopback.js');
+      await printer.loadPrinterDefinitions();
+
+      const elements = [
+        { id: 'text', type: 'text', x: 16, y: 16, width: 300, height: 40, rotation: 0, text: 'SHIP TO', fontSize: 24, align: 'left', verticalAlign: 'top', noWrap: true },
+        { id: 'code', type: 'barcode', x: 16, y: 80, width: 400, height: 120, rotation: 0, barcodeData: 'ABC-123', barcodeFormat: 'CODE128' },
+        { id: 'logo', type: 'image', x: 600, y: 16, width: 100, height: 100, rotation: 0 },
+      ];
+      const { commands, nativeIds, fallback } = buildNativeTSPL(elements);
+
+      // Stand-in for the rendered logo: a 2-byte x 4-row block
+      const full = { data: new Uint8Array(102 * 240), widthBytes: 102, heightLines: 240 };
+      for (let y = 16; y < 20; y++) full.data.fill(0xff, y * 102 + 75, y * 102 + 77);
+
+      const transport = new LoopbackTransport();
+      await transport.connect();
+      await printer.print(transport, { ...full, native: { commands, raster: cropRaster(full) } }, { printerModel: 'pm241' });
+      return {
+        nativeIds,
+        fallback: fallback.map(el => el.id),
+        stream: new TextDecoder('latin1').decode(getJobBytes(transport.getLastJob())),
+      };
+    });
+
+    expect(result.nativeIds).toEqual(['text', 'code']);
+    expect(result.fallback).toEqual(['logo']);
+    expect(result.stream.startsWith('SIZE 102 mm, 30 mm\r\n')).toBe(true);
+    expect(result.stream).toContain('BITMAP 600,16,2,4,0,');
+    expect(result.stream).toMatch(/\r\nTEXT 20,\d+,"0",0,\d+,\d+,1,"SHIP TO"\r\n/);
+    expect(result.stream).toMatch(/BARCODE \d+,82,"128",\d+,2,0,\d+,\d+,"ABC-123"\r\n/);
+    expect(result.stream.endsWith('PRINT 1\r\nEND\r\n')).toBe(true);
+  });
+});
@@ -0,0 +1,32 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, captureJob } from './helpers/app';
+
+test.describe('TSPL Media Settings', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('TSPL media settings and calibration', async ({ page }) => {
+    const calibration = await page.evaluate(async () => {
+      const printer = await import('/printer.js');
+      const { LoopbackTransport, getJobBytes } = await import('/loopback.js');
+      await printer.loadPrinterDefinitions();
+      printer.saveMediaSettings('', 'pm241', {
+        ...printer.getMediaSettings('', 'pm241'),
+        type: 'bline', gapMm: 5, offsetMm: 0, shiftDots: -8, speed: 2, mode: 'peel',
+      });
+
+      const transport = new LoopbackTransport();
+      await transport.connect();
+      await printer.calibrateMedia(transport, { printerModel: 'pm241' });
+      return new TextDecoder('latin1').decode(getJobBytes(transport.getLastJob()));
+    });
+    expect(calibration).toBe('BLINEDETECT\r\n');
+
+    const bytes = await captureJob(page, 'pm241', { widthBytes: 102, heightLines: 16, fill: 0x00 });
+    const text = Buffer.from(bytes).toString('latin1');
+    expect(text.startsWith('SIZE 102 mm, 2 mm\r\nBLINE 5 mm, 0 mm\r\nOFFSET 0 mm\r\nSHIFT -8\r\nDENSITY 11\r\nSPEED 2\r\nDIRECTION 0\r\nSET TEAR OFF\r\nSET PEEL ON\r\nCLS\r\n')).toBe(true);
+  });
+});
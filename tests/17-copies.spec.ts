@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, captureJob } from './helpers/app';
+
+test.describe('Copies', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('copies are printed by the protocol', async ({ page }) => {
+    // TSPL sends the bitmap once and lets the printer repeat it
+    const tspl = Buffer.from(await captureJob(page, 'pm241', { widthBytes: 102, heightLines: 16 }, { copies: 3 })).toString('latin1');
+    expect(tspl.split('BITMAP ')).toHaveLength(2);
+    expect(tspl.endsWith('\r\nPRINT 1,3\r\nEND\r\n')).toBe(true);
+
+    // ESC/POS sends the setup once and the raster block per copy
+    const bytes = await captureJob(page, 'm260', { widthBytes: 72, heightLines: 2 }, { copies: 3 });
+    const hex = Buffer.from(bytes).toString('hex');
+    expect(hex.split('1b40')).toHaveLength(2);
+    expect(hex.split('1d76300048000200').length - 1).toBe(3);
+    expect(hex.split('1b4a20').length - 1).toBe(3);
+  });
+
+  test('waits for the completion status of every copy', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const printer = await import('/printer.js');
+      const { LoopbackTransport } = await import('/loopback.js');
+      await printer.loadPrinterDefinitions();
+
+      const transport = new LoopbackTransport();
+      await transport.connect();
+      const raster = { data: new Uint8Array(72 * 20), widthBytes: 72, heightLines: 20 };
+      let firstDone = false;
+      let secondDone = null;
+      await printer.print(transport, raster, {
+        isBLE: true,
+        printerModel: 'm260',
+        copies: 2,
+        // The first copy finishes right away, the second one later
+        onProgress: (progress) => {
+          if (progress >= 50 && !firstDone) {
+            firstDone = true;
+            transport.emitStatus('print', 1);
+          } else if (progress === 100 && !secondDone) {
+            secondDone = new Promise(resolve => setTimeout(() => {
+              transport.emitStatus('print', 1);
+              resolve(Date.now());
+            }, 500));
+          }
+        },
+      });
+      const printed = Date.now();
+      return { printedAfterCompletion: printed >= await secondDone };
+    });
+
+    expect(result.printedAfterCompletion).toBe(true);
+  });
+});
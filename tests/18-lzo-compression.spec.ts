@@ -0,0 +1,25 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, captureJob } from './helpers/app';
+
+test.describe('LZO Compression', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('M04 compressed raster', async ({ page }) => {
+    const raster = { widthBytes: 162, heightLines: 400, fill: 0x00 };
+    const bytes = await captureJob(page, 'm04s-53', raster, { compress: true });
+
+    expect(bytes.slice(8, 12)).toEqual([0x1f, 0x11, 0x35, 0x01]); // LZO mode
+    expect(bytes.length).toBeLessThan(162 * 400 / 10);
+
+    const decoded = await page.evaluate(async (stream) => {
+      const { extractRasters } = await import('/decoder.js');
+      const [r] = extractRasters(new Uint8Array(stream));
+      return { widthBytes: r.widthBytes, heightLines: r.heightLines, length: r.data.length, blank: r.data.every(b => b === 0) };
+    }, bytes);
+    expect(decoded).toEqual({ widthBytes: 162, heightLines: 400, length: 162 * 400, blank: true });
+  });
+});
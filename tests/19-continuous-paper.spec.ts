@@ -0,0 +1,29 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, captureJob } from './helpers/app';
+
+test.describe('Continuous Paper', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('skips blank rows on continuous paper', async ({ page }) => {
+    // Ink on rows 40-49 and 300-309 of a 400-row label
+    const data = new Array(48 * 400).fill(0);
+    data.fill(0xff, 40 * 48, 50 * 48);
+    data.fill(0xff, 300 * 48, 310 * 48);
+    const bytes = await captureJob(page, 'm02', { widthBytes: 48, heightLines: 400, data }, { skipBlankRows: true });
+
+    const segments = await page.evaluate(async (bytes) => {
+      const { decodeStream } = await import('/decoder.js');
+      return decodeStream(new Uint8Array(bytes)).map(s => s.detail);
+    }, bytes);
+
+    expect(segments.filter(detail => detail.startsWith('Raster'))).toEqual([
+      'Raster 384×10 dots (48 bytes/row, 480 bytes)',
+      'Raster 384×10 dots (48 bytes/row, 480 bytes)',
+    ]);
+    expect(segments).toContain('Feed 250 dots');
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, captureJob } from './helpers/app';
+
+test.describe('Printer Calibration', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('applies the calibration wizard results', async ({ page }) => {
+    const calibration = await page.evaluate(async () => {
+      const printer = await import('/printer.js');
+      const { computeCalibration, getCalibrationBasis } = await import('/calibration.js');
+      await printer.loadPrinterDefinitions();
+
+      // Crosshair 1 mm left of and 0.5 mm above centre, ruler cut off at 70 mm
+      const calibration = computeCalibration(getCalibrationBasis('', 'm260'), {
+        leftMm: 0, rightMm: 70, crosshairXMm: -1, crosshairYMm: -0.5, density: 4,
+      });
+      printer.savePrinterCalibration('', 'm260', { offsetX: calibration.offsetX, offsetY: calibration.offsetY });
+      return calibration;
+    });
+    expect(calibration).toEqual({ widthBytes: 69, offsetX: 8, offsetY: 4, density: 4 });
+
+    // One black dot at the top left
+    const data = new Array(72 * 20).fill(0);
+    data[0] = 0x80;
+    const bytes = await captureJob(page, 'm260', { widthBytes: 72, heightLines: 20, data });
+    const raster = await page.evaluate(async (bytes) => {
+      const { extractRasters } = await import('/decoder.js');
+      return Array.from(extractRasters(new Uint8Array(bytes))[0].data);
+    }, bytes);
+
+    // The dot moved 8 dots right (into the next byte) and 4 rows down
+    const dot = raster.findIndex(b => b !== 0);
+    expect(dot).toBe(4 * 72 + 1);
+    expect(raster[dot]).toBe(0x80);
+  });
+
+  test('calibration page prints from Print Settings', async ({ page }) => {
+    await page.locator('#conn-type').selectOption('loopback');
+    await page.click('#connect-btn');
+    await page.locator('#prompt-model-select').selectOption('m110');
+    await page.click('#prompt-model-confirm');
+
+    // The wizard reads the connected model's print width (M110: 48 mm, 384 dots)
+    await page.click('#print-settings-btn');
+    await page.click('#calibration-open');
+    await expect(page.locator('#calibration-summary')).toContainText('print width 384 dots');
+    await page.click('#calibration-print');
+    await expect(page.locator('#status-message')).toContainText('Calibration page printed', { timeout: 10_000 });
+    await page.click('#calibration-cancel');
+    await page.click('#print-settings-close');
+
+    await page.click('#printer-info-btn');
+    await page.click('#printer-info-jobs');
+    const jobs = page.locator('#loopback-jobs-list .loopback-job');
+    await expect(jobs).toHaveCount(1);
+    await expect(jobs.first().locator('.loopback-job-stats')).toContainText(/raster 384×\d+/);
+  });
+});
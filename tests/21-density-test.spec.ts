@@ -0,0 +1,51 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog } from './helpers/app';
+
+test.describe('Density Test', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('density test prints through each printer protocol', async ({ page }) => {
+    const jobs = await page.evaluate(async () => {
+      const printer = await import('/printer.js');
+      const { printDensityTest } = await import('/calibration.js');
+      const { LoopbackTransport, getJobBytes } = await import('/loopback.js');
+      const { extractRasters } = await import('/decoder.js');
+      await printer.loadPrinterDefinitions();
+
+      const transport = new LoopbackTransport();
+      await transport.connect();
+      await printDensityTest(transport, { printerModel: 'm110', labelMm: { width: 40, height: 12 } });
+      return transport.getJobs().map(job => {
+        const bytes = getJobBytes(job);
+        const [raster] = extractRasters(bytes);
+        return { density: job.meta.density, densityByte: bytes[7], widthBytes: raster.widthBytes, heightLines: raster.heightLines };
+      });
+    });
+
+    expect(jobs.map(job => job.density)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    // M110 density command (1B 4E 04 n), full print width, label height
+    expect(new Set(jobs.map(job => job.densityByte)).size).toBe(8);
+    expect(jobs.every(job => job.widthBytes === 48 && job.heightLines === 96)).toBe(true);
+  });
+
+  test('density test prints from Print Settings', async ({ page }) => {
+    await page.locator('#conn-type').selectOption('loopback');
+    await page.click('#connect-btn');
+    await page.locator('#prompt-model-select').selectOption('m110');
+    await page.click('#prompt-model-confirm');
+
+    await page.click('#print-settings-btn');
+    await page.click('#print-density-test');
+    await expect(page.locator('#status-message')).toContainText('Density test complete', { timeout: 20_000 });
+
+    await page.click('#printer-info-btn');
+    await page.click('#printer-info-jobs');
+    const jobs = page.locator('#loopback-jobs-list .loopback-job');
+    await expect(jobs).toHaveCount(8);
+    await expect(jobs.first().locator('.loopback-job-stats')).toContainText(/raster 384×\d+/);
+  });
+});
@@ -0,0 +1,21 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog, captureJob } from './helpers/app';
+
+test.describe('Speed and Heat', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('speed and heat levels map to each protocol', async ({ page }) => {
+    const mSeries = await captureJob(page, 'm260', { widthBytes: 72, heightLines: 4 }, { speed: 1, heat: 5 });
+    expect(mSeries.slice(2, 7)).toEqual([0x1b, 0x37, 3, 140, 8]); // ESC 7 max dots, heat time, interval
+
+    const m110 = await captureJob(page, 'm110', { widthBytes: 48, heightLines: 2 }, { speed: 2, heat: 5 });
+    expect(m110.slice(0, 4)).toEqual([0x1b, 0x4e, 0x0d, 2]); // No heat control, speed only
+
+    const m04 = await captureJob(page, 'm04s-53', { widthBytes: 162, heightLines: 3 }, { heat: 1 });
+    expect(m04.slice(4, 8)).toEqual([0x1f, 0x11, 0x37, 183 - 34]);
+  });
+});
@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Automatic Reconnection', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('reconnects after an unexpected disconnect, not after disconnect()', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { BLETransport } = await import('/ble.js');
+      // A printer that advertises as soon as it is watched
+      const device = new EventTarget();
+      device.id = 'printer-1';
+      device.name = 'M110';
+      device.gatt = {
+        connected: false,
+        connects: 0,
+        async connect() {
+          this.connected = true;
+          this.connects++;
+          return {
+            async getPrimaryService() {
+              return {
+                async getCharacteristic() {
+                  return { properties: { write: true, writeWithoutResponse: true } };
+                },
+              };
+            },
+          };
+        },
+        disconnect() {
+          this.connected = false;
+          device.dispatchEvent(new Event('gattserverdisconnected'));
+        },
+      };
+      device.watchAdvertisements = async () => {
+        setTimeout(() => device.dispatchEvent(new Event('advertisementreceived')), 10);
+      };
+
+      const transport = new BLETransport();
+      transport.autoReconnect = true;
+      transport.device = device;
+      await transport.connectGATT();
+
+      // Connection drops: the watchdog reconnects
+      const reconnected = new Promise(resolve => { transport.onReconnect = resolve; });
+      device.gatt.connected = false;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+      const reconnecting = transport.isReconnecting();
+      const connected = await reconnected;
+      const afterDrop = { reconnecting, connected, isConnected: transport.isConnected(), connects: device.gatt.connects };
+
+      // User disconnects: no reconnect
+      await transport.disconnect();
+      await new Promise(r => setTimeout(r, 300));
+      return { afterDrop, afterDisconnect: { reconnecting: transport.isReconnecting(), connects: device.gatt.connects } };
+    });
+
+    expect(result.afterDrop).toEqual({ reconnecting: true, connected: true, isConnected: true, connects: 2 });
+    expect(result.afterDisconnect).toEqual({ reconnecting: false, connects: 2 });
+  });
+});
@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady, dismissInfoDialog } from './helpers/app';
+
+test.describe('Printer Registry', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+    await dismissInfoDialog(page);
+  });
+
+  test('prints a design on the printer it names', async ({ page }) => {
+    await page.locator('#conn-type').selectOption('loopback');
+    await page.click('#connect-btn');
+    await page.locator('#prompt-model-select').selectOption('m260');
+    await page.click('#prompt-model-confirm');
+
+    // A second virtual printer beside the first
+    await page.click('#printer-info-btn');
+    await page.locator('#printer-add-type').selectOption('loopback');
+    await page.click('#printer-add');
+    const rows = page.locator('#printers-list .printer-row');
+    await expect(rows).toHaveCount(2);
+    await expect(rows.nth(1).locator('.printer-row-name')).toHaveText('Virtual Printer (2)');
+
+    // Back to the first printer; the design goes to the second
+    await rows.nth(0).locator('.printer-row-select').click();
+    await page.locator('#design-printer').selectOption('Virtual Printer (2)');
+
+    await page.click('#add-text');
+    await page.waitForTimeout(200);
+    await page.keyboard.press('Escape');
+    await page.click('#print-btn');
+    await expect(page.locator('#status-message')).toContainText('Print complete!', { timeout: 10_000 });
+
+    // The active (first) printer captured nothing, the second one the label
+    await page.click('#printer-info-btn');
+    await page.click('#printer-info-jobs');
+    await expect(page.locator('#loopback-jobs-list .loopback-job')).toHaveCount(0);
+    await page.click('#loopback-jobs-close');
+
+    await page.click('#printer-info-btn');
+    await rows.nth(1).locator('.printer-row-select').click();
+    await page.click('#printer-info-jobs');
+    await expect(page.locator('#loopback-jobs-list .loopback-job')).toHaveCount(1);
+  });
+});
@@ -0,0 +1,52 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Serial Printer', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('reads status answers that arrive together on the port', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { SerialTransport } = await import('/serial.js');
+      // A paired Bluetooth Classic printer: the port is a byte stream, so the
+      // answers to several queries come back in one chunk
+      let controller;
+      const written = [];
+      const port = new EventTarget();
+      port.getInfo = () => ({ bluetoothServiceClassId: '00001101-0000-1000-8000-00805f9b34fb' });
+      port.open = async () => {
+        port.readable = new ReadableStream({ start(c) { controller = c; } });
+        port.writable = new WritableStream({
+          write(data) {
+            written.push(Array.from(data).join(','));
+            if (written.length === 2) controller.enqueue(new Uint8Array([0x1A, 0x04, 0x50, 0x1A, 0x06, 0x89]));
+          },
+        });
+      };
+      port.close = async () => {};
+
+      const transport = new SerialTransport();
+      const reported = [];
+      transport.onPrinterInfo = (field, value) => reported.push(`${field}=${value}`);
+      await transport.openPort(port);
+      await transport.query('battery');
+      await transport.query('paper');
+      await transport.delay(200);
+      const name = transport.getDeviceName();
+
+      // Printer switched off
+      let disconnected = false;
+      transport.onDisconnect = () => { disconnected = true; };
+      port.dispatchEvent(new Event('disconnect'));
+      return { reported, written, name, disconnected, connected: transport.isConnected() };
+    });
+
+    expect(result.name).toBe('Bluetooth Serial');
+    expect(result.written).toEqual(['31,17,8', '31,17,17']);
+    expect(result.reported).toEqual(['battery=80', 'paper=ok']);
+    expect(result.disconnected).toBe(true);
+    expect(result.connected).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Network Printer', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('talks to the printer through the WebSocket bridge', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { NetworkTransport } = await import('/network.js');
+      // A bridge in front of a TSPL printer with its paper out
+      const sockets = [];
+      class FakeBridge {
+        constructor(url) {
+          this.url = url;
+          this.sent = [];
+          this.bufferedAmount = 0;
+          sockets.push(this);
+          setTimeout(() => this.onopen?.(), 10);
+        }
+        send(data) {
+          this.sent.push(Array.from(data).join(','));
+          if (this.sent.length === 1) setTimeout(() => this.onmessage?.({ data: new Uint8Array([0x04]).buffer }), 10);
+        }
+        close() {}
+      }
+
+      const realWebSocket = window.WebSocket;
+      window.WebSocket = FakeBridge;
+      try {
+        const transport = new NetworkTransport();
+        const reported = [];
+        transport.onPrinterInfo = (field, value) => reported.push(`${field}=${value}`);
+        await transport.connect({ bridgeUrl: 'ws://localhost:9101', address: '192.168.1.50' });
+        transport.queryProtocol = 'tspl';
+        await transport.query('status');
+        await transport.delay(200);
+
+        // The printer goes away: the bridge closes the connection
+        let disconnected = false;
+        transport.onDisconnect = () => { disconnected = true; };
+        sockets[0].onclose();
+        return {
+          url: sockets[0].url,
+          sent: sockets[0].sent,
+          name: transport.getDeviceName(),
+          reported,
+          disconnected,
+          connected: transport.isConnected(),
+        };
+      } finally {
+        window.WebSocket = realWebSocket;
+      }
+    });
+
+    expect(result.url).toBe('ws://localhost:9101/?host=192.168.1.50&port=9100');
+    expect(result.sent).toEqual(['27,33,63']);
+    expect(result.name).toBe('192.168.1.50');
+    expect(result.reported).toEqual(['cover=closed', 'paper=out']);
+    expect(result.disconnected).toBe(true);
+    expect(result.connected).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Print Resolution', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('renders 300 DPI labels at 300 DPI with whole-dot barcode bars', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { CanvasRenderer } = await import('/canvas.js');
+      const renderer = new CanvasRenderer(document.createElement('canvas'));
+      renderer.setDimensions(40, 30);
+      const barcode = {
+        id: 'barcode', type: 'barcode', x: 20, y: 20, width: 200, height: 120, rotation: 0,
+        barcodeData: '12345678', barcodeFormat: 'CODE128', showText: false,
+      };
+
+      // Runs of black and white dots across the middle of the bars
+      const runs = (raster, dpi) => {
+        const row = Math.round(80 * dpi / 203);
+        const bits = [];
+        for (let x = 0; x < raster.widthBytes * 8; x++) {
+          bits.push((raster.data[row * raster.widthBytes + (x >> 3)] >> (7 - (x & 7))) & 1);
+        }
+        const first = bits.indexOf(1);
+        const last = bits.lastIndexOf(1);
+        const lengths = [];
+        let length = 1;
+        for (let x = first + 1; x <= last + 1; x++) {
+          if (x <= last && bits[x] === bits[x - 1]) {
+            length++;
+          } else {
+            lengths.push(length);
+            length = 1;
+          }
+        }
+        return lengths;
+      };
+
+      const raster300 = renderer.getRasterData([barcode], 78, 300, 'threshold');
+      const raster203 = renderer.getRasterData([barcode], 48, 203, 'threshold');
+      return {
+        heightLines: raster300.heightLines,
+        runs300: runs(raster300, 300),
+        runs203: runs(raster203, 203),
+      };
+    });
+
+    // 30mm at 300 DPI, not 30mm at 203 DPI scaled up
+    expect(result.heightLines).toBe(Math.round(240 * 300 / 203));
+    for (const runs of [result.runs300, result.runs203]) {
+      const module = Math.min(...runs);
+      expect(runs.every(run => run % module === 0)).toBe(true);
+    }
+    expect(Math.min(...result.runs300)).toBeGreaterThan(Math.min(...result.runs203));
+  });
+});
@@ -0,0 +1,35 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Raster Worker', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('dithers in the worker to the same raster as the main thread', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { CanvasRenderer } = await import('/canvas.js');
+      const renderer = new CanvasRenderer(document.createElement('canvas'));
+      renderer.setDimensions(40, 30);
+      const elements = [
+        { id: 'gray', type: 'shape', shapeType: 'ellipse', x: 10, y: 10, width: 150, height: 100, rotation: 15, fill: '#888888', stroke: 'transparent', strokeWidth: 0 },
+        { id: 'text', type: 'text', x: 170, y: 40, width: 140, height: 40, rotation: 0, text: 'Worker', fontSize: 28, color: 'black', align: 'center', verticalAlign: 'middle' },
+      ];
+
+      const { RasterPipeline } = await import('/raster.js');
+      const onMainThread = renderer.getRasterData(elements, 48, 203, 'floyd-steinberg');
+      const inWorker = await renderer.getRasterDataAsync(elements, 48, 203, 'floyd-steinberg');
+      return {
+        worker: !!RasterPipeline.getShared().worker,
+        same: onMainThread.heightLines === inWorker.heightLines && onMainThread.data.length === inWorker.data.length
+          && onMainThread.data.every((byte, i) => byte === inWorker.data[i]),
+        black: inWorker.data.some(byte => byte !== 0),
+      };
+    });
+
+    expect(result.worker).toBe(true);
+    expect(result.same).toBe(true);
+    expect(result.black).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Dither Algorithms', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('prints image settings for threshold, gamma and serpentine the same in the worker', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ditherGrayscale } = await import('/dither.js');
+      // Horizontal gray ramp: each algorithm should keep the average tone
+      const width = 256, height = 64;
+      const ramp = new Float32Array(width * height).map((_, i) => i % width);
+      const coverage = {};
+      for (const mode of ['stucki', 'jarvis-judice-ninke', 'sierra', 'sierra-lite', 'blue-noise']) {
+        const dithered = ditherGrayscale(ramp, width, height, mode);
+        coverage[mode] = dithered.reduce((sum, dot) => sum + dot, 0) / dithered.length;
+      }
+      const plain = ditherGrayscale(ramp, width, height, 'stucki');
+      const serpentine = ditherGrayscale(ramp, width, height, 'stucki', { serpentine: true });
+
+      const { CanvasRenderer } = await import('/canvas.js');
+      const renderer = new CanvasRenderer(document.createElement('canvas'));
+      renderer.setDimensions(40, 30);
+      const elements = [
+        { id: 'gray', type: 'shape', shapeType: 'rectangle', x: 10, y: 10, width: 280, height: 200, rotation: 0, fill: '#999999', stroke: 'transparent', strokeWidth: 0 },
+      ];
+      const dots = (data) => data.reduce((sum, byte) => sum + byte.toString(2).replace(/0/g, '').length, 0);
+      const options = { threshold: 100, gamma: 2, serpentine: true };
+      const onMainThread = renderer.getRasterData(elements, 48, 203, 'jarvis-judice-ninke', 'center', options);
+      const inWorker = await renderer.getRasterDataAsync(elements, 48, 203, 'jarvis-judice-ninke', 'center', options);
+      const defaults = renderer.getRasterData(elements, 48, 203, 'jarvis-judice-ninke', 'center');
+      const darker = renderer.getRasterData(elements, 48, 203, 'threshold', 'center', { threshold: 200 });
+      const lighter = renderer.getRasterData(elements, 48, 203, 'threshold', 'center', { threshold: 100 });
+
+      return {
+        coverage,
+        serpentineDiffers: plain.some((dot, i) => dot !== serpentine[i]),
+        same: onMainThread.data.every((byte, i) => byte === inWorker.data[i]),
+        gammaLightens: dots(onMainThread.data) < dots(defaults.data),
+        thresholdDarkens: dots(darker.data) > 0 && dots(lighter.data) === 0,
+      };
+    });
+
+    for (const value of Object.values(result.coverage)) {
+      expect(value).toBeGreaterThan(0.48);
+      expect(value).toBeLessThan(0.52);
+    }
+    expect(result.serpentineDiffers).toBe(true);
+    expect(result.same).toBe(true);
+    expect(result.gammaLightens).toBe(true);
+    expect(result.thresholdDarkens).toBe(true);
+  });
+
+  test('prints each image with its own settings and applies gamma to threshold', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { CanvasRenderer } = await import('/canvas.js');
+      const { pixelsToRaster } = await import('/dither.js');
+      const renderer = new CanvasRenderer(document.createElement('canvas'));
+      renderer.setDimensions(40, 30);
+
+      // Two mid-gray images, one thresholded to black and one to white
+      const source = document.createElement('canvas');
+      source.width = 100;
+      source.height = 100;
+      const ctx = source.getContext('2d')!;
+      ctx.fillStyle = '#808080';
+      ctx.fillRect(0, 0, 100, 100);
+      const image = { type: 'image', y: 20, width: 100, height: 100, rotation: 0, imageData: source.toDataURL(), dither: 'none' };
+      const elements = [
+        { ...image, id: 'dark', x: 20, threshold: 200 },
+        { ...image, id: 'light', x: 180, threshold: 60 },
+      ];
+      renderer.getRasterData(elements, 48, 203); // Starts loading the images
+      await new Promise(r => setTimeout(r, 300));
+
+      const onMainThread = renderer.getRasterData(elements, 48, 203);
+      const inWorker = await renderer.getRasterDataAsync(elements, 48, 203);
+      // The label is centered in 48 bytes: 32 dots of margin
+      const dots = (data: Uint8Array, fromX: number, toX: number) => {
+        let count = 0;
+        for (let y = 20; y < 120; y++) {
+          for (let x = 32 + fromX; x < 32 + toX; x++) {
+            if (data[y * 48 + (x >> 3)] & (0x80 >> (x & 7))) count++;
+          }
+        }
+        return count;
+      };
+
+      const gray = new Uint8ClampedArray(8 * 4).map((_, i) => (i % 4 === 3 ? 255 : 100));
+      return {
+        dark: dots(inWorker.data, 20, 120),
+        light: dots(inWorker.data, 180, 280),
+        same: onMainThread.data.every((byte, i) => byte === inWorker.data[i]),
+        plain: pixelsToRaster(gray, 8, 1, 1, 'left', 'threshold')[0],
+        gamma: pixelsToRaster(gray, 8, 1, 1, 'left', 'threshold', { gamma: 2 })[0],
+      };
+    });
+
+    expect(result).toEqual({ dark: 10000, light: 0, same: true, plain: 0xff, gamma: 0 });
+  });
+});
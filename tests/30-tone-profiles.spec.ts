@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Tone Profiles', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('compensates dot gain on print and builds the tone chart', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getToneProfile } = await import('/tone.js');
+      const { CanvasRenderer } = await import('/canvas.js');
+      const { buildToneChart } = await import('/calibration.js');
+      const renderer = new CanvasRenderer(document.createElement('canvas'));
+      renderer.setDimensions(40, 30);
+      const elements = [
+        { id: 'gray', type: 'shape', shapeType: 'rectangle', x: 10, y: 10, width: 280, height: 200, rotation: 0, fill: '#808080', stroke: 'transparent', strokeWidth: 0 },
+      ];
+      const dots = (data) => data.reduce((sum, byte) => sum + byte.toString(2).replace(/0/g, '').length, 0);
+      const tone = getToneProfile('thermal-labels');
+      const linear = renderer.getRasterData(elements, 48, 203, 'floyd-steinberg', 'center', { tone: getToneProfile(null) });
+      const plain = renderer.getRasterData(elements, 48, 203, 'floyd-steinberg', 'center');
+      const compensated = renderer.getRasterData(elements, 48, 203, 'floyd-steinberg', 'center', { tone });
+      const inWorker = await renderer.getRasterDataAsync(elements, 48, 203, 'floyd-steinberg', 'center', { tone });
+      const chart = buildToneChart({ widthBytes: 48, heightLines: 240, dpi: 203 });
+
+      return {
+        linearUnchanged: linear.data.every((byte, i) => byte === plain.data[i]),
+        lighter: dots(compensated.data) < dots(plain.data),
+        same: compensated.data.every((byte, i) => byte === inWorker.data[i]),
+        chart: { widthBytes: chart.widthBytes, heightLines: chart.heightLines, length: chart.data.length, dots: dots(chart.data) },
+      };
+    });
+
+    expect(result.linearUnchanged).toBe(true);
+    expect(result.lighter).toBe(true);
+    expect(result.same).toBe(true);
+    expect(result.chart).toMatchObject({ widthBytes: 48, heightLines: 240, length: 48 * 240 });
+    expect(result.chart.dots).toBeGreaterThan(0);
+  });
+});
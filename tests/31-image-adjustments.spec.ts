@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { waitForAppReady } from './helpers/app';
+
+test.describe('Image Adjustments', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/', { waitUntil: 'networkidle' });
+    await waitForAppReady(page);
+  });
+
+  test('prints images through their crop, invert, rotate and edge adjustments', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getAdjustedSize } = await import('/adjustments.js');
+      const { CanvasRenderer } = await import('/canvas.js');
+      // 40x20 image, left half black
+      const source = document.createElement('canvas');
+      source.width = 40;
+      source.height = 20;
+      const ctx = source.getContext('2d');
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, 40, 20);
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, 20, 20);
+      const imageData = source.toDataURL();
+
+      const renderer = new CanvasRenderer(document.createElement('canvas'));
+      renderer.setDimensions(40, 30);
+      const loaded = new Promise(resolve => { renderer.onAsyncLoad = resolve; });
+      const image = (id, width, height, adjustments) => ({
+        id, type: 'image', x: 0, y: 0, width, height, rotation: 0, imageData, naturalWidth: 40, naturalHeight: 20, dither: 'none', adjustments,
+      });
+      renderer.getRasterData([image('plain', 80, 40, [])], 48, 203, 'none');
+      await loaded;
+
+      const dots = (elements) => renderer.getRasterData(elements, 48, 203, 'none', 'left')
+        .data.reduce((sum, byte) => sum + byte.toString(2).replace(/0/g, '').length, 0);
+      const firstDot = (elements) => renderer.getRasterData(elements, 48, 203, 'none', 'left').data[0] >> 7;
+      return {
+        plain: dots([image('plain', 80, 40, [])]),
+        cropped: dots([image('plain', 40, 40, [{ type: 'crop', left: 0, top: 0, right: 50, bottom: 0 }])]),
+        invertedFirstDot: firstDot([image('plain', 80, 40, [{ type: 'invert' }])]),
+        plainFirstDot: firstDot([image('plain', 80, 40, [])]),
+        edges: dots([image('plain', 80, 40, [{ type: 'edges', strength: 100 }])]),
+        rotated: getAdjustedSize(40, 20, [{ type: 'rotate', turns: 1 }]),
+        rotatedFirstDot: firstDot([image('plain', 40, 80, [{ type: 'rotate', turns: 1 }])]),
+      };
+    });
+
+    // Half of 80x40 is black; cropped to that half, all of 40x40 is
+    expect(Math.abs(result.plain - 40 * 40)).toBeLessThanOrEqual(40);
+    expect(Math.abs(result.cropped - 40 * 40)).toBeLessThanOrEqual(40);
+    expect(result.plainFirstDot).toBe(1);
+    expect(result.invertedFirstDot).toBe(0);
+    expect(result.edges).toBeGreaterThan(0);
+    expect(result.edges).toBeLessThan(result.plain / 4);
+    expect(result.rotated).toEqual({ width: 20, height: 40 });
+    // Rotated clockwise, the black half ends up at the top-right
+    expect(result.rotatedFirstDot).toBe(0);
+  });
+});
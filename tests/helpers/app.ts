@@ -63,3 +63,43 @@ export async function elementScreenshot(
     path: path.join(dir, filename),
   });
 }
+
+/** Raster sent by protocol tests: a solid black block unless data is given */
+export interface TestRaster {
+  widthBytes: number;
+  heightLines: number;
+  fill?: number;
+  /** Raster bytes, for tests that need a pattern rather than a solid block */
+  data?: number[];
+}
+
+/**
+ * Print a raster through printer.js into a fresh loopback transport and
+ * return every byte the protocol emitted
+ */
+export async function captureJob(
+  page: Page,
+  printerModel: string,
+  raster: TestRaster,
+  options: Record<string, unknown> = {}
+): Promise<number[]> {
+  return page.evaluate(async ({ printerModel, raster, options }) => {
+    const printer = await import('/printer.js');
+    const { LoopbackTransport, getJobBytes } = await import('/loopback.js');
+    await printer.loadPrinterDefinitions();
+
+    const transport = new LoopbackTransport();
+    await transport.connect();
+    const data = raster.data
+      ? new Uint8Array(raster.data)
+      : new Uint8Array(raster.widthBytes * raster.heightLines).fill(raster.fill ?? 0xff);
+    await printer.print(transport, { data, widthBytes: raster.widthBytes, heightLines: raster.heightLines }, {
+      isBLE: true,
+      printerModel,
+      density: 6,
+      feed: 32,
+      ...options,
+    });
+    return Array.from(getJobBytes(transport.getLastJob()));
+  }, { printerModel, raster, options });
+}